@@ -1,41 +1,124 @@
 !(function (exports) {
   'use strict';
 
+  /**
+   * Shows the bookmarks on the new tab page, a folder at a time. Icons are
+   * the favicons cached with each bookmark, or the first letter of its name
+   * when there is none.
+   */
   const Bookmarks = {
     bookmarks: document.getElementById('bookmarks'),
 
-    init: async function () {
+    folderId: null,
+    parentIds: [],
+
+    init: function () {
+      if (!('BookmarksManager' in window)) {
+        this.renderEmpty();
+        return;
+      }
+
+      window.addEventListener('bookmarkschange', () => this.render());
+      this.render();
+    },
+
+    render: async function () {
+      let nodes = [];
+      try {
+        nodes = await BookmarksManager.getTree(this.folderId);
+      } catch (error) {
+        // The folder was removed from another tab
+        console.error('Error reading bookmarks:', error);
+        if (this.folderId) {
+          this.folderId = null;
+          this.parentIds = [];
+          this.render();
+        }
+        return;
+      }
+
       const fragment = document.createDocumentFragment();
+      if (this.folderId) {
+        fragment.appendChild(
+          this.createItem({ name: L10n.get('bookmarks-back'), icon: 'arrow-back' }, () => this.openFolder(null))
+        );
+      }
+      nodes.forEach((node) => {
+        if (node.type === 'folder') {
+          fragment.appendChild(this.createItem({ name: node.name, icon: 'folder' }, () => this.openFolder(node.id)));
+        } else {
+          fragment.appendChild(
+            this.createItem(node, () => {
+              location.href = node.url;
+            })
+          );
+        }
+      });
 
-      const savedBookmarks = await Settings.getValue('bookmarks', 'bookmarks.json');
-      for (let index = 0; index < savedBookmarks.length; index++) {
-        const bookmark = savedBookmarks[index];
+      this.bookmarks.innerHTML = '';
+      this.bookmarks.appendChild(fragment);
+      if (nodes.length === 0 && !this.folderId) {
+        this.renderEmpty();
+      }
+    },
 
-        const element = document.createElement('div');
-        element.classList.add('bookmark');
-        element.onclick = () => {
-          location.href = bookmark.url;
-        };
-        fragment.appendChild(element);
+    renderEmpty: function () {
+      const notice = document.createElement('p');
+      notice.classList.add('bookmarks-empty');
+      notice.dataset.l10nId = 'bookmarks-empty';
+      this.bookmarks.appendChild(notice);
+    },
 
-        const iconHolder = document.createElement('div');
-        iconHolder.classList.add('icon-holder');
-        element.appendChild(iconHolder);
+    /**
+     * Opens a folder, or the parent of the current one if `folderId` is
+     * `null`.
+     */
+    openFolder: function (folderId) {
+      if (folderId) {
+        this.parentIds.push(this.folderId);
+        this.folderId = folderId;
+      } else {
+        this.folderId = this.parentIds.pop() || null;
+      }
+      this.render();
+    },
+
+    createItem: function (bookmark, callback) {
+      const element = document.createElement('div');
+      element.classList.add('bookmark');
+      element.title = bookmark.url || bookmark.name;
+      element.onclick = callback;
 
+      const iconHolder = document.createElement('div');
+      iconHolder.classList.add('icon-holder');
+      element.appendChild(iconHolder);
+
+      if (bookmark.favicon) {
         const icon = document.createElement('img');
         icon.classList.add('icon');
-        icon.src = `https://www.google.com/s2/favicons?domain=${bookmark.url}&sz=128`;
+        icon.src = bookmark.favicon;
+        iconHolder.appendChild(icon);
+      } else {
+        const icon = document.createElement('div');
+        icon.classList.add('icon', 'placeholder');
+        if (bookmark.icon) {
+          icon.dataset.icon = bookmark.icon;
+        } else {
+          icon.textContent = (bookmark.name || '').charAt(0).toUpperCase();
+        }
         iconHolder.appendChild(icon);
-
-        const name = document.createElement('div');
-        name.classList.add('name');
-        name.textContent = bookmark.name;
-        element.appendChild(name);
       }
 
-      this.bookmarks.appendChild(fragment);
+      const name = document.createElement('div');
+      name.classList.add('name');
+      name.textContent = bookmark.name;
+      element.appendChild(name);
+
+      return element;
     }
   };
 
   Bookmarks.init();
+
+  exports.Bookmarks = Bookmarks;
 })(window);
@@ -71,7 +71,12 @@
       this.galleryButton.appendChild(imageElement);
 
       // Save the captured image using the fs module
-      this.saveCapturedImage(imageUrl);
+      const fileName = this.saveCapturedImage(imageUrl);
+
+      // Hand the photo over if another webapp asked for one
+      if ('Activities' in OrchidJS && OrchidJS.Activities.isPicking('image/jpeg')) {
+        OrchidJS.Activities.postResult({ path: fileName, name: fileName.split('/').pop(), type: 'image/jpeg' });
+      }
     },
 
     toggleRecording: function () {
@@ -111,8 +116,9 @@
       }
 
       // Save the image using the SDCardManager module
-      const fileName = `${folderPath}/photo_${Date.toISOString()}.jpg`;
+      const fileName = `${folderPath}/photo_${new Date().toISOString()}.jpg`;
       SDCardManager.write(fileName, imageData);
+      return fileName;
     },
 
     saveRecordedVideo: function () {
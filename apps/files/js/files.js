@@ -58,13 +58,40 @@
           this.quickAccess.appendChild(shortcut);
           PageController.init();
         });
+
+        // The activities API is loaded along with the page
+        if (document.readyState === 'complete') {
+          this.handleActivity();
+        } else {
+          window.addEventListener('load', this.handleActivity.bind(this), { once: true });
+        }
       });
     },
 
+    /**
+     * Opens the folder another webapp asked to view, e.g. the Downloads
+     * folder when the user chose to show a download in Files.
+     */
+    handleActivity: function () {
+      const activity = 'Activities' in OrchidJS ? OrchidJS.Activities.getCurrent() : null;
+      if (!activity || activity.name !== 'view' || !activity.data || typeof activity.data.path !== 'string') {
+        return;
+      }
+
+      const path = activity.data.path;
+      const shortcuts = Array.from(this.quickAccess.children);
+      const shortcut = shortcuts.find((item) => item.dataset.path === path) || shortcuts[0];
+      if (shortcut) {
+        PageController.handlePageButtonClick(shortcut);
+      }
+      this.goTo(path);
+    },
+
     createShortcutElement: function (item) {
       const shortcut = document.createElement('li');
       shortcut.classList.add(item.class_name);
       shortcut.dataset.pageId = 'content';
+      shortcut.dataset.path = item.path;
       shortcut.onclick = () => this.goTo(item.path);
 
       const shortcutName = document.createElement('p');
@@ -79,12 +106,12 @@
       this.clearFileContainer();
       this.setPathName(path);
 
-      SDCardManager.list(path).then((files) => {
+      SDCardManager.list(path).then(async (files) => {
         files.sort();
-        files.forEach((file) => {
-          const item = this.createFileElement(file, path);
+        for (const file of files) {
+          const item = await this.createFileElement(file, path);
           this.fileContainer.appendChild(item);
-        });
+        }
       });
     },
 
@@ -96,15 +123,15 @@
       this.pathName.innerHTML = path.replaceAll('//', '/');
     },
 
-    createFileElement: function (file, path) {
+    createFileElement: async function (file, path) {
       const item = document.createElement('div');
       item.classList.add('file');
 
-      const stat = SDCardManager.getStats(`${path}/${file}`);
+      const stat = await SDCardManager.getStats(`${path}/${file}`);
       if (stat.is_directory) {
         this.setupFolderItem(item, file, path);
       } else {
-        this.setupFileItem(item, file, path);
+        await this.setupFileItem(item, file, path);
       }
 
       const itemIcon = document.createElement('div');
@@ -134,26 +161,28 @@
       this.fileContainer.appendChild(item);
     },
 
-    setupFileItem: function (item, file, path) {
+    installPackage: function (path) {
+      OrchidJS.AppsManager.installPackage(path)
+        .then(() => {
+          new Notification(L10n.get('installSuccess'), { body: path.split('/').pop() });
+        })
+        .catch((error) => {
+          // The message holds the precise reason the package was refused
+          new Notification(L10n.get('installFailed'), { body: error.message });
+        });
+    },
+
+    setupFileItem: async function (item, file, path) {
       item.classList.add('file');
       if (file.startsWith('.')) {
         item.classList.add('hidden');
       }
 
       if (file.endsWith('.opm')) {
-        item.onclick = () => {
-          IPC.send('message', {
-            type: 'launch',
-            manifestUrl: 'http://install.localhost:8081/manifest.json',
-            activity: 'install-app',
-            activity_args: {
-              filepath: `${path}/${file}`
-            }
-          })
-        };
+        item.onclick = () => this.installPackage(`${path}/${file}`);
       }
 
-      const mime = SDCardManager.getMime(file);
+      const mime = await SDCardManager.getMime(`${path}/${file}`);
       if (!mime) {
         if (file.endsWith('.zip')) {
           item.classList.add('archive');
@@ -197,6 +226,9 @@
           item.classList.add('readme');
         }
 
+        // While picking a file for another webapp, a click sends it back
+        item.onclick = () => this.pickFile(`${path}/${file}`, mime);
+
         item.ondblclick = () => {
           if (mime.startsWith('image/')) {
             SDCardManager.read(`${path}/${file}`, { encoding: 'base64' }).then((data) => {
@@ -215,6 +247,13 @@
       }, 16);
     },
 
+    pickFile: function (path, mime) {
+      if (!('Activities' in OrchidJS) || !OrchidJS.Activities.isPicking(mime)) {
+        return;
+      }
+      OrchidJS.Activities.postResult({ path: path.replaceAll('//', '/'), name: path.split('/').pop(), type: mime });
+    },
+
     handleGridButton: function () {
       this.fileContainer.classList.toggle('grid');
 
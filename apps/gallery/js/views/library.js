@@ -50,24 +50,30 @@
     addImage: function (path) {
       window.SDCardManager
         .read(path, { encoding: 'base64' })
-        .then((data) => {
-          const mime = window.SDCardManager.getMime(path);
+        .then(async (data) => {
+          const mime = await window.SDCardManager.getMime(path);
           const imageSrc = `data:${mime};base64,${data}`;
 
           const item = document.createElement('div');
           item.classList.add('image');
-          item.addEventListener('click', () => this.handleImageClick(imageSrc));
+          item.addEventListener('click', () => this.handleImageClick(imageSrc, path, mime));
 
           const image = document.createElement('img');
           image.src = imageSrc;
           item.appendChild(image);
 
-          const stats = window.SDCardManager.getStats(path);
+          const stats = await window.SDCardManager.getStats(path);
           this.setCategory(stats.birthtime).appendChild(item);
         });
     },
 
-    handleImageClick: function (image) {
+    handleImageClick: function (image, path, mime) {
+      // While picking a photo for another webapp, it is sent back instead
+      // of opened
+      if ('Activities' in OrchidJS && OrchidJS.Activities.isPicking(mime)) {
+        OrchidJS.Activities.postResult({ path, name: path.split('/').pop(), type: mime });
+        return;
+      }
       ImageViewer.open(image, this.images);
     }
   };
@@ -79,14 +79,22 @@
     },
 
     addLocalAudio: function (path, gridElement, index) {
-      SDCardManager.read(path).then((data) => {
-        const mime = SDCardManager.getMime(path);
+      SDCardManager.read(path).then(async (data) => {
+        const mime = await SDCardManager.getMime(path);
         const blob = new Blob([data], { type: mime });
         const parts = path.split('/');
         const fileName = parts[parts.length - 1];
 
         const item = document.createElement('div');
         item.classList.add('music');
+        // While picking a song for another webapp, it is sent back instead of
+        // played. Added first so it runs before the listeners playing it
+        item.addEventListener('click', (event) => {
+          if ('Activities' in OrchidJS && OrchidJS.Activities.isPicking(mime)) {
+            event.stopImmediatePropagation();
+            OrchidJS.Activities.postResult({ path, name: fileName, type: mime });
+          }
+        });
 
         const artwork = document.createElement('img');
         artwork.src = '';
@@ -157,8 +165,8 @@
     },
 
     addAudio: function (path, gridElement, index) {
-      SDCardManager.read(path).then((data) => {
-        const mime = SDCardManager.getMime(path);
+      SDCardManager.read(path).then(async (data) => {
+        const mime = await SDCardManager.getMime(path);
         const blob = new Blob([data], { type: mime });
         const parts = path.split('/');
         const fileName = parts[parts.length - 1];
@@ -8,6 +8,8 @@
     warmColorsSwitch: document.getElementById('display-warm-colors-switch'),
     readerModeSwitch: document.getElementById('display-reader-mode-switch'),
     redLightPointSwitch: document.getElementById('display-red-light-point-switch'),
+    secondaryDisplaysSwitch: document.getElementById('display-secondary-displays-switch'),
+    screenCaptureMicrophoneSwitch: document.getElementById('display-screen-capture-microphone-switch'),
 
     init: function () {
       this.brightnessSlider.min = 0;
@@ -36,6 +38,16 @@
       window.Settings.getValue('video.red_light_point.enabled').then((data) => {
         this.redLightPointSwitch.checked = data;
       });
+
+      this.secondaryDisplaysSwitch.addEventListener('change', this.handleSecondaryDisplaysSwitch.bind(this));
+      window.Settings.getValue('video.secondary_displays.enabled').then((data) => {
+        this.secondaryDisplaysSwitch.checked = data;
+      });
+
+      this.screenCaptureMicrophoneSwitch.addEventListener('change', this.handleScreenCaptureMicrophoneSwitch.bind(this));
+      window.Settings.getValue('video.screen_capture.microphone.enabled').then((data) => {
+        this.screenCaptureMicrophoneSwitch.checked = data;
+      });
     },
 
     handleBrightnessSlider: function () {
@@ -61,6 +73,16 @@
     handleRedLightPointSwitch: function () {
       const value = this.redLightPointSwitch.checked;
       window.Settings.setValue('video.red_light_point.enabled', value);
+    },
+
+    handleSecondaryDisplaysSwitch: function () {
+      const value = this.secondaryDisplaysSwitch.checked;
+      window.Settings.setValue('video.secondary_displays.enabled', value);
+    },
+
+    handleScreenCaptureMicrophoneSwitch: function () {
+      const value = this.screenCaptureMicrophoneSwitch.checked;
+      window.Settings.setValue('video.screen_capture.microphone.enabled', value);
     }
   };
 
@@ -9,6 +9,9 @@
     webappInfoAuthor: document.getElementById('webapp-info-author'),
     uninstallButton: document.getElementById('webapp-info-uninstall-button'),
     storeButton: document.getElementById('webapp-info-store-button'),
+    revertButton: document.getElementById('webapp-info-revert-button'),
+    updateNotice: document.getElementById('webapp-info-update'),
+    permissionsList: document.getElementById('webapp-info-permissions'),
 
     APP_ICON_SIZE: 40,
 
@@ -106,6 +109,87 @@
         this.webappInfoAuthor.textContent = app.manifest.developer.name;
         this.webappInfoAuthor.src = app.manifest.developer.url;
       }
+
+      this.renderUpdateState(app);
+      this.renderPermissions(app);
+    },
+
+    renderUpdateState: function (app) {
+      if (!('AppsManager' in window)) {
+        this.updateNotice.hidden = true;
+        this.revertButton.hidden = true;
+        return;
+      }
+
+      const state = AppsManager.getUpdateState(app);
+      this.updateNotice.hidden = !state.updateAvailable;
+      this.updateNotice.textContent = OrchidJS.L10n.get('webappInfo-updateAvailable', {
+        version: app.availableVersion
+      });
+
+      this.revertButton.hidden = !state.canRollback;
+      this.revertButton.textContent = OrchidJS.L10n.get('webappInfo-revert', { version: state.previousVersion });
+      this.revertButton.onclick = () => {
+        OrchidJS.AppsManager.rollback(app.appId).then((version) => {
+          this.webappInfoVersion.textContent = version;
+          this.revertButton.hidden = true;
+        });
+      };
+    },
+
+    renderPermissions: function (app) {
+      this.permissionsList.innerHTML = '';
+      if (!('PermissionsManager' in window)) {
+        return;
+      }
+
+      const origin = new URL(app.manifestUrl['en-US']).origin;
+      const decisions = PermissionsManager.getDecisions(origin);
+      const permissions = Object.keys(app.manifest.permissions || {});
+
+      const fragment = document.createDocumentFragment();
+      for (let index = 0; index < permissions.length; index++) {
+        const permission = permissions[index];
+        const switchId = `webapp-info-permission-${index}`;
+
+        const element = document.createElement('li');
+        element.dataset.icon = 'permissions';
+        fragment.appendChild(element);
+
+        const packSwitch = document.createElement('div');
+        packSwitch.classList.add('pack-switch');
+        element.appendChild(packSwitch);
+
+        const label = document.createElement('label');
+        label.htmlFor = switchId;
+        packSwitch.appendChild(label);
+
+        const name = document.createElement('p');
+        name.textContent = permission;
+        label.appendChild(name);
+
+        const span = document.createElement('span');
+        packSwitch.appendChild(span);
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = switchId;
+        checkbox.name = switchId;
+        checkbox.checked = decisions[permission] !== false;
+        checkbox.addEventListener('change', () => this.handlePermissionSwitch(origin, permission, checkbox.checked));
+        span.appendChild(checkbox);
+      }
+
+      this.permissionsList.appendChild(fragment);
+    },
+
+    handlePermissionSwitch: function (origin, permission, enabled) {
+      if (enabled) {
+        // Forgetting the denial lets the webapp ask for it again
+        PermissionsManager.revoke(origin, permission);
+      } else {
+        PermissionsManager.setDecision(origin, permission, false);
+      }
     }
   };
 
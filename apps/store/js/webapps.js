@@ -3,6 +3,7 @@
 
   const Webapps = {
     webapps: document.getElementById('webapps'),
+    installedApps: [],
 
     webappPanel: document.getElementById('webapp'),
     webappBanner: document.getElementById('webapp-banner'),
@@ -44,7 +45,13 @@
       window.addEventListener('orchid-services-ready', this.handleServicesLoad.bind(this));
     },
 
-    handleServicesLoad: function () {
+    handleServicesLoad: async function () {
+      try {
+        this.installedApps = await OrchidJS.AppsManager.getAllApps();
+      } catch (error) {
+        this.installedApps = [];
+      }
+
       _os.store.getRelavantApps().then((array) => {
         for (let index = 0; index < array.length; index++) {
           const element = array[index];
@@ -109,6 +116,83 @@
       installButton.classList.add('recommend');
       installButton.dataset.l10nId = 'webappGet';
       buttonHolder.appendChild(installButton);
+
+      this.setupUpdateButtons(installButton, buttonHolder, data);
+    },
+
+    /**
+     * Turns the install button into an update button when an older version
+     * of the webapp is installed, and offers to revert a webapp that was
+     * updated.
+     */
+    setupUpdateButtons: function (installButton, buttonHolder, data) {
+      const app = this.findInstalledApp(data);
+      if (!app || !('AppsManager' in window)) {
+        return;
+      }
+
+      const state = AppsManager.getUpdateState(app);
+      if (data.version && AppsManager.compareVersions(data.version, state.version) > 0) {
+        AppsManager.setAvailableVersion(app.appId, data.version);
+        installButton.dataset.l10nId = 'webappUpdate';
+        installButton.onclick = (event) => {
+          event.stopPropagation();
+          this.updateWebapp(app, data, installButton);
+        };
+      } else {
+        installButton.dataset.l10nId = 'webappInstalled';
+        installButton.disabled = true;
+      }
+
+      if (state.canRollback) {
+        const revertButton = document.createElement('button');
+        revertButton.dataset.l10nId = 'webappRevert';
+        revertButton.onclick = (event) => {
+          event.stopPropagation();
+          OrchidJS.AppsManager.rollback(app.appId).then(() => revertButton.remove());
+        };
+        buttonHolder.appendChild(revertButton);
+      }
+    },
+
+    /**
+     * Finds the installed webapp a store listing is for. Names aren't unique,
+     * so listings are matched on the ID of the installed webapp or on its
+     * origin, which PWAs and packages declaring `origin` in their manifest
+     * have.
+     *
+     * @param {Object} data
+     *        The store listing.
+     *
+     * @returns {Object|undefined}
+     */
+    findInstalledApp: function (data) {
+      return this.installedApps.find((app) => {
+        if (data.appId && app.appId === data.appId) {
+          return true;
+        }
+        const origin = app.origin || (app.manifest && app.manifest.origin);
+        return !!data.origin && origin === data.origin;
+      });
+    },
+
+    updateWebapp: async function (app, data, installButton) {
+      installButton.disabled = true;
+
+      const packagePath = `/downloads/${app.appId}.opm`;
+      try {
+        const response = await fetch(data.downloadUrl);
+        await SDCardManager.write(packagePath, new Uint8Array(await response.arrayBuffer()));
+        await OrchidJS.AppsManager.update(app.appId, packagePath);
+        installButton.dataset.l10nId = 'webappInstalled';
+      } catch (error) {
+        // The message holds the precise reason the package was refused
+        new Notification(L10n.get('webappUpdateFailed'), { body: error.message });
+        installButton.disabled = false;
+      } finally {
+        // The package was unpacked or refused, either way it's of no use
+        SDCardManager.delete(packagePath).catch(() => {});
+      }
     },
 
     initializeCategory: function (categoryId) {
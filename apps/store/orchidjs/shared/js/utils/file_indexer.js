@@ -10,11 +10,11 @@
         for (const file of files) {
           const filePath = `${currentDir}/${file}`;
 
-          const stats = SDCardManager.getStats(filePath);
+          const stats = await SDCardManager.getStats(filePath);
           if (stats.is_directory) {
             await findMatchingFiles(filePath);
           } else {
-            const fileMimeType = SDCardManager.getMime(filePath);
+            const fileMimeType = await SDCardManager.getMime(filePath);
             if (fileMimeType && fileMimeType.startsWith(mimeType)) {
               matchingFiles.push(filePath);
             }
@@ -22,15 +22,13 @@
         }
       }
 
-      try {
-        findMatchingFiles(directory).then(() => {
+      findMatchingFiles(directory)
+        .then(() => {
           setTimeout(() => {
             resolve(matchingFiles);
           }, 500);
-        });
-      } catch (error) {
-        reject(error);
-      }
+        })
+        .catch(reject);
     });
   }
 
@@ -0,0 +1,351 @@
+!(function (exports) {
+  'use strict';
+
+  /**
+   * Hands activities such as `pick` or `share` from one webapp to another.
+   *
+   * Webapps declare the activities they handle in the `activities` field of
+   * their manifest. When a webapp starts one, the installed webapps whose
+   * filters match are looked up, the user chooses one of them if there are
+   * several, and it is opened at the page it declared for the activity. The
+   * result it posts goes back to the webapp which started the activity.
+   */
+  const Activities = {
+    ACTIVITY_PARAM: 'activity',
+
+    pendingActivities: new Map(),
+    lastActivityId: 0,
+
+    handleMessage: function (data) {
+      switch (data.action) {
+        case 'start':
+          this.start(data);
+          break;
+
+        case 'finish':
+          this.finish(data);
+          break;
+
+        default:
+          break;
+      }
+    },
+
+    /**
+     * Starts an activity on behalf of the webapp which sent `request`.
+     *
+     * @param {Object} request
+     *        The message of the calling webapp, with the `name` and `data`
+     *        of the activity.
+     */
+    start: async function (request) {
+      if (typeof request.name !== 'string') {
+        this.reply(request, { error: 'INVALID_ACTIVITY' });
+        return;
+      }
+
+      let providers;
+      try {
+        providers = await this.findProviders(request.name, request.data || {}, request.origin);
+      } catch (error) {
+        console.error('Error looking up activity providers:', error);
+        this.reply(request, { error: 'NO_PROVIDER' });
+        return;
+      }
+
+      if (providers.length === 0) {
+        this.reply(request, { error: 'NO_PROVIDER' });
+        return;
+      }
+
+      const provider = providers.length === 1 ? providers[0] : await this.choose(providers);
+      if (!provider) {
+        this.reply(request, { error: 'CANCELED' });
+        return;
+      }
+
+      this.launch(provider, request);
+    },
+
+    /**
+     * Starts an activity on behalf of the system itself, e.g. to open a
+     * download.
+     *
+     * @param {String} name
+     * @param {Object} data
+     *
+     * @returns {Promise}
+     *          Resolves with the result of the activity, or rejects with an
+     *          error whose message is the error code, like `NO_PROVIDER`.
+     */
+    startFromSystem: function (name, data) {
+      return new Promise((resolve, reject) => {
+        this.start({
+          name,
+          data,
+          origin: location.origin,
+          callback: (payload) => {
+            if (payload.error) {
+              reject(new Error(payload.error));
+            } else {
+              resolve(payload.result);
+            }
+          }
+        });
+      });
+    },
+
+    /**
+     * Lists the installed webapps handling an activity with the given data.
+     * The calling webapp is left out, as it could have handled the activity
+     * itself.
+     *
+     * @param {String} name
+     * @param {Object} data
+     * @param {String} callerOrigin
+     *
+     * @returns {Promise<Array>}
+     */
+    findProviders: async function (name, data, callerOrigin) {
+      const apps = await AppsManager.getAll();
+
+      return apps.flatMap((app) => {
+        const activities = app.manifest && app.manifest.activities;
+        if (!activities || !Object.prototype.hasOwnProperty.call(activities, name)) {
+          return [];
+        }
+
+        const activity = activities[name];
+        if (!activity || !this.matchesFilters(activity.filters || {}, data)) {
+          return [];
+        }
+
+        const manifestUrl = app.manifestUrl['en-US'];
+        const origin = new URL(manifestUrl).origin;
+        if (origin === callerOrigin) {
+          return [];
+        }
+        return [{ manifestUrl, origin, manifest: app.manifest, activity }];
+      });
+    },
+
+    /**
+     * Checks the data of an activity against the filters of a webapp. Data
+     * the filters don't mention always matches, and so do filters the data
+     * doesn't mention unless they are `required`.
+     *
+     * Filters are either the accepted values or, like in Firefox OS, an
+     * object with any of `required`, `value`, `regexp`, `pattern`, `min`
+     * and `max`.
+     *
+     * @param {Object} filters
+     * @param {Object} data
+     *
+     * @returns {Boolean}
+     */
+    matchesFilters: function (filters, data) {
+      return Object.entries(filters).every(([key, filter]) => {
+        const isDescribed = typeof filter === 'object' && filter !== null && !Array.isArray(filter);
+        if (data[key] === undefined || data[key] === null) {
+          return !(isDescribed && filter.required === true);
+        }
+
+        return [].concat(data[key]).every((value) => {
+          return isDescribed ? this.matchesFilter(key, filter, value) : this.matchesValue(key, filter, value);
+        });
+      });
+    },
+
+    /**
+     * @param {String} key
+     * @param {Object} filter
+     * @param {*} value
+     *
+     * @returns {Boolean}
+     */
+    matchesFilter: function (key, filter, value) {
+      if (filter.value !== undefined && !this.matchesValue(key, filter.value, value)) {
+        return false;
+      }
+      const pattern = filter.regexp || filter.pattern;
+      if (pattern && !new RegExp(pattern).test(String(value))) {
+        return false;
+      }
+      if (typeof filter.min === 'number' && !(Number(value) >= filter.min)) {
+        return false;
+      }
+      if (typeof filter.max === 'number' && !(Number(value) <= filter.max)) {
+        return false;
+      }
+      return true;
+    },
+
+    /**
+     * @param {String} key
+     * @param {String|Array} accepted
+     * @param {*} value
+     *
+     * @returns {Boolean}
+     */
+    matchesValue: function (key, accepted, value) {
+      return [].concat(accepted).some((acceptedValue) => {
+        return key === 'type' ? this.matchesType(acceptedValue, value) : acceptedValue === value;
+      });
+    },
+
+    /**
+     * Matches MIME types, where either side may use a wildcard, e.g.
+     * `image/*` matches `image/png` and the other way around.
+     *
+     * @param {String} acceptedType
+     * @param {String} type
+     *
+     * @returns {Boolean}
+     */
+    matchesType: function (acceptedType, type) {
+      const [acceptedMajor, acceptedMinor = '*'] = String(acceptedType).toLowerCase().split('/');
+      const [major, minor = '*'] = String(type).toLowerCase().split('/');
+
+      const majorMatches = acceptedMajor === '*' || major === '*' || acceptedMajor === major;
+      const minorMatches = acceptedMinor === '*' || minor === '*' || acceptedMinor === minor;
+      return majorMatches && minorMatches;
+    },
+
+    /**
+     * Lets the user choose which webapp handles the activity.
+     *
+     * @param {Array} providers
+     *
+     * @returns {Promise<Object|null>}
+     *          The chosen provider, or `null` if the user dismissed the
+     *          chooser.
+     */
+    choose: function (providers) {
+      return new Promise((resolve) => {
+        let isChosen = false;
+        const select = (provider) => {
+          if (isChosen) {
+            return;
+          }
+          isChosen = true;
+          ContextMenu.hide();
+          resolve(provider);
+        };
+
+        const menu = [
+          {
+            l10nId: 'activity-chooseWebapp',
+            disabled: true
+          },
+          { type: 'separator' },
+          ...providers.map((provider) => ({
+            name: provider.manifest.name,
+            onclick: () => select(provider)
+          })),
+          { type: 'separator' },
+          {
+            l10nId: 'activity-cancel',
+            icon: 'close',
+            onclick: () => select(null)
+          }
+        ];
+
+        // Delaying the chooser so the click which started the activity
+        // doesn't hide it right away
+        requestAnimationFrame(() => {
+          ContextMenu.show(window.innerWidth / 2, window.innerHeight / 2, menu, null, () => select(null));
+        });
+      });
+    },
+
+    /**
+     * Opens the chosen webapp at the page it handles the activity with. The
+     * activity is passed in the query string, where `OrchidJS.Activities`
+     * picks it up.
+     *
+     * @param {Object} provider
+     * @param {Object} request
+     */
+    launch: function (provider, request) {
+      const activityId = ++this.lastActivityId;
+      // Like in Firefox OS, activities without a page open the webapp itself
+      const href = provider.activity.href || provider.manifest.launch_path || '/index.html';
+      const url = new URL(href, provider.origin);
+      url.searchParams.set(
+        this.ACTIVITY_PARAM,
+        JSON.stringify({ id: activityId, name: request.name, data: request.data || {} })
+      );
+
+      const returnsValue = provider.activity.returnValue === true || provider.activity.return_value === true;
+      if (returnsValue) {
+        this.pendingActivities.set(activityId, { request, provider, appWindow: null });
+      }
+
+      const appWindow = new AppWindow(provider.manifestUrl, {
+        activity: { id: activityId, url: url.href }
+      });
+
+      if (returnsValue) {
+        this.pendingActivities.get(activityId).appWindow = appWindow;
+      } else {
+        // Activities like `view` are done once the webapp is open
+        this.reply(request, { result: null });
+      }
+    },
+
+    /**
+     * Handles the result a webapp posted for an activity it was opened for.
+     *
+     * @param {Object} data
+     */
+    finish: function (data) {
+      const activity = this.pendingActivities.get(data.activityId);
+      // Only the webapp handling the activity may finish it
+      if (!activity || activity.provider.origin !== data.origin) {
+        return;
+      }
+
+      this.pendingActivities.delete(data.activityId);
+      if (data.error) {
+        this.reply(activity.request, { error: String(data.error) });
+      } else {
+        this.reply(activity.request, { result: data.result === undefined ? null : data.result });
+      }
+
+      if (activity.appWindow) {
+        activity.appWindow.close();
+      }
+    },
+
+    /**
+     * Fails an activity whose window was closed before it posted a result.
+     *
+     * @param {Number} activityId
+     */
+    cancel: function (activityId) {
+      const activity = this.pendingActivities.get(activityId);
+      if (!activity) {
+        return;
+      }
+
+      this.pendingActivities.delete(activityId);
+      this.reply(activity.request, { error: 'CANCELED' });
+    },
+
+    reply: function (request, payload) {
+      if (request.callback) {
+        request.callback(payload);
+        return;
+      }
+
+      IPC.send('message', {
+        type: 'activity-result',
+        requestId: request.requestId,
+        targetId: request.sourceId,
+        ...payload
+      });
+    }
+  };
+
+  exports.Activities = Activities;
+})(window);
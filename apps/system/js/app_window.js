@@ -4,6 +4,17 @@
   let _id = 0;
   let focusedWindow;
 
+  // The connected displays, which apps can be moved to on desktop
+  let displays = [];
+  if ('DisplayManager' in window) {
+    DisplayManager.getDisplays().then((result) => {
+      displays = result;
+    });
+    window.addEventListener('displayschange', (event) => {
+      displays = event.detail;
+    });
+  }
+
   function AppWindow (manifestUrl, configuration) {
     if (manifestUrl) {
       this.manifestUrl = manifestUrl;
@@ -36,11 +47,13 @@
     UNDRAGGABLE_ELEMENTS: ['A', 'BUTTON', 'INPUT', 'LI', 'WEBVIEW'],
 
     element: null,
+    restoredTabs: null,
     dockIcon: null,
     statusbarInstance: null,
     chrome: null,
     manifest: null,
     instanceID: null,
+    activity: null,
     timeoutID: null,
     isDragging: false,
     isResizing: false,
@@ -59,6 +72,27 @@
       return focusedWindow;
     },
 
+    /**
+     * Checks whether a URL belongs to the navigation scope of the app. Only
+     * installed web apps declare a scope, so other apps never match.
+     *
+     * @param {String} url
+     *  The URL to check
+     * @returns {Boolean}
+     */
+    isWithinScope: function (url) {
+      if (!this.manifest || !this.manifest.scope) {
+        return false;
+      }
+      try {
+        const target = new URL(url);
+        const scope = new URL(this.manifest.scope);
+        return target.origin === scope.origin && target.pathname.startsWith(scope.pathname);
+      } catch (error) {
+        return false;
+      }
+    },
+
     /**
      * Creates a new app window with the specified manifest URL and configuration
      *
@@ -69,10 +103,13 @@
      * @returns null
      */
     create: async function (manifestUrl, options = {}) {
-      // Check if a window with the same manifest URL already exists
+      this.activity = options.activity || null;
+
+      // Check if a window with the same manifest URL already exists. Windows
+      // handling an activity are opened next to it instead
       const existingUrl = new URL(manifestUrl);
       const existingWindow = this.containerElement.querySelector(`[data-manifest-url^="${existingUrl.origin}"]`);
-      if (existingWindow) {
+      if (existingWindow && !this.activity) {
         if (options.animationVariables) {
           // Update transform origin if animation variables are provided
           this.updateTransformOrigin(existingWindow, options.animationVariables);
@@ -109,6 +146,13 @@
         });
       }
 
+      // Restored windows open their first tab like a launch URL, and the
+      // other ones once the browser is ready, see `Chrome.restoreTabs`
+      if (options.tabs && options.tabs.length > 0) {
+        options.url = options.tabs[0].url;
+        this.restoredTabs = options.tabs;
+      }
+
       this.instanceID = this.manifest.role === 'homescreen' ? 'homescreen' :`appframe${_id}`;
       _id++;
 
@@ -117,6 +161,10 @@
       // Create and initialize the window container
       const windowDiv = this.createWindowContainer(fragment, this.manifest, this.instanceID, options.animationVariables);
       windowDiv.dataset.manifestUrl = manifestUrl;
+      if (this.manifest.theme_color) {
+        // Used until the page sets its own theme color
+        windowDiv.style.setProperty('--theme-color', this.manifest.theme_color);
+      }
       windowDiv.addEventListener('mousedown', () => this.focus());
       windowDiv.addEventListener('touchstart', () => this.focus());
       windowDiv.addEventListener('contextmenu', (event) => this.handleWindowContextMenu(event, windowDiv));
@@ -143,10 +191,16 @@
 
       const url = new URL(manifestUrl);
       let targetUrl = this.manifest.launch_path ? url.origin + this.manifest.launch_path : this.manifest.start_url;
-      if (this.manifest.chrome && this.manifest.chrome.navigation) {
+      if (this.activity) {
+        // Opens the page the app declared for the activity
+        targetUrl = this.activity.url;
+      } else if (this.manifest.chrome && this.manifest.chrome.navigation) {
         if (options.url) {
           targetUrl = options.url;
         }
+      } else if (options.url && this.isWithinScope(options.url)) {
+        // Shortcuts of installed web apps open pages inside of their scope
+        targetUrl = options.url;
       }
 
       // Create chrome container and initialize the browser
@@ -203,6 +257,7 @@
           onclick: () => this.shade(true)
         },
         { type: 'separator' },
+        ...this.getDetachMenuItems(),
         {
           name: 'Close Forcefully',
           l10nId: 'windowMenu-closeForcefully',
@@ -218,6 +273,86 @@
       });
     },
 
+    /**
+     * Returns the window menu items tearing the app out of the shell into a
+     * native window, on this display or another one. Only the desktop
+     * edition has native windows.
+     *
+     * @returns {Array}
+     */
+    getDetachMenuItems: function () {
+      if (window.deviceType !== 'desktop' || !('DisplayManager' in window) || this.HIDDEN_ROLES.includes(this.manifest.role)) {
+        return [];
+      }
+
+      const items = [
+        {
+          name: 'Open in New Window',
+          l10nId: 'windowMenu-detach',
+          icon: 'external',
+          onclick: () => this.detach()
+        }
+      ];
+      displays.forEach((display) => {
+        if (display.current) {
+          return;
+        }
+        items.push({
+          name: `Move to Display ${display.label}`,
+          l10nId: 'windowMenu-moveToDisplay',
+          l10nArgs: { name: display.label },
+          icon: 'display',
+          onclick: () => this.detach(display.id)
+        });
+      });
+      items.push({ type: 'separator' });
+      return items;
+    },
+
+    /**
+     * Moves the app out of the shell into a native window of its own, on
+     * another display if one is given, keeping the page it was on.
+     *
+     * @param {Number} [displayId]
+     */
+    detach: function (displayId) {
+      const webview = this.element.querySelector('.browser-container .browser.active');
+      if (!webview) {
+        return;
+      }
+
+      const rect = this.element.getBoundingClientRect();
+      DisplayManager.detachWindow({
+        url: webview.getURL(),
+        title: this.manifest.name,
+        bounds: { x: rect.left, y: rect.top, width: rect.width, height: rect.height },
+        displayId
+      })
+        .then(() => this.close(true))
+        .catch((error) => console.error('Error detaching a window:', error));
+    },
+
+    /**
+     * Returns what `SessionRestore` needs to open the window again: its app,
+     * where it is and the pages of its tabs.
+     *
+     * @returns {Object}
+     */
+    getSessionState: function () {
+      const isWindowed = this.element.classList.contains('window');
+      return {
+        manifestUrl: this.manifestUrl,
+        bounds: isWindowed ? {
+          left: this.offsetX,
+          top: this.offsetY,
+          width: this.element.offsetWidth,
+          height: this.element.offsetHeight
+        } : null,
+        isMaximized: this.element.classList.contains('maximized'),
+        tabs: this.chrome ? this.chrome.getTabs() : []
+      };
+    },
+
     /**
      * Fetches a manifest file from a URL.
      *
@@ -346,12 +481,18 @@
      *  An optional object containing configuration options for the window
      */
     createWindowedWindow: function (windowDiv, manifest, instanceID, options) {
+      // Restored windows go back to where they were
+      const bounds = options.bounds || manifest.window_bounds;
+
       windowDiv.classList.add('window');
-      this.offsetX = manifest.window_bounds?.left || 36;
-      this.offsetY = manifest.window_bounds?.top || 24;
-      windowDiv.style.setProperty('--window-translate', `${manifest.window_bounds?.left || 36}px ${manifest.window_bounds?.top || 24}px`);
-      windowDiv.style.setProperty('--window-width', (manifest.window_bounds?.width || 768) + 'px');
-      windowDiv.style.setProperty('--window-height', (manifest.window_bounds?.height || 600) + 'px');
+      this.offsetX = bounds?.left || 36;
+      this.offsetY = bounds?.top || 24;
+      windowDiv.style.setProperty('--window-translate', `${bounds?.left || 36}px ${bounds?.top || 24}px`);
+      windowDiv.style.setProperty('--window-width', (bounds?.width || 768) + 'px');
+      windowDiv.style.setProperty('--window-height', (bounds?.height || 600) + 'px');
+      if (options.isMaximized) {
+        windowDiv.classList.add('maximized');
+      }
 
       // Create titlebar and its buttons
       this.createTitlebar(windowDiv, instanceID);
@@ -638,6 +779,11 @@
 
       Webapps.runningWebapps = Webapps.runningWebapps.filter(item => item.manifestUrl !== this.manifestUrl);
 
+      if (this.activity && 'Activities' in window) {
+        // Closing the window before it posted a result cancels the activity
+        Activities.cancel(this.activity.id);
+      }
+
       if (isFast) {
         this.element.remove();
         if (this.dockIcon && this.dockIcon.element) {
@@ -16,8 +16,7 @@
         this.update();
 
         ['chargingchange', 'levelchange'].forEach((event) => {
-          this.battery = battery;
-          this.update();
+          battery.addEventListener(event, () => this.update());
         });
       });
     }
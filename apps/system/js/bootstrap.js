@@ -6,6 +6,12 @@
     inactivityScreen: null,
     statusbar: null,
 
+    /**
+     * Whether this is the shell of a display other than the primary one,
+     * which the main process tells with the `display` URL parameter.
+     */
+    isSecondaryDisplay: new URLSearchParams(location.search).has('display'),
+
     settings: [
       'audio.volume.music',
       'battery.percentage.visibility',
@@ -58,16 +64,24 @@
       document.addEventListener('visibilitychange', this.handleWindowBlur.bind(this));
       window.addEventListener('focus', this.handleWindowFocus.bind(this));
 
+      if (this.isSecondaryDisplay) {
+        this.screen.classList.add('secondary-display');
+      }
+
       LazyLoader.load('js/simulator.js');
-      LazyLoader.load('js/music_controller.js', () => {
-        MusicController.play('/resources/music/theme_music.wav', false);
-        OrchidJS.Settings.getValue(this.settings[this.SETTINGS_AUDIO_VOLUME_MUSIC]).then(this.handleMusicVolume.bind(this));
-        OrchidJS.Settings.getValue(this.settings[this.SETTINGS_FTU_ENABLED]).then(this.handleFirstLaunch.bind(this));
-        MusicController.audio.onended = () => {
-          MusicController.play('/resources/music/theme_music_loop.wav', true);
+      // The primary display plays the startup sound and runs the first
+      // time use for every display
+      if (!this.isSecondaryDisplay) {
+        LazyLoader.load('js/music_controller.js', () => {
+          MusicController.play('/resources/music/theme_music.wav', false);
           OrchidJS.Settings.getValue(this.settings[this.SETTINGS_AUDIO_VOLUME_MUSIC]).then(this.handleMusicVolume.bind(this));
-        }
-      });
+          OrchidJS.Settings.getValue(this.settings[this.SETTINGS_FTU_ENABLED]).then(this.handleFirstLaunch.bind(this));
+          MusicController.audio.onended = () => {
+            MusicController.play('/resources/music/theme_music_loop.wav', true);
+            OrchidJS.Settings.getValue(this.settings[this.SETTINGS_AUDIO_VOLUME_MUSIC]).then(this.handleMusicVolume.bind(this));
+          }
+        });
+      }
 
       // Load with AppsManager to ensure existing webapps.json and correct
       // load time that isnt too early and is low with loading overhead
@@ -79,12 +93,17 @@
           this.statusbar.classList.add('statusbar');
         }
 
-        LazyLoader.load('js/lockscreen/lockscreen.js');
-        LazyLoader.load('js/lockscreen/motion.js');
-        LazyLoader.load('js/lockscreen/clock.js');
-        LazyLoader.load('js/lockscreen/date.js');
-        LazyLoader.load('js/lockscreen/notifications.js');
-        LazyLoader.load('js/lockscreen/pin_lock.js');
+        if (this.isSecondaryDisplay) {
+          LazyLoader.load('js/secondary_display.js');
+        } else {
+          LazyLoader.load('js/lockscreen/lockscreen.js');
+          LazyLoader.load('js/lockscreen/motion.js');
+          LazyLoader.load('js/lockscreen/clock.js');
+          LazyLoader.load('js/lockscreen/date.js');
+          LazyLoader.load('js/lockscreen/notifications.js');
+          LazyLoader.load('js/lockscreen/pin_lock.js');
+        }
+        LazyLoader.load(['js/notification_toaster.js', 'js/notifications.js']);
         // TODO: Implement a multi-user system
         // LazyLoader.load('js/lockscreen/login.js');
 
@@ -102,7 +121,8 @@
               'js/wifi_icon.js',
               'js/data_icon.js',
               'js/warm_colors_icon.js',
-              'js/reader_mode_icon.js'
+              'js/reader_mode_icon.js',
+              'js/screen_capture_icon.js'
             ],
             () => {
               LazyLoader.load('js/statusbar.js', () => {
@@ -128,7 +148,11 @@
         LazyLoader.load('js/utility_tray/clock.js');
         LazyLoader.load('js/utility_tray/date.js');
         LazyLoader.load('js/wallpaper_manager.js');
-        LazyLoader.load('js/webapps.js');
+        LazyLoader.load('js/webapps.js', () => {
+          if (!this.isSecondaryDisplay) {
+            LazyLoader.load('js/session_restore.js');
+          }
+        });
 
         if (window.deviceType === 'desktop') {
           LazyLoader.load('js/app_switcher.js');
@@ -177,7 +201,9 @@
         }
       });
 
-      window.addEventListener('orchid-services-ready', this.onServicesLoad.bind(this));
+      if (!this.isSecondaryDisplay) {
+        window.addEventListener('orchid-services-ready', this.onServicesLoad.bind(this));
+      }
     },
 
     /**
@@ -7,6 +7,11 @@
     }
 
     initialize () {
+      window.addEventListener('connectivitychange', (event) => {
+        this.connectivity = event.detail;
+        this.update();
+      });
+
       if (window.deviceType !== 'mobile') {
         this.element.classList.add('hidden');
         return;
@@ -17,7 +22,13 @@
     }
 
     update () {
-      if ('Telephony' in window) {
+      // Airplane mode shows up on every device, the signal only on phones
+      const { cellular, airplane } = this.connectivity || { cellular: true, airplane: false };
+      this.element.classList.toggle('hidden', !airplane && (!cellular || window.deviceType !== 'mobile'));
+
+      if (airplane) {
+        this.element.dataset.icon = 'airplane';
+      } else if ('Telephony' in window) {
         this.element.dataset.icon = 'signal-searching';
       } else {
         this.element.dataset.icon = 'signal-error';
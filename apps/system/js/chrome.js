@@ -34,8 +34,29 @@
 
     ADDON_ICON_SIZE: 20 * window.devicePixelRatio,
 
+    /**
+     * How long the user has to stop typing before remote suggestions are
+     * fetched, in milliseconds.
+     */
+    REMOTE_SUGGESTIONS_DELAY: 250,
+
+    suggestionsQuery: null,
+    localSuggestions: [],
+    remoteSuggestions: [],
+    suggestionItems: [],
+    selectedSuggestion: -1,
+    remoteSuggestionsTimer: null,
+    remoteSuggestionsController: null,
+
+    /**
+     * How many requests content blocking stopped on the page of each webview,
+     * by webContents id.
+     */
+    blockedCounts: null,
+
     init: async function () {
       this.chromeElement.innerHTML = this.htmlContent;
+      this.blockedCounts = new Map();
 
       this.toolbar = this.chromeElement.querySelector('.toolbar');
       this.tablistHolder = this.chromeElement.querySelector('.tablist-holder');
@@ -82,6 +103,7 @@
       this.urlbarInput.addEventListener('focus', this.handleUrlbarInputFocus.bind(this));
       this.urlbarInput.addEventListener('blur', this.handleUrlbarInputBlur.bind(this));
       this.urlbarInput.addEventListener('keydown', this.handleUrlbarInputKeydown.bind(this));
+      this.urlbarInput.addEventListener('input', this.handleUrlbarInput.bind(this));
       this.navbarBackButton.addEventListener('click', this.handleNavbarBackButton.bind(this));
       this.navbarForwardButton.addEventListener('click', this.handleNavbarForwardButton.bind(this));
       this.navbarReloadButton.addEventListener('click', this.handleNavbarReloadButton.bind(this));
@@ -96,6 +118,7 @@
       this.tabsViewCloseButton.addEventListener('click', this.handleTabsViewCloseButton.bind(this));
       this.tabsViewAddButton.addEventListener('click', this.openNewTab.bind(this));
       window.addEventListener('orchid-services-ready', this.onServicesLoad.bind(this));
+      window.addEventListener('contentblockingchange', this.handleContentBlockingChange.bind(this));
 
       LazyLoader.load('js/download_manager.js');
       LazyLoader.load('js/media_playback.js');
@@ -149,10 +172,13 @@
 
       this.chromeElement.dataset.tabAmount = this.tabAmount;
       this.DEFAULT_URL = this.url;
+      this.pendingTransitions = new WeakMap();
+      this.tabs = [];
       if ('CardPanel' in window) {
         CardPanel.init();
       }
       this.openNewTab(false, this.url);
+      this.restoreTabs();
 
       if (this.statusbar) {
         this.statusbar.addEventListener('dblclick', this.handleStatusbarDoubleClick.bind(this));
@@ -418,6 +444,7 @@
       webview.addEventListener('did-redirect-navigation', this.handleNavigation.bind(this));
       webview.addEventListener('did-start-navigation', this.handleNavigation.bind(this));
       webview.addEventListener('did-change-theme-color', this.handleThemeColorUpdated.bind(this));
+      webview.addEventListener('did-fail-load', this.handleLoadFailure.bind(this));
       splitView.addEventListener('ipc-message', this.handleIpcMessage.bind(this));
       splitView.addEventListener('context-menu', this.handleContextMenu.bind(this));
       splitView.addEventListener('page-favicon-updated', this.handlePageFaviconUpdated.bind(this));
@@ -428,6 +455,24 @@
       splitView.addEventListener('did-start-navigation', this.handleNavigation.bind(this));
       splitView.addEventListener('did-change-theme-color', this.handleThemeColorUpdated.bind(this));
 
+      if (!isPrivate) {
+        [webview, splitView].forEach((view) => {
+          view.addEventListener('did-navigate', (event) => this.recordVisit(view, event.url));
+          view.addEventListener('did-navigate-in-page', (event) => {
+            if (event.isMainFrame) {
+              this.recordVisit(view, event.url, view.getTitle());
+            }
+          });
+          view.addEventListener('page-title-updated', (event) => {
+            this.updateHistoryEntry(view, { title: event.title });
+          });
+          view.addEventListener('page-favicon-updated', (event) => {
+            this.updateHistoryEntry(view, { favicon: event.favicons[0] });
+          });
+        });
+      }
+
+      this.tabs.push({ tab, gridTab, browserView, webview, favicon });
       this.focusTab(tab, gridTab, browserView, webview);
       tab.addEventListener('click', () => this.focusTab(tab, gridTab, browserView, webview));
       tab.addEventListener('mouseover', () => this.handleTabHover(tab, webview, favicon.src));
@@ -577,6 +622,56 @@
       });
     },
 
+    /**
+     * Opens the other tabs of a restored window after its first one, and
+     * focuses the tab which was active.
+     */
+    restoreTabs: function () {
+      if (!this.app || !this.app.restoredTabs) {
+        return;
+      }
+      const tabs = this.app.restoredTabs;
+      this.app.restoredTabs = null;
+
+      tabs.slice(1).forEach((tab) => this.openNewTab(false, tab.url));
+      const activeIndex = tabs.findIndex((tab) => tab.isActive);
+      const tabElements = this.tablist.querySelectorAll('li');
+      if (activeIndex !== -1 && tabElements[activeIndex]) {
+        tabElements[activeIndex].click();
+      }
+    },
+
+    /**
+     * Returns the pages open in the tabs, leaving out private ones.
+     *
+     * @returns {Array} The URL of every tab and whether it is active.
+     */
+    getTabs: function () {
+      if (!this.browserContainer) {
+        return [];
+      }
+
+      const tabs = [];
+      this.browserContainer.querySelectorAll('.browser-view').forEach((browserView) => {
+        const webview = browserView.querySelector('.browser:not(.split)');
+        if (!webview || webview.classList.contains('private')) {
+          return;
+        }
+
+        let url;
+        try {
+          url = webview.getURL();
+        } catch (error) {
+          // Not attached yet
+          url = webview.src;
+        }
+        if (url) {
+          tabs.push({ url, isActive: browserView.classList.contains('active') });
+        }
+      });
+      return tabs;
+    },
+
     closeTab: function (event, tab, gridTab, browserView) {
       event.stopPropagation();
 
@@ -593,7 +688,15 @@
         gridTab.classList.remove('shrink');
         gridTab.remove();
       });
+      browserView.querySelectorAll('.browser').forEach((webview) => {
+        try {
+          this.blockedCounts.delete(webview.getWebContentsId());
+        } catch (error) {
+          // Never attached, so nothing was counted
+        }
+      });
       browserView.remove();
+      this.tabs = this.tabs.filter((item) => item.browserView !== browserView);
     },
 
     focusTab: function (tab, gridTab, browserView, webview) {
@@ -729,40 +832,176 @@
       }
     },
 
-    updateSuggestions: function () {
+    updateSuggestions: async function (allowAutofill = false) {
       const inputText = this.urlbarInput.value;
+      this.suggestionsQuery = inputText;
+      this.cancelRemoteSuggestions();
+
+      if (!inputText.trim()) {
+        this.localSuggestions = [];
+        this.remoteSuggestions = [];
+        this.renderSuggestions();
+        return;
+      }
 
-      fetch(this.suggestUrl.replace('{searchTerms}', encodeURI(inputText))).then((suggestionData) => {
-        suggestionData.json.then((data) => {
-          this.suggestions.innerHTML = '';
-          for (let index = 0, length = data[1].length; index < length; index++) {
-            const item = data[1][index];
-
-            const suggestion = document.createElement('div');
-            suggestion.classList.add('suggestion');
-            suggestion.addEventListener('click', () => {
-              const webview = this.chromeElement.querySelector('.browser-container .browser-view.active > .browser');
-              webview.src = this.searchUrl.replace('{searchTerms}', encodeURI(item));
-            });
-            this.suggestions.appendChild(suggestion);
-
-            const favicon = document.createElement('img');
-            favicon.classList.add('favicon');
-            favicon.src = this.searchIcon;
-            suggestion.appendChild(favicon);
-
-            const label = document.createElement('div');
-            label.classList.add('label');
-            label.textContent = item;
-            suggestion.appendChild(label);
-
-            const notice = document.createElement('div');
-            notice.classList.add('notice');
-            notice.textContent = 'Search this with Google';
-            label.appendChild(notice);
+      const suggestions = await UrlbarSuggestions.query(inputText, this.getOpenTabs());
+      if (this.suggestionsQuery !== inputText) {
+        return;
+      }
+      this.localSuggestions = suggestions;
+      this.remoteSuggestions = [];
+      this.renderSuggestions();
+      if (allowAutofill) {
+        this.autofillUrlbar(inputText, suggestions);
+      }
+
+      // Waits for the user to stop typing before asking the network
+      this.remoteSuggestionsTimer = setTimeout(() => {
+        this.updateRemoteSuggestions(inputText);
+      }, this.REMOTE_SUGGESTIONS_DELAY);
+    },
+
+    updateRemoteSuggestions: function (inputText) {
+      const controller = new AbortController();
+      this.remoteSuggestionsController = controller;
+
+      UrlbarSuggestions.fetchRemote(inputText, this.suggestUrl, controller.signal)
+        .then((phrases) => {
+          if (this.suggestionsQuery !== inputText) {
+            return;
+          }
+          this.remoteSuggestions = phrases.map((phrase) => ({
+            type: 'search',
+            title: phrase,
+            url: this.searchUrl.replace('{searchTerms}', encodeURIComponent(phrase)),
+            icon: this.searchIcon
+          }));
+          this.renderSuggestions();
+        })
+        .catch((error) => {
+          if (error.name !== 'AbortError') {
+            console.error('Error fetching search suggestions:', error);
           }
         });
+    },
+
+    cancelRemoteSuggestions: function () {
+      clearTimeout(this.remoteSuggestionsTimer);
+      if (this.remoteSuggestionsController) {
+        this.remoteSuggestionsController.abort();
+        this.remoteSuggestionsController = null;
+      }
+    },
+
+    /**
+     * Completes the host of the top suggestion inline, selected so typing
+     * on replaces it.
+     */
+    autofillUrlbar: function (inputText, suggestions) {
+      const completion = UrlbarSuggestions.getAutofill(inputText, suggestions);
+      if (!completion || this.urlbarInput.value !== inputText || document.activeElement !== this.urlbarInput) {
+        return;
+      }
+      this.urlbarInput.value = completion;
+      this.urlbarInput.setSelectionRange(inputText.length, completion.length);
+    },
+
+    renderSuggestions: function () {
+      this.suggestionItems = this.localSuggestions.concat(this.remoteSuggestions);
+      this.selectedSuggestion = Math.min(this.selectedSuggestion, this.suggestionItems.length - 1);
+      this.suggestions.innerHTML = '';
+
+      this.suggestionItems.forEach((item, index) => {
+        const suggestion = document.createElement('div');
+        suggestion.classList.add('suggestion', item.type);
+        suggestion.setAttribute('role', 'option');
+        suggestion.setAttribute('aria-selected', index === this.selectedSuggestion);
+        // Keeps the urlbar focused, blurring it hides the suggestions
+        suggestion.addEventListener('mousedown', (event) => event.preventDefault());
+        suggestion.addEventListener('click', () => this.activateSuggestion(item));
+        this.suggestions.appendChild(suggestion);
+
+        const favicon = document.createElement('img');
+        favicon.classList.add('favicon');
+        if (item.icon) {
+          favicon.src = item.icon;
+        }
+        suggestion.appendChild(favicon);
+
+        const label = document.createElement('div');
+        label.classList.add('label');
+        label.textContent = item.title || item.url;
+        suggestion.appendChild(label);
+
+        const notice = document.createElement('div');
+        notice.classList.add('notice');
+        notice.textContent = item.type === 'history' ? item.url : OrchidJS.L10n.get(`suggestions-${item.type}`);
+        label.appendChild(notice);
       });
+
+      const isVisible = this.suggestionItems.length > 0 && document.activeElement === this.urlbarInput;
+      if (isVisible) {
+        const chromeBox = this.chromeElement.getBoundingClientRect();
+        const urlbarBox = this.urlbar.getBoundingClientRect();
+        this.suggestions.style.left = urlbarBox.left - chromeBox.left + 'px';
+        this.suggestions.style.top = urlbarBox.top + urlbarBox.height - chromeBox.top + 'px';
+        this.suggestions.style.width = urlbarBox.width + 'px';
+      }
+      this.suggestions.classList.toggle('visible', isVisible);
+    },
+
+    selectSuggestion: function (index) {
+      const items = this.suggestions.querySelectorAll('.suggestion');
+      this.selectedSuggestion = index;
+      items.forEach((item, itemIndex) => item.setAttribute('aria-selected', itemIndex === index));
+      if (items[index]) {
+        items[index].scrollIntoView({ block: 'nearest' });
+      }
+    },
+
+    activateSuggestion: function (item) {
+      const webview = this.browserContainer.querySelector('.browser-view.active > .browser');
+      switch (item.type) {
+        case 'tab':
+          item.select();
+          break;
+
+        case 'app':
+          new AppWindow(item.manifestUrl, { entryId: item.entryId });
+          break;
+
+        default:
+          this.pendingTransitions.set(webview, 'typed');
+          webview.src = item.url;
+          break;
+      }
+      this.urlbarInput.blur();
+    },
+
+    /**
+     * The open tabs other than the active one, for "switch to tab"
+     * suggestions.
+     */
+    getOpenTabs: function () {
+      return this.tabs
+        .filter((tab) => !tab.browserView.classList.contains('active'))
+        .map((tab) => {
+          let url = '';
+          let title = '';
+          try {
+            url = tab.webview.getURL();
+            title = tab.webview.getTitle();
+          } catch (error) {
+            // The tab didn't load yet
+          }
+          return {
+            url,
+            title,
+            icon: tab.favicon.getAttribute('src') || null,
+            select: () => this.focusTab(tab.tab, tab.gridTab, tab.browserView, tab.webview)
+          };
+        })
+        .filter((tab) => tab.url && tab.url !== this.DEFAULT_URL);
     },
 
     handleUrlbarInputFocus: function (event) {
@@ -771,6 +1010,19 @@
 
     handleUrlbarInputBlur: function (event) {
       this.urlbar.classList.remove('suggestions-visible');
+      this.suggestions.classList.remove('visible');
+      this.selectedSuggestion = -1;
+      this.cancelRemoteSuggestions();
+    },
+
+    /**
+     * Updates the suggestions as the user types. Deleting doesn't autofill,
+     * or the completion would come right back.
+     */
+    handleUrlbarInput: function (event) {
+      const isDeleting = !!event.inputType && event.inputType.startsWith('delete');
+      this.selectedSuggestion = -1;
+      this.updateSuggestions(!isDeleting);
     },
 
     handleUrlbarInputKeydown: function (event) {
@@ -786,24 +1038,57 @@
         };
       }
 
-      if (event.key === 'Enter') {
-        const webview = this.browserContainer.querySelector('.browser-view.active > .browser');
-        const input = event.target.value;
-        if (checkURL(input).isURL && checkURL(input).hasProtocol) {
-          webview.src = input;
-        } else if (checkURL(input).isURL && !checkURL(input).hasProtocol) {
-          webview.src = `https://${input}`;
-        } else {
-          webview.src = this.searchUrl.replace('{searchTerms}', encodeURI(input));
+      const count = this.suggestionItems.length;
+      switch (event.key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+          if (count === 0) {
+            return;
+          }
+          event.preventDefault();
+          // Going past either end comes back to what the user typed
+          const step = event.key === 'ArrowDown' ? 1 : -1;
+          this.selectSuggestion(((this.selectedSuggestion + 1 + step + count + 1) % (count + 1)) - 1);
+          return;
         }
+
+        case 'Escape':
+          if (this.selectedSuggestion !== -1) {
+            this.selectSuggestion(-1);
+          } else {
+            this.urlbarInput.blur();
+          }
+          return;
+
+        case 'Enter':
+          break;
+
+        default:
+          return;
+      }
+
+      if (this.selectedSuggestion !== -1) {
+        this.activateSuggestion(this.suggestionItems[this.selectedSuggestion]);
+        return;
+      }
+
+      const webview = this.browserContainer.querySelector('.browser-view.active > .browser');
+      const input = event.target.value;
+      this.pendingTransitions.set(webview, 'typed');
+      if (checkURL(input).isURL && checkURL(input).hasProtocol) {
+        webview.src = input;
+      } else if (checkURL(input).isURL && !checkURL(input).hasProtocol) {
+        webview.src = `https://${input}`;
       } else {
-        this.updateSuggestions();
+        webview.src = this.searchUrl.replace('{searchTerms}', encodeURI(input));
       }
+      this.urlbarInput.blur();
     },
 
     handleNavbarBackButton: function () {
       const webview = this.browserContainer.querySelector('.browser-view.active > .browser');
       if (webview.canGoBack()) {
+        this.pendingTransitions.set(webview, 'back_forward');
         webview.goBack();
       }
     },
@@ -811,12 +1096,14 @@
     handleNavbarForwardButton: function () {
       const webview = this.browserContainer.querySelector('.browser-view.active > .browser');
       if (webview.canGoForward()) {
+        this.pendingTransitions.set(webview, 'back_forward');
         webview.goForward();
       }
     },
 
     handleNavbarReloadButton: function () {
       const webview = this.browserContainer.querySelector('.browser-view.active > .browser');
+      this.pendingTransitions.set(webview, 'reload');
       webview.reload();
     },
 
@@ -849,8 +1136,117 @@
       this.openDropdown('library');
     },
 
-    handleNavbarAddonsButton: function (event) {
-      ContextMenu({});
+    /**
+     * Opens the dropdown of a navbar button, e.g. `.downloads-dropdown` for
+     * `.navbar-downloads-button`, until the user clicks elsewhere.
+     *
+     * @param {String} name
+     */
+    openDropdown: function (name) {
+      const dropdown = this.chromeElement.querySelector(`.${name}-dropdown`);
+      const button = this.chromeElement.querySelector(`.navbar-${name}-button`);
+      if (!dropdown || !button || dropdown.classList.contains('visible')) {
+        return;
+      }
+
+      const chromeBox = this.chromeElement.getBoundingClientRect();
+      const dropdownBox = dropdown.getBoundingClientRect();
+      const buttonBox = button.getBoundingClientRect();
+      let x = buttonBox.left - chromeBox.left;
+      const y = buttonBox.top + buttonBox.height - chromeBox.top;
+
+      if (x > window.innerWidth / 2) {
+        x = buttonBox.left - dropdownBox.width - chromeBox.left + buttonBox.width;
+      }
+
+      dropdown.style.left = x + 'px';
+      dropdown.style.top = y + 'px';
+      requestAnimationFrame(() => {
+        dropdown.classList.add('visible');
+        if (name === 'downloads') {
+          DownloadManager.showPanel(dropdown);
+        }
+      });
+
+      const handlePointerDown = (event) => {
+        if (dropdown.contains(event.target)) {
+          return;
+        }
+        dropdown.classList.remove('visible');
+        document.removeEventListener('pointerdown', handlePointerDown, true);
+      };
+      document.addEventListener('pointerdown', handlePointerDown, true);
+    },
+
+    EXTENSION_TYPES: ['application/zip', 'application/x-zip-compressed'],
+
+    handleNavbarAddonsButton: async function (event) {
+      const box = this.navbarAddonsButton.getBoundingClientRect();
+      const rtl = document.dir === 'rtl';
+
+      const x = rtl ? box.left + box.width : box.left;
+      const y = box.top > window.innerHeight / 2 ? box.top : box.top + box.height;
+
+      let extensions = [];
+      try {
+        extensions = await ExtensionsManager.getAll();
+      } catch (error) {
+        console.error('Error listing extensions:', error);
+      }
+
+      const menu = [
+        {
+          name: 'Extensions',
+          l10nId: 'addons-extensions',
+          disabled: true
+        },
+        ...extensions.map((extension) => ({
+          name: extension.name,
+          icon: extension.isEnabled ? 'tick' : ' ',
+          onclick: () => {
+            ExtensionsManager.setEnabled(extension.id, !extension.isEnabled).catch((error) => {
+              console.error('Error toggling extension:', error);
+            });
+          }
+        })),
+        { type: 'separator' },
+        {
+          name: 'Install from ZIP file',
+          l10nId: 'addons-install',
+          icon: 'add',
+          onclick: () => this.installExtension()
+        }
+      ];
+
+      // Delaying the context menu opening so it won't fire the same time click
+      // does and instantly hide as soon as it opens
+      setTimeout(() => {
+        ContextMenu.show(x, y, menu, this.navbarAddonsButton);
+      }, 16);
+    },
+
+    /**
+     * Installs an extension from a zip archive picked in the Files app.
+     */
+    installExtension: async function () {
+      let file;
+      try {
+        await new Promise((resolve) => LazyLoader.load('js/activities.js', resolve));
+        file = await Activities.startFromSystem('pick', { type: this.EXTENSION_TYPES });
+      } catch (error) {
+        if (error.message !== 'CANCELED') {
+          console.error('Error picking an extension:', error);
+        }
+        return;
+      }
+
+      try {
+        const extension = await ExtensionsManager.install(file.path);
+        ModalDialog.showAlert(OrchidJS.L10n.get('addons-installed'), `${extension.name} ${extension.version}`);
+      } catch (error) {
+        // The code before the colon is for developers
+        ModalDialog.showAlert(OrchidJS.L10n.get('addons-installFailed'), error.message.replace(/^[A-Z_]+: /, ''));
+      }
     },
 
     handleNavbarOptionsButton: async function (event) {
@@ -894,11 +1290,7 @@
             },
             {
               l10nId: 'contextMenu-bookmark',
-              icon: (await OrchidJS.Settings.getValue('bookmarks', 'bookmarks.json')).filter(
-                (item) => item.url === webview.getURL()
-              )
-                ? 'bookmarked'
-                : 'bookmark',
+              icon: (await this.isBookmarked(webview.getURL())) ? 'bookmarked' : 'bookmark',
               onclick: this.requestBookmark.bind(this)
             }
           ]
@@ -922,6 +1314,13 @@
           keybind: ['ctrl', 'h'],
           onclick: () => this.openNewTab(false, 'orchid://history/')
         },
+        {
+          name: 'Bookmarks',
+          l10nId: 'dropdown-bookmarks',
+          icon: 'bookmark',
+          keybind: ['ctrl', 'shift', 'o'],
+          onclick: () => this.openNewTab(false, 'orchid://bookmarks/')
+        },
         {
           name: 'Add-Ons',
           l10nId: 'dropdown-addons',
@@ -1027,21 +1426,45 @@
       });
     },
 
-    requestBookmark: function () {
+    isBookmarked: async function (url) {
+      if (!('BookmarksManager' in window)) {
+        return false;
+      }
+      try {
+        return (await BookmarksManager.findByUrl(url)).length > 0;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    /**
+     * Bookmarks the page of the active tab, or removes its bookmarks if it
+     * has some already. The favicon of the tab is cached along with it.
+     */
+    requestBookmark: async function () {
       const webview = this.browserContainer.querySelector('.browser-view.active > .browser');
+      if (!webview || !('BookmarksManager' in window)) {
+        return;
+      }
 
-      ModalDialog.showPrompt(OrchidJS.L10n.get('bookmark'), OrchidJS.L10n.get('bookmark-detail'), (value) => {
-        const newItem = {
-          name: value,
-          url: webview.getURL(),
-          timeCreated: Date.now()
-        };
+      const url = webview.getURL();
+      const title = webview.getTitle();
+      const tab = this.tabs.find((item) => item.webview === webview);
+      const favicon = tab ? tab.favicon.getAttribute('src') : null;
 
-        OrchidJS.Settings.getValue('bookmarks', 'bookmarks.json').then((value) => {
-          if (array.some((item) => item.url === newItem.url)) {
-            value.push(newItem);
-            OrchidJS.Settings.setValue('bookmarks', value, 'bookmarks.json');
-          }
+      const bookmarks = await BookmarksManager.findByUrl(url);
+      if (bookmarks.length > 0) {
+        await Promise.all(bookmarks.map((bookmark) => BookmarksManager.remove(bookmark.id)));
+        return;
+      }
+
+      ModalDialog.dialogPrompt.querySelector('.inputbox').value = title;
+      ModalDialog.showPrompt(OrchidJS.L10n.get('bookmark'), OrchidJS.L10n.get('bookmark-detail'), (value) => {
+        if (value === null) {
+          return;
+        }
+        BookmarksManager.add({ name: value.trim() || title, url, favicon }).catch((error) => {
+          console.error('Error adding bookmark:', error);
         });
       });
     },
@@ -1061,6 +1484,7 @@
           disabled: true
         },
         { type: 'separator' },
+        ...(await this.getContentBlockingMenu(webview)),
         {
           name: 'User Agent',
           l10nId: 'ssl-userAgent',
@@ -1100,6 +1524,72 @@
       }, 16);
     },
 
+    getContentBlockingMenu: async function (webview) {
+      let hostname;
+      try {
+        const url = new URL(webview.getURL());
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          return [];
+        }
+        hostname = url.hostname.toLowerCase();
+      } catch (error) {
+        return [];
+      }
+
+      const allowlist = (await OrchidJS.Settings.getValue('privacy.content_blocking.allowlist')) || [];
+      const isAllowed = allowlist.some((site) => hostname === site || hostname.endsWith(`.${site}`));
+      return [
+        {
+          name: `${this.getBlockedCount(webview)} blocked on this page`,
+          l10nId: 'ssl-blocked',
+          l10nArgs: {
+            count: this.getBlockedCount(webview)
+          },
+          disabled: true
+        },
+        {
+          name: 'Block ads and trackers on this site',
+          l10nId: 'ssl-contentBlocking',
+          icon: isAllowed ? ' ' : 'tick',
+          onclick: async () => {
+            // Allowing a site also allows its subdomains, so allowing them
+            // back has to remove the parent domain too
+            const sites = isAllowed
+              ? allowlist.filter((site) => hostname !== site && !hostname.endsWith(`.${site}`))
+              : allowlist.concat(hostname);
+            await OrchidJS.Settings.setValue('privacy.content_blocking.allowlist', sites);
+            webview.reload();
+          }
+        },
+        { type: 'separator' }
+      ];
+    },
+
+    getBlockedCount: function (webview) {
+      try {
+        return this.blockedCounts.get(webview.getWebContentsId()) || 0;
+      } catch (error) {
+        // The webview isn't attached yet
+        return 0;
+      }
+    },
+
+    handleContentBlockingChange: function (event) {
+      const { webContentsId, blocked } = event.detail;
+      this.blockedCounts.set(webContentsId, blocked);
+      this.updateBlockedCount();
+    },
+
+    updateBlockedCount: function () {
+      const webview = this.browserContainer.querySelector('.browser-view.active > .browser');
+      const count = webview ? this.getBlockedCount(webview) : 0;
+      if (count > 0) {
+        this.urlbarSSLButton.dataset.blocked = count > 99 ? '99+' : count;
+      } else {
+        delete this.urlbarSSLButton.dataset.blocked;
+      }
+    },
+
     handleTabsViewCloseButton: function () {
       this.chromeElement.classList.remove('tabs-view-visible');
       this.tabsView.classList.remove('visible');
@@ -1190,10 +1680,7 @@
             {
               l10nId: 'contextMenu-bookmark',
               icon: 'bookmark',
-              onclick: () => {
-                webview.focus();
-                webview.reload();
-              }
+              onclick: this.requestBookmark.bind(this)
             }
           ]
         }
@@ -1339,9 +1826,51 @@
       gridTitle.textContent = event.title;
     },
 
-    handleNavigation: function () {
+    /**
+     * Records a main frame navigation in the history, as typed if it came
+     * from the urlbar. Private tabs aren't listened to, and the pages of
+     * webapps are left out.
+     */
+    recordVisit: function (webview, url, title) {
+      const transition = this.pendingTransitions.get(webview) || 'link';
+      this.pendingTransitions.delete(webview);
+      if (!this.shouldRecord(url)) {
+        return;
+      }
+      HistoryManager.addVisit(url, transition, title || undefined).catch((error) => {
+        console.error('Error recording a visit:', error);
+      });
+    },
+
+    updateHistoryEntry: function (webview, changes) {
+      const url = webview.getURL();
+      if (!this.shouldRecord(url)) {
+        return;
+      }
+      HistoryManager.update(url, changes).catch((error) => {
+        console.error('Error updating the history:', error);
+      });
+    },
+
+    shouldRecord: function (url) {
+      if (!this.isVisible || !url || url === this.DEFAULT_URL || !('HistoryManager' in window)) {
+        return false;
+      }
+      try {
+        return !new URL(url).hostname.endsWith('.localhost');
+      } catch (error) {
+        return false;
+      }
+    },
+
+    handleNavigation: function (event) {
       const webview = this.browserContainer.querySelector('.browser-view.active > .browser');
 
+      if (event && event.url && event.isMainFrame !== false) {
+        this.updateScopeVisibility(event.url);
+      }
+      this.updateBlockedCount();
+
       try {
         this.urlbarInput.value = webview.getURL();
         console.log(webview.getURL(), this.DEFAULT_URL, webview.getURL() === this.DEFAULT_URL);
@@ -1379,6 +1908,40 @@
       }
     },
 
+    /**
+     * Installed web apps without browser UI get the toolbar back while they
+     * navigate outside of their scope, so the user can tell which site they
+     * are on.
+     */
+    updateScopeVisibility: function (url) {
+      if (this.isVisible || !this.app || !this.app.manifest || !this.app.manifest.scope) {
+        return;
+      }
+      const isOutOfScope = !this.app.isWithinScope(url);
+      this.chromeElement.classList.toggle('visible', isOutOfScope);
+      this.chromeElement.parentElement.classList.toggle('browser', isOutOfScope);
+    },
+
+    /**
+     * Shows the copy of the start page kept by installed web apps when
+     * their site can't be reached.
+     */
+    handleLoadFailure: function (event) {
+      // Aborted loads are caused by navigating away, not by the network
+      if (!event.isMainFrame || event.errorCode === -3) {
+        return;
+      }
+      if (!this.app || !this.app.manifest || !this.app.manifest.offline_path) {
+        return;
+      }
+      if (!this.app.isWithinScope(event.validatedURL)) {
+        return;
+      }
+
+      const url = new URL(this.app.manifestUrl);
+      event.target.loadURL(url.origin + this.app.manifest.offline_path);
+    },
+
     handleThemeColorUpdated: function (event) {
       const webview = this.browserContainer.querySelector('.browser-view.active > .browser');
       const color = event.themeColor;
@@ -7,6 +7,7 @@
     containerElement: document.getElementById('context-menu-content-items'),
 
     activeButton: null,
+    onHide: null,
 
     LOCALIZED_KEYBINDS: ['meta', 'ctrl', 'alt', 'shift', 'enter', 'space', 'menu'],
     SOUND_CLICK: new Audio('/resources/sounds/menu_click.wav'),
@@ -18,8 +19,13 @@
      * @param {number} y
      * @param {Array} array
      * @param {HTMLElement} [button]
+     * @param {Function} [onHide] Called once the menu is hidden
      */
-    show: function (x, y, array, button = null) {
+    show: function (x, y, array, button = null, onHide = null) {
+      // A menu replaced by another one counts as hidden
+      this.callOnHide();
+      this.onHide = onHide;
+
       if (this.screen) {
         // Add class to fullscreen element
         this.screen.classList.add('context-menu-visible');
@@ -280,6 +286,16 @@
       if (this.activeButton) {
         this.activeButton.classList.remove('active');
       }
+
+      this.callOnHide();
+    },
+
+    callOnHide: function () {
+      if (this.onHide) {
+        const onHide = this.onHide;
+        this.onHide = null;
+        onHide();
+      }
     }
   };
 
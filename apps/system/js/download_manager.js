@@ -1,35 +1,242 @@
 !(function (exports) {
   'use strict';
 
+  /**
+   * Shows the downloads kept by the main process in the downloads dropdown
+   * of the browser chrome, where they can be paused, resumed, cancelled and
+   * opened, and pops up a notification when one starts or completes.
+   */
   const DownloadManager = {
+    SIZE_UNITS: ['B', 'KB', 'MB', 'GB', 'TB'],
+    DIRECTORY_TYPE: 'inode/directory',
+
+    /**
+     * The last known state of each download, so a completed download is
+     * only announced once.
+     */
+    states: new Map(),
+
     init: function () {
-      window.addEventListener('downloadrequest', this.handleDownloadRequest.bind(this));
-      window.addEventListener(
-        'downloadprogress',
-        this.handleDownloadProgress.bind(this)
-      );
-    },
-
-    handleDownloadRequest: function (event, data) {
-      NotificationToaster.showNotification(
-        navigator.mozL10n.get('downloading'),
-        {
-          body: data.suggestedFilename
-        }
-      );
-    },
-
-    handleDownloadProgress: function (event, data) {
-      NotificationToaster.showNotification(
-        navigator.mozL10n.get('downloading'),
-        {
-          body: data.suggestedFilename,
-          progress: data.progress * 100,
-          tag: data.url
-        }
-      );
+      window.addEventListener('downloadschange', this.handleChange.bind(this));
+      DownloadsManager.getAll().then((downloads) => {
+        downloads.forEach((download) => this.states.set(download.id, download.state));
+      });
+    },
+
+    handleChange: function (event) {
+      const { type, download } = event.detail;
+      const previousState = this.states.get(download.id);
+
+      if (type === 'removed') {
+        this.states.delete(download.id);
+      } else {
+        this.states.set(download.id, download.state);
+      }
+
+      if (type === 'added') {
+        this.showToast('downloading', download);
+      } else if (download.state === 'completed' && previousState !== 'completed') {
+        this.showToast('downloads-complete', download);
+      }
+
+      if (type !== 'updated' || previousState !== download.state) {
+        this.render();
+      } else {
+        this.updateProgress(download);
+      }
+    },
+
+    showToast: function (l10nId, download) {
+      LazyLoader.load('js/notification_toaster.js', () => {
+        NotificationToaster.showNotification(navigator.mozL10n.get(l10nId), {
+          body: download.filename,
+          onclick: download.state === 'completed' ? () => this.open(download) : null
+        });
+      });
+    },
+
+    /**
+     * Fills the downloads dropdown of a browser chrome. It is kept up to
+     * date for as long as it is visible.
+     *
+     * @param {HTMLElement} dropdown
+     */
+    showPanel: function (dropdown) {
+      if (!dropdown.dataset.initialized) {
+        dropdown.dataset.initialized = true;
+        dropdown.querySelector('.downloads-clear-button').addEventListener('click', () => DownloadsManager.clear());
+      }
+      this.renderPanel(dropdown);
+    },
+
+    render: function () {
+      const dropdowns = document.querySelectorAll('.downloads-dropdown.visible');
+      dropdowns.forEach((dropdown) => this.renderPanel(dropdown));
+    },
+
+    renderPanel: function (dropdown) {
+      DownloadsManager.getAll().then((downloads) => {
+        const list = dropdown.querySelector('.downloads-list');
+        const fragment = document.createDocumentFragment();
+        downloads.forEach((download) => fragment.appendChild(this.createDownloadElement(download)));
+
+        list.innerHTML = '';
+        list.appendChild(fragment);
+        dropdown.classList.toggle('empty', downloads.length === 0);
+      });
+    },
+
+    createDownloadElement: function (download) {
+      const element = document.createElement('li');
+      element.classList.add('download');
+      element.dataset.id = download.id;
+      element.dataset.state = download.state;
+      element.classList.toggle('missing', download.state === 'completed' && !download.exists);
+
+      const textHolder = document.createElement('div');
+      textHolder.classList.add('text-holder');
+      element.appendChild(textHolder);
+
+      const filename = document.createElement('div');
+      filename.classList.add('filename');
+      filename.textContent = download.filename;
+      textHolder.appendChild(filename);
+
+      const detail = document.createElement('div');
+      detail.classList.add('detail');
+      textHolder.appendChild(detail);
+
+      if (download.state === 'progressing' || download.state === 'paused') {
+        const progress = document.createElement('div');
+        progress.classList.add('progress');
+        textHolder.appendChild(progress);
+      }
+      this.setProgress(element, download);
+
+      const buttons = document.createElement('div');
+      buttons.classList.add('buttons');
+      element.appendChild(buttons);
+
+      this.getActions(download).forEach((action) => {
+        const button = document.createElement('button');
+        button.dataset.icon = action.icon;
+        button.dataset.l10nId = action.l10nId;
+        button.addEventListener('click', (event) => {
+          event.stopPropagation();
+          action.onclick();
+        });
+        buttons.appendChild(button);
+      });
+
+      if (download.exists) {
+        element.addEventListener('click', () => this.open(download));
+      }
+      return element;
+    },
+
+    getActions: function (download) {
+      const id = download.id;
+      switch (download.state) {
+        case 'progressing':
+          return [
+            { icon: 'pause', l10nId: 'downloads-pauseButton', onclick: () => DownloadsManager.pause(id) },
+            { icon: 'close', l10nId: 'downloads-cancelButton', onclick: () => DownloadsManager.cancel(id) }
+          ];
+
+        case 'paused':
+          return [
+            { icon: 'play', l10nId: 'downloads-resumeButton', onclick: () => DownloadsManager.resume(id) },
+            { icon: 'close', l10nId: 'downloads-cancelButton', onclick: () => DownloadsManager.cancel(id) }
+          ];
+
+        case 'interrupted':
+          return [
+            { icon: 'reload', l10nId: 'downloads-resumeButton', onclick: () => DownloadsManager.resume(id) },
+            { icon: 'delete', l10nId: 'downloads-removeButton', onclick: () => DownloadsManager.remove(id) }
+          ];
+
+        case 'completed':
+          if (download.exists) {
+            return [
+              { icon: 'folder', l10nId: 'downloads-showInFilesButton', onclick: () => this.showInFiles(download) },
+              { icon: 'delete', l10nId: 'downloads-removeButton', onclick: () => DownloadsManager.remove(id) }
+            ];
+          }
+        // Falls through, a deleted file can only be downloaded again
+
+        default:
+          return [
+            { icon: 'reload', l10nId: 'downloads-retryButton', onclick: () => DownloadsManager.retry(id) },
+            { icon: 'delete', l10nId: 'downloads-removeButton', onclick: () => DownloadsManager.remove(id) }
+          ];
+      }
+    },
+
+    /**
+     * Updates the progress of a download in place, which happens too often
+     * to render the whole list each time.
+     */
+    updateProgress: function (download) {
+      const elements = document.querySelectorAll(`.downloads-dropdown.visible .download[data-id="${download.id}"]`);
+      elements.forEach((element) => this.setProgress(element, download));
+    },
+
+    setProgress: function (element, download) {
+      const detail = element.querySelector('.detail');
+      const progress = element.querySelector('.progress');
+      const args = {
+        received: this.formatSize(download.receivedBytes),
+        total: download.totalBytes > 0 ? this.formatSize(download.totalBytes) : '?'
+      };
+
+      let l10nId = `downloads-${download.state}`;
+      if (download.state === 'completed' && !download.exists) {
+        l10nId = 'downloads-missing';
+      }
+      detail.dataset.l10nId = l10nId;
+      detail.dataset.l10nArgs = JSON.stringify(args);
+
+      if (progress) {
+        const ratio = download.totalBytes > 0 ? download.receivedBytes / download.totalBytes : 0;
+        progress.style.setProperty('--progress', Math.min(1, ratio));
+      }
+    },
+
+    formatSize: function (bytes) {
+      let size = bytes;
+      let unit = 0;
+      while (size >= 1024 && unit < this.SIZE_UNITS.length - 1) {
+        size /= 1024;
+        unit++;
+      }
+      return `${unit === 0 ? size : size.toFixed(1)} ${this.SIZE_UNITS[unit]}`;
+    },
+
+    /**
+     * Opens a download in the webapp of the user's choice, or shows it in
+     * Files if no webapp opens files of its type.
+     */
+    open: function (download) {
+      LazyLoader.load('js/activities.js', () => {
+        Activities.startFromSystem('open', { type: download.mime, path: download.path, name: download.filename })
+          .catch((error) => {
+            if (error.message === 'NO_PROVIDER') {
+              this.showInFiles(download);
+            }
+          });
+      });
+    },
+
+    showInFiles: function (download) {
+      const folder = download.path.substring(0, download.path.lastIndexOf('/')) || '/';
+      LazyLoader.load('js/activities.js', () => {
+        Activities.startFromSystem('view', { type: this.DIRECTORY_TYPE, path: folder, name: download.filename })
+          .catch((error) => console.error('Error showing a download in Files:', error));
+      });
     }
   };
 
   DownloadManager.init();
+
+  exports.DownloadManager = DownloadManager;
 })(window);
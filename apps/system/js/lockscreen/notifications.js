@@ -14,6 +14,8 @@
       this.motionElement.classList.add('notifications-visible');
       this.notifications.classList.add('visible');
       this.notificationsBadge.classList.add('hidden');
+      // The badge only counts the notifications which weren't seen yet
+      NotificationsManager.markRead();
     }
   };
 
@@ -3,6 +3,8 @@
 
   const MessageHandler = {
     keyboardSource: '',
+    dialogQueue: [],
+    isDialogVisible: false,
 
     init: function () {
       window.addEventListener('ipc-message', this.handleIPCMessage.bind(this));
@@ -24,10 +26,6 @@
           this.handlePrompt(data);
           break;
 
-        case 'notification':
-          this.handleNotification(data);
-          break;
-
         case 'textselection':
           this.handleTextSelection(data);
           break;
@@ -52,19 +50,12 @@
           this.handlePictureInPicture(data);
           break;
 
-        default:
+        case 'activity':
+          this.handleActivity(data);
           break;
-      }
-
-      const webviews = document.querySelectorAll('webview');
-      for (let index = 0, length = webviews.length; index < length; index++) {
-        const webview = webviews[index];
 
-        try {
-          webview.send('message', data);
-        } catch (error) {
-          // console.error(error);
-        }
+        default:
+          break;
       }
     },
 
@@ -75,35 +66,53 @@
     },
 
     handleConfirm: function (data) {
-      LazyLoader.load('js/modal_dialog.js', () => {
+      this.queueDialog((reply) => {
         ModalDialog.showConfirm(data.title || data.origin, data.text, (value) => {
-          IPC.send('message', {
-            type: 'confirm-reply',
-            value
-          });
+          reply('confirm-reply', data.requestId, value);
         });
       });
     },
 
     handlePrompt: function (data) {
-      LazyLoader.load('js/modal_dialog.js', () => {
-        ModalDialog.showPrompt(data.title || data.origin, data.text, data.input, (value) => {
-          IPC.send('message', {
-            type: 'prompt-reply',
-            value
-          });
+      this.queueDialog((reply) => {
+        ModalDialog.dialogPrompt.querySelector('.inputbox').value = data.input || '';
+        ModalDialog.showPrompt(data.title || data.origin, data.text, (value) => {
+          reply('prompt-reply', data.requestId, value);
         });
       });
     },
 
-    handleNotification: function (data) {
-      LazyLoader.load('js/notification_toaster.js', () => {
-        const options = data.options;
-        if (options.icon && !options.icon.startsWith('http')) {
-          options.icon = `${data.origin}/${data.options.icon}`;
-        }
-        options.source = data.title || data.origin;
-        NotificationToaster.showNotification(data.name, options);
+    /**
+     * Shows confirm and prompt dialogs one at a time, so two webapps asking
+     * at once each get the answer to their own question.
+     */
+    queueDialog: function (showDialog) {
+      this.dialogQueue.push(showDialog);
+      if (!this.isDialogVisible) {
+        this.showNextDialog();
+      }
+    },
+
+    showNextDialog: function () {
+      const showDialog = this.dialogQueue.shift();
+      this.isDialogVisible = !!showDialog;
+      if (!showDialog) {
+        return;
+      }
+
+      LazyLoader.load('js/modal_dialog.js', () => {
+        let isAnswered = false;
+        showDialog((type, requestId, value) => {
+          // Buttons keep the listeners of earlier dialogs around
+          if (isAnswered) {
+            return;
+          }
+          isAnswered = true;
+
+          // The request ID routes the answer back to the webapp which asked
+          IPC.send('message', { type, requestId, value });
+          this.showNextDialog();
+        });
       });
     },
 
@@ -172,6 +181,12 @@
       });
     },
 
+    handleActivity: function (data) {
+      LazyLoader.load('js/activities.js', () => {
+        Activities.handleMessage(data);
+      });
+    },
+
     handlePictureInPicture: function (data) {
       LazyLoader.load('js/picture_in_picture.js', () => {
         if (data.action === 'enable') {
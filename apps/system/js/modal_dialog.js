@@ -177,7 +177,7 @@
     handlePermissionRequestConfirmButtonClick: function (callback, event) {
       event.preventDefault();
       ModalDialog.dialogPermissionRequest.classList.remove('visible');
-      const targetDecision = false;
+      const targetDecision = true;
       callback(targetDecision);
     },
 
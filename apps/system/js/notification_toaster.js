@@ -2,10 +2,6 @@
   'use strict';
 
   const NotificationToaster = {
-    _index: 0,
-
-    notificationsContainer: document.getElementById('notifications-container'),
-
     notificationElement: document.getElementById('notification-toaster'),
     titleElement: document.getElementById('notification-title'),
     detailElement: document.getElementById('notification-detail'),
@@ -16,237 +12,98 @@
     mediaElement: document.getElementById('notification-media'),
     actionsElement: document.getElementById('notification-actions'),
 
-    lockscreenNotifications: document.getElementById('lockscreen-notifications'),
-    lockscreenNotificationBadge: document.getElementById('lockscreen-notifications-badge'),
-
-    isDragging: false,
     timeoutID: null,
-    startX: 0,
-    currentX: 0,
-    threshold: 0.5,
+
+    TIMEOUT: 3000,
 
     SOUND_NOTIFIER: new Audio('http://shared.localhost:8081/resources/notifications/notifier_orchid2.wav'),
 
-    showNotification: function (title, options) {
-      const { body, progress, badge, source, icon, media, actions, tag } = options;
-
-      const fragment = document.createDocumentFragment();
-
-      const dom = `
-        <div class="titlebar">
-          <img src="" class="badge">
-          <div class="source-name"></div>
-        </div>
-        <div class="content">
-          <img src="" class="icon">
-          <div class="text-holder">
-            <div class="title"></div>
-            <div class="detail"></div>
-            <div class="progress"></div>
-          </div>
-        </div>
-        <div class="media"></div>
-        <div class="actions"></div>
-      `;
-
-      let notification;
-      const taggedNotification = document.querySelector(`[data-tag="${tag}"]`);
-      if (taggedNotification) {
-        taggedNotification.innerHTML = dom;
-        notification = taggedNotification;
+    /**
+     * Pops up a notification for a few seconds. Notifications which should
+     * stay in the utility tray go through the notification store instead,
+     * see `Notifications`.
+     *
+     * @param {String} title
+     * @param {Object} options
+     *        The `body`, `progress`, `badge`, `source`, `icon`, `media` and
+     *        `actions` of the notification. Actions are `{ title, recommend,
+     *        onclick }`. `onclick` is called when the notification itself is
+     *        clicked, and `silent` skips the sound.
+     */
+    showNotification: function (title, options = {}) {
+      const { body, progress, badge, source, icon, media, actions, silent, onclick } = options;
+
+      this.titleElement.innerText = title;
+      this.detailElement.innerText = body || '';
+      this.sourceNameElement.innerText = source || '';
+
+      if (progress || progress === 0) {
+        this.progressElement.style.display = '';
+        this.progressElement.style.setProperty('--progress', Math.min(100, progress) / 100);
       } else {
-        this._index++;
-        this.lockscreenNotificationBadge.dataset.l10nArgs = JSON.stringify({
-          count: this._index
-        });
-
-        notification = document.createElement('li');
-        notification.classList.add('notification');
-        notification.style.transitionDelay = this._index * 50 + 'ms';
-        if (tag) {
-          notification.dataset.tag = tag;
-        }
-        notification.innerHTML = dom;
-        fragment.appendChild(notification);
-
-        notification.addEventListener('pointerdown', (event) => this.onPointerDown(event, notification));
-        notification.addEventListener('pointermove', (event) => this.onPointerMove(event, notification));
-        notification.addEventListener('pointerup', (event) => this.onPointerUp(event, notification));
+        this.progressElement.style.display = 'none';
       }
 
-      setTimeout(() => {
-        const titleElement = notification.querySelector('.title');
-        titleElement.innerText = title;
-        this.titleElement.innerText = title;
-
-        const detailElement = notification.querySelector('.detail');
-        detailElement.innerText = body;
-        this.detailElement.innerText = body;
-
-        const progressElement = notification.querySelector('.progress');
-        if (progress || progress === 0) {
-          progressElement.style.setProperty('--progress', Math.min(100, progress) / 100);
-          this.progressElement.style.setProperty('--progress', Math.min(100, progress) / 100);
-        } else {
-          progressElement.style.display = 'none';
-          this.progressElement.style.display = 'none';
-        }
-
-        const badgeElement = notification.querySelector('.badge');
-        if (badge) {
-          badgeElement.src = badge;
-          this.badgeElement.src = badge;
-        } else {
-          badgeElement.style.display = 'none';
-          this.badgeElement.style.display = 'none';
-        }
+      this.setImage(this.badgeElement, badge);
+      this.setImage(this.iconElement, icon);
 
-        const sourceNameElement = notification.querySelector('.source-name');
-        sourceNameElement.innerText = source;
-        this.sourceNameElement.innerText = source;
-
-        const iconElement = notification.querySelector('.icon');
-        if (icon) {
-          iconElement.src = icon;
-          this.iconElement.src = icon;
-        } else {
-          iconElement.style.display = 'none';
-          this.iconElement.style.display = 'none';
+      this.mediaElement.innerHTML = '';
+      (media || []).forEach((src) => {
+        const imageElement = document.createElement('img');
+        imageElement.src = src;
+        this.mediaElement.appendChild(imageElement);
+      });
+      this.mediaElement.style.display = media && media.length > 0 ? '' : 'none';
+
+      this.actionsElement.innerHTML = '';
+      (actions || []).forEach((action) => {
+        const buttonElement = document.createElement('button');
+        buttonElement.textContent = action.title || action.label;
+        if (action.recommend) {
+          buttonElement.classList.add('recommend');
         }
-        iconElement.onerror = () => {
-          iconElement.style.display = 'none';
-        };
-        this.iconElement.onerror = () => {
-          this.iconElement.style.display = 'none';
-        };
-
-        const mediaElement = notification.querySelector('.media');
-        if (media && media.length > 0) {
-          mediaElement.innerHTML = '';
-          this.mediaElement.innerHTML = '';
-          for (let index = 0, length = media.length; index < length; index++) {
-            const src = media[index];
-
-            const persistentImgElement = document.createElement('img');
-            persistentImgElement.src = src;
-            mediaElement.appendChild(persistentImgElement);
-
-            const imgElement = document.createElement('img');
-            imgElement.src = src;
-            this.mediaElement.appendChild(imgElement);
+        buttonElement.addEventListener('click', (event) => {
+          event.stopPropagation();
+          this.hideNotification();
+          if (action.onclick) {
+            action.onclick();
           }
-        } else {
-          mediaElement.style.display = 'none';
-          this.mediaElement.style.display = 'none';
-        }
+        });
+        this.actionsElement.appendChild(buttonElement);
+      });
+      this.actionsElement.style.display = actions && actions.length > 0 ? '' : 'none';
 
-        const actionsElement = notification.querySelector('.actions');
-        if (actions && actions.length > 0) {
-          actionsElement.innerHTML = '';
-          this.actionsElement.innerHTML = '';
-          for (let index = 0, length = actions.length; index < length; index++) {
-            const button = actions[index];
-
-            const persistentButtonElement = document.createElement('button');
-            persistentButtonElement.textContent = button.label;
-            persistentButtonElement.addEventListener('click', button.onclick);
-            if (button.recommend) {
-              persistentButtonElement.classList.add('recommend');
-            }
-            actionsElement.appendChild(persistentButtonElement);
-
-            const buttonElement = document.createElement('button');
-            buttonElement.textContent = button.label;
-            buttonElement.addEventListener('click', button.onclick);
-            if (button.recommend) {
-              buttonElement.classList.add('recommend');
-            }
-            this.actionsElement.appendChild(buttonElement);
-          }
-        } else {
-          actionsElement.style.display = 'none';
-          this.actionsElement.style.display = 'none';
+      this.notificationElement.onclick = () => {
+        this.hideNotification();
+        if (onclick) {
+          onclick();
         }
-      });
+      };
 
-      if (!taggedNotification) {
+      if (!silent) {
         this.SOUND_NOTIFIER.currentTime = 0;
         this.SOUND_NOTIFIER.play();
       }
 
-      this.notificationsContainer.appendChild(fragment);
-      setTimeout(() => {
-        this.lockscreenNotifications.appendChild(notification.cloneNode(true));
-      }, 16);
-
       this.notificationElement.classList.add('visible');
       clearTimeout(this.timeoutID);
       this.timeoutID = setTimeout(() => {
-        this.notificationElement.classList.remove('visible');
-      }, 3000);
+        this.hideNotification();
+      }, this.TIMEOUT);
     },
 
     hideNotification: function () {
       this.notificationElement.classList.remove('visible');
     },
 
-    onPointerDown: function (event, notification) {
-      this.startX = event.clientX;
-      this.currentX = this.startX;
-      this.isDragging = true;
-      notification.classList.remove('transitioning');
-    },
-
-    onPointerMove: function (event, notification) {
-      if (!this.isDragging) {
-        return;
-      }
-      // event.preventDefault();
-      event.stopPropagation();
-      this.currentX = event.clientX;
-
-      const distanceX = this.currentX - this.startX;
-      notification.style.translate = `${distanceX}px 0`;
-    },
-
-    onPointerUp: function (event, notification) {
-      if (!this.isDragging) {
-        return;
-      }
-      const distanceX = this.currentX - this.startX;
-      const thresholdX = this.threshold * notification.offsetWidth;
-
-      if (distanceX >= thresholdX) {
-        // Swipe right
-        notification.style.translate = '100%';
-        notification.classList.add('transitioning');
-        notification.addEventListener('transitionend', () => {
-          notification.classList.remove('transitioning');
-          notification.remove();
-
-          this._index--;
-          this.lockscreenNotificationBadge.textContent = this._index;
-        });
-      } else if (distanceX <= -thresholdX) {
-        // Swipe left
-        notification.style.translate = '-100%';
-        notification.classList.add('transitioning');
-        notification.addEventListener('transitionend', () => {
-          notification.classList.remove('transitioning');
-          notification.remove();
-
-          this._index--;
-          this.lockscreenNotificationBadge.textContent = this._index;
-        });
-      } else {
-        // Reset position
-        notification.style.translate = '0';
-        notification.classList.add('transitioning');
-        notification.addEventListener('transitionend', function () {
-          notification.classList.remove('transitioning');
-        });
+    setImage: function (element, src) {
+      element.style.display = src ? '' : 'none';
+      element.onerror = () => {
+        element.style.display = 'none';
+      };
+      if (src) {
+        element.src = src;
       }
-      this.isDragging = false;
     }
   };
 
@@ -0,0 +1,263 @@
+!(function (exports) {
+  'use strict';
+
+  /**
+   * Shows the notifications kept by the main process in the utility tray and
+   * on the lockscreen, grouped by the webapp which showed them, and pops up
+   * the new ones unless do not disturb is on.
+   */
+  const Notifications = {
+    containerElement: document.getElementById('notifications-container'),
+    lockscreenElement: document.getElementById('lockscreen-notifications'),
+    lockscreenBadge: document.getElementById('lockscreen-notifications-badge'),
+    clearAllButton: document.querySelector('#notifications-header [data-icon="clear-all"]'),
+
+    SWIPE_THRESHOLD: 0.5,
+    CLICK_SLOP: 10,
+
+    isDragging: false,
+    startX: 0,
+    currentX: 0,
+
+    init: function () {
+      window.addEventListener('notificationschange', this.handleChange.bind(this));
+      if (this.clearAllButton) {
+        this.clearAllButton.addEventListener('click', this.handleClearAll.bind(this));
+      }
+      this.render();
+    },
+
+    handleChange: function (event) {
+      const { type, notification, silent } = event.detail;
+      // Replacing a tagged notification, e.g. to update its progress,
+      // doesn't pop it up again
+      if (type === 'added') {
+        this.showToast(notification, silent);
+      }
+      this.render();
+    },
+
+    handleClearAll: function (event) {
+      event.preventDefault();
+      NotificationsManager.clear();
+    },
+
+    /**
+     * Pops up a notification, with the clicks on it handed to its webapp.
+     */
+    showToast: function (notification, silent) {
+      if (silent) {
+        return;
+      }
+
+      LazyLoader.load('js/notification_toaster.js', () => {
+        NotificationToaster.showNotification(notification.title, {
+          body: notification.body,
+          progress: notification.progress,
+          badge: notification.badge,
+          source: notification.source,
+          icon: notification.icon,
+          media: notification.media,
+          actions: notification.actions.map((action) => ({
+            title: action.title,
+            recommend: action.recommend,
+            onclick: () => this.activate(notification, action.action)
+          })),
+          onclick: () => this.activate(notification)
+        });
+      });
+    },
+
+    /**
+     * Rebuilds the utility tray and lockscreen lists from the store.
+     */
+    render: function () {
+      NotificationsManager.getGroups().then((groups) => {
+        const trayFragment = document.createDocumentFragment();
+        const lockscreenFragment = document.createDocumentFragment();
+        let unreadCount = 0;
+
+        groups.forEach((group) => {
+          unreadCount += group.notifications.filter((notification) => !notification.read).length;
+          trayFragment.appendChild(this.createGroupElement(group));
+          lockscreenFragment.appendChild(this.createGroupElement(group));
+        });
+
+        this.containerElement.innerHTML = '';
+        this.containerElement.appendChild(trayFragment);
+        this.lockscreenElement.innerHTML = '';
+        this.lockscreenElement.appendChild(lockscreenFragment);
+
+        this.lockscreenBadge.dataset.l10nArgs = JSON.stringify({ count: unreadCount });
+      });
+    },
+
+    createGroupElement: function (group) {
+      const groupElement = document.createElement('li');
+      groupElement.classList.add('notification-group');
+      groupElement.dataset.origin = group.origin;
+
+      const listElement = document.createElement('ul');
+      groupElement.appendChild(listElement);
+
+      group.notifications.forEach((notification) => {
+        listElement.appendChild(this.createNotificationElement(notification));
+      });
+      return groupElement;
+    },
+
+    createNotificationElement: function (notification) {
+      const element = document.createElement('li');
+      element.classList.add('notification');
+      element.dataset.id = notification.id;
+      if (notification.tag) {
+        element.dataset.tag = notification.tag;
+      }
+
+      const titlebar = document.createElement('div');
+      titlebar.classList.add('titlebar');
+      element.appendChild(titlebar);
+
+      if (notification.badge) {
+        titlebar.appendChild(this.createImage('badge', notification.badge));
+      }
+
+      const sourceName = document.createElement('div');
+      sourceName.classList.add('source-name');
+      sourceName.innerText = notification.source;
+      titlebar.appendChild(sourceName);
+
+      const content = document.createElement('div');
+      content.classList.add('content');
+      element.appendChild(content);
+
+      if (notification.icon) {
+        content.appendChild(this.createImage('icon', notification.icon));
+      }
+
+      const textHolder = document.createElement('div');
+      textHolder.classList.add('text-holder');
+      content.appendChild(textHolder);
+
+      const title = document.createElement('div');
+      title.classList.add('title');
+      title.innerText = notification.title;
+      textHolder.appendChild(title);
+
+      const detail = document.createElement('div');
+      detail.classList.add('detail');
+      detail.innerText = notification.body;
+      textHolder.appendChild(detail);
+
+      if (notification.progress !== null) {
+        const progress = document.createElement('div');
+        progress.classList.add('progress');
+        progress.style.setProperty('--progress', Math.min(100, notification.progress) / 100);
+        textHolder.appendChild(progress);
+      }
+
+      if (notification.media.length > 0) {
+        const media = document.createElement('div');
+        media.classList.add('media');
+        notification.media.forEach((src) => media.appendChild(this.createImage(null, src)));
+        element.appendChild(media);
+      }
+
+      if (notification.actions.length > 0) {
+        const actions = document.createElement('div');
+        actions.classList.add('actions');
+        notification.actions.forEach((action) => {
+          const button = document.createElement('button');
+          button.textContent = action.title;
+          if (action.recommend) {
+            button.classList.add('recommend');
+          }
+          button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.activate(notification, action.action);
+          });
+          actions.appendChild(button);
+        });
+        element.appendChild(actions);
+      }
+
+      element.addEventListener('click', () => {
+        // A swipe ends with a click too
+        if (Math.abs(this.currentX - this.startX) < this.CLICK_SLOP) {
+          this.activate(notification);
+        }
+      });
+      element.addEventListener('pointerdown', (event) => this.onPointerDown(event, element));
+      element.addEventListener('pointermove', (event) => this.onPointerMove(event, element));
+      element.addEventListener('pointerup', (event) => this.onPointerUp(event, element, notification));
+
+      return element;
+    },
+
+    createImage: function (className, src) {
+      const image = document.createElement('img');
+      if (className) {
+        image.classList.add(className);
+      }
+      image.src = src;
+      image.onerror = () => {
+        image.style.display = 'none';
+      };
+      return image;
+    },
+
+    /**
+     * Hands a click on a notification to its webapp, or opens the webapp
+     * at the notification's page if it isn't running.
+     *
+     * @param {Object} notification
+     * @param {String} [action] The action button which was clicked
+     */
+    activate: function (notification, action) {
+      NotificationsManager.activate(notification.id, action).then((result) => {
+        if (result.delivered || !result.origin) {
+          return;
+        }
+        new AppWindow(`${result.origin}/manifest.webapp`, { url: result.href });
+      });
+    },
+
+    onPointerDown: function (event, element) {
+      this.startX = event.clientX;
+      this.currentX = this.startX;
+      this.isDragging = true;
+      element.classList.remove('transitioning');
+    },
+
+    onPointerMove: function (event, element) {
+      if (!this.isDragging) {
+        return;
+      }
+      event.stopPropagation();
+      this.currentX = event.clientX;
+      element.style.translate = `${this.currentX - this.startX}px 0`;
+    },
+
+    onPointerUp: function (event, element, notification) {
+      if (!this.isDragging) {
+        return;
+      }
+      const distanceX = this.currentX - this.startX;
+      const thresholdX = this.SWIPE_THRESHOLD * element.offsetWidth;
+
+      element.classList.add('transitioning');
+      if (Math.abs(distanceX) >= thresholdX) {
+        // Swiped away, the list is rendered again once it was removed
+        element.style.translate = distanceX > 0 ? '100%' : '-100%';
+        element.addEventListener('transitionend', () => NotificationsManager.dismiss(notification.id), { once: true });
+      } else {
+        element.style.translate = '0';
+      }
+      this.isDragging = false;
+    }
+  };
+
+  Notifications.init();
+
+  exports.Notifications = Notifications;
+})(window);
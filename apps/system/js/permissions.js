@@ -7,6 +7,21 @@
     },
 
     handlePermissionRequest: async function (event) {
+      // Requests carrying a request ID come from a webapp asking for one of
+      // its manifest permissions, whose decision main stores
+      if (event.detail.requestId) {
+        this.showPermissionRequest(event.detail, (decision) => {
+          IPC.send('permissionreply', {
+            requestId: event.detail.requestId,
+            webContentsId: event.detail.webContentsId,
+            permission: event.detail.type,
+            origin: event.detail.origin,
+            decision
+          });
+        });
+        return;
+      }
+
       const url = new URL(event.detail.origin);
       const settingId = `${url.origin}`;
       OrchidJS.Settings.getValue(settingId, 'permissions.json').then((value) => {
@@ -17,27 +32,35 @@
             decision: value[event.detail.type]
           });
         } else {
-          LazyLoader.load('js/modal_dialog.js', () => {
-            ModalDialog.showPermissionRequest(
-              L10n.get(`permission-${event.detail.type}`),
-              L10n.get(`permissionDetail-${event.detail.type}`),
-              (decision) => {
-                IPC.send('permission-request', {
-                  permission: event.detail.type,
-                  origin: event.detail.origin,
-                  decision
-                });
+          this.showPermissionRequest(event.detail, (decision) => {
+            IPC.send('permission-request', {
+              permission: event.detail.type,
+              origin: event.detail.origin,
+              decision
+            });
 
-                if (!value) {
-                  value = {};
-                }
-                value[event.detail.type] = decision;
-                OrchidJS.Settings.setValue(settingId, value, 'permissions.json');
-              }
-            );
+            if (!value) {
+              value = {};
+            }
+            value[event.detail.type] = decision;
+            OrchidJS.Settings.setValue(settingId, value, 'permissions.json');
           });
         }
       });
+    },
+
+    showPermissionRequest: function (detail, callback) {
+      // Permission names like `device-storage:photos` can't be used as
+      // property keys as is
+      const l10nId = detail.type.replace(':', '-');
+
+      LazyLoader.load('js/modal_dialog.js', () => {
+        ModalDialog.showPermissionRequest(
+          L10n.get(`permission-${l10nId}`),
+          L10n.get(`permissionDetail-${l10nId}`),
+          callback
+        );
+      });
     }
   };
 
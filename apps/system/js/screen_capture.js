@@ -1,43 +1,224 @@
 !(function (exports) {
+  'use strict';
 
-'use strict';
-
-const ScreenCapture = {
-  mediaRecorder: null,
-  chunks: [],
-  isRecording: false,
-  stream: null,
-
-  timeIcon: document.getElementById("statusbar-time"),
-  toggleButton: document.getElementById("quick-settings-screen-capture"),
-
-  init: function () {
-    this.toggleButton.addEventListener("click", () => {
-      ScreenCapture.toggleCapture();
-    });
-  },
-
-  startCapture: function () {
-    this.isRecording = true;
-    this.toggleButton.parentElement.classList.add("enabled");
-    this.timeIcon.className = "indicator screen-capture";
-  },
-
-  stopCapture: function () {
-    this.isRecording = false;
-    this.toggleButton.parentElement.classList.remove("enabled");
-    this.timeIcon.className = "";
-  },
-
-  toggleCapture: function () {
-    if (this.isRecording) {
-      this.stopCapture();
-    } else {
-      this.startCapture();
+  /**
+   * Records the screen into a WebM file in the Videos storage root. A click
+   * on the quick settings button records the whole shell, holding it only
+   * records the focused app. The microphone is recorded along if the user
+   * turned it on in the settings.
+   *
+   * While recording, the statusbars show `StatusbarScreenCaptureIcon`,
+   * which follows the `screencapturechange` window event.
+   */
+  const ScreenCapture = {
+    toggleButton: document.getElementById('quick-settings-screen-capture'),
+
+    MICROPHONE_SETTING: 'video.screen_capture.microphone.enabled',
+    MIME_TYPES: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'],
+
+    /**
+     * How often recorded chunks are written to disk, in milliseconds.
+     */
+    TIMESLICE: 1000,
+
+    mediaRecorder: null,
+    stream: null,
+    recordingId: null,
+    webContentsId: null,
+    writeQueue: Promise.resolve(),
+    isRecording: false,
+    isStarting: false,
+    isHeld: false,
+    startTime: null,
+
+    init: function () {
+      this.toggleButton.addEventListener('click', () => {
+        // The click ending a hold was already handled
+        if (this.isHeld) {
+          this.isHeld = false;
+          return;
+        }
+        this.toggleCapture();
+      });
+      new OrchidJS.ForceTouch(
+        this.toggleButton,
+        () => {
+          this.isHeld = true;
+          this.toggleCapture(this.getFocusedWebContentsId());
+        },
+        'hold'
+      );
+    },
+
+    /**
+     * @param {Number} [webContentsId]
+     *        The webContents of the app to record, the whole shell if left
+     *        out.
+     */
+    toggleCapture: function (webContentsId) {
+      if (this.isRecording) {
+        this.stopCapture();
+      } else {
+        this.startCapture(webContentsId);
+      }
+    },
+
+    startCapture: async function (webContentsId) {
+      // A recording still being saved counts as well
+      if (this.isRecording || this.isStarting || this.mediaRecorder) {
+        return;
+      }
+      this.isStarting = true;
+
+      try {
+        const source = await DisplayManager.getCaptureSource(webContentsId);
+        this.stream = await navigator.mediaDevices.getUserMedia({
+          audio: false,
+          video: { mandatory: { chromeMediaSource: source.type, chromeMediaSourceId: source.id } }
+        });
+        await this.addMicrophone(this.stream);
+
+        this.recordingId = await DisplayManager.startRecording();
+        this.webContentsId = webContentsId || null;
+        this.writeQueue = Promise.resolve();
+
+        const mimeType = this.MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+        this.mediaRecorder = new MediaRecorder(this.stream, { mimeType });
+        this.mediaRecorder.addEventListener('dataavailable', this.handleData.bind(this));
+        this.mediaRecorder.addEventListener('stop', this.handleStop.bind(this));
+        this.mediaRecorder.start(this.TIMESLICE);
+
+        // The capture of an app ends when the app is closed
+        this.stream.getVideoTracks()[0].addEventListener('ended', () => this.stopCapture());
+        this.setRecording(true);
+      } catch (error) {
+        console.error('Error starting a screen recording:', error);
+        this.reset();
+        this.showToast('screenRecording-error');
+      } finally {
+        this.isStarting = false;
+      }
+    },
+
+    stopCapture: function () {
+      if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+        this.mediaRecorder.stop();
+      }
+    },
+
+    addMicrophone: async function (stream) {
+      const isEnabled = await OrchidJS.Settings.getValue(this.MICROPHONE_SETTING);
+      if (!isEnabled) {
+        return;
+      }
+
+      try {
+        const microphone = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+        microphone.getAudioTracks().forEach((track) => stream.addTrack(track));
+      } catch (error) {
+        // Recording without sound beats not recording at all
+        console.error('Error recording the microphone:', error);
+      }
+    },
+
+    /**
+     * Writes chunks one after the other, in the order they were recorded.
+     */
+    handleData: function (event) {
+      if (event.data.size === 0) {
+        return;
+      }
+      const id = this.recordingId;
+      this.writeQueue = this.writeQueue.then(async () => {
+        const data = new Uint8Array(await event.data.arrayBuffer());
+        await DisplayManager.writeRecording(id, data);
+      });
+    },
+
+    handleStop: async function () {
+      const id = this.recordingId;
+      const webContentsId = this.webContentsId;
+      const preview = DisplayManager.screenshot(webContentsId).catch(() => null);
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.setRecording(false);
+
+      try {
+        await this.writeQueue;
+        const path = await DisplayManager.finishRecording(id);
+        this.showToast('screenRecording-saved', path, await preview);
+      } catch (error) {
+        console.error('Error saving a screen recording:', error);
+        DisplayManager.cancelRecording(id);
+        this.showToast('screenRecording-error');
+      }
+      this.reset();
+    },
+
+    reset: function () {
+      if (this.stream) {
+        this.stream.getTracks().forEach((track) => track.stop());
+      }
+      if (this.recordingId && !this.mediaRecorder) {
+        DisplayManager.cancelRecording(this.recordingId);
+      }
+      this.mediaRecorder = null;
+      this.stream = null;
+      this.recordingId = null;
+      this.webContentsId = null;
+      this.setRecording(false);
+    },
+
+    setRecording: function (isRecording) {
+      if (this.isRecording === isRecording) {
+        return;
+      }
+      this.isRecording = isRecording;
+      this.startTime = isRecording ? Date.now() : null;
+      this.toggleButton.classList.toggle('enabled', isRecording);
+      window.dispatchEvent(
+        new CustomEvent('screencapturechange', { detail: { isRecording, startTime: this.startTime } })
+      );
+    },
+
+    /**
+     * Returns the webContents of the tab shown in the focused app, if any.
+     */
+    getFocusedWebContentsId: function () {
+      const focusedWindow = AppWindow.prototype.getFocusedWindow();
+      const webview =
+        focusedWindow &&
+        focusedWindow.element &&
+        focusedWindow.element.querySelector('.browser-container .browser-view.active > .browser');
+      return webview ? webview.getWebContentsId() : undefined;
+    },
+
+    /**
+     * @param {String} l10nId
+     * @param {String} [path]
+     *        The virtual path of the recording, opened when the notification
+     *        is clicked.
+     * @param {String} [preview]
+     *        A data URL of the last frame.
+     */
+    showToast: function (l10nId, path, preview) {
+      LazyLoader.load('js/notification_toaster.js', () => {
+        NotificationToaster.showNotification(OrchidJS.L10n.get(l10nId), {
+          body: path ? path.substring(path.lastIndexOf('/') + 1) : '',
+          media: preview ? [preview] : null,
+          onclick: path ? () => this.open(path) : null
+        });
+      });
+    },
+
+    open: function (path) {
+      LazyLoader.load('js/activities.js', () => {
+        Activities.startFromSystem('open', { type: 'video/webm', path, name: path.substring(path.lastIndexOf('/') + 1) })
+          .catch((error) => console.error('Error opening a screen recording:', error));
+      });
     }
-  },
-};
+  };
 
-ScreenCapture.init();
+  ScreenCapture.init();
 
+  exports.ScreenCapture = ScreenCapture;
 })(window);
@@ -0,0 +1,41 @@
+!(function (exports) {
+  'use strict';
+
+  /**
+   * Shows for how long the screen is being recorded, see `ScreenCapture`.
+   */
+  class StatusbarScreenCaptureIcon extends StatusbarIcon {
+    constructor (parent) {
+      super('screen-capture', parent);
+    }
+
+    initialize () {
+      this.element.dataset.icon = 'record';
+      this.element.classList.add('hidden');
+      this.intervalID = null;
+
+      window.addEventListener('screencapturechange', (event) => this.handleScreenCapture(event.detail));
+      if ('ScreenCapture' in window && ScreenCapture.isRecording) {
+        this.handleScreenCapture({ isRecording: true, startTime: ScreenCapture.startTime });
+      }
+    }
+
+    handleScreenCapture ({ isRecording, startTime }) {
+      this.element.classList.toggle('hidden', !isRecording);
+      clearInterval(this.intervalID);
+      if (!isRecording) {
+        this.element.textContent = '';
+        return;
+      }
+
+      const updateTime = () => {
+        const seconds = Math.floor((Date.now() - startTime) / 1000);
+        this.element.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+      };
+      updateTime();
+      this.intervalID = setInterval(updateTime, 1000);
+    }
+  }
+
+  exports.StatusbarScreenCaptureIcon = StatusbarScreenCaptureIcon;
+})(window);
@@ -1,9 +1,15 @@
 !(function (exports) {
   'use strict';
 
+  /**
+   * Takes screenshots of the shell with Alt+S and saves them as PNG into
+   * the Pictures storage root.
+   */
   const Screenshots = {
     screen: document.getElementById('screen'),
 
+    MIME_TYPE: 'image/png',
+
     init: function () {
       document.addEventListener('keyup', this.onKeyPress.bind(this));
     },
@@ -14,13 +20,59 @@
       }
     },
 
-    take: function () {
+    /**
+     * @param {Number} [webContentsId]
+     *        The webContents of the app to take, the whole shell if left
+     *        out.
+     * @returns {Promise<String>} The virtual path of the screenshot.
+     */
+    take: async function (webContentsId) {
+      try {
+        const dataURL = await DisplayManager.screenshot(webContentsId);
+        this.playAnimation();
+
+        const response = await fetch(dataURL);
+        const data = new Uint8Array(await response.arrayBuffer());
+        const path = await DisplayManager.saveScreenshot(data);
+        this.showToast('screenshot-saved', path, dataURL);
+        return path;
+      } catch (error) {
+        console.error('Error taking a screenshot:', error);
+        this.showToast('screenshot-error');
+        throw error;
+      }
+    },
+
+    playAnimation: function () {
       this.screen.classList.add('screenshot');
-      this.screen.addEventListener('animationend', () => {
-        this.screen.classList.remove('screenshot');
+      this.screen.addEventListener(
+        'animationend',
+        () => {
+          this.screen.classList.remove('screenshot');
+        },
+        { once: true }
+      );
+    },
+
+    showToast: function (l10nId, path, preview) {
+      LazyLoader.load('js/notification_toaster.js', () => {
+        NotificationToaster.showNotification(OrchidJS.L10n.get(l10nId), {
+          body: path ? path.substring(path.lastIndexOf('/') + 1) : '',
+          media: preview ? [preview] : null,
+          onclick: path ? () => this.open(path) : null
+        });
+      });
+    },
+
+    open: function (path) {
+      LazyLoader.load('js/activities.js', () => {
+        Activities.startFromSystem('open', { type: this.MIME_TYPE, path, name: path.substring(path.lastIndexOf('/') + 1) })
+          .catch((error) => console.error('Error opening a screenshot:', error));
       });
     }
   };
 
   Screenshots.init();
+
+  exports.Screenshots = Screenshots;
 })(window);
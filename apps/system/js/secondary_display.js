@@ -0,0 +1,36 @@
+!(function (exports) {
+  'use strict';
+
+  /**
+   * Runs the system app of a display other than the primary one. It shows
+   * the webapp of `video.secondary_displays.manifest_url` full screen, like
+   * a customer facing screen of a kiosk, or the homescreen when it's unset.
+   */
+  const SecondaryDisplay = {
+    SETTING: 'video.secondary_displays.manifest_url',
+
+    appWindow: null,
+
+    init: function () {
+      OrchidJS.Settings.getValue(this.SETTING).then(this.handleManifestUrl.bind(this));
+      OrchidJS.Settings.addObserver(this.SETTING, this.handleManifestUrl.bind(this));
+    },
+
+    handleManifestUrl: function (value) {
+      if (this.appWindow) {
+        this.appWindow.close(true);
+        this.appWindow = null;
+      }
+
+      if (value) {
+        this.appWindow = new AppWindow(value, {});
+      } else if (!('HomescreenLauncher' in window)) {
+        LazyLoader.load('js/homescreen_launcher.js');
+      }
+    }
+  };
+
+  SecondaryDisplay.init();
+
+  exports.SecondaryDisplay = SecondaryDisplay;
+})(window);
@@ -0,0 +1,101 @@
+!(function (exports) {
+  'use strict';
+
+  /**
+   * Opens the app windows of the last session again on startup, and keeps
+   * telling the main process which windows are open so it can save them.
+   *
+   * After OrchidUI didn't quit normally the user is asked first, as one of
+   * the apps may be what made it crash. Windows lost to a crash of the
+   * system app itself come back without asking.
+   */
+  const SessionRestore = {
+    /**
+     * How often the open windows are checked for changes, in milliseconds.
+     */
+    SAVE_INTERVAL: 5000,
+
+    lastSnapshot: null,
+    intervalID: null,
+
+    init: function () {
+      if (!('SessionManager' in window)) {
+        return;
+      }
+      SessionManager.getLastSession()
+        .then(this.handleLastSession.bind(this))
+        .catch((error) => {
+          console.error('Error getting the last session:', error);
+          this.startSaving();
+        });
+    },
+
+    handleLastSession: function (session) {
+      if (!session) {
+        this.startSaving();
+        return;
+      }
+
+      // Saving starts once the user decided, so the session is still
+      // there if OrchidUI crashes again in the meantime
+      if (session.reason === 'crash') {
+        LazyLoader.load('js/modal_dialog.js', () => {
+          ModalDialog.showConfirm(OrchidJS.L10n.get('restoreSession'), OrchidJS.L10n.get('restoreSession-detail'), (value) => {
+            if (value) {
+              this.restore(session.windows);
+            }
+            this.startSaving();
+          });
+        });
+        return;
+      }
+
+      this.restore(session.windows);
+      this.startSaving();
+    },
+
+    restore: function (windows) {
+      windows.forEach((item) => {
+        new AppWindow(item.manifestUrl, {
+          tabs: item.tabs,
+          bounds: item.bounds,
+          isMaximized: item.isMaximized
+        });
+      });
+    },
+
+    startSaving: function () {
+      this.save();
+      this.intervalID = setInterval(this.save.bind(this), this.SAVE_INTERVAL);
+    },
+
+    /**
+     * Sends the open windows to the main process if they changed since the
+     * last time.
+     */
+    save: function () {
+      const windows = Webapps.runningWebapps
+        .filter((item) => {
+          const appWindow = item.appWindow;
+          return (
+            appWindow.element &&
+            appWindow.element.isConnected &&
+            !appWindow.activity &&
+            !appWindow.HIDDEN_ROLES.includes(appWindow.manifest.role)
+          );
+        })
+        .map((item) => item.appWindow.getSessionState());
+
+      const snapshot = JSON.stringify(windows);
+      if (snapshot === this.lastSnapshot) {
+        return;
+      }
+      this.lastSnapshot = snapshot;
+      SessionManager.update(windows).catch((error) => console.error('Error saving the session:', error));
+    }
+  };
+
+  SessionRestore.init();
+
+  exports.SessionRestore = SessionRestore;
+})(window);
@@ -32,6 +32,7 @@
       this.dataIcon = new StatusbarDataIcon(this.rightIconHolder);
       this.warmColorsIcon = new StatusbarWarmColorsIcon(this.leftIconHolder);
       this.readerModeIcon = new StatusbarReaderModeIcon(this.leftIconHolder);
+      this.screenCaptureIcon = new StatusbarScreenCaptureIcon(this.leftIconHolder);
     }
   }
 
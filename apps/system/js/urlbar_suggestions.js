@@ -0,0 +1,265 @@
+!(function (exports) {
+  'use strict';
+
+  /**
+   * Finds what the urlbar suggests, without needing the network: open tabs,
+   * bookmarks, the pages of the history and installed webapps, ranked
+   * together by how well they match. Suggestions of the remote search
+   * provider come on top of those through `fetchRemote`, when the user
+   * allows it and the device is online.
+   *
+   * A suggestion is an object like
+   * `{ type, url, title, icon, score }`, where `type` is one of `tab`,
+   * `bookmark`, `history` and `app`. Tabs come with `select`, apps with
+   * `manifestUrl` and `entryId`.
+   */
+  const UrlbarSuggestions = {
+    REMOTE_SETTING: 'general.chrome.search_suggestions.enabled',
+
+    MAX_RESULTS: 8,
+    MAX_PER_SOURCE: 5,
+    HIDDEN_ROLES: ['homescreen', 'keyboard', 'system', 'theme', 'addon'],
+
+    /**
+     * Added to the score of matches from each source, so a tab or bookmark
+     * wins over the same page from the history.
+     */
+    SOURCE_BONUSES: {
+      tab: 15,
+      bookmark: 10,
+      app: 5,
+      history: 0
+    },
+
+    apps: null,
+
+    init: function () {
+      // Cached until they change, the urlbar queries on every keystroke
+      window.addEventListener('webappschange', () => {
+        this.apps = null;
+      });
+    },
+
+    /**
+     * @param {String} text
+     * @param {Object[]} tabs
+     *        The open tabs, as `{ url, title, icon, select }`.
+     * @returns {Promise<Object[]>} The best suggestions first.
+     */
+    query: async function (text, tabs = []) {
+      const query = text.trim().toLowerCase();
+      if (!query) {
+        return [];
+      }
+
+      const sources = await Promise.all([
+        this.matchTabs(query, tabs),
+        this.matchBookmarks(query),
+        this.matchHistory(query),
+        this.matchApps(query)
+      ]);
+
+      // A page shows up once, from the source ranked the highest
+      const results = new Map();
+      sources.flat().forEach((suggestion) => {
+        const key = suggestion.type === 'app' ? `app:${suggestion.manifestUrl}` : this.normalizeUrl(suggestion.url);
+        const existing = results.get(key);
+        if (!existing || existing.score < suggestion.score) {
+          results.set(key, suggestion);
+        }
+      });
+      return Array.from(results.values())
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.MAX_RESULTS);
+    },
+
+    matchTabs: function (query, tabs) {
+      return this.rank(
+        tabs.map((tab) => ({ type: 'tab', url: tab.url, title: tab.title, icon: tab.icon, select: tab.select })),
+        query
+      );
+    },
+
+    matchBookmarks: async function (query) {
+      if (!('BookmarksManager' in window)) {
+        return [];
+      }
+      try {
+        const bookmarks = await BookmarksManager.search(query, this.MAX_PER_SOURCE * 2);
+        const suggestions = bookmarks.map((bookmark) => ({
+          type: 'bookmark',
+          url: bookmark.url,
+          title: bookmark.name,
+          icon: bookmark.favicon,
+          tags: bookmark.tags
+        }));
+        return this.rank(suggestions, query);
+      } catch (error) {
+        console.error('Error searching bookmarks:', error);
+        return [];
+      }
+    },
+
+    /**
+     * History matches carry their frecency along, so pages visited often
+     * rank above the ones visited once.
+     */
+    matchHistory: async function (query) {
+      if (!('HistoryManager' in window)) {
+        return [];
+      }
+      try {
+        const matches = await HistoryManager.search(query, this.MAX_PER_SOURCE * 2);
+        const suggestions = matches.map((match) => ({
+          type: 'history',
+          url: match.url,
+          title: match.title,
+          icon: match.favicon,
+          frecency: match.frecency
+        }));
+        return this.rank(suggestions, query);
+      } catch (error) {
+        console.error('Error searching the history:', error);
+        return [];
+      }
+    },
+
+    matchApps: async function (query) {
+      if (!this.apps) {
+        try {
+          this.apps = (await AppsManager.getAll()).filter(
+            (app) => app.manifest && !this.HIDDEN_ROLES.includes(app.manifest.role || 'webapp')
+          );
+        } catch (error) {
+          console.error('Error listing apps:', error);
+          return [];
+        }
+      }
+
+      const language = OrchidJS.L10n.currentLanguage;
+      const suggestions = this.apps.map((app) => {
+        const manifestUrl = app.manifestUrl[language] || app.manifestUrl['en-US'];
+        const origin = new URL(manifestUrl).origin;
+        const icons = Object.entries(app.manifest.icons || {});
+        return {
+          type: 'app',
+          url: origin + (app.manifest.launch_path || '/'),
+          title: app.manifest.name,
+          icon: icons.length > 0 ? origin + icons[0][1] : null,
+          manifestUrl,
+          entryId: app.entry_id
+        };
+      });
+      // Apps are found by name, their URLs mean nothing to users
+      return this.rank(suggestions, query, true);
+    },
+
+    /**
+     * Scores suggestions against the query and keeps the best matches.
+     */
+    rank: function (suggestions, query, isTitleOnly = false) {
+      return suggestions
+        .map((suggestion) => {
+          const score = this.getMatchScore(suggestion, query, isTitleOnly);
+          if (score === 0) {
+            return null;
+          }
+          const frecency = suggestion.frecency ? Math.min(30, Math.log2(suggestion.frecency + 1) * 3) : 0;
+          suggestion.score = score + this.SOURCE_BONUSES[suggestion.type] + frecency;
+          return suggestion;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.MAX_PER_SOURCE);
+    },
+
+    /**
+     * Matching the start of the host beats matching the start of the URL,
+     * which beats matching the start of a word in the title. Every word of
+     * the query has to be found somewhere, tags of bookmarks included, or it
+     * doesn't match at all.
+     */
+    getMatchScore: function (suggestion, query, isTitleOnly) {
+      const title = (suggestion.title || '').toLowerCase();
+      const url = isTitleOnly ? '' : this.stripUrl(suggestion.url || '');
+      const tags = (suggestion.tags || []).join(' ').toLowerCase();
+      const words = query.split(/\s+/);
+      if (!words.every((word) => title.includes(word) || url.includes(word) || tags.includes(word))) {
+        return 0;
+      }
+
+      if (url.startsWith(query)) {
+        return url.indexOf('/') === -1 || url.indexOf('/') >= query.length ? 100 : 80;
+      }
+      if (title.startsWith(query)) {
+        return 70;
+      }
+      if (words.every((word) => title.split(/[\s\W]+/).some((titleWord) => titleWord.startsWith(word)))) {
+        return 60;
+      }
+      return 40;
+    },
+
+    /**
+     * Returns how to complete what the user typed inline, which is the host
+     * of the top suggestion if it starts with the query, or `null`.
+     */
+    getAutofill: function (text, suggestions) {
+      const query = text.toLowerCase();
+      if (!query || /\s/.test(query) || suggestions.length === 0 || suggestions[0].type === 'app') {
+        return null;
+      }
+
+      const url = this.stripUrl(suggestions[0].url);
+      const host = url.split('/')[0];
+      if (host.startsWith(query) && host.length > query.length) {
+        return text + host.substring(query.length);
+      }
+      if (query.includes('/') && url.startsWith(query) && url.length > query.length) {
+        return text + url.substring(query.length);
+      }
+      return null;
+    },
+
+    /**
+     * Resolves with the phrases the remote provider suggests, or with none
+     * if remote suggestions are turned off or the device is offline.
+     *
+     * @param {String} suggestUrl
+     *        An OpenSearch suggestions URL with `{searchTerms}`.
+     * @param {AbortSignal} signal
+     *        Cancels the request, once the user typed something else.
+     */
+    fetchRemote: async function (text, suggestUrl, signal) {
+      if (!navigator.onLine || !(await OrchidJS.Settings.getValue(this.REMOTE_SETTING))) {
+        return [];
+      }
+
+      const response = await fetch(suggestUrl.replace('{searchTerms}', encodeURIComponent(text)), { signal });
+      const data = await response.json();
+      // OpenSearch answers `[query, [phrases]]`, DuckDuckGo `[{ phrase }]`
+      if (Array.isArray(data[1])) {
+        return data[1].slice(0, this.MAX_PER_SOURCE);
+      }
+      return data
+        .map((item) => item && item.phrase)
+        .filter(Boolean)
+        .slice(0, this.MAX_PER_SOURCE);
+    },
+
+    /**
+     * Removes the protocol and `www.` of a URL, as users don't type them.
+     */
+    stripUrl: function (url) {
+      return url.toLowerCase().replace(/^[a-z][\w+.-]*:\/\//, '').replace(/^www\./, '');
+    },
+
+    normalizeUrl: function (url) {
+      return this.stripUrl(url).replace(/\/$/, '');
+    }
+  };
+
+  UrlbarSuggestions.init();
+
+  exports.UrlbarSuggestions = UrlbarSuggestions;
+})(window);
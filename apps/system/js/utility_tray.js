@@ -26,7 +26,6 @@
     cellularDataButton: document.getElementById('quick-settings-cellular-data'),
     airplaneButton: document.getElementById('quick-settings-airplane'),
     audioButton: document.getElementById('quick-settings-audio'),
-    screenCaptureButton: document.getElementById('quick-settings-screen-capture'),
     flashlightButton: document.getElementById('quick-settings-flashlight'),
 
     brightnessSlider: document.getElementById('brightness-slider'),
@@ -57,8 +56,8 @@
       this.cellularDataButton.addEventListener('click', this.handleCellularDataButton.bind(this));
       this.airplaneButton.addEventListener('click', this.handleAirplaneButton.bind(this));
       this.audioButton.addEventListener('click', this.handleAudioButton.bind(this));
-      this.screenCaptureButton.addEventListener('click', this.handleScreenCaptureButton.bind(this));
       this.flashlightButton.addEventListener('click', this.handleFlashlightButton.bind(this));
+      window.addEventListener('connectivitychange', this.handleConnectivityChange.bind(this));
 
       new OrchidJS.ForceTouch(this.mediaPlayback, this.handleMediaPlaybackHold.bind(this), 'hold');
       new OrchidJS.ForceTouch(this.wifiButton, this.handleWifiButtonHold.bind(this), 'hold');
@@ -189,6 +188,17 @@
       this.airplaneButton.classList.toggle('enabled');
     },
 
+    /**
+     * Reflects connectivity changed from outside of the quick settings, e.g.
+     * by the simulator.
+     */
+    handleConnectivityChange: function (event) {
+      const { wifi, cellular, airplane } = event.detail;
+      this.wifiButton.classList.toggle('enabled', wifi);
+      this.cellularDataButton.classList.toggle('enabled', cellular);
+      this.airplaneButton.classList.toggle('enabled', airplane);
+    },
+
     handleAudioButton: function () {
       this.audioIndex = (this.audioIndex - 1 + this.AUDIO_PROFILES.length) % this.AUDIO_PROFILES.length;
       this.audioButton.classList.remove('ringing', 'vibrate', 'muted');
@@ -240,10 +250,6 @@
       this.audioPanel.classList.remove('visible');
     },
 
-    handleScreenCaptureButton: function () {
-      this.screenCaptureButton.classList.toggle('enabled');
-    },
-
     handleFlashlightButton: function () {
       this.flashlightButton.classList.toggle('enabled');
     },
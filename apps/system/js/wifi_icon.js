@@ -10,10 +10,20 @@
       this.element.dataset.icon = `web`;
       this.element.classList.add('hidden');
 
+      window.addEventListener('connectivitychange', (event) => {
+        this.isDisabled = !event.detail.wifi;
+        this.update();
+      });
       this.update();
     }
 
     update () {
+      if (this.isDisabled) {
+        clearTimeout(this.timeoutID);
+        this.element.classList.add('hidden');
+        return;
+      }
+
       WifiManager.getCurrentConnections().then((networks) => {
         this.networks = networks;
 
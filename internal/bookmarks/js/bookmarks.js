@@ -0,0 +1,452 @@
+!(function (exports) {
+  'use strict';
+
+  /**
+   * Organizes the bookmarks: folders in the sidebar, the content of the
+   * open folder in order, search by name, URL or tag, and the bookmarks
+   * pointing to the same page. Files exported by other browsers are picked
+   * in the Files app, and exports are saved to Downloads.
+   *
+   * Items are reordered by dragging them onto one another, or moved into a
+   * folder by dropping them on it in the sidebar.
+   */
+  const Bookmarks = {
+    folders: document.getElementById('bookmarks-folders'),
+    duplicatesButton: document.getElementById('bookmarks-duplicates'),
+    title: document.getElementById('bookmarks-title'),
+    list: document.getElementById('bookmarks-list'),
+    emptyNotice: document.getElementById('bookmarks-empty'),
+    status: document.getElementById('bookmarks-status'),
+    searchInput: document.getElementById('bookmarks-search'),
+    folderButton: document.getElementById('bookmarks-folder-button'),
+    importButton: document.getElementById('bookmarks-import-button'),
+    exportButton: document.getElementById('bookmarks-export-button'),
+    editDialog: document.getElementById('edit-dialog'),
+    editTitle: document.getElementById('edit-title'),
+    editName: document.getElementById('edit-name'),
+    editUrl: document.getElementById('edit-url'),
+    editTags: document.getElementById('edit-tags'),
+    editFolder: document.getElementById('edit-folder'),
+    exportDialog: document.getElementById('export-dialog'),
+    exportFormat: document.getElementById('export-format'),
+
+    IMPORT_TYPES: ['text/html', 'application/json'],
+    SEARCH_DELAY: 200,
+    RELOAD_DELAY: 100,
+
+    tree: [],
+    nodes: new Map(),
+    folderId: null,
+    isShowingDuplicates: false,
+    editedNode: null,
+    draggedId: null,
+    searchTimer: null,
+    reloadTimer: null,
+    pendingActivities: new Map(),
+    lastRequestId: 0,
+
+    init: function () {
+      if (!('BookmarksManager' in window)) {
+        this.emptyNotice.hidden = false;
+        return;
+      }
+
+      this.searchInput.addEventListener('input', this.handleSearchInput.bind(this));
+      this.duplicatesButton.addEventListener('click', this.showDuplicates.bind(this));
+      this.folderButton.addEventListener('click', () => this.openEditDialog(null));
+      this.importButton.addEventListener('click', this.importFile.bind(this));
+      this.exportButton.addEventListener('click', () => this.exportDialog.showModal());
+      this.editDialog.addEventListener('close', this.handleEditDialogClose.bind(this));
+      this.exportDialog.addEventListener('close', this.handleExportDialogClose.bind(this));
+      window.addEventListener('bookmarkschange', this.handleBookmarksChange.bind(this));
+      window.addEventListener('ipc-message', this.handleMessage.bind(this));
+
+      this.reload();
+    },
+
+    handleSearchInput: function () {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.render(), this.SEARCH_DELAY);
+    },
+
+    /**
+     * Favicons arrive a moment after bookmarks are added, so changes are
+     * rendered once they settle.
+     */
+    handleBookmarksChange: function () {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(), this.RELOAD_DELAY);
+    },
+
+    reload: async function () {
+      let tree = [];
+      try {
+        tree = await BookmarksManager.getTree();
+      } catch (error) {
+        console.error('Error reading bookmarks:', error);
+      }
+
+      this.nodes.clear();
+      const index = (children) => {
+        children.forEach((node) => {
+          this.nodes.set(node.id, node);
+          if (node.children) {
+            index(node.children);
+          }
+        });
+      };
+      index(tree);
+      this.tree = tree;
+
+      if (this.folderId && !this.nodes.has(this.folderId)) {
+        this.folderId = null;
+      }
+      this.renderFolders();
+      this.render();
+    },
+
+    getChildren: function (folderId) {
+      return folderId ? this.nodes.get(folderId).children : this.tree;
+    },
+
+    openFolder: function (folderId) {
+      this.folderId = folderId;
+      this.isShowingDuplicates = false;
+      this.searchInput.value = '';
+      this.renderFolders();
+      this.render();
+    },
+
+    showDuplicates: function () {
+      this.isShowingDuplicates = true;
+      this.searchInput.value = '';
+      this.renderFolders();
+      this.render();
+    },
+
+    renderFolders: function () {
+      this.folders.innerHTML = '';
+      const addFolder = (id, name, depth) => {
+        const item = document.createElement('li');
+        item.tabIndex = 0;
+        item.textContent = name;
+        item.dataset.icon = 'folder';
+        item.style.setProperty('--depth', depth);
+        item.classList.toggle('active', !this.isShowingDuplicates && id === this.folderId);
+        item.addEventListener('click', () => this.openFolder(id));
+        this.addDropTarget(item, () => ({ parentId: id }));
+        this.folders.appendChild(item);
+
+        this.getChildren(id)
+          .filter((node) => node.type === 'folder')
+          .forEach((folder) => addFolder(folder.id, folder.name, depth + 1));
+      };
+      addFolder(null, 'All bookmarks', 0);
+      this.duplicatesButton.classList.toggle('active', this.isShowingDuplicates);
+    },
+
+    render: async function () {
+      const text = this.searchInput.value.trim();
+
+      if (text) {
+        const results = await BookmarksManager.search(text).catch(() => []);
+        this.title.textContent = `Results for “${text}”`;
+        this.list.innerHTML = '';
+        results.forEach((node) => this.list.appendChild(this.createItem(node, false)));
+        this.emptyNotice.hidden = results.length > 0;
+        return;
+      }
+
+      if (this.isShowingDuplicates) {
+        const groups = await BookmarksManager.getDuplicates().catch(() => []);
+        this.title.textContent = 'Pages bookmarked more than once';
+        this.list.innerHTML = '';
+        groups.forEach((group) => {
+          const header = document.createElement('li');
+          header.classList.add('group');
+          header.textContent = group[0].url;
+          this.list.appendChild(header);
+          group.forEach((node) => this.list.appendChild(this.createItem(node, false)));
+        });
+        this.emptyNotice.hidden = groups.length > 0;
+        return;
+      }
+
+      this.title.textContent = this.folderId ? this.nodes.get(this.folderId).name : 'All bookmarks';
+      const children = this.getChildren(this.folderId);
+      this.list.innerHTML = '';
+      children.forEach((node) => this.list.appendChild(this.createItem(node, true)));
+      this.emptyNotice.hidden = children.length > 0;
+    },
+
+    /**
+     * @param {Object} node
+     * @param {Boolean} isSortable
+     *        Whether the item is listed in its folder and can be reordered.
+     */
+    createItem: function (node, isSortable) {
+      const item = document.createElement('li');
+      item.classList.add(node.type);
+
+      const icon = document.createElement(node.favicon ? 'img' : 'span');
+      icon.classList.add('favicon');
+      if (node.favicon) {
+        icon.src = node.favicon;
+      } else {
+        icon.dataset.icon = node.type === 'folder' ? 'folder' : 'bookmark';
+      }
+      item.appendChild(icon);
+
+      const link = document.createElement('a');
+      if (node.type === 'folder') {
+        link.href = '#';
+        link.addEventListener('click', (event) => {
+          event.preventDefault();
+          this.openFolder(node.id);
+        });
+      } else {
+        link.href = node.url;
+        item.title = node.url;
+      }
+      item.appendChild(link);
+
+      const name = document.createElement('p');
+      name.textContent = node.name;
+      link.appendChild(name);
+
+      if (node.type === 'bookmark') {
+        const details = document.createElement('p');
+        details.classList.add('details');
+        details.textContent = this.getHost(node.url);
+        node.tags.forEach((tag) => {
+          const chip = document.createElement('span');
+          chip.classList.add('tag');
+          chip.textContent = tag;
+          details.appendChild(chip);
+        });
+        link.appendChild(details);
+      }
+
+      if (isSortable) {
+        const siblings = this.getChildren(node.parentId);
+        const index = siblings.indexOf(node);
+        item.draggable = true;
+        item.addEventListener('dragstart', (event) => {
+          this.draggedId = node.id;
+          event.dataTransfer.effectAllowed = 'move';
+        });
+        item.addEventListener('dragend', () => {
+          this.draggedId = null;
+        });
+        this.addDropTarget(item, () => ({ parentId: node.parentId, index }));
+
+        item.appendChild(
+          this.createButton('arrow-up', 'Move up', index === 0, () =>
+            BookmarksManager.move(node.id, node.parentId, index - 1)
+          )
+        );
+        item.appendChild(
+          this.createButton('arrow-down', 'Move down', index === siblings.length - 1, () =>
+            // The index counts the siblings once the node was taken out
+            BookmarksManager.move(node.id, node.parentId, index + 1)
+          )
+        );
+      }
+      item.appendChild(this.createButton('edit', 'Edit', false, () => this.openEditDialog(node)));
+      item.appendChild(
+        this.createButton('delete', 'Remove', false, () => {
+          BookmarksManager.remove(node.id).catch((error) => this.showStatus(error.message));
+        })
+      );
+
+      return item;
+    },
+
+    createButton: function (icon, title, isDisabled, callback) {
+      const button = document.createElement('button');
+      button.dataset.icon = icon;
+      button.title = title;
+      button.disabled = isDisabled;
+      button.addEventListener('click', callback);
+      return button;
+    },
+
+    /**
+     * Lets dragged items be dropped on an element, moving them to where
+     * `getTarget` says: a folder, and an index in it.
+     */
+    addDropTarget: function (element, getTarget) {
+      element.addEventListener('dragover', (event) => {
+        if (this.draggedId) {
+          event.preventDefault();
+          element.classList.add('drop-target');
+        }
+      });
+      element.addEventListener('dragleave', () => element.classList.remove('drop-target'));
+      element.addEventListener('drop', (event) => {
+        event.preventDefault();
+        element.classList.remove('drop-target');
+        const target = getTarget();
+        if (!this.draggedId || this.draggedId === target.parentId) {
+          return;
+        }
+        BookmarksManager.move(this.draggedId, target.parentId, target.index).catch((error) =>
+          this.showStatus(error.message)
+        );
+      });
+    },
+
+    /**
+     * Edits a bookmark or folder, or creates a folder in the open one if
+     * `node` is `null`.
+     */
+    openEditDialog: function (node) {
+      this.editedNode = node;
+      const isBookmark = !!node && node.type === 'bookmark';
+      this.editTitle.textContent = !node ? 'New folder' : isBookmark ? 'Edit bookmark' : 'Edit folder';
+      this.editName.value = node ? node.name : '';
+      this.editUrl.value = isBookmark ? node.url : '';
+      this.editTags.value = isBookmark ? node.tags.join(', ') : '';
+      this.editDialog.querySelectorAll('.bookmark-only').forEach((element) => {
+        element.hidden = !isBookmark;
+      });
+      this.editUrl.required = isBookmark;
+
+      this.editFolder.innerHTML = '';
+      const addOption = (id, name, depth) => {
+        // A folder can't go into itself
+        if (node && id === node.id) {
+          return;
+        }
+        const option = document.createElement('option');
+        option.value = id || '';
+        option.textContent = '  '.repeat(depth) + name;
+        this.editFolder.appendChild(option);
+        this.getChildren(id)
+          .filter((child) => child.type === 'folder')
+          .forEach((folder) => addOption(folder.id, folder.name, depth + 1));
+      };
+      addOption(null, 'All bookmarks', 0);
+      this.editFolder.value = (node ? node.parentId : this.folderId) || '';
+
+      this.editDialog.showModal();
+    },
+
+    handleEditDialogClose: async function () {
+      if (this.editDialog.returnValue !== 'confirm') {
+        return;
+      }
+
+      const node = this.editedNode;
+      const parentId = this.editFolder.value || null;
+      try {
+        if (!node) {
+          await BookmarksManager.add({ type: 'folder', name: this.editName.value, parentId });
+          return;
+        }
+
+        const changes = { name: this.editName.value };
+        if (node.type === 'bookmark') {
+          changes.url = this.editUrl.value;
+          changes.tags = this.editTags.value.split(',');
+        }
+        await BookmarksManager.update(node.id, changes);
+        if (parentId !== node.parentId) {
+          await BookmarksManager.move(node.id, parentId);
+        }
+      } catch (error) {
+        this.showStatus(error.message);
+      }
+    },
+
+    /**
+     * Imports a bookmarks file picked in the Files app into the open
+     * folder.
+     */
+    importFile: async function () {
+      let file;
+      try {
+        file = await this.startActivity('pick', { type: this.IMPORT_TYPES });
+      } catch (error) {
+        if (error.message !== 'CANCELED') {
+          this.showStatus(`Couldn't pick a file: ${error.message}`);
+        }
+        return;
+      }
+
+      try {
+        const { added, skipped } = await BookmarksManager.importFile(file.path, this.folderId);
+        const skippedText = skipped > 0 ? `, skipped ${skipped} already bookmarked or invalid` : '';
+        this.showStatus(`Imported ${added} bookmarks from ${file.name}${skippedText}.`);
+      } catch (error) {
+        this.showStatus(`Couldn't import ${file.name}: ${error.message}`);
+      }
+    },
+
+    handleExportDialogClose: async function () {
+      if (this.exportDialog.returnValue !== 'confirm') {
+        return;
+      }
+
+      try {
+        const path = await BookmarksManager.exportFile(this.exportFormat.value);
+        const directory = path.substring(0, path.lastIndexOf('/'));
+        this.showStatus(`Exported to ${path.split('/').pop()} in Downloads.`, 'Show in Files', () => {
+          this.startActivity('view', { type: 'inode/directory', path: directory }).catch(() => {});
+        });
+      } catch (error) {
+        this.showStatus(`Couldn't export bookmarks: ${error.message}`);
+      }
+    },
+
+    showStatus: function (text, actionLabel, action) {
+      this.status.textContent = text;
+      if (actionLabel) {
+        const button = document.createElement('button');
+        button.textContent = actionLabel;
+        button.addEventListener('click', action);
+        this.status.appendChild(button);
+      }
+      this.status.hidden = false;
+    },
+
+    /**
+     * Starts an activity like webapps do with `OrchidJS.Activities`, which
+     * internal pages don't load.
+     */
+    startActivity: function (name, data) {
+      return new Promise((resolve, reject) => {
+        const requestId = ++this.lastRequestId;
+        this.pendingActivities.set(requestId, { resolve, reject });
+        IPC.send('message', { type: 'activity', action: 'start', requestId, name, data });
+      });
+    },
+
+    handleMessage: function (event) {
+      const data = event.detail;
+      if (!data || data.type !== 'activity-result' || !this.pendingActivities.has(data.requestId)) {
+        return;
+      }
+
+      const request = this.pendingActivities.get(data.requestId);
+      this.pendingActivities.delete(data.requestId);
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data.result);
+      }
+    },
+
+    getHost: function (url) {
+      try {
+        return new URL(url).host;
+      } catch (error) {
+        return url;
+      }
+    }
+  };
+
+  Bookmarks.init();
+
+  exports.Bookmarks = Bookmarks;
+})(window);
@@ -0,0 +1,220 @@
+!(function (exports) {
+  'use strict';
+
+  /**
+   * Lists the visits of the browsing history by day, newest first, and lets
+   * the user search them, remove pages or days, and clear browsing data.
+   * The list follows changes made from other tabs through the
+   * `historychange` window event.
+   */
+  const History = {
+    list: document.getElementById('history-list'),
+    emptyNotice: document.getElementById('history-empty'),
+    searchInput: document.getElementById('history-search'),
+    moreButton: document.getElementById('history-more-button'),
+    clearButton: document.getElementById('history-clear-button'),
+    clearDialog: document.getElementById('clear-dialog'),
+    clearRange: document.getElementById('clear-range'),
+    clearHistory: document.getElementById('clear-history'),
+    clearCookies: document.getElementById('clear-cookies'),
+    clearCache: document.getElementById('clear-cache'),
+
+    PAGE_SIZE: 100,
+    SEARCH_DELAY: 200,
+    RELOAD_DELAY: 500,
+
+    visits: [],
+    hasMore: false,
+    searchTimer: null,
+    reloadTimer: null,
+
+    init: function () {
+      if (!('HistoryManager' in window)) {
+        this.showEmpty();
+        return;
+      }
+
+      this.searchInput.addEventListener('input', this.handleSearchInput.bind(this));
+      this.moreButton.addEventListener('click', this.loadMore.bind(this));
+      this.clearButton.addEventListener('click', () => this.clearDialog.showModal());
+      this.clearDialog.addEventListener('close', this.handleClearDialogClose.bind(this));
+      window.addEventListener('historychange', this.handleHistoryChange.bind(this));
+
+      this.reload();
+    },
+
+    handleSearchInput: function () {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.reload(), this.SEARCH_DELAY);
+    },
+
+    /**
+     * Visits come in bursts while pages load, so the list is refreshed once
+     * they settle.
+     */
+    handleHistoryChange: function () {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload(this.visits.length), this.RELOAD_DELAY);
+    },
+
+    /**
+     * Loads the visits again, at least `count` of them so the list doesn't
+     * shrink under the user.
+     */
+    reload: async function (count = 0) {
+      const limit = Math.max(count, this.PAGE_SIZE);
+      const visits = await this.query(0, limit);
+      this.visits = visits.slice(0, limit);
+      this.hasMore = visits.length > limit;
+      this.render();
+    },
+
+    loadMore: async function () {
+      const visits = await this.query(this.visits.length, this.PAGE_SIZE);
+      this.visits = this.visits.concat(visits.slice(0, this.PAGE_SIZE));
+      this.hasMore = visits.length > this.PAGE_SIZE;
+      this.render();
+    },
+
+    /**
+     * Asks for one more visit than needed, to tell whether there are more.
+     */
+    query: function (offset, limit) {
+      const text = this.searchInput.value.trim();
+      return HistoryManager.getVisits({ text: text || undefined, offset, limit: limit + 1 }).catch((error) => {
+        console.error('Error reading the history:', error);
+        return [];
+      });
+    },
+
+    render: function () {
+      this.list.innerHTML = '';
+
+      let day = null;
+      let group = null;
+      this.visits.forEach((visit) => {
+        const date = new Date(visit.time);
+        const visitDay = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        if (visitDay !== day) {
+          day = visitDay;
+          group = this.createGroup(visitDay);
+        }
+        group.appendChild(this.createItem(visit));
+      });
+
+      this.emptyNotice.hidden = this.visits.length > 0;
+      this.moreButton.hidden = !this.hasMore;
+    },
+
+    showEmpty: function () {
+      this.emptyNotice.hidden = false;
+      this.searchInput.disabled = true;
+      this.clearButton.disabled = true;
+    },
+
+    createGroup: function (day) {
+      const header = document.createElement('header');
+      this.list.appendChild(header);
+
+      const title = document.createElement('span');
+      title.textContent = this.formatDay(day);
+      header.appendChild(title);
+
+      const removeButton = document.createElement('button');
+      removeButton.classList.add('remove-day-button');
+      removeButton.dataset.icon = 'delete';
+      removeButton.title = 'Remove this day';
+      removeButton.addEventListener('click', () => {
+        const nextDay = new Date(day);
+        nextDay.setDate(nextDay.getDate() + 1);
+        HistoryManager.removeRange(day, nextDay.getTime());
+      });
+      header.appendChild(removeButton);
+
+      const list = document.createElement('ul');
+      this.list.appendChild(list);
+      return list;
+    },
+
+    createItem: function (visit) {
+      const item = document.createElement('li');
+      item.classList.add('visit');
+      item.title = visit.url;
+
+      const time = document.createElement('span');
+      time.classList.add('time');
+      time.textContent = new Date(visit.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      item.appendChild(time);
+
+      const favicon = document.createElement('img');
+      favicon.classList.add('favicon');
+      if (visit.favicon) {
+        favicon.src = visit.favicon;
+      }
+      item.appendChild(favicon);
+
+      const link = document.createElement('a');
+      link.href = visit.url;
+      item.appendChild(link);
+
+      const title = document.createElement('p');
+      title.textContent = visit.title || visit.url;
+      link.appendChild(title);
+
+      const host = document.createElement('p');
+      host.classList.add('host');
+      try {
+        host.textContent = new URL(visit.url).host;
+      } catch (error) {
+        host.textContent = visit.url;
+      }
+      link.appendChild(host);
+
+      const removeButton = document.createElement('button');
+      removeButton.classList.add('remove-button');
+      removeButton.dataset.icon = 'close';
+      removeButton.title = 'Remove from history';
+      removeButton.addEventListener('click', () => HistoryManager.remove(visit.url));
+      item.appendChild(removeButton);
+
+      return item;
+    },
+
+    formatDay: function (day) {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      const yesterday = new Date(today);
+      yesterday.setDate(yesterday.getDate() - 1);
+
+      if (day === today.getTime()) {
+        return 'Today';
+      }
+      if (day === yesterday.getTime()) {
+        return 'Yesterday';
+      }
+      return new Date(day).toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    },
+
+    handleClearDialogClose: async function () {
+      if (this.clearDialog.returnValue !== 'confirm') {
+        return;
+      }
+
+      const range = parseInt(this.clearRange.value, 10);
+      try {
+        await HistoryManager.clearBrowsingData({
+          history: this.clearHistory.checked,
+          cookies: this.clearCookies.checked,
+          cache: this.clearCache.checked,
+          since: range > 0 ? Date.now() - range : undefined
+        });
+      } catch (error) {
+        console.error('Error clearing browsing data:', error);
+      }
+    }
+  };
+
+  History.init();
+
+  exports.History = History;
+})(window);
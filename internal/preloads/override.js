@@ -19,8 +19,158 @@
     exports.deviceType = 'desktop';
   }
 
+  const NotificationBridge = sessionOverride.notifications;
+
+  /**
+   * The `Notification` class of webpages. The notifications themselves are
+   * kept by the system, which sends back their `show`, `click`, `close` and
+   * `error` events.
+   */
+  class OrchidNotification extends EventTarget {
+    constructor(title, options = {}) {
+      super();
+
+      this.title = String(title);
+      this.body = options.body || '';
+      this.tag = options.tag || '';
+      this.icon = options.icon || '';
+      this.badge = options.badge || '';
+      this.data = options.data === undefined ? null : options.data;
+      this.silent = !!options.silent;
+      this.requireInteraction = !!options.requireInteraction;
+      this.actions = options.actions || [];
+      this.timestamp = options.timestamp || Date.now();
+
+      this.onshow = null;
+      this.onclick = null;
+      this.onclose = null;
+      this.onerror = null;
+
+      this.id = NotificationBridge.show(this.title, options, (type, detail) => this.handleEvent(type, detail));
+    }
+
+    static get permission() {
+      return NotificationBridge.getPermission();
+    }
+
+    static requestPermission(callback) {
+      const promise = NotificationBridge.requestPermission();
+      if (typeof callback === 'function') {
+        promise.then(callback);
+      }
+      return promise;
+    }
+
+    close() {
+      NotificationBridge.close(this.id);
+      this.handleEvent('close', {});
+    }
+
+    handleEvent(type, detail) {
+      const event = new Event(type, { cancelable: true });
+      // The action button which was clicked, if any
+      event.action = detail.action || '';
+      event.error = detail.error;
+
+      this.dispatchEvent(event);
+      if (typeof this['on' + type] === 'function') {
+        this['on' + type](event);
+      }
+    }
+  }
+
+  const BatteryBridge = sessionOverride.battery;
+  const nativeGetBattery = navigator.getBattery ? navigator.getBattery.bind(navigator) : null;
+
+  /**
+   * The `BatteryManager` of webpages. It follows the real battery, unless
+   * the simulator fakes one.
+   */
+  class OrchidBatteryManager extends EventTarget {
+    constructor(nativeBattery) {
+      super();
+
+      this.nativeBattery = nativeBattery;
+      this.simulatedBattery = BatteryBridge.get();
+
+      this.onchargingchange = null;
+      this.onchargingtimechange = null;
+      this.ondischargingtimechange = null;
+      this.onlevelchange = null;
+
+      if (nativeBattery) {
+        ['chargingchange', 'chargingtimechange', 'dischargingtimechange', 'levelchange'].forEach((type) => {
+          nativeBattery.addEventListener(type, () => {
+            if (!this.simulatedBattery) {
+              this.handleEvent(type);
+            }
+          });
+        });
+      }
+      BatteryBridge.onChange((state) => this.update(state));
+    }
+
+    get charging() {
+      if (this.simulatedBattery) {
+        return this.simulatedBattery.charging;
+      }
+      return this.nativeBattery ? this.nativeBattery.charging : true;
+    }
+
+    get level() {
+      if (this.simulatedBattery) {
+        return this.simulatedBattery.level;
+      }
+      return this.nativeBattery ? this.nativeBattery.level : 1;
+    }
+
+    get chargingTime() {
+      if (this.simulatedBattery) {
+        return this.simulatedBattery.charging && this.simulatedBattery.level === 1 ? 0 : Infinity;
+      }
+      return this.nativeBattery ? this.nativeBattery.chargingTime : 0;
+    }
+
+    get dischargingTime() {
+      if (this.simulatedBattery) {
+        return Infinity;
+      }
+      return this.nativeBattery ? this.nativeBattery.dischargingTime : Infinity;
+    }
+
+    update(state) {
+      const { charging, level } = this;
+      this.simulatedBattery = state;
+
+      if (this.charging !== charging) {
+        this.handleEvent('chargingchange');
+      }
+      if (this.level !== level) {
+        this.handleEvent('levelchange');
+      }
+    }
+
+    handleEvent(type) {
+      const event = new Event(type);
+      this.dispatchEvent(event);
+      if (typeof this['on' + type] === 'function') {
+        this['on' + type](event);
+      }
+    }
+  }
+
+  let batteryPromise = null;
+  navigator.getBattery = function () {
+    // Every call resolves with the same manager, like the real one
+    if (!batteryPromise) {
+      const nativeBattery = nativeGetBattery ? nativeGetBattery().catch(() => null) : Promise.resolve(null);
+      batteryPromise = nativeBattery.then((battery) => new OrchidBatteryManager(battery));
+    }
+    return batteryPromise;
+  };
+
   exports.open = sessionOverride.open;
-  exports.Notification = sessionOverride.Notification;
+  exports.Notification = OrchidNotification;
   exports.alert = sessionOverride.alert;
   exports.confirm = sessionOverride.confirm;
   exports.prompt = sessionOverride.prompt;
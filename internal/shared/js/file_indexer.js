@@ -14,7 +14,7 @@
           if (stats.isDirectory()) {
             await findMatchingFiles(filePath);
           } else {
-            const fileMimeType = window.SDCardManager.getMime(filePath);
+            const fileMimeType = await window.SDCardManager.getMime(filePath);
             if (fileMimeType && fileMimeType.startsWith(mimeType)) {
               matchingFiles.push(filePath);
             }
@@ -22,13 +22,11 @@
         }
       }
 
-      try {
-        findMatchingFiles(directory).then(() => {
+      findMatchingFiles(directory)
+        .then(() => {
           resolve(matchingFiles);
-        });
-      } catch (error) {
-        reject(error);
-      }
+        })
+        .catch(reject);
     });
   }
 
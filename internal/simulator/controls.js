@@ -10,32 +10,38 @@
   const rotateLeftButton = document.getElementById('simulator-rotate-left-button');
   const rotateRightButton = document.getElementById('simulator-rotate-right-button');
 
+  // The buttons go through the same commands as scripts driving the
+  // simulator, see `Simulator.handleCommand`
+  const sendCommand = (command) => {
+    ipcRenderer.invoke('simulatorcommand', command).catch((error) => console.error(error));
+  };
+
   powerButton.addEventListener('pointerdown', () => {
-    ipcRenderer.send('powerstart', {});
+    sendCommand({ type: 'buttondown', button: 'power' });
   });
   powerButton.addEventListener('pointerup', () => {
-    ipcRenderer.send('powerend', {});
+    sendCommand({ type: 'buttonup', button: 'power' });
   });
 
   volumeUpButton.addEventListener('click', () => {
-    ipcRenderer.send('volumeup', {});
+    sendCommand({ type: 'press', button: 'volumeup' });
   });
   volumeDownButton.addEventListener('click', () => {
-    ipcRenderer.send('volumedown', {});
+    sendCommand({ type: 'press', button: 'volumedown' });
   });
 
   shortcutButton.addEventListener('click', () => {
-    ipcRenderer.send('shortcut', {});
+    sendCommand({ type: 'press', button: 'shortcut' });
   });
 
   let rotationIndex = 0;
   const rotations = ['0deg', '90deg', '180deg', '-90deg'];
   rotateLeftButton.addEventListener('click', () => {
     rotationIndex = (rotationIndex - 1 + rotations.length) % rotations.length;
-    ipcRenderer.send('rotate', { rotation: rotations[rotationIndex] });
+    sendCommand({ type: 'rotate', rotation: rotations[rotationIndex] });
   });
   rotateRightButton.addEventListener('click', () => {
     rotationIndex = (rotationIndex + 1) % rotations.length;
-    ipcRenderer.send('rotate', { rotation: rotations[rotationIndex] });
+    sendCommand({ type: 'rotate', rotation: rotations[rotationIndex] });
   });
 })(window);
@@ -45,7 +45,6 @@
         // loadCSS('orchid://preloads/pictureinpicture.css');
         // loadCSS('orchid://preloads/videoplayer.css');
 
-        // loadJavascript('orchid://adblock/adblock.js');
         loadJavascript('orchid://preloads/override.js');
 
         if (/^http:\/\/.*\.localhost:8081\//.test(node.getURL())) {
@@ -0,0 +1,163 @@
+!(function (exports) {
+  'use strict';
+
+  if (!('OrchidJS' in window)) {
+    exports.OrchidJS = {};
+  }
+
+  const ActivitiesAPI = {
+    /**
+     * The name of the query parameter the system passes the activity a page
+     * was opened for in.
+     */
+    ACTIVITY_PARAM: 'activity',
+
+    pendingRequests: new Map(),
+    lastRequestId: 0,
+    currentActivity: null,
+
+    init: function () {
+      window.addEventListener('ipc-message', this.handleMessage.bind(this));
+
+      const activity = new URLSearchParams(location.search).get(this.ACTIVITY_PARAM);
+      if (activity) {
+        try {
+          this.currentActivity = JSON.parse(activity);
+        } catch (error) {
+          console.error('Invalid activity:', error);
+        }
+      }
+    },
+
+    /**
+     * Asks another webapp to handle an activity. The system lets the user
+     * choose when several webapps handle it.
+     *
+     * @param {String} name
+     *        The activity, one of `pick`, `open`, `share`, `view` or `dial`.
+     * @param {Object} [data]
+     *        The data passed to the handling webapp. `data.type` is matched
+     *        against the MIME types the webapps declared, e.g. `image/*`.
+     *
+     * @returns {Promise<any>}
+     *          The result posted by the handling webapp. Rejects with
+     *          `NO_PROVIDER`, `CANCELED` or the error posted by the webapp.
+     */
+    start: function (name, data = {}) {
+      if (!('IPC' in window)) {
+        return Promise.reject(new Error('IPC permission is not enabled.'));
+      }
+
+      return new Promise((resolve, reject) => {
+        const requestId = ++this.lastRequestId;
+        this.pendingRequests.set(requestId, { resolve, reject });
+        IPC.send('message', { type: 'activity', action: 'start', requestId, name, data });
+      });
+    },
+
+    /**
+     * Returns the activity this page was opened to handle, or `null`.
+     *
+     * @returns {Object|null}
+     *          The `name` and `data` of the activity.
+     */
+    getCurrent: function () {
+      if (!this.currentActivity) {
+        return null;
+      }
+      return { name: this.currentActivity.name, data: this.currentActivity.data };
+    },
+
+    /**
+     * Checks whether this page was opened to pick something of the given
+     * MIME type.
+     *
+     * @param {String} type
+     *        The MIME type of the item, e.g. `image/png`.
+     *
+     * @returns {Boolean}
+     */
+    isPicking: function (type) {
+      const activity = this.currentActivity;
+      if (!activity || activity.name !== 'pick') {
+        return false;
+      }
+
+      const requestedTypes = [].concat((activity.data && activity.data.type) || '*/*');
+      return requestedTypes.some((requestedType) => this.matchesType(requestedType, type));
+    },
+
+    /**
+     * Matches MIME types, where either side may use a wildcard.
+     *
+     * @param {String} acceptedType
+     * @param {String} type
+     *
+     * @returns {Boolean}
+     */
+    matchesType: function (acceptedType, type) {
+      const [acceptedMajor, acceptedMinor = '*'] = String(acceptedType).toLowerCase().split('/');
+      const [major, minor = '*'] = String(type).toLowerCase().split('/');
+
+      const majorMatches = acceptedMajor === '*' || major === '*' || acceptedMajor === major;
+      const minorMatches = acceptedMinor === '*' || minor === '*' || acceptedMinor === minor;
+      return majorMatches && minorMatches;
+    },
+
+    /**
+     * Sends the result of the current activity back to the webapp which
+     * started it. The system closes the window afterwards.
+     *
+     * @param {any} result
+     *        Anything that can be cloned, e.g. `{ path, type }`.
+     */
+    postResult: function (result) {
+      this.finish({ result });
+    },
+
+    /**
+     * Fails the current activity.
+     *
+     * @param {String} error
+     *        Why the activity failed.
+     */
+    postError: function (error) {
+      this.finish({ error: String(error) });
+    },
+
+    finish: function (payload) {
+      if (!this.currentActivity) {
+        throw new Error('This page is not handling an activity.');
+      }
+      if (!('IPC' in window)) {
+        throw new Error('IPC permission is not enabled.');
+      }
+
+      IPC.send('message', { type: 'activity', action: 'finish', activityId: this.currentActivity.id, ...payload });
+      this.currentActivity = null;
+    },
+
+    handleMessage: function (event) {
+      const data = event.detail;
+      if (!data || data.type !== 'activity-result') {
+        return;
+      }
+
+      const request = this.pendingRequests.get(data.requestId);
+      if (!request) {
+        return;
+      }
+
+      this.pendingRequests.delete(data.requestId);
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data.result);
+      }
+    }
+  };
+
+  ActivitiesAPI.init();
+
+  OrchidJS.Activities = ActivitiesAPI;
+})(window);
@@ -0,0 +1,46 @@
+!(function (exports) {
+  'use strict';
+
+  if (!('OrchidJS' in window)) {
+    exports.OrchidJS = {};
+  }
+
+  /**
+   * Returns the URL of the data bridge, which the webapp runtime serves on
+   * the port webapps are served on. Pages not served by the runtime fall
+   * back to the port in `Environment`, then to the default one.
+   */
+  function getBridgeUrl() {
+    let port = 8081;
+    if (location.hostname.endsWith('.localhost') && location.port) {
+      port = parseInt(location.port);
+    } else if ('Environment' in window && Environment.webappsPort) {
+      port = Environment.webappsPort;
+    }
+    return 'http://localhost:' + port;
+  }
+
+  const EventsAPI = {
+    /**
+     * Subscribes to system events, such as `settingschange` or `volumeup`.
+     * Topics the webapp has no permission for are left out.
+     *
+     * @param {String[]} topics
+     *        The names of the events to subscribe to.
+     * @param {Function} callback
+     *        Called with the name of the event and its data.
+     *
+     * @returns {Function}
+     *          Ends the subscription.
+     */
+    subscribe: function (topics, callback) {
+      const source = new EventSource(getBridgeUrl() + '/api/events?topics=' + topics.map(encodeURIComponent).join(','));
+      topics.forEach((topic) => {
+        source.addEventListener(topic, (event) => callback(topic, JSON.parse(event.data)));
+      });
+      return () => source.close();
+    }
+  };
+
+  OrchidJS.Events = EventsAPI;
+})(window);
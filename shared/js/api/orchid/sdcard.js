@@ -5,13 +5,28 @@
     exports.OrchidJS = {};
   }
 
+  /**
+   * Returns the URL of the data bridge, which the webapp runtime serves on
+   * the port webapps are served on. Pages not served by the runtime fall
+   * back to the port in `Environment`, then to the default one.
+   */
+  function getBridgeUrl() {
+    let port = 8081;
+    if (location.hostname.endsWith('.localhost') && location.port) {
+      port = parseInt(location.port);
+    } else if ('Environment' in window && Environment.webappsPort) {
+      port = Environment.webappsPort;
+    }
+    return 'http://localhost:' + port;
+  }
+
   const SDCardManagerAPI = {
     getValue: async function (key, file) {
       if ('SDCardManager' in window) {
         // Backward compatibility
         return await SDCardManager.getValue(key, file);
       } else {
-        return await fetch('http://localhost:8081/api/data/settings/get?name=' + key)
+        return await fetch(getBridgeUrl() + '/api/data/settings/get?name=' + encodeURIComponent(key))
           .then((response) => response.json());
       }
     },
@@ -21,7 +36,11 @@
         // Backward compatibility
         return await SDCardManager.setValue(key, value, file);
       } else {
-        return await fetch('http://localhost:8081/api/data/settings/set?name=' + key + '&value=' + value)
+        return await fetch(getBridgeUrl() + '/api/data/settings/set', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: key, value })
+        })
           .then((response) => response.json());
       }
     },
@@ -31,7 +50,7 @@
         // Backward compatibility
         return await SDCardManager.addObserver(key, callback);
       } else {
-        return await fetch('http://localhost:8081/api/data/settings/observe?name=' + key)
+        return await fetch(getBridgeUrl() + '/api/data/settings/observe?name=' + encodeURIComponent(key))
           .then((response) => response.json());
       }
     }
@@ -5,24 +5,29 @@
     exports.OrchidJS = {};
   }
 
+  /**
+   * Returns the URL of the data bridge, which the webapp runtime serves on
+   * the port webapps are served on. Pages not served by the runtime fall
+   * back to the port in `Environment`, then to the default one.
+   */
+  function getBridgeUrl() {
+    let port = 8081;
+    if (location.hostname.endsWith('.localhost') && location.port) {
+      port = parseInt(location.port);
+    } else if ('Environment' in window && Environment.webappsPort) {
+      port = Environment.webappsPort;
+    }
+    return 'http://localhost:' + port;
+  }
+
   const SettingsAPI = {
     getValue: async function (key, file) {
       if ('Settings' in window) {
         // Backward compatibility
         return await Settings.getValue(key, file);
       } else {
-        return await fetch('http://localhost:8081/api/data/settings/get?name=' + key)
-          .then((response) => response.text())
-          .then((data) => data.trim())
-          .then((data) => {
-            if (/null|undefined|true|false/i.test(data)) {
-              return JSON.parse(data === 'undefined' ? 'null' : data);
-            } else if (data.startsWith('{') && data.endsWith('}')) {
-              return JSON.parse(data);
-            } else {
-              return data;
-            }
-          })
+        return await fetch(getBridgeUrl() + '/api/data/settings/get?name=' + encodeURIComponent(key))
+          .then((response) => response.json())
           .catch((error) => localStorage.getItem(key));
       }
     },
@@ -32,9 +37,16 @@
         // Backward compatibility
         return await Settings.setValue(key, value, file);
       } else {
-        return await fetch('http://localhost:8081/api/data/settings/set?name=' + key + '&value=' + value)
-          .then((response) => response.text())
+        const result = await fetch(getBridgeUrl() + '/api/data/settings/set', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: key, value })
+        })
+          .then((response) => response.json())
           .catch((error) => localStorage.setItem(key, value));
+        if (result && result.error) {
+          throw new Error(result.error.message);
+        }
       }
     },
 
@@ -43,8 +55,10 @@
         // Backward compatibility
         return await Settings.addObserver(key, callback);
       } else {
-        return await fetch('http://localhost:8081/api/data/settings/observe?name=' + key)
-          .then((response) => response.text());
+        // The value is pushed as a server-sent event on every change
+        const source = new EventSource(getBridgeUrl() + '/api/data/settings/observe?name=' + encodeURIComponent(key));
+        source.onmessage = (event) => callback(JSON.parse(event.data));
+        return () => source.close();
       }
     }
   };
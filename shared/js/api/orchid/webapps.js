@@ -5,6 +5,32 @@
     exports.OrchidJS = {};
   }
 
+  /**
+   * Returns the URL of the data bridge, which the webapp runtime serves on
+   * the port webapps are served on. Pages not served by the runtime fall
+   * back to the port in `Environment`, then to the default one.
+   */
+  function getBridgeUrl() {
+    let port = 8081;
+    if (location.hostname.endsWith('.localhost') && location.port) {
+      port = parseInt(location.port);
+    } else if ('Environment' in window && Environment.webappsPort) {
+      port = Environment.webappsPort;
+    }
+    return 'http://localhost:' + port;
+  }
+
+  /**
+   * Calls a bridge route changing something, which only takes POSTs.
+   */
+  function post(route, body) {
+    return fetch(getBridgeUrl() + '/api/data/' + route, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }).then((response) => response.json());
+  }
+
   const AppsManagerAPI = {
     getAllApps: function () {
       return new Promise(async (resolve, reject) => {
@@ -12,9 +38,7 @@
           // Backward compatibility
           resolve(await AppsManager.getAll());
         } else {
-          const appsList = await fetch('http://localhost:8081/api/data/webapps/getall').then((response) =>
-            response.json()
-          );
+          const appsList = await fetch(getBridgeUrl() + '/api/data/webapps/getall').then((response) => response.json());
 
           let currentLanguage;
           if ('OrchidJS' in window && 'Settings' in OrchidJS) {
@@ -65,25 +89,106 @@
       });
     },
 
+    /**
+     * Installs a signed webapp package.
+     *
+     * @param {String} path
+     *        The storage path of the package.
+     *
+     * @returns {Promise<String>}
+     *          The ID of the installed webapp. Rejects with the reason the
+     *          package was refused, e.g. `BAD_SIGNATURE: ...`.
+     */
     installPackage: async function name(path) {
       if ('AppsManager' in window) {
         // Backward compatibility
-        return await AppsManager.installPackage();
+        return await AppsManager.installPackage(path);
+      } else {
+        const result = await post('webapps/install', { path });
+        if (result.error) {
+          throw new Error(result.error.message);
+        }
+        return result.appId;
+      }
+    },
+
+    /**
+     * Installs a progressive web app from its web app manifest.
+     *
+     * @param {String} manifestUrl
+     *        The URL of the web app manifest.
+     *
+     * @returns {Promise<String>}
+     *          The ID of the installed webapp. Rejects with the reason the
+     *          manifest was refused, e.g. `FETCH_FAILED: ...`.
+     */
+    installPWA: async function (manifestUrl) {
+      if ('AppsManager' in window) {
+        // Backward compatibility
+        return await AppsManager.installPWA(manifestUrl);
+      } else {
+        const result = await post('webapps/install-pwa', { url: manifestUrl });
+        if (result.error) {
+          throw new Error(result.error.message);
+        }
+        return result.appId;
+      }
+    },
+
+    /**
+     * Updates an installed webapp from a signed package, keeping its data.
+     *
+     * @param {String} appId
+     *        The ID of the installed webapp.
+     * @param {String} path
+     *        The storage path of the package.
+     *
+     * @returns {Promise<String>}
+     *          The version the webapp was updated to.
+     */
+    update: async function (appId, path) {
+      if ('AppsManager' in window) {
+        return await AppsManager.update(appId, path);
       } else {
-        return await fetch('http://localhost:8081/api/data/webapps/install?path=' + path).then((response) =>
-          response.json()
-        );
+        const result = await post('webapps/update', { id: appId, path });
+        if (result.error) {
+          throw new Error(result.error.message);
+        }
+        return result.version;
+      }
+    },
+
+    /**
+     * Reverts a webapp to the version it had before its last update.
+     *
+     * @param {String} appId
+     *        The ID of the installed webapp.
+     *
+     * @returns {Promise<String>}
+     *          The version the webapp was reverted to.
+     */
+    rollback: async function (appId) {
+      if ('AppsManager' in window) {
+        return await AppsManager.rollback(appId);
+      } else {
+        const result = await post('webapps/rollback', { id: appId });
+        if (result.error) {
+          throw new Error(result.error.message);
+        }
+        return result.version;
       }
     },
 
     uninstall: async function name(appId) {
       if ('AppsManager' in window) {
         // Backward compatibility
-        return await AppsManager.uninstall();
+        return await AppsManager.uninstall(appId);
       } else {
-        return await fetch('http://localhost:8081/api/data/webapps/uninstall?id=' + appId).then((response) =>
-          response.json()
-        );
+        const result = await post('webapps/uninstall', { id: appId });
+        if (result.error) {
+          throw new Error(result.error.message);
+        }
+        return result;
       }
     }
   };
@@ -132,6 +132,8 @@
     sharedUrl: '',
     defaultThemeUrl: '',
 
+    DEFAULT_RUNTIME_PORT: 8081,
+
     settings: [
       'accessibility.text.bold',
       'accessibility.text.contrast',
@@ -750,6 +752,8 @@
       this.enableAPI('orchid/webapps', null);
       this.enableAPI('orchid/settings', this.handleSettings.bind(this));
       this.enableAPI('orchid/sdcard', null);
+      this.enableAPI('orchid/events', null);
+      this.enableAPI('orchid/activities', null);
       // this.enableAPI('proxima/ysocial_connect');
     },
 
@@ -762,7 +766,7 @@
      * default theme.
      */
     initializeTheme: async function () {
-      const isLocal = location.origin.includes('localhost:8081');
+      const isLocal = this.isLocalOrigin();
 
       if ('OrchidJS' in window && 'L10n' in OrchidJS) {
         // Try to load the theme from the settings.
@@ -823,7 +827,7 @@
      *        The callback function to be executed once the feature is loaded.
      */
     enableFeature: function (feature, callback) {
-      const isLocal = location.origin.includes('localhost:8081');
+      const isLocal = this.isLocalOrigin();
 
       if (isLocal) {
         LazyLoader.load(`${this.sharedUrl}/js/${feature}.js`, callback);
@@ -844,7 +848,7 @@
      *        The callback function to be executed once the element is loaded.
      */
     registerElement: function (tag, callback) {
-      const isLocal = location.origin.includes('localhost:8081');
+      const isLocal = this.isLocalOrigin();
 
       if (isLocal) {
         LazyLoader.load(`${this.sharedUrl}/elements/${tag}/index.js`, callback);
@@ -867,7 +871,7 @@
      *        The name of the API to enable.
      */
     enableAPI: function (name, callback) {
-      const isLocal = location.origin.includes('localhost:8081');
+      const isLocal = this.isLocalOrigin();
 
       if (isLocal) {
         LazyLoader.load(`${this.sharedUrl}/js/api/${name}.js`, callback);
@@ -946,7 +950,37 @@
      *          The origin URL of the app.
      */
     getOriginUrl: function (appId) {
-      return `http://${appId}.localhost:8081`;
+      return `http://${appId}.localhost:${this.getRuntimePort()}`;
+    },
+
+    /**
+     * Get the port of the webapp runtime server.
+     *
+     * Webapps served by the runtime already know it from their own origin.
+     * Others fall back to the environment, then to the default port.
+     *
+     * @returns {Number}
+     *          The port of the webapp runtime server.
+     */
+    getRuntimePort: function () {
+      if (location.hostname.endsWith('.localhost') && location.port) {
+        return parseInt(location.port);
+      }
+      if ('Environment' in window && Environment.webappsPort) {
+        return Environment.webappsPort;
+      }
+      return this.DEFAULT_RUNTIME_PORT;
+    },
+
+    /**
+     * Check whether the current page is served by the webapp runtime
+     * server.
+     *
+     * @returns {Boolean}
+     */
+    isLocalOrigin: function () {
+      const isLocalhost = location.hostname === 'localhost' || location.hostname.endsWith('.localhost');
+      return isLocalhost && parseInt(location.port) === this.getRuntimePort();
     },
 
     /**
@@ -982,42 +1016,22 @@
     /**
      * Request a file from the user.
      *
-     * This function sends a message to the Orchid file picker service to
-     * request a file. The file picker is launched with the given MIME type
-     * filter. The selected file is returned in a message from the file
-     * picker service.
+     * This function starts a `pick` activity, which the system hands to a
+     * webapp able to pick files of the given MIME type, e.g. Files or
+     * Gallery. The user chooses between them if there are several.
      *
      * @param {String} mimeType
-     *        The MIME type filter for the file picker.
+     *        The MIME type filter for the file picker, e.g. `image/*`.
+     *
+     * @returns {Promise<Object>}
+     *          The picked file, with its `path` and `type`.
      */
     requestFile: function (mimeType) {
-      if (!('IPC' in window)) {
-        throw new Error('IPC permission is not enabled.');
+      if (!('Activities' in OrchidJS)) {
+        return Promise.reject(new Error('The activities API is not loaded yet.'));
       }
 
-      IPC.send('launch', {
-        /**
-         * The URL of the manifest file for the file picker activity.
-         * @type {String}
-         */
-        manifestUrl: `${this.getOriginUrl('files')}/manifest.json`,
-        /**
-         * The activity to launch.
-         * @type {String}
-         */
-        activity: 'request-file',
-        /**
-         * The MIME type filter for the file picker.
-         * @type {Object}
-         */
-        filters: {
-          /**
-           * The MIME type filter.
-           * @type {String}
-           */
-          mime: mimeType
-        }
-      });
+      return OrchidJS.Activities.start('pick', { type: mimeType });
     },
 
     convertBytes: function (byteSize, targetUnit = 'auto') {
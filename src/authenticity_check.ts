@@ -3,6 +3,7 @@ import path from 'path';
 import mime from 'mime';
 import { ipcMain } from 'electron';
 import Main from './main';
+import ManifestValidator from './webapps/manifest_validator';
 
 import dotenv from 'dotenv';
 dotenv.config();
@@ -14,14 +15,7 @@ const SecurityChecker = {
   checkManifestFile: function (filePath: PathLike): boolean {
     try {
       const manifestData = JSON.parse(fs.readFileSync(filePath).toString());
-
-      if (
-        !manifestData.name ||
-        manifestData.name.trim() === '' ||
-        (manifestData.developer &&
-          (manifestData.developer.name.trim() === '' ||
-            manifestData.developer.url.trim() === ''))
-      ) {
+      if (ManifestValidator.validate(manifestData).length > 0) {
         return true;
       }
 
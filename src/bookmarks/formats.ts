@@ -0,0 +1,253 @@
+/**
+ * A bookmark or folder as read from, or written to, an exported file.
+ * Folders have `children`, bookmarks a `url`.
+ */
+export type BookmarkItem = {
+  name: string;
+  url?: string;
+  tags?: string[];
+  favicon?: string | null;
+  timeCreated?: number;
+  children?: BookmarkItem[];
+};
+
+export type BookmarkFormat = 'html' | 'json';
+
+/**
+ * Reads and writes bookmark files: the Netscape HTML format every browser
+ * imports and exports, and JSON, either ours or the `Bookmarks` file of
+ * Chromium based browsers.
+ */
+const BookmarkFormats = {
+  JSON_FORMAT: 'orchid-bookmarks',
+  JSON_VERSION: 1,
+
+  /**
+   * @throws {Error} `INVALID_FORMAT` if the content isn't a bookmark file.
+   */
+  parse: function (content: string, format: BookmarkFormat): BookmarkItem[] {
+    return format === 'html' ? this.parseHtml(content) : this.parseJson(content);
+  },
+
+  /**
+   * Guesses the format of a file from its name, then its content.
+   */
+  detect: function (filename: string, content: string): BookmarkFormat {
+    if (/\.html?$/i.test(filename)) {
+      return 'html';
+    }
+    if (/\.json$/i.test(filename)) {
+      return 'json';
+    }
+    return /^\s*[[{]/.test(content) ? 'json' : 'html';
+  },
+
+  /**
+   * Parses the Netscape bookmark format. It is HTML which never closes its
+   * `<DT>` and `<p>` tags, so only `<DL>`, `<H3>` and `<A>` matter: a
+   * `<DL>` following an `<H3>` holds the content of that folder.
+   */
+  parseHtml: function (html: string): BookmarkItem[] {
+    if (!/<!DOCTYPE\s+NETSCAPE-Bookmark-file/i.test(html) && !/<DL/i.test(html)) {
+      throw new Error('INVALID_FORMAT: Not a bookmarks HTML file');
+    }
+
+    const root: BookmarkItem[] = [];
+    const folders: BookmarkItem[][] = [root];
+    // Whether each open <DL> opened a folder, so </DL> knows what to close
+    const lists: boolean[] = [];
+    let pendingFolder: BookmarkItem | null = null;
+
+    const tagPattern = /<(\/?)(dl|h3|a)\b([^>]*)>/gi;
+    // The text of a <H3> or <A> runs until the next tag of the format,
+    // which closes it unless the file forgot to
+    const textEndPattern = /<(\/?)(dl|dt|h3|a)\b[^>]*>/gi;
+    let match;
+    while ((match = tagPattern.exec(html))) {
+      const [, closing, tagName, attributeText] = match;
+      const tag = tagName.toLowerCase();
+      const current = folders[folders.length - 1];
+
+      if (tag === 'dl' && !closing) {
+        lists.push(!!pendingFolder);
+        if (pendingFolder) {
+          folders.push(pendingFolder.children as BookmarkItem[]);
+          pendingFolder = null;
+        }
+      } else if (tag === 'dl') {
+        if (lists.pop() && folders.length > 1) {
+          folders.pop();
+        }
+      } else if (!closing && (tag === 'h3' || tag === 'a')) {
+        textEndPattern.lastIndex = tagPattern.lastIndex;
+        const textEnd = textEndPattern.exec(html);
+        const text = this.decodeEntities(
+          html.substring(tagPattern.lastIndex, textEnd ? textEnd.index : undefined).replace(/<[^>]*>/g, '')
+        ).trim();
+        if (textEnd && textEnd[1] && textEnd[2].toLowerCase() === tag) {
+          tagPattern.lastIndex = textEndPattern.lastIndex;
+        }
+
+        const attributes = this.parseAttributes(attributeText);
+        const addDate = parseInt(attributes.add_date, 10);
+        const item: BookmarkItem = { name: text };
+        if (addDate > 0) {
+          item.timeCreated = addDate * 1000;
+        }
+
+        if (tag === 'h3') {
+          item.children = [];
+          pendingFolder = item;
+        } else {
+          if (!attributes.href) {
+            continue;
+          }
+          item.url = attributes.href;
+          item.name = text || attributes.href;
+          item.tags = attributes.tags ? this.splitTags(attributes.tags) : [];
+          item.favicon = attributes.icon && attributes.icon.startsWith('data:image/') ? attributes.icon : null;
+        }
+        current.push(item);
+      }
+    }
+    return root;
+  },
+
+  /**
+   * Parses our own JSON export, or the `Bookmarks` file of Chromium based
+   * browsers.
+   */
+  parseJson: function (json: string): BookmarkItem[] {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('INVALID_FORMAT: Not a bookmarks JSON file');
+    }
+
+    if (data && data.format === this.JSON_FORMAT && Array.isArray(data.bookmarks)) {
+      return this.normalizeItems(data.bookmarks);
+    }
+    if (data && data.roots && typeof data.roots === 'object') {
+      return Object.values(data.roots)
+        .filter((folder: any) => folder && Array.isArray(folder.children))
+        .map((folder: any) => this.fromChromium(folder));
+    }
+    if (Array.isArray(data)) {
+      return this.normalizeItems(data);
+    }
+    throw new Error('INVALID_FORMAT: Not a bookmarks JSON file');
+  },
+
+  fromChromium: function (node: any): BookmarkItem {
+    // Chromium counts in microseconds since 1601
+    const timeCreated = node.date_added ? Math.round(Number(node.date_added) / 1000 - 11644473600000) : undefined;
+    if (node.type === 'folder' || Array.isArray(node.children)) {
+      return {
+        name: String(node.name || ''),
+        timeCreated,
+        children: (node.children || []).map((child: any) => this.fromChromium(child))
+      };
+    }
+    return { name: String(node.name || node.url || ''), url: String(node.url || ''), timeCreated };
+  },
+
+  normalizeItems: function (items: any[]): BookmarkItem[] {
+    return items
+      .filter((item) => item && typeof item === 'object')
+      .map((item) => {
+        const normalized: BookmarkItem = {
+          name: String(item.name || item.title || item.url || ''),
+          timeCreated: typeof item.timeCreated === 'number' ? item.timeCreated : undefined
+        };
+        if (Array.isArray(item.children)) {
+          normalized.children = this.normalizeItems(item.children);
+        } else {
+          normalized.url = String(item.url || '');
+          normalized.tags = Array.isArray(item.tags) ? item.tags.map(String) : [];
+          normalized.favicon = typeof item.favicon === 'string' ? item.favicon : null;
+        }
+        return normalized;
+      });
+  },
+
+  /**
+   * Writes the Netscape bookmark format, as other browsers expect it.
+   */
+  toHtml: function (items: BookmarkItem[]): string {
+    const lines = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file. -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Bookmarks</H1>',
+      '<DL><p>'
+    ];
+
+    const writeItems = (children: BookmarkItem[], depth: number) => {
+      const indent = '    '.repeat(depth);
+      children.forEach((item) => {
+        const addDate = item.timeCreated ? ` ADD_DATE="${Math.floor(item.timeCreated / 1000)}"` : '';
+        if (item.children) {
+          lines.push(`${indent}<DT><H3${addDate}>${this.encodeEntities(item.name)}</H3>`);
+          lines.push(`${indent}<DL><p>`);
+          writeItems(item.children, depth + 1);
+          lines.push(`${indent}</DL><p>`);
+          return;
+        }
+
+        let attributes = `HREF="${this.encodeEntities(item.url || '')}"${addDate}`;
+        if (item.favicon) {
+          attributes += ` ICON="${this.encodeEntities(item.favicon)}"`;
+        }
+        if (item.tags && item.tags.length > 0) {
+          attributes += ` TAGS="${this.encodeEntities(item.tags.join(','))}"`;
+        }
+        lines.push(`${indent}<DT><A ${attributes}>${this.encodeEntities(item.name)}</A>`);
+      });
+    };
+    writeItems(items, 1);
+
+    lines.push('</DL><p>');
+    return lines.join('\n') + '\n';
+  },
+
+  toJson: function (items: BookmarkItem[]): string {
+    return JSON.stringify({ format: this.JSON_FORMAT, version: this.JSON_VERSION, bookmarks: items }, null, 2);
+  },
+
+  parseAttributes: function (text: string): Record<string, string> {
+    const attributes: Record<string, string> = {};
+    const attributePattern = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    let match;
+    while ((match = attributePattern.exec(text))) {
+      attributes[match[1].toLowerCase()] = this.decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attributes;
+  },
+
+  splitTags: function (tags: string): string[] {
+    return tags
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  },
+
+  decodeEntities: function (text: string): string {
+    const named: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code: string) => {
+      if (code[0] === '#') {
+        const codePoint =
+          code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+      }
+      return named[code.toLowerCase()] ?? entity;
+    });
+  },
+
+  encodeEntities: function (text: string): string {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+};
+
+export default BookmarkFormats;
@@ -0,0 +1,91 @@
+import IpcClient from '../ipc/renderer';
+import type { BookmarkChanges, BookmarkInput } from './store';
+import type { BookmarkFormat } from './formats';
+
+/**
+ * Lets the browser chrome, the browser app and `orchid://bookmarks/` read
+ * and organize the bookmarks. Changes are announced with the
+ * `bookmarkschange` window event.
+ */
+const BookmarksManager = {
+  /**
+   * Resolves with the content of a folder, the top level by default, with
+   * the content of its subfolders in `children`.
+   */
+  getTree: function (parentId?: string | null) {
+    return IpcClient.invoke('bookmarksquery', parentId);
+  },
+
+  /**
+   * Resolves with the bookmarks whose name, URL or tags contain every word
+   * of `text`.
+   */
+  search: function (text: string, limit?: number) {
+    return IpcClient.invoke('bookmarkssearch', text, limit);
+  },
+
+  /**
+   * Resolves with the bookmarks of a page, none if it isn't bookmarked.
+   */
+  findByUrl: function (url: string) {
+    return IpcClient.invoke('bookmarksfind', url);
+  },
+
+  /**
+   * Bookmarks a page or creates a folder. A remote `favicon` is fetched
+   * and kept with the bookmark.
+   *
+   * @throws {Error} `ALREADY_EXISTS` if the page is bookmarked already,
+   *         unless `allowDuplicate` is set.
+   */
+  add: function (input: BookmarkInput, allowDuplicate?: boolean) {
+    return IpcClient.invoke('bookmarksadd', input, allowDuplicate);
+  },
+
+  update: function (id: string, changes: BookmarkChanges) {
+    return IpcClient.invoke('bookmarksupdate', id, changes);
+  },
+
+  /**
+   * Moves a bookmark or folder into a folder, `null` for the top level, at
+   * `index` among its new siblings.
+   */
+  move: function (id: string, parentId: string | null, index?: number) {
+    return IpcClient.invoke('bookmarksmove', id, parentId, index);
+  },
+
+  /**
+   * Removes a bookmark, or a folder with everything in it.
+   */
+  remove: function (id: string) {
+    return IpcClient.invoke('bookmarksremove', id);
+  },
+
+  /**
+   * Resolves with the bookmarks pointing to the same page, grouped by page.
+   */
+  getDuplicates: function () {
+    return IpcClient.invoke('bookmarksduplicates');
+  },
+
+  /**
+   * Imports a Netscape HTML or JSON bookmarks file from the storage, as
+   * picked in the Files app.
+   *
+   * @returns The number of added and skipped bookmarks.
+   */
+  importFile: function (path: string, parentId?: string | null) {
+    return IpcClient.invoke('bookmarksimport', path, parentId);
+  },
+
+  /**
+   * Writes every bookmark to a file in Downloads.
+   *
+   * @returns The virtual path of the file.
+   */
+  exportFile: function (format: BookmarkFormat) {
+    return IpcClient.invoke('bookmarksexport', format);
+  }
+};
+
+export default BookmarksManager;
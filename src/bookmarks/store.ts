@@ -0,0 +1,524 @@
+import { v4 } from 'uuid';
+import SettingsStore from '../settings/store';
+import type { BookmarkItem } from './formats';
+
+export type BookmarkType = 'bookmark' | 'folder';
+
+export type BookmarkNode = {
+  id: string;
+  type: BookmarkType;
+  /**
+   * The folder holding the node, `null` at the top level.
+   */
+  parentId: string | null;
+  name: string;
+  /**
+   * `null` for folders.
+   */
+  url: string | null;
+  tags: string[];
+  /**
+   * A data URL cached when the bookmark was added, so bookmarks never ask
+   * a third party for their icons.
+   */
+  favicon: string | null;
+  timeCreated: number;
+  timeModified: number;
+};
+
+export type BookmarkTreeNode = BookmarkNode & { children?: BookmarkTreeNode[] };
+
+export type BookmarkInput = {
+  type?: BookmarkType;
+  parentId?: string | null;
+  name?: string;
+  url?: string | null;
+  tags?: string[];
+  favicon?: string | null;
+  /**
+   * Where to insert the node among its siblings, at the end by default.
+   */
+  index?: number;
+  timeCreated?: number;
+};
+
+export type BookmarkChanges = {
+  name?: string;
+  url?: string;
+  tags?: string[];
+  favicon?: string | null;
+};
+
+export type BookmarkImportResult = {
+  added: number;
+  skipped: number;
+};
+
+export type BookmarkChange = {
+  type: 'added' | 'updated' | 'moved' | 'removed' | 'imported';
+  ids: string[];
+};
+
+export type BookmarkCallback = (change: BookmarkChange) => void;
+
+/**
+ * Keeps the bookmarks of the profile as a flat list of nodes in
+ * `bookmarks.json`, through `SettingsStore` so the file keeps its name and
+ * key. Folders nest through `parentId`, and the order of the list is the
+ * order of the nodes within each folder.
+ *
+ * Older profiles stored bookmarks as `{ name, url }` objects, which are
+ * given an id and the missing fields the first time they are read.
+ */
+const BookmarkStore = {
+  FILE: 'bookmarks.json',
+  KEY: 'bookmarks',
+
+  MAX_NAME_LENGTH: 500,
+  MAX_TAGS: 20,
+  MAX_TAG_LENGTH: 50,
+  MAX_FAVICON_LENGTH: 16384,
+
+  nodes: null as BookmarkNode[] | null,
+  /**
+   * The value last written to `SettingsStore`, to tell our own writes from
+   * others.
+   */
+  savedValue: null as BookmarkNode[] | null,
+  isSubscribed: false,
+  subscribers: new Set<BookmarkCallback>(),
+
+  getAll: function (): BookmarkNode[] {
+    return this.load().slice();
+  },
+
+  get: function (id: string): BookmarkNode | null {
+    return this.load().find((node) => node.id === id) || null;
+  },
+
+  /**
+   * Returns the nodes of a folder in order, with their descendants.
+   */
+  getTree: function (parentId: string | null = null): BookmarkTreeNode[] {
+    return this.getChildren(parentId).map((node) => {
+      if (node.type === 'folder') {
+        return { ...node, children: this.getTree(node.id) };
+      }
+      return { ...node };
+    });
+  },
+
+  getChildren: function (parentId: string | null): BookmarkNode[] {
+    return this.load().filter((node) => node.parentId === parentId);
+  },
+
+  /**
+   * Returns the bookmarks whose name, URL or tags contain every word of
+   * `text`, ignoring case.
+   */
+  search: function (text: string, limit: number = Infinity): BookmarkNode[] {
+    const words = String(text || '')
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean);
+    return this.load()
+      .filter((node) => {
+        if (node.type !== 'bookmark') {
+          return false;
+        }
+        const haystack = [node.name, node.url, ...node.tags].join(' ').toLowerCase();
+        return words.every((word) => haystack.includes(word));
+      })
+      .slice(0, limit);
+  },
+
+  findByUrl: function (url: string): BookmarkNode[] {
+    const key = this.normalizeUrl(url);
+    return this.load().filter((node) => node.type === 'bookmark' && this.normalizeUrl(node.url || '') === key);
+  },
+
+  /**
+   * Returns the bookmarks pointing to the same page, grouped by page.
+   */
+  getDuplicates: function (): BookmarkNode[][] {
+    const groups = new Map<string, BookmarkNode[]>();
+    this.load().forEach((node) => {
+      if (node.type !== 'bookmark') {
+        return;
+      }
+      const key = this.normalizeUrl(node.url || '');
+      groups.set(key, (groups.get(key) || []).concat(node));
+    });
+    return Array.from(groups.values()).filter((group) => group.length > 1);
+  },
+
+  /**
+   * @throws {Error} `ALREADY_EXISTS` if the page is bookmarked already,
+   *         unless `allowDuplicate` is set.
+   */
+  add: function (input: BookmarkInput, allowDuplicate: boolean = false): BookmarkNode {
+    const node = this.createNode(input);
+    if (node.type === 'bookmark' && !allowDuplicate && this.findByUrl(node.url as string).length > 0) {
+      throw new Error(`ALREADY_EXISTS: ${node.url} is already bookmarked`);
+    }
+
+    this.insert(node, input.index);
+    this.save();
+    this.notify({ type: 'added', ids: [node.id] });
+    return node;
+  },
+
+  /**
+   * @throws {Error} `NOT_FOUND` for unknown ids.
+   */
+  update: function (id: string, changes: BookmarkChanges): BookmarkNode {
+    const node = this.getOrThrow(id);
+    if (changes.name !== undefined) {
+      node.name = this.sanitizeName(changes.name) || node.name;
+    }
+    if (changes.url !== undefined && node.type === 'bookmark') {
+      node.url = this.sanitizeUrl(changes.url);
+    }
+    if (changes.tags !== undefined) {
+      node.tags = this.sanitizeTags(changes.tags);
+    }
+    if (changes.favicon !== undefined && node.type === 'bookmark') {
+      node.favicon = this.sanitizeFavicon(changes.favicon);
+    }
+    node.timeModified = Date.now();
+
+    this.save();
+    this.notify({ type: 'updated', ids: [id] });
+    return node;
+  },
+
+  /**
+   * Moves a node into a folder, at `index` among its new siblings or at
+   * the end.
+   *
+   * @throws {Error} `INVALID_ARGUMENT` when moving a folder into itself.
+   */
+  move: function (id: string, parentId: string | null, index?: number) {
+    const node = this.getOrThrow(id);
+    this.assertFolder(parentId);
+    for (let ancestorId = parentId; ancestorId; ancestorId = this.getOrThrow(ancestorId).parentId) {
+      if (ancestorId === id) {
+        throw new Error('INVALID_ARGUMENT: A folder cannot be moved into itself');
+      }
+    }
+
+    const nodes = this.load();
+    nodes.splice(nodes.indexOf(node), 1);
+    node.parentId = parentId;
+    node.timeModified = Date.now();
+    this.insert(node, index);
+
+    this.save();
+    this.notify({ type: 'moved', ids: [id] });
+  },
+
+  /**
+   * Removes a node, and everything in it if it is a folder.
+   *
+   * @returns The ids of the removed nodes.
+   */
+  remove: function (id: string): string[] {
+    this.getOrThrow(id);
+    const ids = new Set([id]);
+    // Once moved, descendants can come before their folder in the list, so
+    // look until nothing new is found
+    let size = 0;
+    while (size !== ids.size) {
+      size = ids.size;
+      this.load().forEach((node) => {
+        if (node.parentId && ids.has(node.parentId)) {
+          ids.add(node.id);
+        }
+      });
+    }
+
+    this.nodes = this.load().filter((node) => !ids.has(node.id));
+    this.save();
+    this.notify({ type: 'removed', ids: Array.from(ids) });
+    return Array.from(ids);
+  },
+
+  /**
+   * Adds bookmarks read from a file into a folder. Folders merge into
+   * existing ones of the same name, and pages already bookmarked are
+   * skipped, so importing the same file twice adds nothing.
+   */
+  import: function (items: BookmarkItem[], parentId: string | null = null): BookmarkImportResult {
+    this.assertFolder(parentId);
+    const result: BookmarkImportResult = { added: 0, skipped: 0 };
+    const ids: string[] = [];
+    const knownUrls = new Set(
+      this.load()
+        .filter((node) => node.type === 'bookmark')
+        .map((node) => this.normalizeUrl(node.url || ''))
+    );
+
+    const importItems = (children: BookmarkItem[], folderId: string | null) => {
+      children.forEach((item) => {
+        if (item.children) {
+          let folder = this.getChildren(folderId).find((node) => node.type === 'folder' && node.name === item.name);
+          if (!folder) {
+            folder = this.createNode({
+              type: 'folder',
+              parentId: folderId,
+              name: item.name,
+              timeCreated: item.timeCreated
+            });
+            this.insert(folder);
+            ids.push(folder.id);
+          }
+          importItems(item.children, folder.id);
+          return;
+        }
+
+        let node;
+        try {
+          node = this.createNode({ ...item, type: 'bookmark', parentId: folderId });
+        } catch (error) {
+          // Bookmarklets and the like aren't worth failing the import for
+          result.skipped++;
+          return;
+        }
+        const key = this.normalizeUrl(node.url as string);
+        if (knownUrls.has(key)) {
+          result.skipped++;
+          return;
+        }
+        knownUrls.add(key);
+        this.insert(node);
+        ids.push(node.id);
+        result.added++;
+      });
+    };
+    importItems(items, parentId);
+
+    if (ids.length > 0) {
+      this.save();
+      this.notify({ type: 'imported', ids });
+    }
+    return result;
+  },
+
+  /**
+   * Returns a folder and its content in the shape of exported files.
+   */
+  toItems: function (parentId: string | null = null): BookmarkItem[] {
+    return this.getChildren(parentId).map((node) => {
+      if (node.type === 'folder') {
+        return { name: node.name, timeCreated: node.timeCreated, children: this.toItems(node.id) };
+      }
+      return {
+        name: node.name,
+        url: node.url as string,
+        tags: node.tags,
+        favicon: node.favicon,
+        timeCreated: node.timeCreated
+      };
+    });
+  },
+
+  /**
+   * Calls `callback` whenever bookmarks change.
+   *
+   * @returns A function removing the subscription.
+   */
+  subscribe: function (callback: BookmarkCallback): () => void {
+    this.subscribers.add(callback);
+    return () => {
+      this.subscribers.delete(callback);
+    };
+  },
+
+  notify: function (change: BookmarkChange) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(change);
+      } catch (error) {
+        console.error('Error in bookmarks subscriber:', error);
+      }
+    });
+  },
+
+  createNode: function (input: BookmarkInput): BookmarkNode {
+    const type = input.type === 'folder' ? 'folder' : 'bookmark';
+    const parentId = input.parentId || null;
+    this.assertFolder(parentId);
+
+    const url = type === 'bookmark' ? this.sanitizeUrl(input.url || '') : null;
+    const name = this.sanitizeName(input.name || '') || url;
+    if (!name) {
+      throw new Error('INVALID_ARGUMENT: Folders need a name');
+    }
+
+    const now = Date.now();
+    return {
+      id: v4(),
+      type,
+      parentId,
+      name,
+      url,
+      tags: this.sanitizeTags(input.tags || []),
+      favicon: type === 'bookmark' ? this.sanitizeFavicon(input.favicon) : null,
+      timeCreated: typeof input.timeCreated === 'number' && input.timeCreated > 0 ? input.timeCreated : now,
+      timeModified: now
+    };
+  },
+
+  /**
+   * Inserts a node before its `index`th sibling, or after the last one.
+   */
+  insert: function (node: BookmarkNode, index?: number) {
+    const nodes = this.load();
+    const siblings = nodes.filter((sibling) => sibling.parentId === node.parentId);
+    if (typeof index === 'number' && index >= 0 && index < siblings.length) {
+      nodes.splice(nodes.indexOf(siblings[index]), 0, node);
+    } else if (siblings.length > 0) {
+      nodes.splice(nodes.indexOf(siblings[siblings.length - 1]) + 1, 0, node);
+    } else {
+      nodes.push(node);
+    }
+  },
+
+  getOrThrow: function (id: string): BookmarkNode {
+    const node = this.get(id);
+    if (!node) {
+      throw new Error(`NOT_FOUND: No bookmark ${id}`);
+    }
+    return node;
+  },
+
+  assertFolder: function (id: string | null) {
+    if (id !== null && this.getOrThrow(id).type !== 'folder') {
+      throw new Error(`INVALID_ARGUMENT: ${id} is not a folder`);
+    }
+  },
+
+  /**
+   * @throws {Error} `INVALID_ARGUMENT` for URLs which can't be opened.
+   */
+  sanitizeUrl: function (url: string): string {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(String(url).trim());
+    } catch (error) {
+      throw new Error(`INVALID_ARGUMENT: Invalid URL ${url}`);
+    }
+    if (!['http:', 'https:', 'ftp:', 'file:', 'orchid:'].includes(parsedUrl.protocol)) {
+      throw new Error(`INVALID_ARGUMENT: Unsupported URL ${url}`);
+    }
+    return parsedUrl.href;
+  },
+
+  sanitizeName: function (name: string): string {
+    return String(name).trim().substring(0, this.MAX_NAME_LENGTH);
+  },
+
+  sanitizeTags: function (tags: string[]): string[] {
+    if (!Array.isArray(tags)) {
+      return [];
+    }
+    const sanitized = tags.map((tag) => String(tag).trim().substring(0, this.MAX_TAG_LENGTH)).filter(Boolean);
+    return Array.from(new Set(sanitized)).slice(0, this.MAX_TAGS);
+  },
+
+  /**
+   * Only small image data URLs are kept, remote icons are fetched by
+   * `BookmarkService` before getting here.
+   */
+  sanitizeFavicon: function (favicon: string | null | undefined): string | null {
+    if (typeof favicon !== 'string' || !favicon.startsWith('data:image/')) {
+      return null;
+    }
+    return favicon.length <= this.MAX_FAVICON_LENGTH ? favicon : null;
+  },
+
+  /**
+   * Returns the key telling whether two URLs are the same page, ignoring
+   * the fragment, a trailing slash and the case of the host.
+   */
+  normalizeUrl: function (url: string): string {
+    try {
+      const parsedUrl = new URL(url);
+      return `${parsedUrl.protocol}//${parsedUrl.host}${parsedUrl.pathname.replace(/\/$/, '')}${parsedUrl.search}`;
+    } catch (error) {
+      return url;
+    }
+  },
+
+  load: function (): BookmarkNode[] {
+    if (this.nodes) {
+      return this.nodes;
+    }
+
+    if (!this.isSubscribed) {
+      this.isSubscribed = true;
+      // Somebody else wrote the file, e.g. through the settings API
+      SettingsStore.subscribe(this.KEY, (value) => {
+        if (value !== this.savedValue) {
+          this.nodes = null;
+        }
+      });
+    }
+
+    const value = SettingsStore.getValue(this.KEY, this.FILE);
+    let isMigrated = false;
+    const ids = new Set<string>();
+    const nodes: BookmarkNode[] = [];
+    (Array.isArray(value) ? value : []).forEach((item: any) => {
+      if (!item || typeof item !== 'object') {
+        isMigrated = true;
+        return;
+      }
+      if (typeof item.id !== 'string' || ids.has(item.id) || !item.type) {
+        isMigrated = true;
+      }
+
+      const type = item.type === 'folder' ? 'folder' : 'bookmark';
+      const id = typeof item.id === 'string' && !ids.has(item.id) ? item.id : v4();
+      ids.add(id);
+      nodes.push({
+        id,
+        type,
+        parentId: typeof item.parentId === 'string' ? item.parentId : null,
+        name: String(item.name || item.url || ''),
+        url: type === 'bookmark' ? String(item.url || '') : null,
+        tags: Array.isArray(item.tags) ? item.tags.map(String) : [],
+        favicon: typeof item.favicon === 'string' ? item.favicon : null,
+        timeCreated: typeof item.timeCreated === 'number' ? item.timeCreated : 0,
+        timeModified: typeof item.timeModified === 'number' ? item.timeModified : 0
+      });
+    });
+
+    // Nodes whose folder is gone end up at the top level
+    nodes.forEach((node) => {
+      if (node.parentId && !nodes.some((folder) => folder.id === node.parentId && folder.type === 'folder')) {
+        node.parentId = null;
+        isMigrated = true;
+      }
+    });
+
+    this.nodes = nodes;
+    if (isMigrated) {
+      this.save();
+    }
+    return nodes;
+  },
+
+  /**
+   * Hands `SettingsStore` a copy, so it can tell what changed and our
+   * later edits don't change its value behind its back.
+   */
+  save: function (): Promise<void> {
+    this.savedValue = this.load().map((node) => ({ ...node, tags: node.tags.slice() }));
+    return SettingsStore.setValue(this.KEY, this.savedValue, this.FILE).catch((error) => {
+      console.error('Error saving bookmarks:', error);
+    });
+  }
+};
+
+export default BookmarkStore;
@@ -0,0 +1,159 @@
+import { net, webContents, WebContents } from 'electron';
+import fs from 'fs';
+import path from 'path';
+import BookmarkStore, { BookmarkInput, BookmarkNode } from '../bookmarks/store';
+import BookmarkFormats, { BookmarkFormat } from '../bookmarks/formats';
+import VirtualFS from '../storage/vfs';
+import DownloadService from './download_service';
+import PermissionBroker from './permission_broker';
+import WindowService from './window_service';
+import IpcRouter from '../ipc/main';
+
+/**
+ * Lets the browser chrome, internal pages and webapps with the `bookmarks`
+ * permission organize `BookmarkStore`, and import or export bookmark files
+ * picked in the Files app. Changes are sent with `bookmarkschange` to every
+ * webContents allowed to read the bookmarks.
+ *
+ * Favicons are fetched once, when a page is bookmarked, and kept with the
+ * bookmark as data URLs.
+ */
+const BookmarkService = {
+  PERMISSION: 'bookmarks',
+  EXPORT_ROOT: 'downloads',
+  MAX_IMPORT_SIZE: 32 * 1024 * 1024,
+  FAVICON_TIMEOUT: 5000,
+
+  isAttached: false,
+
+  attach: function () {
+    if (this.isAttached) {
+      return;
+    }
+    this.isAttached = true;
+
+    BookmarkStore.subscribe((change) => {
+      webContents.getAllWebContents().forEach((contents) => {
+        if (!contents.isDestroyed() && this.isManager(contents)) {
+          IpcRouter.send(contents, 'bookmarkschange', change);
+        }
+      });
+    });
+  },
+
+  /**
+   * Whether a webContents may read and edit the bookmarks: the shells,
+   * internal `orchid://` pages, and webapps granted the `bookmarks`
+   * permission.
+   */
+  isManager: function (contents: WebContents): boolean {
+    if (WindowService.isShell(contents)) {
+      return true;
+    }
+    try {
+      const url = new URL(contents.getURL());
+      if (url.protocol === 'orchid:') {
+        return true;
+      }
+      const appId = PermissionBroker.getAppIdFromHostname(url.hostname);
+      return !!appId && PermissionBroker.check(appId, url.origin, this.PERMISSION).granted;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Adds a bookmark, then replaces a remote `favicon` with a cached copy
+   * once it was fetched.
+   */
+  add: function (input: BookmarkInput, allowDuplicate?: boolean): BookmarkNode {
+    const favicon = input.favicon;
+    const node = BookmarkStore.add(input, allowDuplicate);
+    if (node.type === 'bookmark' && !node.favicon) {
+      this.fetchFavicon(node.url as string, favicon).then((dataUrl) => {
+        if (dataUrl && BookmarkStore.get(node.id)) {
+          BookmarkStore.update(node.id, { favicon: dataUrl });
+        }
+      });
+    }
+    return node;
+  },
+
+  /**
+   * Resolves with a favicon as a data URL, trying the given icon then the
+   * `favicon.ico` of the site, or with `null`.
+   */
+  fetchFavicon: async function (pageUrl: string, iconUrl?: string | null): Promise<string | null> {
+    const candidates: string[] = [];
+    if (iconUrl && /^https?:/.test(iconUrl)) {
+      candidates.push(iconUrl);
+    }
+    try {
+      const url = new URL(pageUrl);
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        candidates.push(`${url.origin}/favicon.ico`);
+      }
+    } catch (error) {
+      return null;
+    }
+
+    for (const candidate of candidates) {
+      try {
+        const response = await net.fetch(candidate, { signal: AbortSignal.timeout(this.FAVICON_TIMEOUT) });
+        const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+        if (!response.ok || !type.startsWith('image/')) {
+          continue;
+        }
+        const data = Buffer.from(await response.arrayBuffer());
+        const dataUrl = `data:${type};base64,${data.toString('base64')}`;
+        if (BookmarkStore.sanitizeFavicon(dataUrl)) {
+          return dataUrl;
+        }
+      } catch (error) {
+        // Offline, or the site has no icon there
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Imports a bookmarks file from the storage into a folder.
+   *
+   * @throws {Error} `INVALID_FORMAT` if it isn't a bookmarks file, and
+   *         `TOO_LARGE` past `MAX_IMPORT_SIZE`.
+   */
+  importFile: async function (virtualPath: string, parentId?: string | null) {
+    const filePath = VirtualFS.resolve(virtualPath);
+    const stats = await fs.promises.stat(filePath);
+    if (stats.size > this.MAX_IMPORT_SIZE) {
+      throw new Error(`TOO_LARGE: ${path.basename(filePath)} is too large to import`);
+    }
+
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const items = BookmarkFormats.parse(content, BookmarkFormats.detect(filePath, content));
+    return BookmarkStore.import(items, parentId || null);
+  },
+
+  /**
+   * Writes every bookmark to `Bookmarks 2024-05-01.html` in Downloads,
+   * numbered if it is taken.
+   *
+   * @returns The virtual path of the file.
+   */
+  exportFile: async function (format: BookmarkFormat): Promise<string> {
+    const items = BookmarkStore.toItems();
+    const content = format === 'html' ? BookmarkFormats.toHtml(items) : BookmarkFormats.toJson(items);
+
+    const now = new Date();
+    const pad = (value: number) => String(value).padStart(2, '0');
+    const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    const directory = VirtualFS.getRootPath(this.EXPORT_ROOT);
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const filePath = DownloadService.getUniquePath(directory, `Bookmarks ${date}.${format}`);
+    await fs.promises.writeFile(filePath, content, 'utf8');
+    return `/${this.EXPORT_ROOT}/${path.basename(filePath)}`;
+  }
+};
+
+export default BookmarkService;
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import path from 'path';
+import { WebContents, desktopCapturer, webContents } from 'electron';
+import { v4 } from 'uuid';
+import VirtualFS from '../storage/vfs';
+import WindowService from './window_service';
+
+export type CaptureSource = {
+  /**
+   * The `chromeMediaSource` to pass to `getUserMedia` along with the ID.
+   */
+  type: 'desktop' | 'tab';
+  id: string;
+};
+
+type Recording = {
+  stream: fs.WriteStream;
+  filePath: string;
+  contents: WebContents;
+};
+
+/**
+ * Saves the screenshots and screen recordings the system app takes, into
+ * the Pictures and Videos storage roots. Screenshots are taken with the
+ * `screenshot` channel, recordings in the system app itself with a
+ * `MediaRecorder`, fed by the media source this finds for the shell or a
+ * webapp.
+ *
+ * Recordings are written to disk chunk by chunk, so long ones don't have to
+ * fit in memory.
+ */
+const CaptureService = {
+  SCREENSHOTS_ROOT: 'photos',
+  RECORDINGS_ROOT: 'movies',
+  SCREENSHOT_PREFIX: 'Screenshot',
+  RECORDING_PREFIX: 'Screen recording',
+
+  recordings: new Map<string, Recording>(),
+
+  /**
+   * Finds the media source of the shell window `sender` is shown in, or of
+   * a webapp.
+   *
+   * @throws {Error} `NOT_FOUND` if there is nothing to capture.
+   */
+  getSource: async function (sender: WebContents, webContentsId?: number | null): Promise<CaptureSource> {
+    if (webContentsId) {
+      const contents = webContents.fromId(webContentsId);
+      if (!contents || contents.isDestroyed()) {
+        throw new Error(`NOT_FOUND: No webContents ${webContentsId}`);
+      }
+      return { type: 'tab', id: contents.getMediaSourceId(sender) };
+    }
+
+    const window = WindowService.getOwnerWindow(sender);
+    if (!window) {
+      throw new Error('NOT_FOUND: The sender is not shown in a window');
+    }
+    const sourceId = window.getMediaSourceId();
+    const sources = await desktopCapturer.getSources({ types: ['window'], thumbnailSize: { width: 0, height: 0 } });
+    const source = sources.find((item) => item.id === sourceId);
+    if (!source) {
+      throw new Error(`NOT_FOUND: No media source for the window ${sourceId}`);
+    }
+    return { type: 'desktop', id: source.id };
+  },
+
+  /**
+   * @returns The virtual path of the screenshot.
+   */
+  saveScreenshot: async function (data: Uint8Array): Promise<string> {
+    const filePath = this.createPath(this.SCREENSHOTS_ROOT, this.SCREENSHOT_PREFIX, '.png');
+    await fs.promises.writeFile(filePath, data, { flag: 'wx' });
+    return this.toVirtualPath(this.SCREENSHOTS_ROOT, filePath);
+  },
+
+  /**
+   * Creates the file of a recording, which is thrown away if the system
+   * app goes away before finishing it.
+   *
+   * @returns The ID to write the recording with.
+   */
+  startRecording: function (contents: WebContents): string {
+    const id = v4();
+    const filePath = this.createPath(this.RECORDINGS_ROOT, this.RECORDING_PREFIX, '.webm');
+    const stream = fs.createWriteStream(filePath, { flags: 'wx' });
+    stream.on('error', (error) => {
+      console.error('Error writing a screen recording:', error);
+      this.cancelRecording(id);
+    });
+
+    this.recordings.set(id, { stream, filePath, contents });
+    contents.once('destroyed', () => this.cancelRecording(id));
+    return id;
+  },
+
+  /**
+   * @throws {Error} `NOT_FOUND` if there is no such recording, or it failed.
+   */
+  writeRecording: function (id: string, data: Uint8Array): Promise<void> {
+    const recording = this.getRecording(id);
+    return new Promise((resolve, reject) => {
+      recording.stream.write(data, (error) => (error ? reject(error) : resolve()));
+    });
+  },
+
+  /**
+   * @returns The virtual path of the recording.
+   * @throws {Error} `NOT_FOUND` if there is no such recording, or it failed.
+   */
+  finishRecording: function (id: string): Promise<string> {
+    const recording = this.getRecording(id);
+    this.recordings.delete(id);
+    return new Promise((resolve) => {
+      recording.stream.end(() => resolve(this.toVirtualPath(this.RECORDINGS_ROOT, recording.filePath)));
+    });
+  },
+
+  cancelRecording: function (id: string) {
+    const recording = this.recordings.get(id);
+    if (!recording) {
+      return;
+    }
+    this.recordings.delete(id);
+    recording.stream.destroy();
+    fs.rm(recording.filePath, { force: true }, () => {});
+  },
+
+  getRecording: function (id: string): Recording {
+    const recording = this.recordings.get(id);
+    if (!recording) {
+      throw new Error(`NOT_FOUND: No recording ${id}`);
+    }
+    return recording;
+  },
+
+  /**
+   * Returns a path in a storage root named like `Screenshot 2024-05-01 at
+   * 14.30.12.png`, numbered if it is taken.
+   */
+  createPath: function (root: string, prefix: string, extension: string): string {
+    const directory = VirtualFS.getRootPath(root);
+    fs.mkdirSync(directory, { recursive: true });
+
+    const now = new Date();
+    const pad = (value: number) => String(value).padStart(2, '0');
+    const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    const time = `${pad(now.getHours())}.${pad(now.getMinutes())}.${pad(now.getSeconds())}`;
+    const baseName = `${prefix} ${date} at ${time}`;
+
+    let candidate = path.join(directory, `${baseName}${extension}`);
+    for (let index = 1; fs.existsSync(candidate); index++) {
+      candidate = path.join(directory, `${baseName} (${index})${extension}`);
+    }
+    return candidate;
+  },
+
+  toVirtualPath: function (root: string, filePath: string): string {
+    return `/${root}/${path.basename(filePath)}`;
+  }
+};
+
+export default CaptureService;
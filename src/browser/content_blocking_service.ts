@@ -0,0 +1,263 @@
+import { app, Session, WebContents, OnBeforeRequestListenerDetails } from 'electron';
+import fs from 'fs';
+import path from 'path';
+import FilterEngine from '../content_blocking/engine';
+import { ResourceType } from '../content_blocking/filters';
+import SettingsStore from '../settings/store';
+import WindowService from './window_service';
+import IpcRouter from '../ipc/main';
+import Renderer from '../renderer';
+import Main from '../main';
+
+/**
+ * Blocks the requests of web pages matched by filter lists in the Adblock
+ * Plus syntax, and hides the elements their cosmetic filters select. Lists
+ * are plain `.txt` files read from disk, so nothing is downloaded:
+ *
+ * - `internal/adblock/lists/`, the lists shipped with the system.
+ * - `content_blocking/` in the profile, where users drop EasyList or any
+ *   other list. The directory is watched and lists reload as it changes.
+ *
+ * Only `http:` and `https:` pages are filtered, never webapps, internal
+ * pages or the system itself. Sites in `privacy.content_blocking.allowlist`
+ * are left alone too.
+ *
+ * How many requests were blocked on the page of each webContents is sent
+ * with `contentblockingchange` to the shell it belongs to.
+ */
+const ContentBlockingService = {
+  BUILTIN_LISTS_DIR: path.join(__dirname, '..', '..', '..', 'internal', 'adblock', 'lists'),
+  LISTS_DIR: 'content_blocking',
+  ENABLED_SETTING: 'privacy.content_blocking.enabled',
+  ALLOWLIST_SETTING: 'privacy.content_blocking.allowlist',
+  RELOAD_DELAY: 500,
+  COUNT_DELAY: 250,
+
+  RESOURCE_TYPES: {
+    mainFrame: 'document',
+    subFrame: 'subdocument',
+    stylesheet: 'stylesheet',
+    script: 'script',
+    image: 'image',
+    font: 'font',
+    object: 'object',
+    xhr: 'xmlhttprequest',
+    ping: 'ping',
+    cspReport: 'other',
+    media: 'media',
+    webSocket: 'websocket'
+  } as Record<string, ResourceType>,
+
+  isAttached: false,
+  isEnabled: true,
+  allowlist: [] as string[],
+  reloadTimer: null as NodeJS.Timeout | null,
+  counts: new Map<number, number>(),
+  countTimers: new Map<number, NodeJS.Timeout>(),
+
+  attach: function (sessions: Session[]) {
+    if (this.isAttached) {
+      return;
+    }
+    this.isAttached = true;
+
+    this.isEnabled = SettingsStore.getValue(this.ENABLED_SETTING) !== false;
+    this.allowlist = this.sanitizeAllowlist(SettingsStore.getValue(this.ALLOWLIST_SETTING));
+    SettingsStore.subscribe(this.ENABLED_SETTING, (value) => {
+      this.isEnabled = value !== false;
+    });
+    SettingsStore.subscribe(this.ALLOWLIST_SETTING, (value) => {
+      this.allowlist = this.sanitizeAllowlist(value);
+    });
+
+    this.reload();
+    this.watchLists();
+
+    sessions.forEach((session) => {
+      session.webRequest.onBeforeRequest((details, callback) => {
+        callback({ cancel: this.shouldBlock(details) });
+      });
+    });
+
+    app.on('web-contents-created', (event, contents) => {
+      if (contents.getType() !== 'webview') {
+        return;
+      }
+      contents.on('dom-ready', () => this.insertStylesheet(contents));
+      contents.once('destroyed', () => {
+        const id = contents.id;
+        clearTimeout(this.countTimers.get(id));
+        this.countTimers.delete(id);
+        this.counts.delete(id);
+      });
+    });
+  },
+
+  /**
+   * Reads every list again and replaces the filters in use.
+   */
+  reload: function () {
+    const lists: string[] = [];
+    this.getListsDirs().forEach((directory) => {
+      let files: string[];
+      try {
+        files = fs.readdirSync(directory).filter((file) => file.endsWith('.txt'));
+      } catch (error) {
+        return;
+      }
+      files.sort().forEach((file) => {
+        try {
+          lists.push(fs.readFileSync(path.join(directory, file), 'utf8'));
+        } catch (error) {
+          console.error(`Error reading the filter list ${file}:`, error);
+        }
+      });
+    });
+
+    const stats = FilterEngine.load(lists);
+    if (Main.DEBUG) {
+      console.log(
+        `Loaded ${lists.length} filter lists: ${stats.network} network and ${stats.cosmetic} cosmetic filters, ${stats.unsupported} unsupported`
+      );
+    }
+  },
+
+  watchLists: function () {
+    const directory = this.getListsDirs()[1];
+    if (!directory) {
+      return;
+    }
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+      fs.watch(directory, () => {
+        // Copying a list in fires several events
+        clearTimeout(this.reloadTimer || undefined);
+        this.reloadTimer = setTimeout(() => this.reload(), this.RELOAD_DELAY);
+      });
+    } catch (error) {
+      console.error('Error watching the filter lists:', error);
+    }
+  },
+
+  getListsDirs: function (): string[] {
+    const directories = [this.BUILTIN_LISTS_DIR];
+    if (Renderer.profilePath) {
+      directories.push(path.join(Renderer.profilePath, this.LISTS_DIR));
+    }
+    return directories;
+  },
+
+  shouldBlock: function (details: OnBeforeRequestListenerDetails): boolean {
+    const contents = details.webContents;
+    if (!contents || contents.isDestroyed()) {
+      return false;
+    }
+    if (details.resourceType === 'mainFrame') {
+      // A new page starts counting again
+      this.setCount(contents, 0);
+      return false;
+    }
+
+    const pageUrl = contents.getURL();
+    if (!this.isFiltered(pageUrl) || this.isLocal(details.url)) {
+      return false;
+    }
+    const filter = FilterEngine.match({
+      url: details.url,
+      type: this.RESOURCE_TYPES[details.resourceType] || 'other',
+      pageUrl
+    });
+    if (filter) {
+      this.setCount(contents, (this.counts.get(contents.id) || 0) + 1);
+    }
+    return !!filter;
+  },
+
+  insertStylesheet: function (contents: WebContents) {
+    const pageUrl = contents.getURL();
+    if (!this.isFiltered(pageUrl)) {
+      return;
+    }
+    const stylesheet = FilterEngine.getStylesheet(pageUrl);
+    if (stylesheet) {
+      contents.insertCSS(stylesheet, { cssOrigin: 'user' }).catch((error) => {
+        console.error('Error hiding elements:', error);
+      });
+    }
+  },
+
+  /**
+   * Whether requests from a page and its elements go through the filters.
+   */
+  isFiltered: function (pageUrl: string): boolean {
+    if (!this.isEnabled) {
+      return false;
+    }
+    let url: URL;
+    try {
+      url = new URL(pageUrl);
+    } catch (error) {
+      return false;
+    }
+    if ((url.protocol !== 'http:' && url.protocol !== 'https:') || this.isLocal(pageUrl)) {
+      return false;
+    }
+    return !this.isAllowlisted(url.hostname);
+  },
+
+  isAllowlisted: function (hostname: string): boolean {
+    const host = hostname.toLowerCase();
+    return this.allowlist.some((site) => host === site || host.endsWith(`.${site}`));
+  },
+
+  /**
+   * Webapps are served from `*.localhost`, which no list should break.
+   */
+  isLocal: function (url: string): boolean {
+    try {
+      const hostname = new URL(url).hostname;
+      return hostname === 'localhost' || hostname.endsWith('.localhost');
+    } catch (error) {
+      return false;
+    }
+  },
+
+  sanitizeAllowlist: function (value: any): string[] {
+    if (!Array.isArray(value)) {
+      return [];
+    }
+    return value
+      .filter((site) => typeof site === 'string')
+      .map((site) => site.trim().toLowerCase())
+      .filter(Boolean);
+  },
+
+  /**
+   * Sends counts at most every `COUNT_DELAY`, as pages can get hundreds of
+   * requests blocked while loading.
+   */
+  setCount: function (contents: WebContents, blocked: number) {
+    const id = contents.id;
+    this.counts.set(id, blocked);
+    if (this.countTimers.has(id)) {
+      return;
+    }
+
+    const send = () => {
+      const shell = contents.isDestroyed() ? null : WindowService.getShellContents(contents);
+      if (shell) {
+        IpcRouter.send(shell, 'contentblockingchange', { webContentsId: id, blocked: this.counts.get(id) || 0 });
+      }
+    };
+    send();
+    this.countTimers.set(
+      id,
+      setTimeout(() => {
+        this.countTimers.delete(id);
+        send();
+      }, this.COUNT_DELAY)
+    );
+  }
+};
+
+export default ContentBlockingService;
@@ -1,5 +1,6 @@
 import path from 'path';
 import { BrowserView, BrowserWindow } from 'electron';
+import Simulator from './simulator';
 
 function setupControls(mainWindow: BrowserWindow) {
   // Browser view renderer
@@ -17,6 +18,7 @@ function setupControls(mainWindow: BrowserWindow) {
     height
   });
   mainWindow.addBrowserView(webview);
+  Simulator.setControls(webview.webContents);
   webview.webContents.loadFile(path.join(__dirname, '..', '..', '..', 'internal', 'simulator', 'controls.html'));
   mainWindow.on('resized', () => {
     const { width, height } = mainWindow.getContentBounds();
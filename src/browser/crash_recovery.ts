@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import { app, crashReporter, BrowserWindow, RenderProcessGoneDetails } from 'electron';
+import SessionStore from '../session/store';
+import colors from './terminal_colors';
+
+/**
+ * Keeps OrchidUI usable when parts of it crash. It writes crash reports
+ * next to the minidumps in the `crashDumps` path, reloads shells whose
+ * renderer is gone and keeps `SessionStore` aware of whether OrchidUI quit
+ * normally, so the system app can offer to restore the previous session.
+ */
+const CrashRecovery = {
+  /**
+   * A shell crashing more often than this within `RELOAD_PERIOD` is left
+   * alone instead of reloading it over and over.
+   */
+  MAX_RELOADS: 3,
+  RELOAD_PERIOD: 60 * 1000,
+
+  /**
+   * The oldest reports are deleted once there are more than this.
+   */
+  MAX_REPORTS: 50,
+  REPORT_PREFIX: 'crash-',
+
+  reloads: new Map<number, number[]>(),
+
+  /**
+   * Starts crash reporting and the session. Has to run once the profile
+   * paths are set, see `Main.setupProfileLocations`.
+   */
+  init: function () {
+    crashReporter.start({
+      productName: 'OrchidUI',
+      uploadToServer: false,
+      compress: true
+    });
+
+    app.on('render-process-gone', (event, contents, details) => {
+      this.report('render-process-gone', {
+        ...details,
+        type: contents.getType(),
+        url: contents.getURL()
+      });
+    });
+    app.on('child-process-gone', (event, details) => {
+      this.report('child-process-gone', details);
+    });
+
+    SessionStore.start();
+    app.on('will-quit', () => SessionStore.end());
+  },
+
+  /**
+   * Reloads the system app of a shell window when its renderer crashes.
+   *
+   * @param isPrimary Whether it is the shell of the primary display, whose
+   *        windows the session keeps.
+   */
+  watchShell: function (window: BrowserWindow, isPrimary: boolean) {
+    const contents = window.webContents;
+    const id = contents.id;
+    contents.on('render-process-gone', (event, details) => this.handleShellGone(window, isPrimary, details));
+    window.once('closed', () => this.reloads.delete(id));
+  },
+
+  handleShellGone: function (window: BrowserWindow, isPrimary: boolean, details: RenderProcessGoneDetails) {
+    if (details.reason === 'clean-exit' || window.isDestroyed()) {
+      return;
+    }
+    const contents = window.webContents;
+
+    const now = Date.now();
+    const reloads = (this.reloads.get(contents.id) || []).filter((time) => now - time < this.RELOAD_PERIOD);
+    if (reloads.length >= this.MAX_RELOADS) {
+      console.error(
+        `${colors.red}The shell crashed ${reloads.length} times within a minute (${details.reason}), ` +
+          `not reloading it again${colors.reset}`
+      );
+      return;
+    }
+    reloads.push(now);
+    this.reloads.set(contents.id, reloads);
+
+    console.error(`${colors.red}The shell crashed (${details.reason}), reloading it${colors.reset}`);
+    if (isPrimary) {
+      SessionStore.markReloaded();
+    }
+    contents.reload();
+  },
+
+  /**
+   * Writes a crash report as JSON into the `crashDumps` path.
+   *
+   * @param type What crashed, like `uncaught-exception`.
+   * @param details Anything telling why, errors are written with their
+   *        stack.
+   */
+  report: function (type: string, details: any) {
+    let directory: string;
+    try {
+      directory = app.getPath('crashDumps');
+    } catch (error) {
+      return;
+    }
+
+    const error = details instanceof Error ? details : null;
+    const timestamp = new Date();
+    const report = {
+      type,
+      timestamp: timestamp.getTime(),
+      version: app.getVersion(),
+      electron: process.versions.electron,
+      platform: process.platform,
+      arch: process.arch,
+      details: error ? { name: error.name, message: error.message, stack: error.stack } : details
+    };
+
+    const filename = `${this.REPORT_PREFIX}${timestamp.toISOString().replace(/[:.]/g, '-')}-${type}.json`;
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+      // Written synchronously, as the process may not live much longer
+      fs.writeFileSync(path.join(directory, filename), JSON.stringify(report, null, 2), 'utf8');
+      this.prune(directory);
+    } catch (error) {
+      console.error('Error writing a crash report:', error);
+    }
+  },
+
+  prune: function (directory: string) {
+    const reports = fs
+      .readdirSync(directory)
+      .filter((file) => file.startsWith(this.REPORT_PREFIX) && file.endsWith('.json'))
+      .sort();
+    reports.slice(0, Math.max(0, reports.length - this.MAX_REPORTS)).forEach((file) => {
+      fs.rmSync(path.join(directory, file), { force: true });
+    });
+  }
+};
+
+export default CrashRecovery;
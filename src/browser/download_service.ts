@@ -0,0 +1,257 @@
+import fs from 'fs';
+import path from 'path';
+import { DownloadItem, Session, WebContents } from 'electron';
+import { v4 } from 'uuid';
+import VirtualFS from '../storage/vfs';
+import PermissionBroker from './permission_broker';
+import WindowService from './window_service';
+import DownloadStore, { DownloadRecord, DownloadState } from '../downloads/store';
+import IpcRouter from '../ipc/main';
+
+/**
+ * Saves what webpages download into the Downloads storage root and keeps
+ * track of the downloads in progress, so the system app can pause, resume
+ * and cancel them. Finished downloads stay in the history of
+ * `DownloadStore`.
+ *
+ * Downloads never ask where to be saved. They get the suggested filename,
+ * numbered like `file (1).zip` if a file or another download already has
+ * it.
+ */
+const DownloadService = {
+  MANAGE_PERMISSION: 'downloads-manage',
+  ROOT: 'downloads',
+  DEFAULT_FILENAME: 'download',
+  MAX_FILENAME_LENGTH: 200,
+
+  /**
+   * How often the progress of a download is announced, in milliseconds.
+   */
+  PROGRESS_INTERVAL: 500,
+
+  sessions: [] as Session[],
+  items: new Map<string, DownloadItem>(),
+  reservedPaths: new Set<string>(),
+
+  /**
+   * Starts handling the downloads of the given sessions. Changes are sent to
+   * the system app of every shell, which all show the downloads.
+   */
+  attach: function (sessions: Session[]) {
+    DownloadStore.subscribe((change) => {
+      WindowService.getShells().forEach((window) => IpcRouter.send(window.webContents, 'downloadschange', change));
+    });
+
+    sessions.forEach((session) => {
+      if (this.sessions.indexOf(session) !== -1) {
+        return;
+      }
+      this.sessions.push(session);
+      session.on('will-download', (event, item) => this.handleDownload(item, !session.isPersistent()));
+    });
+  },
+
+  handleDownload: function (item: DownloadItem, isPrivate: boolean) {
+    let savePath: string;
+    try {
+      const directory = VirtualFS.getRootPath(this.ROOT);
+      fs.mkdirSync(directory, { recursive: true });
+      savePath = this.getUniquePath(directory, this.sanitizeFilename(item.getFilename()));
+    } catch (error) {
+      console.error('Error choosing where to save a download:', error);
+      item.cancel();
+      return;
+    }
+
+    item.setSavePath(savePath);
+    this.reservedPaths.add(savePath);
+
+    const id = v4();
+    const filename = path.basename(savePath);
+    this.items.set(id, item);
+    DownloadStore.add({
+      id,
+      url: item.getURL(),
+      filename,
+      path: `/${this.ROOT}/${filename}`,
+      mime: item.getMimeType(),
+      totalBytes: item.getTotalBytes(),
+      receivedBytes: 0,
+      state: 'progressing',
+      startTime: Date.now(),
+      endTime: null,
+      isPrivate
+    });
+
+    let lastUpdate = 0;
+    item.on('updated', (event, state) => {
+      const download = DownloadStore.get(id);
+      const newState: DownloadState =
+        state === 'interrupted' ? 'interrupted' : item.isPaused() ? 'paused' : 'progressing';
+      const hasStateChanged = !download || download.state !== newState;
+
+      const now = Date.now();
+      if (!hasStateChanged && now - lastUpdate < this.PROGRESS_INTERVAL) {
+        return;
+      }
+      lastUpdate = now;
+
+      DownloadStore.update(
+        id,
+        {
+          receivedBytes: item.getReceivedBytes(),
+          totalBytes: item.getTotalBytes(),
+          state: newState
+        },
+        hasStateChanged
+      );
+    });
+
+    item.once('done', (event, state) => {
+      this.items.delete(id);
+      this.reservedPaths.delete(savePath);
+      DownloadStore.update(id, {
+        receivedBytes: item.getReceivedBytes(),
+        totalBytes: item.getTotalBytes(),
+        state: state === 'completed' ? 'completed' : state === 'cancelled' ? 'cancelled' : 'interrupted',
+        endTime: Date.now()
+      });
+    });
+  },
+
+  /**
+   * Returns the download history, newest first. `exists` tells whether the
+   * file of a completed download is still there, and is false for the
+   * others.
+   */
+  getAll: function (): (DownloadRecord & { exists: boolean })[] {
+    return DownloadStore.getAll().map((download) => ({
+      ...download,
+      exists: download.state === 'completed' && this.exists(download)
+    }));
+  },
+
+  pause: function (id: string) {
+    const item = this.items.get(id);
+    if (item && !item.isPaused()) {
+      item.pause();
+      DownloadStore.update(id, { state: 'paused' });
+    }
+  },
+
+  /**
+   * Resumes a paused or interrupted download. Downloads which can't pick up
+   * where they stopped, like those interrupted by a restart, start over.
+   */
+  resume: function (id: string) {
+    const item = this.items.get(id);
+    if (item && (item.isPaused() || item.canResume())) {
+      item.resume();
+      DownloadStore.update(id, { state: 'progressing' });
+    } else if (!item) {
+      this.retry(id);
+    }
+  },
+
+  cancel: function (id: string) {
+    const item = this.items.get(id);
+    if (item) {
+      item.cancel();
+    }
+  },
+
+  /**
+   * Downloads a file again, replacing its entry in the history.
+   */
+  retry: function (id: string) {
+    const download = DownloadStore.get(id);
+    if (!download || this.items.has(id)) {
+      return;
+    }
+
+    const session = this.sessions.find((item) => item.isPersistent() !== download.isPrivate);
+    if (!session) {
+      return;
+    }
+    DownloadStore.remove(id);
+    session.downloadURL(download.url);
+  },
+
+  /**
+   * Removes a download from the history, cancelling it if it is still in
+   * progress. The file itself is kept.
+   */
+  remove: function (id: string) {
+    this.cancel(id);
+    DownloadStore.remove(id);
+  },
+
+  /**
+   * Whether a webContents may read and manage the downloads, which only the
+   * system app and privileged webapps declaring `downloads-manage` may.
+   */
+  isManager: function (contents: WebContents): boolean {
+    if (WindowService.isShell(contents)) {
+      return true;
+    }
+
+    let manifest: Record<string, any> | null = null;
+    try {
+      const appId = PermissionBroker.getAppIdFromHostname(new URL(contents.getURL()).hostname);
+      manifest = appId ? PermissionBroker.getManifest(appId) : null;
+    } catch (error) {
+      return false;
+    }
+    return (
+      !!manifest &&
+      !!(manifest.core || manifest.role === 'system') &&
+      !!manifest.permissions &&
+      this.MANAGE_PERMISSION in manifest.permissions
+    );
+  },
+
+  exists: function (download: DownloadRecord): boolean {
+    try {
+      return fs.existsSync(VirtualFS.resolve(download.path));
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Turns the filename a webpage suggested into one that is safe to save
+   * under the Downloads root.
+   */
+  sanitizeFilename: function (filename: string): string {
+    const sanitized = String(filename || '')
+      .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+      .replace(/^[\s.]+/, '')
+      .trim();
+    if (!sanitized) {
+      return this.DEFAULT_FILENAME;
+    }
+
+    if (sanitized.length <= this.MAX_FILENAME_LENGTH) {
+      return sanitized;
+    }
+    const extension = path.extname(sanitized).slice(0, 16);
+    return sanitized.slice(0, this.MAX_FILENAME_LENGTH - extension.length) + extension;
+  },
+
+  /**
+   * Returns a path in `directory` for `filename` which neither an existing
+   * file nor another download in progress uses, numbering it if needed.
+   */
+  getUniquePath: function (directory: string, filename: string): string {
+    const extension = path.extname(filename);
+    const baseName = filename.slice(0, filename.length - extension.length);
+
+    let candidate = path.join(directory, filename);
+    for (let index = 1; fs.existsSync(candidate) || this.reservedPaths.has(candidate); index++) {
+      candidate = path.join(directory, `${baseName} (${index})${extension}`);
+    }
+    return candidate;
+  }
+};
+
+export default DownloadService;
@@ -0,0 +1,213 @@
+import { IncomingMessage, ServerResponse } from 'http';
+import PermissionBroker from './permission_broker';
+
+type EventClient = {
+  appId: string;
+  topics: Set<string>;
+  res: ServerResponse;
+  queue: string[];
+  isWaiting: boolean;
+};
+
+/**
+ * Pushes system events to webapps over server-sent events, so webapps
+ * without the internal preload can react to them too:
+ *
+ *     const source = new EventSource('http://localhost:8081/api/events?topics=settingschange,volumeup');
+ *     source.addEventListener('volumeup', (event) => console.log(JSON.parse(event.data)));
+ *
+ * Every topic is checked against the permissions of the subscribing webapp
+ * on its own, and the topics it isn't allowed to see are reported in the
+ * first `subscribed` event instead of failing the whole request.
+ */
+const EventChannel = {
+  /**
+   * Topics which are only sent to core and system webapps, as they carry
+   * what the user is typing, saying or downloading.
+   */
+  PRIVILEGED: 'system',
+
+  /**
+   * The topics webapps can subscribe to and the permission each of them
+   * needs, or `null` if any installed webapp may subscribe.
+   */
+  TOPICS: {
+    settingschange: 'settings',
+    powerstart: 'power',
+    powerend: 'power',
+    'update-available': 'update',
+    'update-download-progress': 'update',
+    'update-downloaded': 'update',
+    volumeup: null,
+    volumedown: null,
+    mediaplay: null,
+    mediapause: null,
+    mediadevicechange: null,
+    maximized: null,
+    unmaximized: null,
+    downloadprogress: 'system',
+    shortcut: 'system',
+    narrate: 'system'
+  } as Record<string, string | null>,
+
+  /**
+   * How many events can wait for a slow client before it is disconnected.
+   * `EventSource` reconnects by itself, so it only loses the events that
+   * were dropped.
+   */
+  MAX_QUEUE_SIZE: 256,
+  HEARTBEAT_INTERVAL: 30 * 1000,
+
+  clients: new Set<EventClient>(),
+  heartbeat: null as NodeJS.Timeout | null,
+  lastEventId: 0,
+
+  /**
+   * Handles `GET /api/events?topics=<topic>,<topic>`.
+   */
+  handle: function (req: IncomingMessage, res: ServerResponse) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    const appId = PermissionBroker.resolveAppId(req);
+    if (!appId) {
+      this.sendError(res, 403, 'UNKNOWN_ORIGIN', 'Unable to resolve the calling webapp');
+      return;
+    }
+
+    const requestUrl = new URL(req.url || '/', 'http://localhost');
+    const requestedTopics = (requestUrl.searchParams.get('topics') || '').split(',').filter(Boolean);
+    if (requestedTopics.length === 0) {
+      this.sendError(res, 400, 'NO_TOPICS', 'No topics were requested');
+      return;
+    }
+
+    const origin = PermissionBroker.getOrigin(req, appId);
+    const topics = new Set<string>();
+    const denied: Record<string, string> = {};
+    requestedTopics.forEach((topic) => {
+      const code = this.checkTopic(appId, origin, topic);
+      if (code) {
+        denied[topic] = code;
+      } else {
+        topics.add(topic);
+      }
+    });
+    if (topics.size === 0) {
+      this.sendError(res, 403, 'PERMISSION_DENIED', 'None of the requested topics are allowed', denied);
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const client: EventClient = { appId, topics, res, queue: [], isWaiting: false };
+    this.clients.add(client);
+    this.startHeartbeat();
+
+    res.on('drain', () => this.flush(client));
+    req.on('close', () => this.removeClient(client));
+
+    this.write(client, this.format('subscribed', { topics: Array.from(topics), denied }));
+  },
+
+  /**
+   * Returns why a webapp can't subscribe to a topic, or `null` if it can.
+   */
+  checkTopic: function (appId: string, origin: string, topic: string): string | null {
+    if (!Object.prototype.hasOwnProperty.call(this.TOPICS, topic)) {
+      return 'UNKNOWN_TOPIC';
+    }
+
+    const manifest = PermissionBroker.getManifest(appId);
+    if (!manifest) {
+      return 'MANIFEST_NOT_FOUND';
+    }
+
+    const permission = this.TOPICS[topic];
+    if (permission === this.PRIVILEGED) {
+      return manifest.core || manifest.role === 'system' ? null : 'PERMISSION_NOT_GRANTED';
+    }
+    if (permission) {
+      return PermissionBroker.check(appId, origin, permission).code;
+    }
+    return null;
+  },
+
+  /**
+   * Sends an event to every client subscribed to its topic.
+   */
+  publish: function (topic: string, data?: any) {
+    if (this.clients.size === 0) {
+      return;
+    }
+
+    const message = this.format(topic, data === undefined ? null : data, ++this.lastEventId);
+    this.clients.forEach((client) => {
+      if (client.topics.has(topic)) {
+        this.write(client, message);
+      }
+    });
+  },
+
+  /**
+   * Writes a message, or queues it while the client's socket is full.
+   */
+  write: function (client: EventClient, message: string) {
+    if (client.isWaiting) {
+      if (client.queue.length >= this.MAX_QUEUE_SIZE) {
+        console.error(`[openorchid-events] Dropping the event stream of ${client.appId}, which is not keeping up`);
+        client.res.destroy();
+        this.removeClient(client);
+        return;
+      }
+      client.queue.push(message);
+      return;
+    }
+
+    client.isWaiting = !client.res.write(message);
+  },
+
+  flush: function (client: EventClient) {
+    client.isWaiting = false;
+    while (client.queue.length > 0 && !client.isWaiting) {
+      client.isWaiting = !client.res.write(client.queue.shift() as string);
+    }
+  },
+
+  removeClient: function (client: EventClient) {
+    this.clients.delete(client);
+    if (this.clients.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  },
+
+  /**
+   * Proxies tend to close idle connections, so a comment is sent every now
+   * and then while clients are connected.
+   */
+  startHeartbeat: function () {
+    if (this.heartbeat) {
+      return;
+    }
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((client) => this.write(client, ': heartbeat\n\n'));
+    }, this.HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  },
+
+  format: function (topic: string, data: any, id?: number): string {
+    return `${id ? `id: ${id}\n` : ''}event: ${topic}\ndata: ${JSON.stringify(data)}\n\n`;
+  },
+
+  sendError: function (res: ServerResponse, status: number, code: string, message: string, details?: any) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { code, message, details: details || {} } }));
+  }
+};
+
+export default EventChannel;
@@ -1,7 +1,30 @@
-import { ipcMain, app, webContents, autoUpdater } from 'electron';
+import { app, webContents, autoUpdater, session } from 'electron';
 import Settings from '../settings';
+import SettingsStore from '../settings/store';
+import { SettingsGrantStore } from '../permissions';
 import colors from './terminal_colors';
 import OrchidUI from './orchidui';
+import WebappRegistry from './webapp_registry';
+import PermissionBroker from './permission_broker';
+import EventChannel from './event_channel';
+import MessageBus from './message_bus';
+import NotificationCenter from './notification_center';
+import NotificationStore from '../notifications/store';
+import DownloadService from './download_service';
+import DownloadStore from '../downloads/store';
+import SessionStore from '../session/store';
+import HistoryService from './history_service';
+import HistoryStore from '../history/store';
+import BookmarkService from './bookmark_service';
+import BookmarkStore from '../bookmarks/store';
+import ContentBlockingService from './content_blocking_service';
+import ExtensionService from './extension_service';
+import Simulator from './simulator';
+import TestDriver from './test_driver';
+import WindowService from './window_service';
+import CaptureService from './capture_service';
+import IpcRouter from '../ipc/main';
+import Main from '../main';
 
 const DEBUG = false;
 
@@ -10,70 +33,214 @@ export default (function () {
     throw new Error('Window not found');
   }
 
-  OrchidUI.window.webContents.on('render-process-gone', () => {
-    console.log('renderer process crashed'); // this will be called
-  });
+  /**
+   * Sends a system event to the system app of every shell, and to the
+   * webapps subscribed to it through `EventChannel`.
+   */
+  const dispatch = (name: string, data?: any) => {
+    WindowService.getShells().forEach((window) => IpcRouter.send(window.webContents, name, data));
+    EventChannel.publish(name, data);
+  };
 
-  OrchidUI.window.webContents.session.webRequest.onBeforeSendHeaders((details, callback) => {
-    if (details.resourceType === 'mainFrame') {
-      Settings.getValue('privacy.do_not_track.enabled').then((value) => {
-        if (details.requestHeaders.DNT !== value) {
-          details.requestHeaders.DNT = value;
-        }
-      });
+  const assertNotificationManager = (contents: Electron.WebContents) => {
+    if (!NotificationCenter.isManager(contents)) {
+      throw new Error('PERMISSION_DENIED: Only the system may manage notifications');
     }
+  };
 
-    const data = { cancel: false, requestHeaders: details.requestHeaders };
-    callback(data);
+  const assertDownloadManager = (contents: Electron.WebContents) => {
+    if (!DownloadService.isManager(contents)) {
+      throw new Error('PERMISSION_DENIED: Only the system may manage downloads');
+    }
+  };
+
+  // Only the primary shell shows the windows the session keeps
+  const assertSessionManager = (contents: Electron.WebContents) => {
+    if (contents !== OrchidUI.window?.webContents) {
+      throw new Error('PERMISSION_DENIED: Only the system may manage the session');
+    }
+  };
+
+  const assertHistoryManager = (contents: Electron.WebContents) => {
+    if (!HistoryService.isManager(contents)) {
+      throw new Error('PERMISSION_DENIED: Only the system may manage the browsing history');
+    }
+  };
+
+  const assertBookmarksManager = (contents: Electron.WebContents) => {
+    if (!BookmarkService.isManager(contents)) {
+      throw new Error('PERMISSION_DENIED: The bookmarks permission is required');
+    }
+  };
+
+  const assertExtensionsManager = (contents: Electron.WebContents) => {
+    if (!ExtensionService.isManager(contents)) {
+      throw new Error('PERMISSION_DENIED: The extensions-manage permission is required');
+    }
+  };
+
+  const assertGrantsManager = (contents: Electron.WebContents) => {
+    if (!PermissionBroker.mayManageGrants(contents)) {
+      throw new Error('PERMISSION_DENIED: The permissions-manage permission is required');
+    }
+  };
+
+  // Other files of the profile, like the permission decisions, bookmarks or
+  // extensions, are only reached through their own guarded channels, except
+  // by the shells
+  const assertSettingsFile = (contents: Electron.WebContents, settingsFile?: string | null) => {
+    if (settingsFile && settingsFile !== SettingsStore.SETTINGS_FILE && !WindowService.isShell(contents)) {
+      throw new Error(`PERMISSION_DENIED: ${settingsFile} can't be accessed as settings`);
+    }
+  };
+
+  const assertShell = (contents: Electron.WebContents) => {
+    if (!WindowService.isShell(contents)) {
+      throw new Error('PERMISSION_DENIED: Only the system may capture the screen');
+    }
+  };
+
+  IpcRouter.DEBUG = DEBUG;
+  IpcRouter.init();
+  NotificationCenter.attach();
+  HistoryService.attach();
+  BookmarkService.attach();
+  ExtensionService.attach();
+
+  // Private tabs have their own session
+  const sessions = [OrchidUI.window.webContents.session, session.fromPartition('private')];
+
+  sessions.forEach((tabSession) => {
+    tabSession.webRequest.onBeforeSendHeaders((details, callback) => {
+      if (details.resourceType === 'mainFrame') {
+        Settings.getValue('privacy.do_not_track.enabled').then((value) => {
+          if (details.requestHeaders.DNT !== value) {
+            details.requestHeaders.DNT = value;
+          }
+        });
+      }
+
+      const data = { cancel: false, requestHeaders: details.requestHeaders };
+      callback(data);
+    });
   });
 
-  // Intercept download requests using the webContents' session
-  OrchidUI.window.webContents.session.on('will-download', (event, item, webContents) => {
-    // Send an event to the renderer process to get download path and decision
-    OrchidUI.window?.webContents.send('downloadrequest', {
-      url: item.getURL(),
-      suggestedFilename: item.getFilename(),
-      lastModified: item.getLastModifiedTime(),
-      size: item.getTotalBytes(),
-      mime: item.getMimeType()
+  DownloadService.attach(sessions);
+  ContentBlockingService.attach(sessions);
+  DownloadStore.subscribe((change) => {
+    const download = change.download;
+    if (change.type === 'removed' || download.isPrivate) {
+      return;
+    }
+    dispatch('downloadprogress', {
+      id: download.id,
+      url: download.url,
+      suggestedFilename: download.filename,
+      size: download.totalBytes,
+      mime: download.mime,
+      progress: download.totalBytes > 0 ? download.receivedBytes / download.totalBytes : 0,
+      state: download.state
     });
+  });
 
-    // Listen for the response from the renderer process
-    ipcMain.once('download-response', (event, downloadData) => {
-      if (downloadData.shouldDownload) {
-        // Set the download path and start the download
-        item.setSavePath(downloadData.path);
-      } else {
-        // Cancel the download
-        item.cancel();
-      }
+  Simulator.attach(OrchidUI.window.webContents, dispatch, sessions);
+  if (Main.TEST) {
+    TestDriver.attach(OrchidUI.window.webContents);
+  }
+  if (Main.launchOptions['simulator-port']) {
+    const port = Number(Main.launchOptions['simulator-port']);
+    Simulator.listen(port, process.env.ORCHID_SIMULATOR_TOKEN).catch((error) => {
+      console.error('[openorchid-simulator] Error listening for commands:', error);
     });
+  }
 
-    // Listen for download progress events
-    item.on('updated', (event, state) => {
-      const progress = item.getReceivedBytes() / item.getTotalBytes();
-      OrchidUI.window?.webContents.send('downloadprogress', {
-        url: item.getURL(),
-        suggestedFilename: item.getFilename(),
-        lastModified: item.getLastModifiedTime(),
-        size: item.getTotalBytes(),
-        mime: item.getMimeType(),
-        progress,
-        state
+  sessions.forEach((tabSession) => {
+    tabSession.setPermissionRequestHandler((webContents, permission, callback) => {
+      // Shells record the screen and the microphone, see `CaptureService`
+      if (permission === 'media' && WindowService.isShell(webContents)) {
+        callback(true);
+        return;
+      }
+      IpcRouter.send(WindowService.getShellContents(webContents), 'permissionrequest', {
+        type: permission,
+        origin: webContents.getURL(),
+        title: webContents.getTitle()
+      });
+      IpcRouter.once('permission-request', (event, data) => {
+        callback(data.decision);
       });
     });
   });
 
-  OrchidUI.window.webContents.session.setPermissionRequestHandler((webContents, permission, callback) => {
-    OrchidUI.window?.webContents.send('permissionrequest', {
-      type: permission,
-      origin: webContents.getURL(),
-      title: webContents.getTitle()
-    });
-    ipcMain.once('permission-request', (event, data) => {
-      callback(data.decision);
+  // Webapps ask for their manifest permissions through the system. Main
+  // keeps track of who asked, so the user's decision is stored for the
+  // origin of the webapp and not for one it made up
+  const permissionRequests = new Map<
+    string,
+    { contents: Electron.WebContents; origin: string; type: string; forget: () => void }
+  >();
+  IpcRouter.on('permissionrequest', (event, data) => {
+    let origin: string;
+    try {
+      origin = new URL(event.sender.getURL()).origin;
+    } catch (error) {
+      return;
+    }
+    if (typeof data.requestId !== 'string' || typeof data.type !== 'string') {
+      return;
+    }
+
+    const requestId = data.requestId;
+    const forget = () => permissionRequests.delete(requestId);
+    permissionRequests.set(requestId, { contents: event.sender, origin, type: data.type, forget });
+    event.sender.once('destroyed', forget);
+    IpcRouter.send(WindowService.getShellContents(event.sender), 'permissionrequest', Object.assign({}, data, {
+      origin,
+      webContentsId: event.sender.id
+    }));
+  });
+  IpcRouter.on('permissionreply', (event, data) => {
+    const request = permissionRequests.get(data.requestId);
+    if (!request || !WindowService.isShell(event.sender)) {
+      return;
+    }
+
+    permissionRequests.delete(data.requestId);
+    request.contents.removeListener('destroyed', request.forget);
+    const decision = !!data.decision;
+    SettingsGrantStore.set(request.origin, request.type, decision);
+    IpcRouter.send(request.contents, 'permissionreply', {
+      requestId: data.requestId,
+      permission: request.type,
+      origin: request.origin,
+      decision
     });
   });
+  IpcRouter.on('permissionsget', (event, origin) => {
+    return PermissionBroker.mayReadGrants(event.sender, origin) ? SettingsGrantStore.get(origin) : {};
+  });
+  IpcRouter.handle('permissionsset', (event, origin, name, decision) => {
+    assertGrantsManager(event.sender);
+    SettingsGrantStore.set(origin, name, decision);
+  });
+  IpcRouter.handle('permissionsrevoke', (event, origin, name) => {
+    assertGrantsManager(event.sender);
+    SettingsGrantStore.revoke(origin, name || undefined);
+  });
+
+  IpcRouter.on('webappschange', (event, data) => {
+    // Other renderers could make the runtime serve or drop any directory
+    if (!WindowService.isShell(event.sender)) {
+      return;
+    }
+    if (data.type === 'install' || data.type === 'update') {
+      WebappRegistry.register(data.appId);
+    } else if (data.type === 'uninstall') {
+      WebappRegistry.unregister(data.appId);
+    }
+    PermissionBroker.invalidate(data.appId);
+    dispatch('webappschange', data);
+  });
 
   // window.webContents.session.setDisplayMediaRequestHandler((request, callback) => {
   //   const object = { video: request.frame };
@@ -85,13 +252,13 @@ export default (function () {
       if (DEBUG) {
         console.log(`[openorchid-update] ${colors.blue}Found a update available...`);
       }
-      OrchidUI.window?.webContents.send('update-available');
+      dispatch('update-available');
     });
   autoUpdater.on('update-downloaded', () => {
     if (DEBUG) {
       console.log(`[openorchid-update] ${colors.blue}Update downloaded...`);
     }
-    OrchidUI.window?.webContents.send('update-downloaded');
+    dispatch('update-downloaded');
   });
 
   setInterval(() => {
@@ -100,193 +267,311 @@ export default (function () {
     }
     autoUpdater.checkForUpdates();
   }, 60 * 1000);
-  ipcMain.on('request-update-status', (event) => {
+  IpcRouter.handle('updatestatus', () => {
     if (DEBUG) {
       console.log(`[openorchid-update] ${colors.blue}Checking updates...${colors.reset}`);
     }
-    event.sender.send('update-status', autoUpdater.checkForUpdates());
+    return autoUpdater.checkForUpdates();
   });
 
-  ipcMain.on('close', (event, data) => {
-    OrchidUI.window?.close();
-  });
-  ipcMain.on('maximize', (event, data) => {
-    if (OrchidUI.window?.isMaximized()) {
-      OrchidUI.window?.unmaximize();
+  // Window controls act on the native window the sender is shown in
+  IpcRouter.on('close', (event) => {
+    WindowService.getOwnerWindow(event.sender)?.close();
+  });
+  IpcRouter.on('maximize', (event) => {
+    const window = WindowService.getOwnerWindow(event.sender);
+    if (window?.isMaximized()) {
+      window.unmaximize();
     } else {
-      OrchidUI.window?.maximize();
+      window?.maximize();
     }
   });
-  ipcMain.on('minimize', (event, data) => {
-    if (OrchidUI.window?.isMinimized()) {
-      OrchidUI.window?.restore();
+  IpcRouter.on('minimize', (event) => {
+    const window = WindowService.getOwnerWindow(event.sender);
+    if (window?.isMinimized()) {
+      window.restore();
     } else {
-      OrchidUI.window?.minimize();
+      window?.minimize();
     }
   });
+  IpcRouter.handle('displaysquery', (event) => {
+    return WindowService.getDisplays(event.sender);
+  });
+  IpcRouter.handle('windowdetach', (event, options) => {
+    if (!WindowService.isShell(event.sender)) {
+      throw new Error('PERMISSION_DENIED: Only the system may open windows');
+    }
+    return WindowService.detach(event.sender, options);
+  });
 
   OrchidUI.window.on('maximize', () => {
-    OrchidUI.window?.webContents.send('maximized');
+    dispatch('maximized');
   });
   OrchidUI.window.on('unmaximize', () => {
-    OrchidUI.window?.webContents.send('unmaximized');
+    dispatch('unmaximized');
   });
 
-  ipcMain.on('message', (event, data) => {
-    if (DEBUG) {
-      console.log(
-        `[openorchid-events] ${colors.magenta}message${colors.reset} ${colors.yellow}${JSON.stringify(data)}${
-          colors.reset
-        }`
-      );
-    }
-    OrchidUI.window?.webContents.send('message', data);
+  IpcRouter.on('message', (event, data) => {
+    MessageBus.route(event.sender, data);
   });
-  ipcMain.on('messagebox', (event, data) => {
-    if (DEBUG) {
-      console.log(
-        `[openorchid-events] ${colors.magenta}messagebox${colors.reset} ${colors.yellow}${JSON.stringify(data)}${
-          colors.reset
-        }`
-      );
-    }
-    OrchidUI.window?.webContents.send('messagebox', data);
+  IpcRouter.on('messagerequest', (event, data) => {
+    MessageBus.request(event, data);
   });
-  ipcMain.on('openfile', (event, data) => {
-    OrchidUI.window?.webContents.send('openfile', data);
+  IpcRouter.on('notificationpermission', (event) => {
+    return NotificationCenter.getPermission(MessageBus.getOrigin(event.sender));
   });
-  ipcMain.on('savefile', (event, data) => {
-    OrchidUI.window?.webContents.send('savefile', data);
+  IpcRouter.handle('notificationsquery', (event, query) => {
+    assertNotificationManager(event.sender);
+    return NotificationStore.query(query || {});
   });
-  ipcMain.on('shutdown', (event, data) => {
-    app.quit();
+  IpcRouter.handle('notificationsgroups', (event, query) => {
+    assertNotificationManager(event.sender);
+    return NotificationStore.group(query || {});
   });
-  ipcMain.on('restart', (event, data) => {
-    app.relaunch();
-    app.quit();
+  IpcRouter.handle('notificationsactivate', (event, id, action) => {
+    assertNotificationManager(event.sender);
+    return NotificationCenter.activate(id, action || undefined);
   });
-  ipcMain.on('powerstart', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}powerstart${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('powerstart', data);
+  IpcRouter.handle('notificationsdismiss', (event, id) => {
+    assertNotificationManager(event.sender);
+    NotificationCenter.dismiss(id);
   });
-  ipcMain.on('powerend', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}powerend${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('powerend', data);
+  IpcRouter.handle('notificationsclear', (event, origin) => {
+    assertNotificationManager(event.sender);
+    NotificationStore.clear(origin || undefined);
   });
-  ipcMain.on('volumeup', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}volumeup${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('volumeup', data);
+  IpcRouter.handle('notificationsmarkread', (event, ids) => {
+    assertNotificationManager(event.sender);
+    NotificationStore.markRead(ids || undefined);
   });
-  ipcMain.on('volumedown', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}volumedown${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('volumedown', data);
+  IpcRouter.handle('downloadsquery', (event) => {
+    assertDownloadManager(event.sender);
+    return DownloadService.getAll();
   });
-  ipcMain.on('shortcut', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}shortcut${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('shortcut', data);
+  IpcRouter.handle('downloadspause', (event, id) => {
+    assertDownloadManager(event.sender);
+    DownloadService.pause(id);
   });
-  ipcMain.on('input', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}input${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.sendInputEvent(data);
+  IpcRouter.handle('downloadsresume', (event, id) => {
+    assertDownloadManager(event.sender);
+    DownloadService.resume(id);
   });
-  ipcMain.on('rotate', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}rotate${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('rotate', data);
+  IpcRouter.handle('downloadscancel', (event, id) => {
+    assertDownloadManager(event.sender);
+    DownloadService.cancel(id);
   });
-  ipcMain.on('mediaplay', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}mediaplay${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('mediaplay', data);
+  IpcRouter.handle('downloadsretry', (event, id) => {
+    assertDownloadManager(event.sender);
+    DownloadService.retry(id);
   });
-  ipcMain.on('mediapause', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}mediapause${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('mediapause', data);
+  IpcRouter.handle('downloadsremove', (event, id) => {
+    assertDownloadManager(event.sender);
+    DownloadService.remove(id);
   });
-  ipcMain.on('webdrag', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}webdrag${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('webdrag', data);
+  IpcRouter.handle('downloadsclear', (event) => {
+    assertDownloadManager(event.sender);
+    DownloadStore.clear();
   });
-  ipcMain.on('webdrop', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}webdrop${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('webdrop', data);
+  IpcRouter.handle('sessionquery', (event) => {
+    assertSessionManager(event.sender);
+    return SessionStore.takeLastSession();
   });
-  ipcMain.on('devicepickup', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}devicepickup${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('devicepickup', data);
+  IpcRouter.handle('sessionupdate', (event, windows) => {
+    assertSessionManager(event.sender);
+    SessionStore.update(windows);
   });
-  ipcMain.on('deviceputdown', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}deviceputdown${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('deviceputdown', data);
+  IpcRouter.handle('historyvisit', (event, url, transition, title) => {
+    assertHistoryManager(event.sender);
+    HistoryStore.addVisit(url, transition || undefined, title || undefined);
   });
-  ipcMain.on('settingschange', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}settingschange${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('settingschange', data);
+  IpcRouter.handle('historyupdate', (event, url, changes) => {
+    assertHistoryManager(event.sender);
+    HistoryStore.update(url, changes);
   });
-  ipcMain.on('mediadevicechange', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}mediadevicechange${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('mediadevicechange', data);
+  IpcRouter.handle('historysearch', (event, text, limit) => {
+    assertHistoryManager(event.sender);
+    return HistoryStore.search(text, limit || undefined);
   });
-  ipcMain.on('narrate', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}narrate${colors.reset} ${JSON.stringify(data)}`);
-    }
-    OrchidUI.window?.webContents.send('narrate', data);
+  IpcRouter.handle('historyquery', (event, query) => {
+    assertHistoryManager(event.sender);
+    return HistoryStore.getVisits(query || undefined);
   });
-  ipcMain.on('screenshot', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}screenshot${colors.reset} ${JSON.stringify(data)}`);
+  IpcRouter.handle('historyremove', (event, url) => {
+    assertHistoryManager(event.sender);
+    HistoryStore.remove(url);
+  });
+  IpcRouter.handle('historyremoverange', (event, startTime, endTime) => {
+    assertHistoryManager(event.sender);
+    return HistoryStore.removeRange(startTime, endTime);
+  });
+  IpcRouter.handle('browsingdataclear', (event, options) => {
+    assertHistoryManager(event.sender);
+    return HistoryService.clearBrowsingData(options);
+  });
+  IpcRouter.handle('bookmarksquery', (event, parentId) => {
+    assertBookmarksManager(event.sender);
+    return BookmarkStore.getTree(parentId || null);
+  });
+  IpcRouter.handle('bookmarkssearch', (event, text, limit) => {
+    assertBookmarksManager(event.sender);
+    return BookmarkStore.search(text, limit || undefined);
+  });
+  IpcRouter.handle('bookmarksfind', (event, url) => {
+    assertBookmarksManager(event.sender);
+    return BookmarkStore.findByUrl(url);
+  });
+  IpcRouter.handle('bookmarksadd', (event, input, allowDuplicate) => {
+    assertBookmarksManager(event.sender);
+    return BookmarkService.add(input, !!allowDuplicate);
+  });
+  IpcRouter.handle('bookmarksupdate', (event, id, changes) => {
+    assertBookmarksManager(event.sender);
+    return BookmarkStore.update(id, changes);
+  });
+  IpcRouter.handle('bookmarksmove', (event, id, parentId, index) => {
+    assertBookmarksManager(event.sender);
+    BookmarkStore.move(id, parentId || null, index ?? undefined);
+  });
+  IpcRouter.handle('bookmarksremove', (event, id) => {
+    assertBookmarksManager(event.sender);
+    return BookmarkStore.remove(id);
+  });
+  IpcRouter.handle('bookmarksduplicates', (event) => {
+    assertBookmarksManager(event.sender);
+    return BookmarkStore.getDuplicates();
+  });
+  IpcRouter.handle('bookmarksimport', (event, path, parentId) => {
+    assertBookmarksManager(event.sender);
+    return BookmarkService.importFile(path, parentId);
+  });
+  IpcRouter.handle('bookmarksexport', (event, format) => {
+    assertBookmarksManager(event.sender);
+    return BookmarkService.exportFile(format);
+  });
+
+  IpcRouter.handle('extensionsquery', (event) => {
+    assertExtensionsManager(event.sender);
+    return ExtensionService.getAll();
+  });
+  IpcRouter.handle('extensionssetenabled', (event, id, enabled) => {
+    assertExtensionsManager(event.sender);
+    return ExtensionService.setEnabled(id, enabled);
+  });
+  IpcRouter.handle('extensionsinstall', (event, virtualPath) => {
+    assertExtensionsManager(event.sender);
+    return ExtensionService.install(virtualPath);
+  });
+
+  // Dialogs, files and drag and drop are shown by the system app in charge
+  // of the sender
+  const shellChannels = [
+    'messagebox',
+    'openfile',
+    'savefile',
+    'rotate',
+    'webdrag',
+    'webdrop',
+    'devicepickup',
+    'deviceputdown',
+    'requestlogin'
+  ];
+  shellChannels.forEach((channel) => {
+    IpcRouter.on(channel, (event, data) => {
+      IpcRouter.send(WindowService.getShellContents(event.sender), channel, data);
+    });
+  });
+
+  IpcRouter.on('shutdown', () => {
+    Simulator.report('shutdown');
+    app.quit();
+  });
+  IpcRouter.on('restart', () => {
+    Simulator.report('restart');
+    app.relaunch();
+    app.quit();
+  });
+
+  // Hardware buttons and media go to the system app and the webapps
+  // subscribed to them
+  const dispatchedChannels = [
+    'powerstart',
+    'powerend',
+    'volumeup',
+    'volumedown',
+    'shortcut',
+    'mediaplay',
+    'mediapause',
+    'mediadevicechange',
+    'narrate'
+  ];
+  dispatchedChannels.forEach((channel) => {
+    IpcRouter.on(channel, (event, data) => dispatch(channel, data));
+  });
+
+  IpcRouter.on('input', (event, data) => {
+    WindowService.getShellContents(event.sender)?.sendInputEvent(data);
+  });
+  IpcRouter.handle('simulatorcommand', (event, command) => {
+    if (event.sender !== Simulator.controlsContents) {
+      throw new Error('PERMISSION_DENIED: Only the simulator controls may send commands');
     }
-    if (data.webContentsId) {
-      const wc = webContents.fromId(data.webContentsId);
-      wc?.capturePage().then((image) => {
-        event.sender.send('screenshotted', {
-          webContentsId: data.webContentsId,
-          imageDataURL: image.toDataURL()
-        });
-      });
-    } else {
-      OrchidUI.window?.webContents.capturePage().then((image) => {
-        event.sender.send('screenshotted', {
-          webContentsId: data.webContentsId,
-          imageDataURL: image.toDataURL()
-        });
-      });
+    return Simulator.handleCommand(command);
+  });
+  IpcRouter.on('simulatorbattery', () => {
+    // `null` rather than `undefined`, which would leave the sender waiting
+    return Simulator.state.battery || null;
+  });
+  IpcRouter.handle('settingsget', (event, name, settingsFile) => {
+    assertSettingsFile(event.sender, settingsFile);
+    return SettingsStore.getValue(name, settingsFile || undefined);
+  });
+  IpcRouter.handle('settingsset', (event, name, value, settingsFile) => {
+    assertSettingsFile(event.sender, settingsFile);
+    return SettingsStore.setValue(name, value, settingsFile || undefined);
+  });
+  SettingsStore.subscribe(null, (value, name, settingsFile) => {
+    const data = { name, value, settingsFile, [name]: value };
+    if (settingsFile !== SettingsStore.SETTINGS_FILE) {
+      // Other files hold data of the system, like bookmarks or permission
+      // decisions, which is none of the webapps' business
+      WindowService.getShells().forEach((shell) => IpcRouter.send(shell.webContents, 'settingschange', data));
+      return;
     }
+    // Every webapp may observe settings, not only the system app
+    webContents.getAllWebContents().forEach((contents) => IpcRouter.send(contents, 'settingschange', data));
+    EventChannel.publish('settingschange', data);
   });
 
-  ipcMain.on('requestlogin', (event, data) => {
-    if (DEBUG) {
-      console.log(`[openorchid-events] ${colors.magenta}requestlogin${colors.reset} ${JSON.stringify(data)}`);
+  IpcRouter.handle('screenshot', async (event, webContentsId) => {
+    const contents = webContentsId ? webContents.fromId(webContentsId) : WindowService.getShellContents(event.sender);
+    if (!contents || contents.isDestroyed()) {
+      throw new Error(`NOT_FOUND: No webContents ${webContentsId}`);
     }
-    OrchidUI.window?.webContents.send('requestlogin', data);
+    const image = await contents.capturePage();
+    return image.toDataURL();
+  });
+  IpcRouter.handle('capturesource', (event, webContentsId) => {
+    assertShell(event.sender);
+    return CaptureService.getSource(event.sender, webContentsId);
+  });
+  IpcRouter.handle('capturescreenshot', (event, data) => {
+    assertShell(event.sender);
+    return CaptureService.saveScreenshot(data);
+  });
+  IpcRouter.handle('capturestart', (event) => {
+    assertShell(event.sender);
+    return CaptureService.startRecording(event.sender);
+  });
+  IpcRouter.handle('capturewrite', (event, id, data) => {
+    assertShell(event.sender);
+    return CaptureService.writeRecording(id, data);
+  });
+  IpcRouter.handle('capturefinish', (event, id) => {
+    assertShell(event.sender);
+    return CaptureService.finishRecording(id);
+  });
+  IpcRouter.handle('capturecancel', (event, id) => {
+    assertShell(event.sender);
+    CaptureService.cancelRecording(id);
   });
 });
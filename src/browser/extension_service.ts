@@ -0,0 +1,241 @@
+import { app, session, webContents, WebContents } from 'electron';
+import fs from 'fs';
+import path from 'path';
+import ExtensionRegistry, { ContentScriptRunAt, ExtensionInfo } from '../extensions/registry';
+import VirtualFS from '../storage/vfs';
+import WindowService from './window_service';
+import IpcRouter from '../ipc/main';
+
+export type ExtensionState = ExtensionInfo & {
+  /**
+   * `session` when Electron loaded the extension, `injected` when only its
+   * content scripts run, injected into webviews by this service, and
+   * `null` while it is disabled.
+   */
+  loadedAs: 'session' | 'injected' | null;
+};
+
+/**
+ * Runs the enabled extensions of `ExtensionRegistry` in the browser.
+ *
+ * Extensions are loaded into the default session with
+ * `session.loadExtension`, which gives them their background scripts and
+ * the `chrome.*` APIs Electron supports. The private partition never gets
+ * any, as extensions could keep what private tabs browse.
+ *
+ * When Electron refuses an extension, its content scripts still run: they
+ * are injected into the web pages of webviews matching their `matches`, in
+ * an isolated world of their own like in Chrome. Only the top frame gets
+ * them, and `document_start` scripts run once the DOM is ready.
+ */
+const ExtensionService = {
+  MAX_INSTALL_SIZE: 64 * 1024 * 1024,
+  /**
+   * Isolated worlds of injected extensions start at this ID, far from those
+   * Electron and the preloads use.
+   */
+  WORLD_ID_BASE: 1000,
+
+  isAttached: false,
+  sessionExtensions: new Map<string, string>(),
+  injectedExtensions: new Set<string>(),
+  worldIds: new Map<string, number>(),
+  files: new Map<string, string>(),
+
+  attach: function () {
+    if (this.isAttached) {
+      return;
+    }
+    this.isAttached = true;
+
+    ExtensionRegistry.subscribe((change) => {
+      webContents.getAllWebContents().forEach((contents) => {
+        if (!contents.isDestroyed() && this.isManager(contents)) {
+          IpcRouter.send(contents, 'extensionschange', change);
+        }
+      });
+    });
+
+    app.on('web-contents-created', (event, contents) => {
+      if (contents.getType() !== 'webview') {
+        return;
+      }
+      contents.on('dom-ready', () => {
+        this.inject(contents, ['document_start', 'document_end']);
+      });
+      contents.on('did-finish-load', () => {
+        this.inject(contents, ['document_idle']);
+      });
+    });
+
+    ExtensionRegistry.getAll().forEach((extension) => {
+      if (extension.isEnabled) {
+        this.load(extension);
+      }
+    });
+  },
+
+  /**
+   * Whether a webContents may list and manage extensions, which only the
+   * shells and internal `orchid://` pages may.
+   */
+  isManager: function (contents: WebContents): boolean {
+    if (WindowService.isShell(contents)) {
+      return true;
+    }
+    try {
+      return new URL(contents.getURL()).protocol === 'orchid:';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  getAll: function (): ExtensionState[] {
+    return ExtensionRegistry.getAll().map((extension) => this.getState(extension));
+  },
+
+  setEnabled: async function (id: string, enabled: boolean): Promise<ExtensionState> {
+    const extension = await ExtensionRegistry.setEnabled(id, enabled);
+    if (enabled) {
+      await this.load(extension);
+    } else {
+      this.unload(extension.id);
+    }
+    return this.getState(extension);
+  },
+
+  /**
+   * Installs an extension from a zip archive of the virtual file system,
+   * replacing the installed one it updates.
+   */
+  install: async function (virtualPath: string): Promise<ExtensionState> {
+    const filePath = VirtualFS.resolve(virtualPath);
+    const stats = await fs.promises.stat(filePath);
+    if (stats.size > this.MAX_INSTALL_SIZE) {
+      throw new Error(`TOO_LARGE: ${path.basename(filePath)} is too large to install`);
+    }
+
+    const extension = ExtensionRegistry.install(filePath);
+    this.unload(extension.id);
+    if (extension.isEnabled) {
+      await this.load(extension);
+    }
+    return this.getState(extension);
+  },
+
+  load: async function (extension: ExtensionInfo) {
+    if (this.sessionExtensions.has(extension.id) || this.injectedExtensions.has(extension.id)) {
+      return;
+    }
+    try {
+      const loaded = await session.defaultSession.loadExtension(extension.path);
+      this.sessionExtensions.set(extension.id, loaded.id);
+    } catch (error) {
+      console.warn(`Extension ${extension.id} couldn't be loaded, injecting its content scripts instead:`, error);
+      this.injectedExtensions.add(extension.id);
+    }
+  },
+
+  unload: function (id: string) {
+    const electronId = this.sessionExtensions.get(id);
+    if (electronId) {
+      session.defaultSession.removeExtension(electronId);
+      this.sessionExtensions.delete(id);
+    }
+    this.injectedExtensions.delete(id);
+
+    const extension = ExtensionRegistry.get(id);
+    if (extension) {
+      const prefix = extension.path + path.sep;
+      Array.from(this.files.keys())
+        .filter((file) => file.startsWith(prefix))
+        .forEach((file) => this.files.delete(file));
+    }
+  },
+
+  getState: function (extension: ExtensionInfo): ExtensionState {
+    let loadedAs: ExtensionState['loadedAs'] = null;
+    if (this.sessionExtensions.has(extension.id)) {
+      loadedAs = 'session';
+    } else if (this.injectedExtensions.has(extension.id)) {
+      loadedAs = 'injected';
+    }
+    return { ...extension, loadedAs };
+  },
+
+  /**
+   * Runs the content scripts of injected extensions that match the page of
+   * a webview.
+   */
+  inject: function (contents: WebContents, runAt: ContentScriptRunAt[]) {
+    if (this.injectedExtensions.size === 0 || contents.session !== session.defaultSession) {
+      return;
+    }
+    const url = contents.getURL();
+    if (this.isWebapp(url)) {
+      return;
+    }
+
+    ExtensionRegistry.getContentScripts(url).forEach(({ extension, script }) => {
+      if (!this.injectedExtensions.has(extension.id) || !runAt.includes(script.runAt)) {
+        return;
+      }
+      try {
+        script.css.forEach((file) => {
+          contents.insertCSS(this.readFile(extension, file)).catch((error) => {
+            console.error(`Error inserting ${file} of ${extension.id}:`, error);
+          });
+        });
+        const sources = script.js.map((file) => ({ code: this.readFile(extension, file), url: file }));
+        if (sources.length > 0) {
+          contents.executeJavaScriptInIsolatedWorld(this.getWorldId(extension.id), sources).catch((error) => {
+            console.error(`Error running the content scripts of ${extension.id}:`, error);
+          });
+        }
+      } catch (error) {
+        console.error(`Error reading the content scripts of ${extension.id}:`, error);
+      }
+    });
+  },
+
+  /**
+   * Webapps are served from `*.localhost` and are not for extensions to
+   * change.
+   */
+  isWebapp: function (url: string): boolean {
+    try {
+      const hostname = new URL(url).hostname;
+      return hostname === 'localhost' || hostname.endsWith('.localhost');
+    } catch (error) {
+      return true;
+    }
+  },
+
+  /**
+   * @throws {Error} `PERMISSION_DENIED` for files outside of the extension.
+   */
+  readFile: function (extension: ExtensionInfo, file: string): string {
+    const filePath = path.resolve(extension.path, file.replace(/^\/+/, ''));
+    if (!filePath.startsWith(extension.path + path.sep)) {
+      throw new Error(`PERMISSION_DENIED: ${file} is outside of the extension`);
+    }
+
+    let content = this.files.get(filePath);
+    if (content === undefined) {
+      content = fs.readFileSync(filePath, 'utf8');
+      this.files.set(filePath, content);
+    }
+    return content;
+  },
+
+  getWorldId: function (id: string): number {
+    let worldId = this.worldIds.get(id);
+    if (worldId === undefined) {
+      worldId = this.WORLD_ID_BASE + this.worldIds.size;
+      this.worldIds.set(id, worldId);
+    }
+    return worldId;
+  }
+};
+
+export default ExtensionService;
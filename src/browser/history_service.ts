@@ -0,0 +1,82 @@
+import { app, session, webContents, WebContents } from 'electron';
+import HistoryStore from '../history/store';
+import WindowService from './window_service';
+import IpcRouter from '../ipc/main';
+
+export type BrowsingDataOptions = {
+  history?: boolean;
+  cookies?: boolean;
+  cache?: boolean;
+  /**
+   * Only clears what was stored since then. Cookies and the cache can't be
+   * cleared by time and go entirely.
+   */
+  since?: number | null;
+};
+
+/**
+ * Lets the browser chrome of the system app record visits in
+ * `HistoryStore`, and internal pages like `orchid://history/` read and
+ * clear them. Changes are sent with `historychange` to every webContents
+ * allowed to read the history.
+ *
+ * Private tabs live in another session and are never recorded, which the
+ * chrome takes care of as it knows which tabs are private.
+ */
+const HistoryService = {
+  isAttached: false,
+
+  attach: function () {
+    if (this.isAttached) {
+      return;
+    }
+    this.isAttached = true;
+
+    HistoryStore.subscribe((change) => {
+      webContents.getAllWebContents().forEach((contents) => {
+        if (!contents.isDestroyed() && this.isManager(contents)) {
+          IpcRouter.send(contents, 'historychange', change);
+        }
+      });
+    });
+    app.on('will-quit', () => HistoryStore.flush());
+  },
+
+  /**
+   * Whether a webContents may read and edit the history, which only the
+   * shells and internal `orchid://` pages may.
+   */
+  isManager: function (contents: WebContents): boolean {
+    if (WindowService.isShell(contents)) {
+      return true;
+    }
+    try {
+      return new URL(contents.getURL()).protocol === 'orchid:';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Clears the history, and the cookies and cache of the default session.
+   */
+  clearBrowsingData: async function (options: BrowsingDataOptions) {
+    const since = options.since || 0;
+    if (options.history) {
+      if (since > 0) {
+        HistoryStore.removeRange(since, Infinity);
+      } else {
+        HistoryStore.clear();
+      }
+    }
+    if (options.cookies) {
+      // Webapps keep their data in the same session, only cookies go
+      await session.defaultSession.clearStorageData({ storages: ['cookies'] });
+    }
+    if (options.cache) {
+      await session.defaultSession.clearCache();
+    }
+  }
+};
+
+export default HistoryService;
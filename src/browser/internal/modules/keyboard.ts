@@ -1,4 +1,4 @@
-import { ipcRenderer } from 'electron';
+import IpcClient from '../../../ipc/renderer';
 
 const Keyboard = {
   inputAreas: null as NodeList | null,
@@ -15,7 +15,7 @@ const Keyboard = {
   },
 
   onFocus: function (event: Event) {
-    ipcRenderer.send('message', {
+    IpcClient.send('message', {
       type: 'keyboard',
       action: 'show',
       origin: location.href
@@ -26,7 +26,7 @@ const Keyboard = {
     const targetElement = event.target as HTMLElement;
 
     if (targetElement.isContentEditable || ['INPUT', 'TEXTAREA'].indexOf(targetElement.nodeName) === -1) {
-      ipcRenderer.send('message', {
+      IpcClient.send('message', {
         type: 'keyboard',
         action: 'hide',
         origin: location.href
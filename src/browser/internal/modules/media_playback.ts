@@ -1,4 +1,4 @@
-import { ipcRenderer } from 'electron';
+import IpcClient from '../../../ipc/renderer';
 
 const MediaPlayback = {
   mediaElements: null as NodeList | null,
@@ -30,12 +30,12 @@ const MediaPlayback = {
       });
     });
     mediaElement.addEventListener('pause', (event: Event) => {
-      ipcRenderer.send('mediapause', {});
+      IpcClient.send('mediapause', {});
     });
   },
 
   sendMediaPlayEvent: function (common: Record<string, any>) {
-    ipcRenderer.send('mediaplay', {
+    IpcClient.send('mediaplay', {
       title: common.title,
       artist: common.artist,
       album: common.album,
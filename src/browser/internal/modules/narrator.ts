@@ -1,4 +1,4 @@
-import { ipcRenderer } from 'electron';
+import IpcClient from '../../../ipc/renderer';
 import Settings from '../../../settings';
 
 const Narrator = {
@@ -39,7 +39,7 @@ const Narrator = {
         this.message.text = ttsString;
         speechSynthesis.speak(this.message);
 
-        ipcRenderer.send('narrate', {
+        IpcClient.send('narrate', {
           message: ttsString
         });
       }
@@ -1,7 +1,7 @@
 'use strict';
 
-import { ipcRenderer, contextBridge, IpcRendererEvent } from 'electron';
-import permissions from '../../permissions';
+import { ipcRenderer, contextBridge } from 'electron';
+import permissions, { PermissionsManager } from '../../permissions';
 import WifiManager from '../../wifi';
 import Bluetooth2 from '../../bluetooth';
 import SDCardManager from '../../storage';
@@ -19,6 +19,15 @@ import SmsManager from '../../sms';
 import WebManager from '../../web';
 import DeviceInformation from '../../misc/device_info';
 import UpdateManager from '../../update';
+import NotificationsManager from '../../notifications';
+import DownloadsManager from '../../downloads';
+import SessionManager from '../../session';
+import HistoryManager from '../../history';
+import BookmarksManager from '../../bookmarks';
+import ExtensionsManager from '../../extensions';
+import Renderer from '../../renderer';
+import IpcContract from '../../ipc/contract';
+import IpcClient from '../../ipc/renderer';
 // import Translator from '../../misc/translator.mjs';
 import appConfig from '../../../package.json';
 
@@ -30,7 +39,8 @@ dotenv.config();
 // import initVideos from './modules/videoplayer';
 // import initPIP from './modules/picture_in_picture';
 // import initVisibility from './modules/visibility_state';
-import OrchidNotification from './vanilla/notifications';
+import OrchidNotifications from './vanilla/notifications';
+import OrchidBattery from './vanilla/battery';
 import ModalDialogs from './vanilla/modal_dialogs';
 import Narrator from './modules/narrator';
 import MediaPlayback from './modules/media_playback';
@@ -41,6 +51,7 @@ import Keyboard from './modules/keyboard';
 const Environment = {
   type: process.env.ORCHID_ENVIRONMENT,
   debugPort: process.debugPort,
+  webappsPort: Renderer.webappsPort,
   currentDir: process.cwd(),
   dirName: () => __dirname,
   version: appConfig.version,
@@ -53,10 +64,27 @@ const Environment = {
   execPath: process.execPath
 };
 
+/**
+ * Lets webapps with the `ipc` permission talk to main directly. Messages on
+ * channels outside of `IpcContract` are dropped, as main doesn't listen to
+ * them anyway.
+ */
 const IPC = {
-  send: ipcRenderer.send,
-  sendToHost: ipcRenderer.sendToHost,
-  sendSync: ipcRenderer.sendSync
+  send: (channel: string, data?: any) => {
+    if (IpcContract.isRequest(channel, 'send')) {
+      IpcClient.send(channel, data);
+    } else {
+      console.warn(`Dropped a message on ${channel}, which main doesn't listen to`);
+    }
+  },
+  sendToHost: (channel: string, ...args: any[]) => ipcRenderer.sendToHost(channel, ...args),
+  sendSync: (channel: string, data?: any) => {
+    if (IpcContract.isRequest(channel, 'sendSync')) {
+      return IpcClient.sendSync(channel, data);
+    }
+    console.warn(`Dropped a message on ${channel}, which main doesn't answer`);
+    return null;
+  }
 };
 
 const InternalPreload = {
@@ -66,8 +94,9 @@ const InternalPreload = {
   init: function () {
     this.setupEventListeners();
     this.setupJavascriptAPIs();
+    IpcClient.checkVersion();
 
-    ipcRenderer.send('mediadevicechange', {});
+    IpcClient.send('mediadevicechange', {});
 
     this.createOverrideAPIs();
 
@@ -81,38 +110,16 @@ const InternalPreload = {
   },
 
   setupEventListeners: function () {
-    let eventRegistery = new Map();
-
-    eventRegistery.set('message', 'ipc-message');
-    eventRegistery.set('shutdown', 'shutdown');
-    eventRegistery.set('restart', 'restart');
-    eventRegistery.set('powerstart', 'powerstart');
-    eventRegistery.set('powerend', 'powerend');
-    eventRegistery.set('volumeup', 'volumeup');
-    eventRegistery.set('volumedown', 'volumedown');
-    eventRegistery.set('shortcut', 'shortcut');
-    eventRegistery.set('mediaplay', 'mediaplay');
-    eventRegistery.set('mediapause', 'mediapause');
-    eventRegistery.set('mediadevicechange', 'mediadevicechange');
-    eventRegistery.set('downloadrequest', 'downloadrequest');
-    eventRegistery.set('downloadprogress', 'downloadprogress');
-    eventRegistery.set('permissionrequest', 'permissionrequest');
-    eventRegistery.set('screenshotted', 'screenshotted');
-    eventRegistery.set('narrate', 'narrate');
-    eventRegistery.set('update-available', 'update-available');
-    eventRegistery.set('update-download-progress', 'update-download-progress');
-    eventRegistery.set('update-downloaded', 'update-downloaded');
-    eventRegistery.set('maximized', 'maximized');
-    eventRegistery.set('unmaximized', 'unmaximized');
-
-    for (const [key, value] of eventRegistery) {
-      this.registerEvent(key, value);
-    }
-    eventRegistery.clear();
+    IpcContract.getEvents().forEach(([channel, windowEvent]) => {
+      // The rest are only listened to by the APIs of this preload
+      if (windowEvent) {
+        this.registerEvent(channel, windowEvent);
+      }
+    });
   },
 
   registerEvent: function (ipcName: string, windowName: string) {
-    ipcRenderer.on(ipcName, (event: IpcRendererEvent, data: any) => {
+    IpcClient.on(ipcName, (data) => {
       const customEvent = new CustomEvent(windowName, {
         detail: data,
         bubbles: true,
@@ -144,6 +151,13 @@ const InternalPreload = {
     apiRegistery.sms = ['SmsManager', SmsManager];
     apiRegistery['tasks-manage'] = ['WebManager', WebManager];
     apiRegistery.update = ['UpdateManager', UpdateManager];
+    apiRegistery['permissions-manage'] = ['PermissionsManager', PermissionsManager];
+    apiRegistery['notifications-manage'] = ['NotificationsManager', NotificationsManager];
+    apiRegistery['downloads-manage'] = ['DownloadsManager', DownloadsManager];
+    apiRegistery['session-manage'] = ['SessionManager', SessionManager];
+    apiRegistery['history-manage'] = ['HistoryManager', HistoryManager];
+    apiRegistery.bookmarks = ['BookmarksManager', BookmarksManager];
+    apiRegistery['extensions-manage'] = ['ExtensionsManager', ExtensionsManager];
     // apiRegistery.translate = ['Translator', Translator];
 
     let apiEntries = Object.entries(apiRegistery);
@@ -156,9 +170,15 @@ const InternalPreload = {
   },
 
   verifyAccess: function (permission: string, value: [string, any]) {
-    const result = permissions.checkPermission(permission);
-    if (result) {
+    const state = permissions.checkPermission(permission);
+    if (state === 'allow') {
       contextBridge.exposeInMainWorld(value[0], value[1]);
+    } else if (state === 'prompt') {
+      permissions.requestPermission(permission).then((granted) => {
+        if (granted) {
+          contextBridge.exposeInMainWorld(value[0], value[1]);
+        }
+      });
     }
   },
 
@@ -166,7 +186,7 @@ const InternalPreload = {
     const getUserMedia = navigator.mediaDevices.getUserMedia.bind(navigator.mediaDevices);
     contextBridge.exposeInMainWorld('sessionOverride', {
       open: (url: string, options: Record<string, any>) => {
-        ipcRenderer.send('message', {
+        IpcClient.send('message', {
           type: 'window',
           origin: location.origin,
           url,
@@ -174,18 +194,29 @@ const InternalPreload = {
         });
       },
 
-      Notification: OrchidNotification,
+      notifications: {
+        getPermission: () => OrchidNotifications.getPermission(),
+        requestPermission: () => OrchidNotifications.requestPermission(),
+        show: (title: string, options: Record<string, any>, listener: any) =>
+          OrchidNotifications.show(title, options, listener),
+        close: (id: string) => OrchidNotifications.close(id)
+      },
+
+      battery: {
+        get: () => OrchidBattery.get(),
+        onChange: (listener: any) => OrchidBattery.onChange(listener)
+      },
 
       alert: ModalDialogs.alert,
       confirm: ModalDialogs.confirm,
       prompt: ModalDialogs.prompt,
 
       getUserMedia: async function (constraints: any) {
-        ipcRenderer.send('mediadevicechange', constraints);
+        IpcClient.send('mediadevicechange', constraints);
         const stream = await getUserMedia(constraints);
 
         stream.addEventListener('inactive', () => {
-          ipcRenderer.send('mediadevicechange', {});
+          IpcClient.send('mediadevicechange', {});
         });
 
         return stream;
@@ -230,7 +261,7 @@ const InternalPreload = {
       };
 
       // Call your function with the provided arguments
-      ipcRenderer.send('message', {
+      IpcClient.send('message', {
         type: 'textselection',
         action: 'show',
         position,
@@ -238,7 +269,7 @@ const InternalPreload = {
         selectedText
       });
     } else {
-      ipcRenderer.send('message', {
+      IpcClient.send('message', {
         type: 'textselection',
         action: 'hide'
       });
@@ -256,7 +287,7 @@ const InternalPreload = {
       if (!this.isMouseDown || !this.isEventPending) {
         this.isEventPending = true;
 
-        ipcRenderer.send('message', {
+        IpcClient.send('message', {
           type: 'title',
           action: 'show',
           originType: location.origin.includes(`system.localhost:${location.port}`) ? 'system' : 'webapp',
@@ -272,7 +303,7 @@ const InternalPreload = {
         });
       }
     } else {
-      ipcRenderer.send('message', {
+      IpcClient.send('message', {
         type: 'title',
         action: 'hide'
       });
@@ -0,0 +1,25 @@
+import IpcClient from '../../../ipc/renderer';
+
+type BatteryState = { level: number; charging: boolean } | null;
+
+/**
+ * Backs the `navigator.getBattery()` override of the `override.js` preload
+ * with the battery faked by the simulator, if any.
+ */
+const OrchidBattery = {
+  /**
+   * @returns The faked battery, or `null` while the real one is used.
+   */
+  get: function (): BatteryState {
+    return IpcClient.sendSync('simulatorbattery') || null;
+  },
+
+  /**
+   * @returns A function removing the listener.
+   */
+  onChange: function (listener: (state: BatteryState) => void): () => void {
+    return IpcClient.on('simulatorbattery', (state) => listener(state || null));
+  }
+};
+
+export default OrchidBattery;
@@ -1,8 +1,8 @@
-import { ipcRenderer } from 'electron';
+import IpcClient from '../../../ipc/renderer';
 
 const ModalDialogs = {
   alert: function (message: string) {
-    ipcRenderer.send('message', {
+    IpcClient.send('message', {
       type: 'alert',
       title: document.title,
       href: location.href,
@@ -11,41 +11,24 @@ const ModalDialogs = {
     });
   },
 
-  confirm: function (message: string) {
-    let confirmationValue = null;
-    let confirmationReceived = false;
-    let codeExecuted = false;
-
-    ipcRenderer.send('message', {
+  /**
+   * Blocks until the system app answers, like the native `confirm()`. The
+   * answer is matched to this request in the main process, see
+   * `MessageBus.request`.
+   */
+  confirm: function (message: string): boolean {
+    const value = IpcClient.sendSync('messagerequest', {
       type: 'confirm',
       title: document.title,
       href: location.href,
       origin: location.origin,
       text: message
     });
-
-    while (!confirmationReceived) {
-      if (!codeExecuted) {
-        ipcRenderer.once('message', (data: Record<string, any>) => {
-          if (data.type === 'confirm-reply') {
-            confirmationValue = data.value;
-            confirmationReceived = true;
-          }
-        });
-
-        codeExecuted = true; // Set the flag to true so it doesn't run again
-      }
-    }
-
-    return confirmationValue;
+    return value === true;
   },
 
-  prompt: function (message: string, value: string) {
-    let promptValue = null;
-    let promptReceived = false;
-    let codeExecuted = false;
-
-    ipcRenderer.send('message', {
+  prompt: function (message: string, value: string): string | null {
+    const promptValue = IpcClient.sendSync('messagerequest', {
       type: 'prompt',
       title: document.title,
       href: location.href,
@@ -53,21 +36,7 @@ const ModalDialogs = {
       text: message,
       input: value
     });
-
-    while (!promptReceived) {
-      if (!codeExecuted) {
-        ipcRenderer.once('message', (data: Record<string, any>) => {
-          if (data.type === 'prompt-reply') {
-            promptValue = data.value;
-            promptReceived = true;
-          }
-        });
-
-        codeExecuted = true; // Set the flag to true so it doesn't run again
-      }
-    }
-
-    return promptValue;
+    return typeof promptValue === 'string' ? promptValue : null;
   }
 };
 
@@ -1,49 +1,94 @@
-import { ipcRenderer } from 'electron';
-import uuid from 'uuid';
+import IpcClient from '../../../ipc/renderer';
+import { v4 } from 'uuid';
+import permissions from '../../../permissions';
 
-class OrchidNotification extends Notification {
-  public title: string;
-  public options: Record<string, any>;
-  public permission: string;
-  public ID: string;
+type NotificationListener = (type: string, detail: Record<string, any>) => void;
 
-  constructor(title: string, options: Record<string, any>) {
-    super(title);
+/**
+ * Backs the `Notification` class of webpages, which is defined by the
+ * `override.js` preload in the page itself. Instances of classes don't make
+ * it through `contextBridge`, so the page only gets these functions and
+ * passes a listener for the events of each notification.
+ */
+const OrchidNotifications = {
+  PERMISSION: 'notifications',
+  EVENTS: {
+    notificationshow: 'show',
+    notificationclick: 'click',
+    notificationclose: 'close',
+    notificationerror: 'error'
+  } as Record<string, string>,
 
-    this.title = title;
-    this.options = options;
-    this.permission = 'granted';
+  listeners: new Map<string, NotificationListener>(),
 
-    this.ID = uuid.v4();
-    this.show();
-  }
-
-  requestPermission() {
-    return new Promise((resolve, reject) => {
-      resolve(this.permission);
+  init: function () {
+    Object.entries(this.EVENTS).forEach(([channel, type]) => {
+      IpcClient.on(channel, (data) => {
+        const listener = data && this.listeners.get(data.id);
+        if (!listener) {
+          return;
+        }
+        // Closed and failed notifications won't get any other event
+        if (type === 'close' || type === 'error') {
+          this.listeners.delete(data.id);
+        }
+        listener(type, data);
+      });
     });
-  }
+  },
+
+  getPermission: function (): string {
+    return IpcClient.sendSync('notificationpermission') || 'default';
+  },
+
+  /**
+   * Asks the user whether this origin may show notifications, unless they
+   * already decided. Main stores the decision once the system replies.
+   */
+  requestPermission: function (): Promise<string> {
+    const permission = this.getPermission();
+    if (permission !== 'default') {
+      return Promise.resolve(permission);
+    }
 
-  show() {
-    ipcRenderer.send('message', {
+    const request = { requestId: v4(), type: this.PERMISSION, access: 'readwrite' as const, origin: location.origin };
+    return permissions
+      .promptThroughSystem(request)
+      .catch(() => false)
+      .then((granted) => (granted ? 'granted' : 'denied'));
+  },
+
+  /**
+   * @returns The ID of the notification.
+   */
+  show: function (title: string, options: Record<string, any>, listener?: NotificationListener): string {
+    const id = v4();
+    if (listener) {
+      this.listeners.set(id, listener);
+    }
+
+    IpcClient.send('message', {
       type: 'notification',
       action: 'show',
-      name: this.title,
-      options: this.options,
+      name: String(title),
+      // Callbacks can't be sent over IPC
+      options: JSON.parse(JSON.stringify(options || {})),
       href: location.href,
-      origin: location.origin,
       title: document.title,
-      id: this.ID
+      id
     });
-  }
+    return id;
+  },
 
-  close() {
-    ipcRenderer.send('message', {
+  close: function (id: string) {
+    IpcClient.send('message', {
       type: 'notification',
       action: 'hide',
-      id: this.ID
+      id
     });
   }
-}
+};
+
+OrchidNotifications.init();
 
-export default OrchidNotification;
+export default OrchidNotifications;
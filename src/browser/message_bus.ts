@@ -0,0 +1,172 @@
+import { IpcMainEvent, WebContents, webContents } from 'electron';
+import NotificationCenter from './notification_center';
+import WindowService from './window_service';
+import IpcRouter from '../ipc/main';
+
+type PendingRequest = {
+  event: IpcMainEvent;
+  /**
+   * The system app the request was sent to, the only one which may answer.
+   */
+  shell: WebContents;
+  cancel: () => void;
+};
+
+/**
+ * Routes the `message` IPC channel between webapps and the system app.
+ *
+ * Messages sent by webapps only ever reach the system app of the shell they
+ * are shown in, see `WindowService.getShellContents`, stamped with the id
+ * and origin of the webContents they came from. Messages sent by a system
+ * app are delivered to the webContents they address with `targetId` or
+ * `targetOrigin`, and only the types in `BROADCAST_TYPES` are sent to every
+ * webContents. Notifications are handed to `NotificationCenter` instead,
+ * whoever sends them.
+ */
+const MessageBus = {
+  /**
+   * Message types the system app may send to every webapp at once.
+   */
+  BROADCAST_TYPES: ['lockscreen'],
+
+  /**
+   * Reply types and the request types they answer.
+   */
+  REPLY_TYPES: {
+    'confirm-reply': 'confirm',
+    'prompt-reply': 'prompt'
+  } as Record<string, string>,
+
+  pendingRequests: new Map<string, PendingRequest>(),
+  lastRequestId: 0,
+
+  route: function (sender: WebContents, data: any) {
+    if (!data || typeof data !== 'object') {
+      return;
+    }
+
+    if (data.type === 'notification') {
+      NotificationCenter.handleMessage(sender, this.getOrigin(sender), data);
+      return;
+    }
+
+    if (WindowService.isShell(sender)) {
+      this.deliver(sender, data);
+      return;
+    }
+
+    // The origin is taken from the sender itself so webapps can't pose as
+    // one another
+    const shell = WindowService.getShellContents(sender);
+    if (shell) {
+      this.send(shell, {
+        ...data,
+        origin: this.getOrigin(sender),
+        sourceId: sender.id
+      });
+    }
+  },
+
+  /**
+   * Handles a message from the system app of a shell.
+   */
+  deliver: function (shell: WebContents, data: any) {
+    if (this.REPLY_TYPES[data.type]) {
+      this.resolveRequest(data, shell);
+      return;
+    }
+
+    if (typeof data.targetId === 'number') {
+      const target = webContents.fromId(data.targetId);
+      if (target) {
+        this.send(target, data);
+      }
+      return;
+    }
+
+    if (typeof data.targetOrigin === 'string') {
+      webContents.getAllWebContents().forEach((contents) => {
+        if (this.getOrigin(contents) === data.targetOrigin) {
+          this.send(contents, data);
+        }
+      });
+      return;
+    }
+
+    if (this.BROADCAST_TYPES.indexOf(data.type) !== -1) {
+      webContents.getAllWebContents().forEach((contents) => this.send(contents, data));
+      return;
+    }
+
+    // Unaddressed messages, e.g. notifications shown by the system app
+    // itself, stay in the system app
+    this.send(shell, data);
+  },
+
+  /**
+   * Handles a blocking request such as `confirm()` or `prompt()`. The
+   * renderer waits until the system app answers with a reply carrying the
+   * same `requestId`, so concurrent requests of different webapps can't get
+   * each other's answers.
+   */
+  request: function (event: IpcMainEvent, data: any) {
+    const isKnownRequest = Object.values(this.REPLY_TYPES).indexOf(data && data.type) !== -1;
+    // System apps answer the requests, so they can't wait for one themselves
+    const shell =
+      isKnownRequest && !WindowService.isShell(event.sender) ? WindowService.getShellContents(event.sender) : null;
+    if (!shell) {
+      event.returnValue = null;
+      return;
+    }
+
+    const requestId = `${event.sender.id}-${++this.lastRequestId}`;
+    const cancel = () => this.resolveRequest({ requestId, value: null });
+    this.pendingRequests.set(requestId, { event, shell, cancel });
+    // Requests are answered with `null` once either side is gone
+    event.sender.once('destroyed', cancel);
+    shell.once('destroyed', cancel);
+
+    this.send(shell, {
+      ...data,
+      origin: this.getOrigin(event.sender),
+      sourceId: event.sender.id,
+      requestId
+    });
+  },
+
+  /**
+   * Answers a pending request.
+   *
+   * @param shell The system app answering, which has to be the one the
+   *        request was sent to. Omitted when the request is cancelled.
+   */
+  resolveRequest: function (data: any, shell?: WebContents) {
+    const request = this.pendingRequests.get(data.requestId);
+    if (!request || (shell && request.shell !== shell)) {
+      return;
+    }
+
+    this.pendingRequests.delete(data.requestId);
+    if (!request.shell.isDestroyed()) {
+      request.shell.removeListener('destroyed', request.cancel);
+    }
+    if (!request.event.sender.isDestroyed()) {
+      request.event.sender.removeListener('destroyed', request.cancel);
+      request.event.returnValue = data.value === undefined ? null : data.value;
+    }
+  },
+
+  send: function (contents: WebContents, data: any) {
+    IpcRouter.send(contents, 'message', data);
+  },
+
+  getOrigin: function (contents: WebContents): string {
+    try {
+      return new URL(contents.getURL()).origin;
+    } catch (error) {
+      return 'null';
+    }
+  }
+};
+
+export default MessageBus;
@@ -0,0 +1,208 @@
+import { WebContents, webContents } from 'electron';
+import PermissionBroker from './permission_broker';
+import WindowService from './window_service';
+import SettingsStore from '../settings/store';
+import NotificationStore from '../notifications/store';
+import IpcRouter from '../ipc/main';
+
+export type NotificationPermission = 'granted' | 'denied' | 'default';
+
+/**
+ * Decides which notifications are shown and routes what the user does with
+ * them back to the webapp which showed them.
+ *
+ * Webapps show notifications through `new Notification()` or
+ * `OrchidJS.notify()`, which both end up in `handleMessage`. They are only
+ * stored once the user allowed notifications for the webapp, and reach the
+ * system app over the `notificationschange` channel, which webapps can't
+ * send on. Clicks on a notification or one of its actions are sent to the
+ * webapp as `notificationclick`.
+ */
+const NotificationCenter = {
+  PERMISSION: 'notifications',
+  MANAGE_PERMISSION: 'notifications-manage',
+  DND_SETTING: 'notifications.do_not_disturb',
+
+  /**
+   * Sends the changes of `NotificationStore` to the system app of every
+   * shell, which all show the notifications.
+   */
+  attach: function () {
+    NotificationStore.subscribe((change) => {
+      // Notifications still land in the utility tray while do not disturb
+      // is on, they just don't pop up
+      const data = { ...change, silent: change.notification.silent || this.isDoNotDisturb() };
+      WindowService.getShells().forEach((window) => IpcRouter.send(window.webContents, 'notificationschange', data));
+    });
+  },
+
+  /**
+   * Handles a `notification` message sent by a webapp.
+   *
+   * @param sender The webContents of the webapp.
+   * @param origin The origin of the webapp, as seen by the main process.
+   * @param data The message.
+   */
+  handleMessage: function (sender: WebContents, origin: string, data: any) {
+    switch (data.action) {
+      case 'show':
+        this.show(sender, origin, data);
+        break;
+
+      case 'hide':
+        this.close(origin, data.id);
+        break;
+
+      default:
+        break;
+    }
+  },
+
+  show: function (sender: WebContents, origin: string, data: any) {
+    const permission = this.getPermission(origin);
+    if (permission !== 'granted') {
+      this.send(sender, 'notificationerror', {
+        id: data.id,
+        error: `PERMISSION_DENIED: Notifications are ${permission === 'denied' ? 'blocked' : 'not allowed yet'}`
+      });
+      return;
+    }
+
+    // Only the system may name the source of a notification, so webapps
+    // can't pass theirs off as coming from another one
+    const manifest = this.getManifest(origin);
+    const isPrivileged = !!manifest && !!(manifest.core || manifest.role === 'system');
+    const options = data.options || {};
+    const existingNotification = NotificationStore.get(data.id);
+    const notification = NotificationStore.add(origin, {
+      ...options,
+      // IDs come from the webapp, so they may not take over the
+      // notification of another one
+      id: !existingNotification || existingNotification.origin === origin ? data.id : undefined,
+      title: data.name,
+      source: (isPrivileged && options.source) || (manifest && manifest.name) || data.title,
+      href: data.href
+    });
+    this.send(sender, 'notificationshow', { id: notification.id });
+  },
+
+  /**
+   * Removes a notification on behalf of the webapp which showed it.
+   */
+  close: function (origin: string, id: string) {
+    const notification = NotificationStore.get(id);
+    if (notification && notification.origin === origin) {
+      NotificationStore.remove(id);
+    }
+  },
+
+  /**
+   * Handles a click on a notification, or on one of its actions, in the
+   * system app. The notification is removed afterwards.
+   *
+   * @returns Whether a running webapp was told about the click. If not, the
+   *          system app opens the webapp at the notification's `href`.
+   */
+  activate: function (id: string, action?: string) {
+    const notification = NotificationStore.remove(id);
+    if (!notification) {
+      return { delivered: false, origin: null, href: null };
+    }
+
+    const targets = this.getContents(notification.origin);
+    targets.forEach((contents) => {
+      this.send(contents, 'notificationclick', {
+        id: notification.id,
+        action: action || '',
+        tag: notification.tag,
+        data: notification.data
+      });
+    });
+    return { delivered: targets.length > 0, origin: notification.origin, href: notification.href };
+  },
+
+  /**
+   * Removes a notification the user swiped away and tells its webapp.
+   */
+  dismiss: function (id: string) {
+    const notification = NotificationStore.remove(id);
+    if (notification) {
+      this.getContents(notification.origin).forEach((contents) => {
+        this.send(contents, 'notificationclose', { id: notification.id });
+      });
+    }
+  },
+
+  /**
+   * Returns whether an origin may show notifications. Core and system
+   * webapps always may, other origins once the user allowed it.
+   */
+  getPermission: function (origin: string): NotificationPermission {
+    const manifest = this.getManifest(origin);
+    if (manifest && (manifest.core || manifest.role === 'system')) {
+      return 'granted';
+    }
+
+    const decision = PermissionBroker.getStoredDecisions(origin)[this.PERMISSION];
+    if (decision === true) {
+      return 'granted';
+    }
+    return decision === false ? 'denied' : 'default';
+  },
+
+  /**
+   * Whether a webContents may read and manage the notifications of every
+   * webapp, which only the system app and privileged webapps declaring
+   * `notifications-manage` may.
+   */
+  isManager: function (contents: WebContents): boolean {
+    if (WindowService.isShell(contents)) {
+      return true;
+    }
+
+    const manifest = this.getManifest(this.getOrigin(contents));
+    return (
+      !!manifest &&
+      !!(manifest.core || manifest.role === 'system') &&
+      !!manifest.permissions &&
+      this.MANAGE_PERMISSION in manifest.permissions
+    );
+  },
+
+  isDoNotDisturb: function (): boolean {
+    try {
+      return SettingsStore.getValue(this.DND_SETTING) === true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  getManifest: function (origin: string): Record<string, any> | null {
+    try {
+      const appId = PermissionBroker.getAppIdFromHostname(new URL(origin).hostname);
+      return appId ? PermissionBroker.getManifest(appId) : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  getContents: function (origin: string): WebContents[] {
+    return webContents.getAllWebContents().filter((contents) => {
+      return !contents.isDestroyed() && this.getOrigin(contents) === origin;
+    });
+  },
+
+  getOrigin: function (contents: WebContents): string {
+    try {
+      return new URL(contents.getURL()).origin;
+    } catch (error) {
+      return 'null';
+    }
+  },
+
+  send: function (contents: WebContents, channel: string, data: any) {
+    IpcRouter.send(contents, channel, data);
+  }
+};
+
+export default NotificationCenter;
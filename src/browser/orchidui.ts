@@ -1,4 +1,13 @@
-import { BrowserWindow, nativeTheme, Menu, ipcMain, BrowserView, app, IpcMainEvent } from 'electron';
+import {
+  BrowserWindow,
+  BrowserWindowConstructorOptions,
+  nativeTheme,
+  Menu,
+  BrowserView,
+  app,
+  IpcMainEvent,
+  WebContents
+} from 'electron';
 import os from 'os';
 import fs from 'fs';
 import path from 'path';
@@ -7,6 +16,9 @@ import registerControls from './controls';
 import systemJson from '../system.json';
 import Settings from '../settings';
 import Main from '../main';
+import WebappRegistry from './webapp_registry';
+import WindowService from './window_service';
+import IpcRouter from '../ipc/main';
 
 type SimulatorConfig = {
   [key: string]: {
@@ -85,11 +97,9 @@ const OrchidUI = {
   },
 
   createWindow: function () {
+    const options = this.getWindowOptions();
     this.window = new BrowserWindow({
-      icon: path.join(__dirname, '..', '..', 'apps', 'browser', 'style', 'icons', 'browser_128.png'),
-      title: `OrchidUI ${app.getVersion()} ${this.editionConfig[this.edition].agent_type}`,
-      minWidth: 320,
-      minHeight: 480,
+      ...options,
       width:
         process.platform !== 'win32'
           ? this.editionConfig[this.edition].simulator_width
@@ -97,12 +107,38 @@ const OrchidUI = {
       height:
         process.platform !== 'win32'
           ? this.editionConfig[this.edition].simulator_height
-          : this.editionConfig[this.edition].simulator_height + 37,
+          : this.editionConfig[this.edition].simulator_height + 37
+    });
+
+    const contents = this.window.webContents;
+    contents.on('dom-ready', () => this.injectInternals(contents));
+    Settings.getValue('video.dark_mode.enabled').then(this.handleDarkMode.bind(this));
+
+    IpcRouter.on('change-theme', this.handleThemeChange.bind(this));
+    IpcRouter.on('print', (event, data: Record<string, any>) => {
+      data = Object.assign(this.DEFAULT_PRINT_SETTINGS, data);
+      this.window?.webContents.print(data);
+    });
+
+    WindowService.init(this.window);
+    registerEvents();
+  },
+
+  /**
+   * Returns the options of a shell window, which `WindowService` also
+   * uses for the shells of other displays.
+   */
+  getWindowOptions: function (): BrowserWindowConstructorOptions {
+    return {
+      icon: path.join(__dirname, '..', '..', 'apps', 'browser', 'style', 'icons', 'browser_128.png'),
+      title: `OrchidUI ${app.getVersion()} ${this.editionConfig[this.edition].agent_type}`,
+      minWidth: 320,
+      minHeight: 480,
       autoHideMenuBar: true,
       backgroundColor: '#000000',
       frame: false,
       tabbingIdentifier: 'openorchid',
-      kiosk: !Main.DEBUG,
+      kiosk: !Main.DEBUG && !Main.TEST,
       webPreferences: {
         nodeIntegration: true,
         nodeIntegrationInSubFrames: true,
@@ -123,24 +159,17 @@ const OrchidUI = {
         preload: path.join(__dirname, 'internal', 'preload.js'),
         devTools: Main.DEBUG
       }
-    });
-
-    this.window.webContents.on('dom-ready', this.handleDOMReady.bind(this));
-    Settings.getValue('video.dark_mode.enabled').then(this.handleDarkMode.bind(this));
-
-    ipcMain.on('change-theme', this.handleThemeChange.bind(this));
-    ipcMain.on('print', (event, data: Record<string, any>) => {
-      data = Object.assign(this.DEFAULT_PRINT_SETTINGS, data);
-      this.window?.webContents.print(data);
-    });
-
-    registerEvents();
+    };
   },
 
-  handleDOMReady() {
+  /**
+   * Injects the webview setup and the internal preloads into a shell
+   * window once its page is ready.
+   */
+  injectInternals(contents: WebContents) {
     const webviewScriptPath = path.join(__dirname, '..', '..', '..', 'internal', 'webview', 'webview.js');
     console.log(webviewScriptPath);
-    this.window?.webContents.executeJavaScript(fs.readFileSync(webviewScriptPath, 'utf8'));
+    contents.executeJavaScript(fs.readFileSync(webviewScriptPath, 'utf8'));
     fs.readdir(path.join(__dirname, '..', '..', '..', 'internal', 'preloads'), (error, files) => {
       if (error) {
         console.error(error);
@@ -150,9 +179,9 @@ const OrchidUI = {
         const filepath = path.join(__dirname, '..', '..', '..', 'internal', 'preloads', file);
         console.log(filepath);
         if (file.endsWith('.js')) {
-          this.window?.webContents.executeJavaScript(fs.readFileSync(filepath, 'utf8'));
+          contents.executeJavaScript(fs.readFileSync(filepath, 'utf8'));
         } else if (file.endsWith('.css')) {
-          this.window?.webContents.insertCSS(fs.readFileSync(filepath, 'utf8'));
+          contents.insertCSS(fs.readFileSync(filepath, 'utf8'));
         }
       });
     });
@@ -166,7 +195,14 @@ const OrchidUI = {
     nativeTheme.themeSource = result;
   },
 
-  loadSystem: function () {
+  /**
+   * Loads the system app into a shell window, the primary one unless
+   * another is given.
+   *
+   * @param query Added to the URL of the system app, e.g. the `display`
+   *        the shell of another display is on.
+   */
+  loadSystem: function (window?: BrowserWindow, query: Record<string, string> = {}) {
     if (!this.editionConfig[this.edition]) {
       throw new Error('Missing edition config');
     }
@@ -178,11 +214,14 @@ const OrchidUI = {
 
     // and load the index.html of the app.
     Settings.getValue('system.main.url', 'internal.json').then((value) => {
-      if (!this.window) {
+      const shell = window || this.window;
+      if (!shell) {
         throw new Error('Window not found');
       }
 
-      this.window?.webContents.loadURL(value, { userAgent });
+      const url = new URL(WebappRegistry.rewriteUrl(value));
+      Object.entries(query).forEach(([name, parameter]) => url.searchParams.set(name, parameter));
+      shell.webContents.loadURL(url.href, { userAgent });
     });
   }
 };
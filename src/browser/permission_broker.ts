@@ -0,0 +1,299 @@
+import path from 'path';
+import { IncomingMessage } from 'http';
+import { WebContents } from 'electron';
+import type Main from '../main';
+import APIPermissions, { PermissionEvaluator, SettingsGrantStore } from '../permissions';
+import type WindowService from './window_service';
+import WebappPackage from '../webapps/package';
+
+// Both need Electron, and loading main starts OrchidUI, so they're required
+// on first use and the checks below can be unit tested without them
+const getMain = (): typeof Main => require('../main').default;
+const getWindowService = (): typeof WindowService => require('./window_service').default;
+
+type RoutePermissions = {
+  [key: string]: string;
+};
+
+type PermissionDecisions = {
+  [key: string]: boolean;
+};
+
+const PermissionBroker = {
+  /**
+   * Maps every `/api/data/<namespace>` route family to the manifest
+   * permission a webapp has to declare before it is allowed to call it.
+   *
+   * The permission names are the same ones the preload uses to decide
+   * which JavaScript APIs get exposed to a webapp.
+   */
+  ROUTE_PERMISSIONS: {
+    bluetooth: 'bluetooth',
+    child_process: 'child-process',
+    device_info: 'device-info',
+    power: 'power',
+    settings: 'settings',
+    storage: 'storage',
+    webapps: 'webapps-manage',
+    wifi: 'wifi-manage'
+  } as RoutePermissions,
+
+  CORS_HEADERS: {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  },
+
+  manifestCache: new Map<string, Record<string, any> | null>(),
+
+  /**
+   * Express middleware guarding the `/api/data/*` bridge.
+   *
+   * Resolves the calling webapp, looks up the permission the route needs
+   * and either hands the request over to the route handler or ends it
+   * with a structured 403 response.
+   */
+  middleware: function (req: Request | any, res: Response | any, next: Function) {
+    // CORS preflights of POST routes carry no credentials to check
+    if (req.method === 'OPTIONS') {
+      res.set(PermissionBroker.CORS_HEADERS);
+      res.status(204).end();
+      return;
+    }
+
+    const appId = PermissionBroker.resolveAppId(req);
+    const permission = PermissionBroker.getRoutePermission(req.path || req.url);
+
+    if (!appId) {
+      PermissionBroker.deny(res, 'UNKNOWN_ORIGIN', 'Unable to resolve the calling webapp', null, permission);
+      return;
+    }
+    if (!permission) {
+      PermissionBroker.deny(res, 'UNKNOWN_ROUTE', 'No permission is mapped to this route', appId, null);
+      return;
+    }
+
+    const origin = PermissionBroker.getOrigin(req, appId);
+    const result = PermissionBroker.check(appId, origin, permission);
+    if (!result.granted) {
+      PermissionBroker.deny(res, result.code, result.message, appId, permission);
+      return;
+    }
+
+    req.appId = appId;
+    req.appOrigin = origin;
+    req.permissions = PermissionBroker.getEvaluator(appId, origin);
+    next();
+  },
+
+  /**
+   * Returns the permission model of a webapp, for routes which check finer
+   * grained permissions themselves, like `device-storage:*` for storage.
+   * The bridge can't prompt, so permissions still needing the user's
+   * consent are refused without storing a decision.
+   */
+  getEvaluator: function (appId: string, origin: string): PermissionEvaluator {
+    return APIPermissions.createEvaluator({
+      manifest: () => this.getManifest(appId),
+      origin: () => origin,
+      prompter: () => Promise.reject(new Error("PERMISSION_NOT_GRANTED: The bridge can't prompt"))
+    });
+  },
+
+  /**
+   * Resolves the webapp id of the caller from the `Origin` header.
+   *
+   * Webapps reach the bridge from their own `{appId}.localhost` origin, so
+   * their requests are cross-origin and browsers always send it. Requests
+   * without one are refused: the Host header only says which server was
+   * asked, and any page can make a browser send GETs to it with an `<img>`.
+   *
+   * @param req The incoming request.
+   * @returns The webapp id, or null if the caller isn't a webapp.
+   */
+  resolveAppId: function (req: IncomingMessage): string | null {
+    const origin = req.headers.origin;
+    if (!origin || origin === 'null') {
+      return null;
+    }
+
+    try {
+      return this.getAppIdFromHostname(new URL(origin).hostname);
+    } catch (error) {
+      return null;
+    }
+  },
+
+  getAppIdFromHostname: function (hostname: string): string | null {
+    if (!hostname.endsWith('.localhost')) {
+      return null;
+    }
+
+    const appId = hostname.substring(0, hostname.length - '.localhost'.length);
+    if (!appId || appId.includes('.') || appId.includes('/') || appId.includes('\\')) {
+      return null;
+    }
+    return appId;
+  },
+
+  getOrigin: function (req: IncomingMessage, appId: string): string {
+    const port = req.socket?.localPort;
+    return port ? `http://${appId}.localhost:${port}` : `http://${appId}.localhost`;
+  },
+
+  /**
+   * Returns the permission needed for a route such as
+   * `/api/data/storage/read`, or null for unknown namespaces.
+   */
+  getRoutePermission: function (routePath: string): string | null {
+    const segments = routePath.split('?')[0].split('/').filter(Boolean);
+    const index = segments[0] === 'api' && segments[1] === 'data' ? 2 : 0;
+    return this.ROUTE_PERMISSIONS[segments[index]] || null;
+  },
+
+  /**
+   * Checks whether a webapp is allowed to use a permission.
+   *
+   * The permission has to be declared in the webapp's manifest and must not
+   * have been denied by the user in `permissions.json`. Permissions outside
+   * of the implicit ones also need an explicit grant unless the webapp is a
+   * core or system one.
+   */
+  check: function (appId: string, origin: string, permission: string) {
+    const manifest = this.getManifest(appId);
+    if (!manifest) {
+      return { granted: false, code: 'MANIFEST_NOT_FOUND', message: `No manifest found for ${appId}` };
+    }
+
+    const declared = manifest.permissions || {};
+    if (!(permission in declared)) {
+      return {
+        granted: false,
+        code: 'PERMISSION_NOT_DECLARED',
+        message: `${appId} does not declare the "${permission}" permission`
+      };
+    }
+
+    const decisions = this.getStoredDecisions(origin);
+    if (decisions[permission] === false) {
+      return { granted: false, code: 'PERMISSION_DENIED', message: `The "${permission}" permission was denied` };
+    }
+
+    // The bridge can't prompt, so permissions that still need the user's
+    // consent have to be granted through a prompt from the preload first
+    const isPrivileged = manifest.core || manifest.role === 'system';
+    if (
+      decisions[permission] !== true &&
+      !isPrivileged &&
+      APIPermissions.IMPLICIT_PERMISSIONS.indexOf(permission) === -1
+    ) {
+      return {
+        granted: false,
+        code: 'PERMISSION_NOT_GRANTED',
+        message: `The "${permission}" permission hasn't been granted yet`
+      };
+    }
+
+    return { granted: true, code: null, message: null };
+  },
+
+  /**
+   * Reads the manifest of an installed webapp, either from its directory or
+   * from its packaged `webapp.zip` in production.
+   */
+  getManifest: function (appId: string): Record<string, any> | null {
+    if (this.manifestCache.has(appId)) {
+      return this.manifestCache.get(appId) || null;
+    }
+    const Main = getMain();
+    if (!Main.webappsPath) {
+      return null;
+    }
+
+    let appDir = path.join(Main.webappsPath, appId);
+    if (Main.DEBUG && appId === 'shared') {
+      appDir = path.join(process.cwd(), appId);
+    }
+    const manifest = WebappPackage.readInstalledManifest(appDir);
+
+    this.manifestCache.set(appId, manifest);
+    return manifest;
+  },
+
+  /**
+   * Returns the decisions the user made for an origin. These are stored by
+   * the system `Permissions` module in `permissions.json`.
+   */
+  getStoredDecisions: function (origin: string): PermissionDecisions {
+    return SettingsGrantStore.get(origin);
+  },
+
+  /**
+   * Whether a webContents may change the decisions stored for an origin,
+   * which only the shells, internal pages and webapps holding
+   * `permissions-manage` may. Webapps get their decisions recorded by main
+   * when the user answers a prompt, see `events.ts`.
+   */
+  mayManageGrants: function (contents: WebContents): boolean {
+    if (getWindowService().isShell(contents)) {
+      return true;
+    }
+    try {
+      const url = new URL(contents.getURL());
+      if (url.protocol === 'orchid:') {
+        return true;
+      }
+      const appId = this.getAppIdFromHostname(url.hostname);
+      return !!appId && this.check(appId, url.origin, 'permissions-manage').granted;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Whether a webContents may read the decisions stored for an origin.
+   * Webapps may for their own origin, to check their permissions.
+   */
+  mayReadGrants: function (contents: WebContents, origin: string): boolean {
+    try {
+      if (new URL(contents.getURL()).origin === origin) {
+        return true;
+      }
+    } catch (error) {
+      return false;
+    }
+    return this.mayManageGrants(contents);
+  },
+
+  /**
+   * Drops the cached manifest of a webapp so the next request reads it again,
+   * e.g. after the webapp was reinstalled.
+   */
+  invalidate: function (appId?: string) {
+    if (appId) {
+      this.manifestCache.delete(appId);
+    } else {
+      this.manifestCache.clear();
+    }
+  },
+
+  deny: function (
+    res: Response | any,
+    code: string | null,
+    message: string | null,
+    appId: string | null,
+    permission: string | null
+  ) {
+    res.set(this.CORS_HEADERS);
+    res.status(403).json({
+      error: {
+        code,
+        message,
+        appId,
+        permission
+      }
+    });
+  }
+};
+
+export default PermissionBroker;
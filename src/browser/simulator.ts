@@ -0,0 +1,622 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { Session, WebContents, app, webContents } from 'electron';
+import IpcRouter from '../ipc/main';
+
+export type BatteryState = {
+  level: number;
+  charging: boolean;
+};
+
+export type GeolocationState = {
+  latitude: number;
+  longitude: number;
+  accuracy: number;
+};
+
+export type OrientationState = {
+  alpha: number;
+  beta: number;
+  gamma: number;
+};
+
+export type ConnectivityState = {
+  wifi: boolean;
+  cellular: boolean;
+  airplane: boolean;
+};
+
+export type NetworkConditions = {
+  offline: boolean;
+  latency: number;
+  downloadThroughput: number;
+  uploadThroughput: number;
+};
+
+export type SimulatorState = {
+  battery: BatteryState | null;
+  geolocation: GeolocationState | null;
+  orientation: OrientationState | null;
+  connectivity: ConnectivityState;
+  network: NetworkConditions | null;
+  rotation: string;
+  heldButtons: string[];
+};
+
+type Dispatch = (name: string, data?: any) => void;
+
+export type CommandHandler = (command: Record<string, any>) => any;
+
+/**
+ * Lets QA scripts drive the simulated device: press and hold hardware
+ * buttons, fake the battery, location and orientation, and switch the
+ * network on and off or slow it down.
+ *
+ * Commands are JSON objects with a `type`, see `handleCommand`. They come
+ * from the simulator controls next to the device, and from a socket on the
+ * loopback interface when OrchidUI is launched with `--simulator-port`. The
+ * socket takes one command per line and answers each with a line holding
+ * the `id` of the command and its `result` or `error`:
+ *
+ *     {"id": 1, "type": "hello", "token": "8f3c…"}
+ *     {"id": 1, "result": null}
+ *     {"id": 2, "type": "press", "button": "power", "duration": 5000}
+ *     {"id": 2, "result": null}
+ *
+ * Any local process, and any web page through the browser, can reach the
+ * port, so the first line must be a `hello` with the token from the
+ * `ORCHID_SIMULATOR_TOKEN` environment variable. Without one, a token is
+ * generated and written to `simulator_token` in the profile. Connections
+ * which start with anything else, or send lines longer than
+ * `MAX_LINE_LENGTH`, are closed.
+ *
+ * What the device does in response, like restarting, is reported to every
+ * connected script as a line with an `event`, e.g. `{"event": "restart"}`.
+ *
+ * Sensors are overridden through the DevTools protocol of every webContents
+ * and the battery through `navigator.getBattery()`, so webapps can't tell
+ * the difference. Nothing is overridden until a command asks for it.
+ */
+const Simulator = {
+  /**
+   * The IPC events sent when a button goes down and up. Buttons which have
+   * no event for going up only react to presses.
+   */
+  BUTTONS: {
+    power: ['powerstart', 'powerend'],
+    volumeup: ['volumeup', null],
+    volumedown: ['volumedown', null],
+    shortcut: ['shortcut', null]
+  } as Record<string, [string, string | null]>,
+
+  DEFAULT_PRESS_DURATION: 100,
+  MAX_DURATION: 60 * 1000,
+
+  /**
+   * Throughputs are in bytes per second and latencies in milliseconds,
+   * matching the network throttling presets of Chromium's DevTools.
+   */
+  NETWORK_PRESETS: {
+    online: null,
+    offline: { offline: true, latency: 0, downloadThroughput: 0, uploadThroughput: 0 },
+    'slow-3g': { offline: false, latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+    'fast-3g': { offline: false, latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375 },
+    '4g': { offline: false, latency: 20, downloadThroughput: 4000000, uploadThroughput: 3000000 }
+  } as Record<string, NetworkConditions | null>,
+
+  ROTATIONS: ['0deg', '90deg', '180deg', '-90deg'],
+
+  HANDSHAKE_TIMEOUT: 10 * 1000,
+  MAX_LINE_LENGTH: 1024 * 1024,
+
+  /**
+   * Browsers that were tricked into posting to the port send this first.
+   */
+  HTTP_REQUEST_LINE: /^[A-Z]+ \S+ HTTP\/\d/,
+
+  state: {
+    battery: null,
+    geolocation: null,
+    orientation: null,
+    connectivity: { wifi: true, cellular: true, airplane: false },
+    network: null,
+    rotation: '0deg',
+    heldButtons: []
+  } as SimulatorState,
+
+  systemContents: null as WebContents | null,
+  controlsContents: null as WebContents | null,
+  sessions: [] as Session[],
+  dispatch: null as Dispatch | null,
+  server: null as net.Server | null,
+  token: null as string | null,
+
+  /**
+   * The connections which sent the token, see `authenticate`.
+   */
+  sockets: new Set<net.Socket>(),
+
+  /**
+   * Command types added by other modules, see `addCommand`.
+   */
+  commands: new Map<string, CommandHandler>(),
+
+  /**
+   * @param contents The webContents of the system app.
+   * @param dispatch Sends a system event, like `events.ts` does for the
+   *        real hardware buttons.
+   * @param sessions The sessions whose network can be emulated.
+   */
+  attach: function (contents: WebContents, dispatch: Dispatch, sessions: Session[]) {
+    this.systemContents = contents;
+    this.dispatch = dispatch;
+    this.sessions = sessions;
+
+    app.on('web-contents-created', (event, contents) => {
+      if (this.state.geolocation || this.state.orientation) {
+        this.applySensors(contents);
+      }
+    });
+  },
+
+  /**
+   * Sets the webContents of the simulator controls, the only page allowed
+   * to send commands over IPC.
+   */
+  setControls: function (contents: WebContents) {
+    this.controlsContents = contents;
+  },
+
+  /**
+   * Adds a command type, like `TestDriver` does for its DOM queries and
+   * input. The built-in commands can't be replaced.
+   */
+  addCommand: function (type: string, handler: CommandHandler) {
+    this.commands.set(type, handler);
+  },
+
+  /**
+   * Starts accepting commands on a port of the loopback interface.
+   *
+   * @param token The token connections must start with. One is generated
+   *        and written to the profile when missing.
+   */
+  listen: async function (port: number, token?: string): Promise<void> {
+    if (token) {
+      this.token = token;
+    } else {
+      this.token = crypto.randomBytes(32).toString('hex');
+      const tokenPath = path.join(app.getPath('userData'), 'simulator_token');
+      await fs.promises.writeFile(tokenPath, this.token, { encoding: 'utf8', mode: 0o600 });
+      console.log(`[openorchid-simulator] Wrote the simulator token to ${tokenPath}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const server = net.createServer((socket) => this.handleConnection(socket));
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', () => {
+        const address = server.address() as net.AddressInfo;
+        console.log(`[openorchid-simulator] Listening for commands on 127.0.0.1:${address.port}`);
+        this.server = server;
+        resolve();
+      });
+    });
+  },
+
+  handleConnection: function (socket: net.Socket) {
+    let isAuthenticated = false;
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.setTimeout(this.HANDSHAKE_TIMEOUT, () => socket.destroy());
+
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk: string) => {
+      buffer += chunk;
+      let index;
+      while (socket.writable && (index = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, index).trim();
+        buffer = buffer.slice(index + 1);
+        if (!line) {
+          continue;
+        }
+        if (isAuthenticated) {
+          this.handleLine(socket, line);
+        } else if (this.authenticate(socket, line)) {
+          isAuthenticated = true;
+          socket.setTimeout(0);
+          this.sockets.add(socket);
+        }
+      }
+
+      if (buffer.length > this.MAX_LINE_LENGTH) {
+        buffer = '';
+        this.reject(socket, null, `INVALID_COMMAND: Commands must be at most ${this.MAX_LINE_LENGTH} characters`);
+      }
+    });
+    socket.on('error', (error) => console.error('[openorchid-simulator] Connection error:', error));
+  },
+
+  /**
+   * Checks the first line of a connection, which must be a `hello` command
+   * with the token. Connections from browsers are closed without a reply.
+   */
+  authenticate: function (socket: net.Socket, line: string): boolean {
+    if (this.HTTP_REQUEST_LINE.test(line)) {
+      socket.destroy();
+      return false;
+    }
+
+    let command: any = null;
+    try {
+      command = JSON.parse(line);
+    } catch (error) {
+      // Handled like a wrong token below
+    }
+
+    const id = command && command.id !== undefined ? command.id : null;
+    if (!command || command.type !== 'hello' || !this.isToken(command.token)) {
+      this.reject(socket, id, 'PERMISSION_DENIED: Connections must start with a hello command and the simulator token');
+      return false;
+    }
+
+    socket.write(JSON.stringify({ id, result: null }) + '\n');
+    return true;
+  },
+
+  isToken: function (token: any): boolean {
+    if (typeof token !== 'string' || !this.token) {
+      return false;
+    }
+    const expected = Buffer.from(this.token, 'utf8');
+    const actual = Buffer.from(token, 'utf8');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  },
+
+  /**
+   * Answers with an error and closes the connection.
+   */
+  reject: function (socket: net.Socket, id: any, error: string) {
+    if (socket.writable) {
+      socket.end(JSON.stringify({ id, error }) + '\n');
+    }
+  },
+
+  handleLine: function (socket: net.Socket, line: string) {
+    let command: any;
+    try {
+      command = JSON.parse(line);
+    } catch (error) {
+      socket.write(JSON.stringify({ id: null, error: 'INVALID_COMMAND: Commands must be JSON' }) + '\n');
+      return;
+    }
+
+    const id = command && command.id !== undefined ? command.id : null;
+    this.handleCommand(command)
+      .then((result) => ({ id, result: result === undefined ? null : result }))
+      .catch((error) => ({ id, error: error.message }))
+      .then((reply) => {
+        if (!socket.destroyed) {
+          socket.write(JSON.stringify(reply) + '\n');
+        }
+      });
+  },
+
+  /**
+   * Tells the connected scripts about something the device did.
+   */
+  report: function (event: string, data: any = null) {
+    const line = JSON.stringify({ event, data }) + '\n';
+    this.sockets.forEach((socket) => {
+      if (!socket.destroyed) {
+        socket.write(line);
+      }
+    });
+  },
+
+  /**
+   * Runs a command. The promise settles once the command is done, e.g. once
+   * a held button was released again.
+   *
+   * @throws {Error} `INVALID_COMMAND` for unknown commands and arguments.
+   */
+  handleCommand: async function (command: Record<string, any>): Promise<any> {
+    if (!command || typeof command.type !== 'string') {
+      throw new Error('INVALID_COMMAND: Missing command type');
+    }
+
+    switch (command.type) {
+      case 'press':
+        return this.press(command.button, command.duration);
+
+      case 'buttondown':
+        return this.buttonDown(command.button);
+
+      case 'buttonup':
+        return this.buttonUp(command.button);
+
+      case 'battery':
+        return this.setBattery(command.level, command.charging);
+
+      case 'geolocation':
+        return this.setGeolocation(command.latitude, command.longitude, command.accuracy);
+
+      case 'orientation':
+        return this.setOrientation(command.alpha, command.beta, command.gamma);
+
+      case 'rotate':
+        return this.rotate(command.rotation);
+
+      case 'connectivity':
+        return this.setConnectivity(command);
+
+      case 'network':
+        return this.setNetwork(command.preset !== undefined ? command.preset : command);
+
+      case 'wait':
+        return this.wait(command.duration);
+
+      case 'state':
+        return this.getState();
+
+      case 'reset':
+        return this.reset();
+
+      default:
+        if (this.commands.has(command.type)) {
+          return (this.commands.get(command.type) as CommandHandler)(command);
+        }
+        throw new Error(`INVALID_COMMAND: Unknown command ${command.type}`);
+    }
+  },
+
+  /**
+   * Presses a button and releases it after `duration` milliseconds, e.g. 5
+   * seconds of power to restart.
+   */
+  press: async function (button: string, duration?: number) {
+    const milliseconds = duration === undefined ? this.DEFAULT_PRESS_DURATION : duration;
+    this.toNumber(milliseconds, 'duration', 0, this.MAX_DURATION);
+
+    this.buttonDown(button);
+    await this.wait(milliseconds);
+    // A reset in the meantime may have released it already
+    if (this.state.heldButtons.indexOf(button) !== -1) {
+      this.buttonUp(button);
+    }
+  },
+
+  buttonDown: function (button: string) {
+    const [startEvent, endEvent] = this.getButton(button);
+    if (this.state.heldButtons.indexOf(button) !== -1) {
+      throw new Error(`INVALID_COMMAND: ${button} is already held`);
+    }
+
+    if (endEvent) {
+      this.state.heldButtons.push(button);
+    }
+    this.send(startEvent, {});
+  },
+
+  buttonUp: function (button: string) {
+    const [, endEvent] = this.getButton(button);
+    const index = this.state.heldButtons.indexOf(button);
+    if (!endEvent) {
+      return;
+    }
+    if (index === -1) {
+      throw new Error(`INVALID_COMMAND: ${button} isn't held`);
+    }
+
+    this.state.heldButtons.splice(index, 1);
+    this.send(endEvent, {});
+  },
+
+  getButton: function (button: string): [string, string | null] {
+    if (!Object.prototype.hasOwnProperty.call(this.BUTTONS, button)) {
+      throw new Error(`INVALID_COMMAND: Unknown button ${button}`);
+    }
+    return this.BUTTONS[button];
+  },
+
+  /**
+   * Fakes the battery, or goes back to the real one if `level` is `null`.
+   *
+   * @param level Between 0 and 1, like `BatteryManager.level`.
+   */
+  setBattery: function (level: number | null, charging?: boolean) {
+    if (level === null) {
+      this.state.battery = null;
+    } else {
+      const previous = this.state.battery;
+      this.state.battery = {
+        level: this.toNumber(level, 'level', 0, 1),
+        charging: typeof charging === 'boolean' ? charging : previous ? previous.charging : false
+      };
+    }
+    this.broadcast('simulatorbattery', this.state.battery);
+  },
+
+  /**
+   * Fakes the position reported by `navigator.geolocation`, or stops faking
+   * it if `latitude` is `null`.
+   */
+  setGeolocation: function (latitude: number | null, longitude?: number, accuracy = 10) {
+    this.state.geolocation =
+      latitude === null
+        ? null
+        : {
+            latitude: this.toNumber(latitude, 'latitude', -90, 90),
+            longitude: this.toNumber(longitude, 'longitude', -180, 180),
+            accuracy: this.toNumber(accuracy, 'accuracy', 0, Infinity)
+          };
+    webContents.getAllWebContents().forEach((contents) => this.applySensors(contents));
+  },
+
+  /**
+   * Fakes the `deviceorientation` events, or stops faking them if `alpha`
+   * is `null`.
+   */
+  setOrientation: function (alpha: number | null, beta?: number, gamma?: number) {
+    this.state.orientation =
+      alpha === null
+        ? null
+        : {
+            alpha: this.toNumber(alpha, 'alpha', 0, 360),
+            beta: this.toNumber(beta, 'beta', -180, 180),
+            gamma: this.toNumber(gamma, 'gamma', -90, 90)
+          };
+    webContents.getAllWebContents().forEach((contents) => this.applySensors(contents));
+  },
+
+  /**
+   * Rotates the screen of the device, e.g. `90deg` for landscape.
+   */
+  rotate: function (rotation: string) {
+    if (this.ROTATIONS.indexOf(rotation) === -1) {
+      throw new Error(`INVALID_COMMAND: Rotation must be one of ${this.ROTATIONS.join(', ')}`);
+    }
+    this.state.rotation = rotation;
+    IpcRouter.send(this.systemContents, 'rotate', { rotation });
+  },
+
+  /**
+   * Turns Wi-Fi, cellular data and airplane mode on or off. Without Wi-Fi
+   * and cellular data, or in airplane mode, the network goes offline.
+   */
+  setConnectivity: function (changes: Partial<ConnectivityState>) {
+    const connectivity = { ...this.state.connectivity };
+    ['wifi', 'cellular', 'airplane'].forEach((key) => {
+      const value = (changes as Record<string, any>)[key];
+      if (value !== undefined && typeof value !== 'boolean') {
+        throw new Error(`INVALID_COMMAND: ${key} must be a boolean`);
+      }
+      if (typeof value === 'boolean') {
+        (connectivity as Record<string, boolean>)[key] = value;
+      }
+    });
+
+    this.state.connectivity = connectivity;
+    IpcRouter.send(this.systemContents, 'connectivitychange', this.getConnectivity());
+    this.applyNetwork();
+  },
+
+  /**
+   * Emulates network conditions, either from a preset like `slow-3g` or
+   * given as `{ offline, latency, downloadThroughput, uploadThroughput }`.
+   * `online` stops emulating them.
+   */
+  setNetwork: function (conditions: string | Partial<NetworkConditions>) {
+    if (typeof conditions === 'string') {
+      if (!Object.prototype.hasOwnProperty.call(this.NETWORK_PRESETS, conditions)) {
+        throw new Error(
+          `INVALID_COMMAND: Network preset must be one of ${Object.keys(this.NETWORK_PRESETS).join(', ')}`
+        );
+      }
+      this.state.network = this.NETWORK_PRESETS[conditions];
+    } else {
+      this.state.network = {
+        offline: !!conditions.offline,
+        latency: this.toNumber(conditions.latency || 0, 'latency', 0, Infinity),
+        downloadThroughput: this.toNumber(conditions.downloadThroughput || 0, 'downloadThroughput', 0, Infinity),
+        uploadThroughput: this.toNumber(conditions.uploadThroughput || 0, 'uploadThroughput', 0, Infinity)
+      };
+    }
+    this.applyNetwork();
+  },
+
+  wait: function (duration: number): Promise<void> {
+    const milliseconds = this.toNumber(duration, 'duration', 0, this.MAX_DURATION);
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+  },
+
+  getState: function (): SimulatorState {
+    return JSON.parse(JSON.stringify({ ...this.state, connectivity: this.getConnectivity() }));
+  },
+
+  /**
+   * Releases every held button and goes back to the real sensors and
+   * network.
+   */
+  reset: function () {
+    this.state.heldButtons.slice().forEach((button) => this.buttonUp(button));
+    this.setBattery(null);
+    this.setGeolocation(null);
+    this.setOrientation(null);
+    this.setConnectivity({ wifi: true, cellular: true, airplane: false });
+    this.setNetwork('online');
+  },
+
+  /**
+   * The connectivity as the device sees it, with airplane mode turning the
+   * radios off.
+   */
+  getConnectivity: function (): ConnectivityState {
+    const { wifi, cellular, airplane } = this.state.connectivity;
+    return { wifi: wifi && !airplane, cellular: cellular && !airplane, airplane };
+  },
+
+  applyNetwork: function () {
+    const connectivity = this.getConnectivity();
+    const isOffline = !connectivity.wifi && !connectivity.cellular;
+    const conditions = isOffline ? this.NETWORK_PRESETS.offline : this.state.network;
+
+    this.sessions.forEach((session) => {
+      if (conditions) {
+        session.enableNetworkEmulation(conditions);
+      } else {
+        session.disableNetworkEmulation();
+      }
+    });
+  },
+
+  applySensors: function (contents: WebContents) {
+    if (contents.isDestroyed()) {
+      return;
+    }
+
+    const { geolocation, orientation } = this.state;
+    try {
+      if (!contents.debugger.isAttached()) {
+        contents.debugger.attach('1.3');
+      }
+      contents.debugger
+        .sendCommand(
+          geolocation ? 'Emulation.setGeolocationOverride' : 'Emulation.clearGeolocationOverride',
+          geolocation || {}
+        )
+        .catch((error) => console.error('[openorchid-simulator] Error faking the location:', error));
+      contents.debugger
+        .sendCommand(
+          orientation
+            ? 'DeviceOrientation.setDeviceOrientationOverride'
+            : 'DeviceOrientation.clearDeviceOrientationOverride',
+          orientation || {}
+        )
+        .catch((error) => console.error('[openorchid-simulator] Error faking the orientation:', error));
+    } catch (error) {
+      console.error('[openorchid-simulator] Error attaching to a webContents:', error);
+    }
+  },
+
+  send: function (name: string, data: any) {
+    if (this.dispatch) {
+      this.dispatch(name, data);
+    }
+  },
+
+  broadcast: function (channel: string, data: any) {
+    webContents.getAllWebContents().forEach((contents) => IpcRouter.send(contents, channel, data));
+  },
+
+  toNumber: function (value: any, name: string, min: number, max: number): number {
+    const number = Number(value);
+    if (value === null || value === undefined || value === '' || isNaN(number) || number < min || number > max) {
+      throw new Error(`INVALID_COMMAND: ${name} must be a number from ${min} to ${max}`);
+    }
+    return number;
+  }
+};
+
+export default Simulator;
@@ -0,0 +1,320 @@
+import fs from 'fs';
+import path from 'path';
+import { IncomingMessage, ServerResponse } from 'http';
+import { pipeline } from 'stream';
+import AdmZip from 'adm-zip';
+import mime from 'mime';
+
+export type ByteRange = {
+  start: number;
+  end: number;
+};
+
+type CachedZip = {
+  zip: AdmZip;
+  mtimeMs: number;
+  size: number;
+};
+
+// Inflated zip entries are kept up to this many bytes in total, the least
+// recently served ones are dropped first
+const ENTRY_CACHE_LIMIT = 32 * 1024 * 1024;
+
+const StaticServer = {
+  zipCache: new Map<string, CachedZip>(),
+  entryCache: new Map<string, Buffer>(),
+  entryCacheSize: 0,
+
+  /**
+   * Parses a `Range` header against a resource of the given size.
+   *
+   * Only single `bytes` ranges are honoured. Anything else, including
+   * malformed headers and multiple ranges, is ignored so the whole resource
+   * is sent as allowed by RFC 9110.
+   *
+   * @returns The inclusive byte range, `null` if the range can't be satisfied
+   *          or `undefined` if the header should be ignored.
+   */
+  parseRange: function (header: string | undefined, size: number): ByteRange | null | undefined {
+    if (!header) {
+      return undefined;
+    }
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (!match[1] && !match[2])) {
+      return undefined;
+    }
+
+    let start: number;
+    let end: number;
+    if (!match[1]) {
+      // A suffix range such as `bytes=-500` asks for the last 500 bytes
+      const suffixLength = parseInt(match[2], 10);
+      if (suffixLength === 0) {
+        return null;
+      }
+      start = Math.max(size - suffixLength, 0);
+      end = size - 1;
+    } else {
+      start = parseInt(match[1], 10);
+      end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+      if (match[2] && parseInt(match[2], 10) < start) {
+        return undefined;
+      }
+    }
+
+    if (start >= size || size === 0) {
+      return null;
+    }
+    return { start, end };
+  },
+
+  /**
+   * Whether the client's cached copy is still valid, based on
+   * `If-None-Match` first and `If-Modified-Since` otherwise.
+   */
+  isFresh: function (req: IncomingMessage, etag: string, lastModified: Date): boolean {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+      return ifNoneMatch
+        .split(',')
+        .map((tag) => tag.trim().replace(/^W\//, ''))
+        .some((tag) => tag === '*' || tag === etag.replace(/^W\//, ''));
+    }
+
+    const ifModifiedSince = req.headers['if-modified-since'];
+    if (ifModifiedSince) {
+      const since = Date.parse(ifModifiedSince);
+      // HTTP dates only have a precision of seconds
+      return !isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+    }
+    return false;
+  },
+
+  /**
+   * Whether an `If-Range` header still matches the resource, in which case
+   * the `Range` header applies. Otherwise the whole resource is sent.
+   */
+  isRangeFresh: function (req: IncomingMessage, etag: string, lastModified: Date): boolean {
+    const ifRange = req.headers['if-range'] as string | undefined;
+    if (!ifRange) {
+      return true;
+    }
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+      // Weak validators never match for ranges
+      return !ifRange.startsWith('W/') && !etag.startsWith('W/') && ifRange === etag;
+    }
+    return Math.floor(lastModified.getTime() / 1000) * 1000 <= Date.parse(ifRange);
+  },
+
+  /**
+   * Streams a file from disk, answering conditional and range requests.
+   *
+   * @returns Whether the file was found. Nothing is written to the response
+   *          otherwise so the caller can send its own 404.
+   */
+  serveFile: async function (req: IncomingMessage, res: ServerResponse, filePath: string): Promise<boolean> {
+    let stats: fs.Stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      return false;
+    }
+    if (!stats.isFile()) {
+      return false;
+    }
+
+    const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+    this.send(req, res, {
+      contentType: mime.getType(path.extname(filePath)),
+      etag,
+      lastModified: stats.mtime,
+      size: stats.size,
+      createStream: (range) => fs.createReadStream(filePath, range)
+    });
+    return true;
+  },
+
+  /**
+   * Serves an entry of a packaged `webapp.zip`. The parsed archive is kept
+   * around until the file changes on disk and recently served entries stay
+   * inflated, so most requests don't inflate anything.
+   *
+   * @returns Whether the entry was found.
+   */
+  serveZipEntry: async function (
+    req: IncomingMessage,
+    res: ServerResponse,
+    zipFilePath: string,
+    entryName: string
+  ): Promise<boolean> {
+    const zip = await this.getZip(zipFilePath);
+    const zipEntry = zip && zip.getEntry(entryName);
+    if (!zip || !zipEntry || zipEntry.isDirectory) {
+      return false;
+    }
+
+    const data = await this.getEntryData(zipFilePath, zip, zipEntry);
+    if (!data) {
+      return false;
+    }
+
+    // The CRC-32 of the entry changes with its content, so it makes for a
+    // strong validator without hashing the data ourselves
+    const etag = `"${(zipEntry.header.crc >>> 0).toString(16)}-${data.length.toString(16)}"`;
+    this.send(req, res, {
+      contentType: mime.getType(path.extname(zipEntry.entryName)),
+      etag,
+      lastModified: zipEntry.header.time,
+      size: data.length,
+      createStream: null,
+      data
+    });
+    return true;
+  },
+
+  /**
+   * Returns the inflated content of an entry from the entry cache, inflating
+   * and caching it on a miss. Entries larger than the whole cache are
+   * inflated every time, and so are entries of an archive replaced meanwhile.
+   */
+  getEntryData: async function (zipFilePath: string, zip: AdmZip, zipEntry: AdmZip.IZipEntry): Promise<Buffer | null> {
+    const key = `${zipFilePath}\0${zipEntry.entryName}`;
+    const cached = this.entryCache.get(key);
+    if (cached) {
+      // Moves the entry to the end of the map, the most recently used side
+      this.entryCache.delete(key);
+      this.entryCache.set(key, cached);
+      return cached;
+    }
+
+    const data = await new Promise<Buffer | null>((resolve) => {
+      zipEntry.getDataAsync((data, error) => resolve(error ? null : data));
+    });
+    if (!data || data.length > ENTRY_CACHE_LIMIT || this.zipCache.get(zipFilePath)?.zip !== zip) {
+      return data;
+    }
+
+    this.entryCache.set(key, data);
+    this.entryCacheSize += data.length;
+    for (const [oldestKey, oldest] of this.entryCache) {
+      if (this.entryCacheSize <= ENTRY_CACHE_LIMIT) {
+        break;
+      }
+      this.entryCache.delete(oldestKey);
+      this.entryCacheSize -= oldest.length;
+    }
+    return data;
+  },
+
+  /**
+   * Returns the parsed archive at a path, reusing the cached one while its
+   * size and modification time stay the same.
+   */
+  getZip: async function (zipFilePath: string): Promise<AdmZip | null> {
+    let stats: fs.Stats;
+    try {
+      stats = await fs.promises.stat(zipFilePath);
+    } catch (error) {
+      this.invalidate(zipFilePath);
+      return null;
+    }
+
+    const cached = this.zipCache.get(zipFilePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return cached.zip;
+    }
+
+    this.invalidate(zipFilePath);
+    try {
+      const zip = new AdmZip(zipFilePath);
+      this.zipCache.set(zipFilePath, { zip, mtimeMs: stats.mtimeMs, size: stats.size });
+      return zip;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Drops cached archives and their inflated entries, e.g. after a webapp was
+   * updated or uninstalled.
+   */
+  invalidate: function (zipFilePath?: string) {
+    if (!zipFilePath) {
+      this.zipCache.clear();
+      this.entryCache.clear();
+      this.entryCacheSize = 0;
+      return;
+    }
+
+    this.zipCache.delete(zipFilePath);
+    for (const [key, data] of this.entryCache) {
+      if (key.startsWith(`${zipFilePath}\0`)) {
+        this.entryCache.delete(key);
+        this.entryCacheSize -= data.length;
+      }
+    }
+  },
+
+  send: function (
+    req: IncomingMessage,
+    res: ServerResponse,
+    resource: {
+      contentType: string | null;
+      etag: string;
+      lastModified: Date;
+      size: number;
+      createStream: ((range: ByteRange) => NodeJS.ReadableStream) | null;
+      data?: Buffer;
+    }
+  ) {
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('ETag', resource.etag);
+    res.setHeader('Last-Modified', resource.lastModified.toUTCString());
+    if (resource.contentType) {
+      res.setHeader('Content-Type', resource.contentType);
+    }
+
+    if (this.isFresh(req, resource.etag, resource.lastModified)) {
+      res.writeHead(304);
+      res.end();
+      return;
+    }
+
+    let range: ByteRange | null | undefined;
+    if (this.isRangeFresh(req, resource.etag, resource.lastModified)) {
+      range = this.parseRange(req.headers.range, resource.size);
+    }
+
+    if (range === null) {
+      res.setHeader('Content-Range', `bytes */${resource.size}`);
+      res.writeHead(416);
+      res.end();
+      return;
+    }
+
+    const byteRange = range || { start: 0, end: resource.size - 1 };
+    if (range) {
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${resource.size}`);
+    }
+    res.setHeader('Content-Length', Math.max(byteRange.end - byteRange.start + 1, 0));
+    res.writeHead(range ? 206 : 200);
+
+    if (req.method === 'HEAD' || resource.size === 0) {
+      res.end();
+      return;
+    }
+
+    if (resource.data) {
+      res.end(resource.data.subarray(byteRange.start, byteRange.end + 1));
+      return;
+    }
+
+    // Unlike pipe(), pipeline() also closes the file when the client goes away
+    const stream = (resource.createStream as (range: ByteRange) => NodeJS.ReadableStream)(byteRange);
+    pipeline(stream, res, () => {});
+  }
+};
+
+export default StaticServer;
@@ -0,0 +1,414 @@
+import fs from 'fs';
+import path from 'path';
+import { NativeImage, WebContents, nativeImage, webContents } from 'electron';
+import Simulator from './simulator';
+import WebappRegistry from './webapp_registry';
+
+export type ElementInfo = {
+  tagName: string;
+  id: string;
+  className: string;
+  text: string;
+  value: string | null;
+  visible: boolean;
+  rect: { x: number; y: number; width: number; height: number };
+};
+
+export type ElementState = 'attached' | 'detached' | 'visible' | 'hidden';
+
+export type ScreenshotResult = {
+  name: string;
+  status: 'recorded' | 'matched' | 'mismatched';
+  /**
+   * The share of pixels which differ from the baseline, from 0 to 1.
+   */
+  difference: number;
+  baseline: string;
+  actual: string | null;
+};
+
+/**
+ * Adds the commands the UI test runner in `src/testing` drives webapps
+ * with to the simulator protocol, see `Simulator.handleCommand`. They are
+ * only available when OrchidUI runs in test mode.
+ *
+ * Commands which act on a page take a `target`, either `system` or the ID
+ * of a running webapp. When a webapp runs more than once, the most recent
+ * window is used.
+ *
+ *     {"id": 2, "type": "launch", "app": "calculator"}
+ *     {"id": 3, "type": "click", "target": "calculator", "selector": "#seven"}
+ *     {"id": 4, "type": "screenshot", "target": "calculator", "name": "seven"}
+ */
+const TestDriver = {
+  DEFAULT_TIMEOUT: 10000,
+  POLL_INTERVAL: 100,
+  ELEMENT_STATES: ['attached', 'detached', 'visible', 'hidden'],
+  MODIFIERS: ['shift', 'control', 'ctrl', 'alt', 'meta', 'command', 'cmd'],
+  MOUSE_BUTTONS: ['left', 'middle', 'right'],
+
+  /**
+   * Channels differing by up to this much are put down to antialiasing
+   * rather than counted as a changed pixel.
+   */
+  PIXEL_TOLERANCE: 16,
+
+  /**
+   * Describes the elements matching a selector as plain objects, which is
+   * all `executeJavaScript` can return.
+   */
+  QUERY_SCRIPT: `(selector) => Array.from(document.querySelectorAll(selector)).map((element) => {
+    const rect = element.getBoundingClientRect();
+    const style = getComputedStyle(element);
+    return {
+      tagName: element.tagName.toLowerCase(),
+      id: element.id,
+      className: typeof element.className === 'string' ? element.className : '',
+      text: (element.textContent || '').trim(),
+      value: 'value' in element ? String(element.value) : null,
+      visible: rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.opacity !== '0',
+      rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height }
+    };
+  })`,
+
+  systemContents: null as WebContents | null,
+
+  /**
+   * @param contents The webContents of the system app.
+   */
+  attach: function (contents: WebContents) {
+    this.systemContents = contents;
+
+    Simulator.addCommand('ready', (command) => this.ready(command.timeout));
+    Simulator.addCommand('launch', (command) => this.launch(command.app, command.url, command.timeout));
+    Simulator.addCommand('query', (command) => this.query(command.target, command.selector));
+    Simulator.addCommand('waitfor', (command) => {
+      return this.waitFor(command.target, command.selector, command.state, command.timeout);
+    });
+    Simulator.addCommand('evaluate', (command) => this.evaluate(command.target, command.expression));
+    Simulator.addCommand('click', (command) => {
+      return this.click(command.target, command.selector, command.button, command.timeout);
+    });
+    Simulator.addCommand('type', (command) => this.type(command.target, command.text));
+    Simulator.addCommand('key', (command) => this.key(command.target, command.key, command.modifiers));
+    Simulator.addCommand('screenshot', (command) => {
+      return this.screenshot(command.target, command.name, command.threshold);
+    });
+  },
+
+  /**
+   * Resolves once the system app has booted far enough to launch webapps.
+   */
+  ready: function (timeout?: number): Promise<void> {
+    return this.waitUntil(
+      async () => {
+        const contents = this.getContents('system');
+        return (
+          !contents.isLoading() &&
+          (await contents.executeJavaScript("document.readyState === 'complete' && typeof AppWindow === 'function'"))
+        );
+      },
+      timeout,
+      'the system app to load'
+    );
+  },
+
+  /**
+   * Opens a webapp in a new window, the way its icon on the homescreen
+   * does, and resolves once its page has loaded.
+   *
+   * @param url A page of the webapp to open instead of its launch path.
+   */
+  launch: async function (appId: string, url?: string, timeout?: number) {
+    if (typeof appId !== 'string' || !WebappRegistry.resolve(appId)) {
+      throw new Error(`INVALID_COMMAND: Unknown webapp ${appId}`);
+    }
+    if (url !== undefined && typeof url !== 'string') {
+      throw new Error('INVALID_COMMAND: url must be a string');
+    }
+
+    const manifestUrl = `${WebappRegistry.getOrigin(appId)}/manifest.webapp`;
+    const configuration = url ? { url } : {};
+    await this.evaluate(
+      'system',
+      `new AppWindow(${JSON.stringify(manifestUrl)}, ${JSON.stringify(configuration)}); undefined`
+    );
+
+    return this.waitUntil(
+      () => {
+        const contents = this.findContents(appId);
+        return contents && !contents.isLoading() ? { id: contents.id, url: contents.getURL() } : null;
+      },
+      timeout,
+      `${appId} to load`
+    );
+  },
+
+  query: function (target: string, selector: string): Promise<ElementInfo[]> {
+    if (typeof selector !== 'string' || !selector) {
+      throw new Error('INVALID_COMMAND: selector must be a string');
+    }
+    return this.evaluate(target, `(${this.QUERY_SCRIPT})(${JSON.stringify(selector)})`);
+  },
+
+  /**
+   * Resolves once an element matching `selector` is in the given state, or
+   * once none is for `detached` and `hidden`. Targets which aren't running
+   * yet count as having no elements.
+   *
+   * @returns The elements matching `selector`.
+   */
+  waitFor: function (
+    target: string,
+    selector: string,
+    state: ElementState = 'visible',
+    timeout?: number
+  ): Promise<ElementInfo[]> {
+    if (this.ELEMENT_STATES.indexOf(state) === -1) {
+      throw new Error(`INVALID_COMMAND: state must be one of ${this.ELEMENT_STATES.join(', ')}`);
+    }
+
+    return this.waitUntil(
+      async () => {
+        let elements: ElementInfo[];
+        try {
+          elements = await this.query(target, selector);
+        } catch (error: any) {
+          if (!String(error.message).startsWith('NOT_FOUND')) {
+            throw error;
+          }
+          elements = [];
+        }
+
+        const visible = elements.filter((element) => element.visible);
+        const isDone =
+          state === 'attached'
+            ? elements.length > 0
+            : state === 'detached'
+              ? elements.length === 0
+              : state === 'visible'
+                ? visible.length > 0
+                : visible.length === 0;
+        return isDone ? elements : null;
+      },
+      timeout,
+      `${selector} to be ${state}`
+    );
+  },
+
+  /**
+   * Runs a script in a page and returns its result, awaiting it if it is a
+   * promise.
+   *
+   * @throws {Error} `SCRIPT_ERROR` if the script throws.
+   */
+  evaluate: async function (target: string, expression: string): Promise<any> {
+    if (typeof expression !== 'string') {
+      throw new Error('INVALID_COMMAND: expression must be a string');
+    }
+
+    const contents = this.getContents(target);
+    try {
+      return await contents.executeJavaScript(expression, true);
+    } catch (error: any) {
+      throw new Error(`SCRIPT_ERROR: ${error && error.message ? error.message : error}`);
+    }
+  },
+
+  /**
+   * Waits for an element to be visible and clicks in its middle, through
+   * the same `sendInputEvent` the `input` IPC event uses.
+   *
+   * @returns The element clicked.
+   */
+  click: async function (target: string, selector: string, button = 'left', timeout?: number): Promise<ElementInfo> {
+    if (this.MOUSE_BUTTONS.indexOf(button) === -1) {
+      throw new Error(`INVALID_COMMAND: button must be one of ${this.MOUSE_BUTTONS.join(', ')}`);
+    }
+
+    const elements = await this.waitFor(target, selector, 'visible', timeout);
+    const element = elements.find((item) => item.visible) as ElementInfo;
+    const x = Math.round(element.rect.x + element.rect.width / 2);
+    const y = Math.round(element.rect.y + element.rect.height / 2);
+
+    const contents = this.getContents(target);
+    const mouseButton = button as 'left' | 'middle' | 'right';
+    contents.sendInputEvent({ type: 'mouseMove', x, y });
+    contents.sendInputEvent({ type: 'mouseDown', x, y, button: mouseButton, clickCount: 1 });
+    contents.sendInputEvent({ type: 'mouseUp', x, y, button: mouseButton, clickCount: 1 });
+    return element;
+  },
+
+  /**
+   * Types text into whatever has the focus in a page, one character at a
+   * time.
+   */
+  type: function (target: string, text: string) {
+    if (typeof text !== 'string') {
+      throw new Error('INVALID_COMMAND: text must be a string');
+    }
+
+    const contents = this.getContents(target);
+    contents.focus();
+    Array.from(text).forEach((character) => {
+      contents.sendInputEvent({ type: 'char', keyCode: character });
+    });
+  },
+
+  /**
+   * Presses and releases a key, named like in Electron accelerators, e.g.
+   * `Enter`, `Backspace` or `Up`.
+   */
+  key: function (target: string, key: string, modifiers: string[] = []) {
+    if (typeof key !== 'string' || !key) {
+      throw new Error('INVALID_COMMAND: key must be a string');
+    }
+    if (!Array.isArray(modifiers) || modifiers.some((modifier) => this.MODIFIERS.indexOf(modifier) === -1)) {
+      throw new Error(`INVALID_COMMAND: modifiers must be some of ${this.MODIFIERS.join(', ')}`);
+    }
+
+    const contents = this.getContents(target);
+    const inputModifiers = modifiers as Electron.KeyboardInputEvent['modifiers'];
+    contents.focus();
+    contents.sendInputEvent({ type: 'keyDown', keyCode: key, modifiers: inputModifiers });
+    contents.sendInputEvent({ type: 'keyUp', keyCode: key, modifiers: inputModifiers });
+  },
+
+  /**
+   * Compares a page with its baseline screenshot. A missing baseline is
+   * recorded instead, as are all of them when the runner was asked to
+   * update them. Mismatches are saved next to the test results as
+   * `<name>.actual.png`.
+   *
+   * @param threshold The share of pixels allowed to differ, from 0 to 1.
+   */
+  screenshot: async function (target: string, name: string, threshold = 0): Promise<ScreenshotResult> {
+    if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) {
+      throw new Error('INVALID_COMMAND: name may only have letters, digits, dots, dashes and underscores');
+    }
+    const allowedDifference = Simulator.toNumber(threshold, 'threshold', 0, 1);
+
+    const image = await this.getContents(target).capturePage();
+    const baselinePath = path.join(this.getScreenshotsPath(), `${name}.png`);
+    if (process.env.ORCHID_TEST_UPDATE_SCREENSHOTS === '1' || !fs.existsSync(baselinePath)) {
+      await fs.promises.mkdir(path.dirname(baselinePath), { recursive: true });
+      await fs.promises.writeFile(baselinePath, image.toPNG());
+      return { name, status: 'recorded', difference: 0, baseline: baselinePath, actual: null };
+    }
+
+    const difference = this.compare(nativeImage.createFromPath(baselinePath), image);
+    if (difference <= allowedDifference) {
+      return { name, status: 'matched', difference, baseline: baselinePath, actual: null };
+    }
+
+    const actualPath = path.join(this.getResultsPath(), 'screenshots', `${name}.actual.png`);
+    await fs.promises.mkdir(path.dirname(actualPath), { recursive: true });
+    await fs.promises.writeFile(actualPath, image.toPNG());
+    return { name, status: 'mismatched', difference, baseline: baselinePath, actual: actualPath };
+  },
+
+  /**
+   * Returns the share of pixels which differ between two images, counting
+   * every pixel as different if their sizes do.
+   */
+  compare: function (expected: NativeImage, actual: NativeImage): number {
+    const expectedSize = expected.getSize();
+    const actualSize = actual.getSize();
+    if (expectedSize.width !== actualSize.width || expectedSize.height !== actualSize.height) {
+      return 1;
+    }
+
+    const pixelCount = expectedSize.width * expectedSize.height;
+    if (pixelCount === 0) {
+      return 0;
+    }
+
+    const expectedBitmap = expected.toBitmap();
+    const actualBitmap = actual.toBitmap();
+    let differentPixels = 0;
+    for (let index = 0; index < expectedBitmap.length; index += 4) {
+      for (let channel = 0; channel < 4; channel++) {
+        if (Math.abs(expectedBitmap[index + channel] - actualBitmap[index + channel]) > this.PIXEL_TOLERANCE) {
+          differentPixels++;
+          break;
+        }
+      }
+    }
+    return differentPixels / pixelCount;
+  },
+
+  /**
+   * @throws {Error} `NOT_FOUND` if the webapp isn't running.
+   */
+  getContents: function (target = 'system'): WebContents {
+    if (typeof target !== 'string') {
+      throw new Error('INVALID_COMMAND: target must be a string');
+    }
+
+    const contents = target === 'system' ? this.systemContents : this.findContents(target);
+    if (!contents || contents.isDestroyed()) {
+      throw new Error(`NOT_FOUND: ${target} isn't running`);
+    }
+    return contents;
+  },
+
+  /**
+   * Returns the most recent window of a webapp.
+   */
+  findContents: function (appId: string): WebContents | null {
+    const origin = WebappRegistry.getOrigin(appId);
+    return webContents
+      .getAllWebContents()
+      .filter((contents) => {
+        if (contents.isDestroyed() || contents.getType() !== 'webview') {
+          return false;
+        }
+        try {
+          return new URL(contents.getURL()).origin === origin;
+        } catch (error) {
+          return false;
+        }
+      })
+      .reduce((latest: WebContents | null, contents) => (!latest || contents.id > latest.id ? contents : latest), null);
+  },
+
+  /**
+   * Calls `check` until it returns something truthy, and resolves with it.
+   *
+   * @throws {Error} `TIMEOUT` if that takes longer than `timeout`.
+   */
+  waitUntil: async function <T>(
+    check: () => T | Promise<T>,
+    timeout: number | undefined,
+    description: string
+  ): Promise<NonNullable<T>> {
+    const milliseconds = Simulator.toNumber(
+      timeout === undefined ? this.DEFAULT_TIMEOUT : timeout,
+      'timeout',
+      0,
+      Simulator.MAX_DURATION
+    );
+
+    const deadline = Date.now() + milliseconds;
+    for (;;) {
+      const result = await check();
+      if (result) {
+        return result as NonNullable<T>;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`TIMEOUT: Waited ${milliseconds}ms for ${description}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.POLL_INTERVAL));
+    }
+  },
+
+  getScreenshotsPath: function (): string {
+    return process.env.ORCHID_TEST_SCREENSHOTS || path.join(process.cwd(), 'tests', 'screenshots');
+  },
+
+  getResultsPath: function (): string {
+    return process.env.ORCHID_TEST_RESULTS || path.join(process.cwd(), 'tests', 'results');
+  }
+};
+
+export default TestDriver;
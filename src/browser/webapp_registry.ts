@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import Main from '../main';
+
+export type WebappEntry = {
+  appId: string;
+  dir: string;
+};
+
+const WebappRegistry = {
+  DEFAULT_PORT: 8081,
+
+  /**
+   * Installed webapps keyed by the subdomain they are served from, which is
+   * the name of their directory in `Main.webappsPath`.
+   */
+  webapps: new Map<string, WebappEntry>(),
+
+  /**
+   * Returns the port the webapp runtime server listens on, which can be
+   * changed through the `ORCHID_WEBAPPS_PORT` environment variable.
+   */
+  getPort: function (): number {
+    const port = parseInt(process.env.ORCHID_WEBAPPS_PORT || '', 10);
+    return port > 0 && port < 65536 ? port : this.DEFAULT_PORT;
+  },
+
+  getOrigin: function (appId: string): string {
+    return `http://${appId}.localhost:${this.getPort()}`;
+  },
+
+  /**
+   * Rewrites runtime URLs stored with the default port, such as the ones in
+   * `defaults/internal.json`, to the port actually in use.
+   */
+  rewriteUrl: function (url: string): string {
+    return url.replace(`.localhost:${this.DEFAULT_PORT}`, `.localhost:${this.getPort()}`);
+  },
+
+  /**
+   * Registers every directory of `Main.webappsPath`.
+   */
+  scan: function () {
+    if (!Main.webappsPath) {
+      throw new Error('Webapps path not found');
+    }
+
+    this.webapps.clear();
+    fs.readdirSync(path.resolve(Main.webappsPath), { withFileTypes: true }).forEach((entry) => {
+      // Dot directories hold staging and rollback copies, which aren't served
+      if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        this.register(entry.name);
+      }
+    });
+  },
+
+  register: function (appId: string) {
+    this.webapps.set(appId, { appId, dir: this.getAppDir(appId) });
+  },
+
+  unregister: function (appId: string) {
+    this.webapps.delete(appId);
+  },
+
+  /**
+   * Returns the webapp served from a subdomain. Webapps installed without
+   * going through `register`, e.g. copied over by hand, are picked up on
+   * their first request.
+   */
+  resolve: function (subdomain: string): WebappEntry | null {
+    if (!subdomain || subdomain.includes('/') || subdomain.includes('\\') || subdomain === '..') {
+      return null;
+    }
+
+    if (!this.webapps.has(subdomain) && fs.existsSync(this.getAppDir(subdomain))) {
+      this.register(subdomain);
+    }
+    return this.webapps.get(subdomain) || null;
+  },
+
+  getAppDir: function (appId: string): string {
+    if (!Main.webappsPath) {
+      throw new Error('Webapps path not found');
+    }
+
+    // The shared resources are served from the source tree while developing
+    if (Main.DEBUG && appId === 'shared') {
+      return path.join(process.cwd(), appId);
+    }
+    return path.join(path.resolve(Main.webappsPath), appId);
+  }
+};
+
+export default WebappRegistry;
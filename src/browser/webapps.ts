@@ -1,19 +1,18 @@
 import fs from 'fs';
 import path from 'path';
 import http, { IncomingMessage } from 'http';
-import AdmZip from 'adm-zip';
 import express from 'express';
-import mime from 'mime';
 import os from 'os';
 import { App } from 'electron';
 import Main from '../main';
 
 import WifiManager from '../wifi';
 import Bluetooth2 from '../bluetooth';
-import StorageManager from '../storage';
+import StorageManager, { withPermissions } from '../storage';
 import TimeManager from '../time';
-import Settings from '../settings';
+import SettingsStore from '../settings/store';
 import AppsManager from '../webapps';
+import PWAInstaller from '../webapps/pwa_installer';
 import ChildProcess from '../child-process';
 import VirtualManager from '../virtual';
 import PowerManager from '../power';
@@ -24,135 +23,172 @@ import SmsManager from '../sms';
 import DeviceInformation from '../misc/device_info';
 
 import colors from './terminal_colors';
+import EventChannel from './event_channel';
+import PermissionBroker from './permission_broker';
+import StaticServer from './static_server';
+import WebappRegistry from './webapp_registry';
 
 const expressServer = express();
 
 import dotenv from 'dotenv';
 dotenv.config();
 
+/**
+ * Prints one line per request served by the runtime server. Only enabled
+ * while developing or when `ORCHID_ACCESS_LOG` is set.
+ */
+function logAccess(entry: { method: string; url: string; status: number; bytes: number; duration: number }) {
+  if (!Main.DEBUG && !process.env.ORCHID_ACCESS_LOG) {
+    return;
+  }
+
+  let color = colors.green;
+  if (entry.status >= 500) {
+    color = colors.red;
+  } else if (entry.status >= 400) {
+    color = colors.yellow;
+  } else if (entry.status >= 300) {
+    color = colors.cyan;
+  }
+  console.log(
+    `[openorchid-localhost] ${color}${entry.method} ${entry.status}${colors.reset} ${entry.url} ${entry.bytes}b ${entry.duration}ms`
+  );
+}
+
 export default function (app: App) {
   if (!Main.webappsPath) {
     throw new Error('Webapps path not found');
   }
 
   const internalDir = path.join(__dirname, '..', '..', '..', 'internal');
-  const files = fs.readdirSync(path.resolve(Main.webappsPath as string));
+  const port = WebappRegistry.getPort();
+  WebappRegistry.scan();
+
+  // A single server serves every webapp, picking the one to serve from the
+  // subdomain of the request
+  const localServer = http.createServer((req: IncomingMessage, res: any) => {
+    if (!Main.webappsPath || !req.url) {
+      throw new Error('Webapps path or request URL not found');
+    }
+
+    const host = req.headers.host || '';
+    const subdomain = PermissionBroker.getAppIdFromHostname(host.split(':')[0]) || '';
+
+    const startTime = Date.now();
+    res.on('finish', () => {
+      logAccess({
+        method: req.method || 'GET',
+        url: `http://${host}${req.url}`,
+        status: res.statusCode,
+        bytes: parseInt(res.getHeader('Content-Length'), 10) || 0,
+        duration: Date.now() - startTime
+      });
+    });
+
+    if (req.url === '/api/events' || req.url.startsWith('/api/events?')) {
+      EventChannel.handle(req, res);
+      return;
+    }
 
-  files.forEach((dir: string) => {
-    const subdomain = dir.split('.')[0];
+    // Check if the request is meant for the Express app
+    if (req.url.startsWith('/api/data')) {
+      expressServer(req, res);
+      return;
+    }
 
-    const localServer = http.createServer((req: IncomingMessage, res: any) => {
-      if (!Main.webappsPath || !req.url) {
-        throw new Error('Webapps path or request URL not found');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    function sendNotFound() {
+      res.writeHead(404);
+      res.end('File not found');
+    }
+
+    // Normalizing the absolute URL path drops every `..` segment, so
+    // requests can't reach files outside of the webapp's directory
+    let cleanUrl: string;
+    try {
+      cleanUrl = path.posix.normalize(decodeURIComponent(req.url.split('?')[0]));
+    } catch (error) {
+      res.writeHead(400);
+      res.end('Bad request');
+      return;
+    }
+
+    let request: Promise<boolean>;
+    if (!subdomain) {
+      request = StaticServer.serveFile(req, res, path.join(internalDir, cleanUrl));
+    } else {
+      const webapp = WebappRegistry.resolve(subdomain);
+      if (!webapp) {
+        sendNotFound();
+        return;
       }
 
-      // Check if the request is meant for the Express app
-      if (req.url?.startsWith('/api/data')) {
-        expressServer(req, res);
-      } else {
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-        const host = req.headers.host || '';
-        const subdomain = host.split('.')[0];
-
-        function sendRequest(data: any, contentType: string) {
-          res.setHeader('Content-Type', contentType); // Set the content type header
-          res.writeHead(200);
-          // console.log(
-          //   `[openorchid-localhost] ${colors.green}GET${colors.reset} http://${subdomain}.localhost:8081${cleanUrl} 200`
-          // );
-          res.end(data);
-        }
+      // The copy of a site's start page mustn't run anything on the origin
+      // of the webapp, whose pages get Node.js
+      const manifest = PermissionBroker.getManifest(webapp.appId);
+      if (manifest && manifest.pwa && cleanUrl === manifest.offline_path) {
+        res.setHeader('Content-Security-Policy', PWAInstaller.OFFLINE_POLICY);
+      }
 
-        let filePath: string;
-        const cleanUrl = req.url.split('?')[0];
-        if (!subdomain && cleanUrl) {
-          filePath = path.join(internalDir, cleanUrl);
-
-          fs.readFile(filePath, (error: NodeJS.ErrnoException | null, data: Buffer) => {
-            if (error) {
-              res.writeHead(404);
-              res.end('File not found');
-              // console.log(
-              //   `[openorchid-localhost] ${colors.red}FAILED${colors.reset} http://${subdomain}.localhost:8081${cleanUrl} 404`
-              // );
-              return;
-            }
-            const contentType = mime.getType(path.extname(filePath));
-            sendRequest(data, contentType as string); // Pass the content type to sendRequest
-          });
+      if (process.env.NODE_ENV === 'production') {
+        const zipFilePath = path.join(webapp.dir, 'webapp.zip');
+        const requestPath = cleanUrl === '/' ? '/index.html' : cleanUrl;
+        request = StaticServer.serveZipEntry(req, res, zipFilePath, requestPath.substring(1));
+      } else {
+        request = StaticServer.serveFile(req, res, path.join(webapp.dir, cleanUrl));
+      }
+    }
 
+    request
+      .then((found) => {
+        if (!found) {
+          sendNotFound();
+        }
+      })
+      .catch((error) => {
+        console.error(`[openorchid-localhost] Unable to serve ${req.url}:`, error);
+        // A file that broke halfway can't get a status anymore
+        if (res.headersSent) {
+          res.destroy();
           return;
         }
+        res.writeHead(500);
+        res.end('Internal server error');
+      });
+  });
 
-        if (process.env.NODE_ENV === 'production') {
-          const zipFilePath = path.join(Main.webappsPath, subdomain, 'webapp.zip');
-          const zip = new AdmZip(zipFilePath);
-
-          const requestPath = cleanUrl === '/' ? '/index.html' : cleanUrl;
-          const zipEntry = zip.getEntry(requestPath.substring(1)); // Use the correct request path
-
-          if (!zipEntry) {
-            res.writeHead(404);
-            res.end('File not found');
-            // console.log(
-            //   `[openorchid-localhost] ${colors.red}FAILED${colors.reset} http://${subdomain}.localhost:8081${cleanUrl} 404`
-            // );
-            return;
-          }
-
-          const data = zipEntry.getData();
-          const contentType = mime.getType(path.extname(zipEntry.entryName));
-          sendRequest(data, contentType as string); // Pass the content type to sendRequest
-        } else {
-          if (Main.DEBUG && subdomain === 'shared') {
-            filePath = path.join(process.cwd(), subdomain, cleanUrl);
-          } else {
-            filePath = path.join(Main.webappsPath, subdomain, cleanUrl);
-          }
-
-          fs.readFile(filePath, (err, data) => {
-            if (err) {
-              res.writeHead(404);
-              res.end('File not found');
-              // console.log(
-              //   `[openorchid-localhost] ${colors.red}FAILED${colors.reset} http://${subdomain}.localhost:8081${cleanUrl} 404`
-              // );
-              return;
-            }
-            const contentType = mime.getType(path.extname(filePath));
-            sendRequest(data, contentType as string); // Pass the content type to sendRequest
-          });
-        }
-      }
-    });
+  localServer.on('error', (error: NodeJS.ErrnoException) => {
+    console.error(`${colors.red}[openorchid-localhost] Unable to listen on port ${port}: ${error.message}${colors.reset}`);
+  });
 
-    localServer.listen(8081, 'localhost', () => {
-      // console.log('Server running at http:\/\/*.localhost:8081');
-    });
+  localServer.listen(port, 'localhost', () => {
+    if (Main.DEBUG) {
+      console.log(`[openorchid-localhost] Serving webapps at http://*.localhost:${port}`);
+    }
+  });
 
-    app.on('will-quit', () => {
-      localServer.close(() => {
-        // console.log(`Ending webapp runtime server for ${subdomain}...`);
-      });
-    });
+  app.on('will-quit', () => {
+    localServer.close();
   });
 };
 
-const headers = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE',
-  'Access-Control-Allow-Headers': 'Content-Type'
-};
+const headers = PermissionBroker.CORS_HEADERS;
+
+// Every route below is only reachable by webapps holding the matching permission.
+// Routes changing anything are POSTs taking a JSON body, which pages can't
+// send to another origin without a CORS preflight
+expressServer.use('/api/data', PermissionBroker.middleware);
+expressServer.use('/api/data', express.json({ limit: '16mb' }));
 
 // Bluetooth
-expressServer.get('/api/data/bluetooth/enable', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/bluetooth/enable', (req: Request | any, res: Response | any) => {
   res.set(headers);
   Bluetooth2.enable();
 });
-expressServer.get('/api/data/bluetooth/disable', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/bluetooth/disable', (req: Request | any, res: Response | any) => {
   res.set(headers);
   Bluetooth2.disable();
 });
@@ -160,23 +196,23 @@ expressServer.get('/api/data/bluetooth/scan', async (req: Request | any, res: Re
   res.set(headers);
   res.send(await Bluetooth2.scan(req.query.duration));
 });
-expressServer.get('/api/data/bluetooth/connect', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/bluetooth/connect', (req: Request | any, res: Response | any) => {
   res.set(headers);
-  Bluetooth2.connect(req.query.id);
+  Bluetooth2.connect(req.body.id);
 });
-expressServer.get('/api/data/bluetooth/disconnect', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/bluetooth/disconnect', (req: Request | any, res: Response | any) => {
   res.set(headers);
-  Bluetooth2.disconnect(req.query.id);
+  Bluetooth2.disconnect(req.body.id);
 });
 
 // Child Process
-expressServer.get('/api/data/child_process/exec', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/child_process/exec', (req: Request | any, res: Response | any) => {
   res.set(headers);
-  ChildProcess.exec(req.query.cli, req.query.args);
+  ChildProcess.exec(req.body.cli, req.body.args);
 });
-expressServer.get('/api/data/child_process/spawn', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/child_process/spawn', (req: Request | any, res: Response | any) => {
   res.set(headers);
-  ChildProcess.spawn(req.query.cli, req.query.args);
+  ChildProcess.spawn(req.body.cli, req.body.args);
 });
 
 // Device Information
@@ -230,89 +266,183 @@ expressServer.get('/api/data/device_info/tempdir', (req: Request | any, res: Res
 });
 
 // Power
-expressServer.get('/api/data/power/shutdown', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/power/shutdown', (req: Request | any, res: Response | any) => {
   res.set(headers);
   PowerManager.shutdown();
 });
-expressServer.get('/api/data/power/restart', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/power/restart', (req: Request | any, res: Response | any) => {
   res.set(headers);
   PowerManager.restart();
 });
-expressServer.get('/api/data/power/sleep', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/power/sleep', (req: Request | any, res: Response | any) => {
   res.set(headers);
   PowerManager.sleep();
 });
 
 // Settings
-expressServer.get('/api/data/settings/get', async (req: Request | any, res: Response | any) => {
+expressServer.get('/api/data/settings/get', (req: Request | any, res: Response | any) => {
   res.set(headers);
-  res.send(await Settings.getValue(req.query.name));
+  const value = SettingsStore.getValue(req.query.name);
+  res.json(value === undefined ? null : value);
 });
-expressServer.get('/api/data/settings/set', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/settings/set', async (req: Request | any, res: Response | any) => {
   res.set(headers);
-  Settings.setValue(req.query.name, req.query.value);
+  try {
+    await SettingsStore.setValue(req.body.name, req.body.value);
+    res.json({ value: SettingsStore.getValue(req.body.name) });
+  } catch (error: any) {
+    res.status(400).json({ error: { code: error.code || 'INVALID_VALUE', message: error.message } });
+  }
 });
 expressServer.get('/api/data/settings/observe', (req: Request | any, res: Response | any) => {
   res.set(headers);
-  Settings.addObserver(req.query.name, (data: any) => {
-    res.send(JSON.stringify(data));
+  // Server-sent events, one `data:` line with the new value per change
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
   });
+  res.write(': connected\n\n');
+
+  const unsubscribe = SettingsStore.subscribe(req.query.name, (value: any) => {
+    res.write(`data: ${JSON.stringify(value === undefined ? null : value)}\n\n`);
+  });
+  req.on('close', unsubscribe);
 });
 
 // Storage
-expressServer.get('/api/data/storage/read', async (req: Request | any, res: Response | any) => {
-  res.set(headers);
-  res.send(await StorageManager.read(req.query.path));
-});
-expressServer.get('/api/data/storage/write', (req: Request | any, res: Response | any) => {
-  res.set(headers);
-  StorageManager.write(req.query.path, req.query.data);
-});
-expressServer.get('/api/data/storage/list', async (req: Request | any, res: Response | any) => {
-  res.set(headers);
-  res.send(await StorageManager.list(req.query.path));
-});
-expressServer.get('/api/data/storage/delete', (req: Request | any, res: Response | any) => {
-  res.set(headers);
-  StorageManager.delete(req.query.path);
-});
-expressServer.get('/api/data/storage/copy', (req: Request | any, res: Response | any) => {
-  res.set(headers);
-  StorageManager.copy(req.query.path, req.query.target);
-});
-expressServer.get('/api/data/storage/move', (req: Request | any, res: Response | any) => {
-  res.set(headers);
-  StorageManager.move(req.query.path, req.query.target);
-});
-expressServer.get('/api/data/storage/stats', async (req: Request | any, res: Response | any) => {
-  res.set(headers);
-  res.send(await StorageManager.getStats(req.query.path));
-});
-expressServer.get('/api/data/storage/mime', (req: Request | any, res: Response | any) => {
-  res.set(headers);
-  res.send(StorageManager.getMime(req.query.path));
-});
+const STORAGE_ERROR_STATUSES: Record<string, number> = {
+  ENOENT: 404,
+  EACCES: 403,
+  EEXIST: 409
+};
+
+/**
+ * Wraps a storage route so `StorageError`s end up as a JSON response with a
+ * matching status code instead of leaving the request hanging. Handlers get
+ * a storage manager checking the `device-storage:*` permissions of the
+ * calling webapp.
+ */
+const storageRoute = (handler: (req: Request | any, storage: typeof StorageManager) => Promise<any> | any) => {
+  return async (req: Request | any, res: Response | any) => {
+    res.set(headers);
+    try {
+      const result = await handler(req, withPermissions(req.permissions));
+      res.send(result === undefined ? '' : result);
+    } catch (error: any) {
+      res.status(STORAGE_ERROR_STATUSES[error.code] || 500).json({
+        error: {
+          code: error.code || 'EIO',
+          message: error.message,
+          path: error.path || req.body?.path || req.query.path
+        }
+      });
+    }
+  };
+};
+
+expressServer.get('/api/data/storage/read', storageRoute((req, storage) => storage.read(req.query.path)));
+expressServer.post('/api/data/storage/write', storageRoute((req, storage) => storage.write(req.body.path, req.body.data)));
+expressServer.get('/api/data/storage/list', storageRoute((req, storage) => storage.list(req.query.path)));
+expressServer.post('/api/data/storage/delete', storageRoute((req, storage) => storage.delete(req.body.path)));
+expressServer.post('/api/data/storage/copy', storageRoute((req, storage) => storage.copy(req.body.path, req.body.target)));
+expressServer.post('/api/data/storage/move', storageRoute((req, storage) => storage.move(req.body.path, req.body.target)));
+expressServer.get('/api/data/storage/stats', storageRoute((req, storage) => storage.getStats(req.query.path)));
+expressServer.get('/api/data/storage/mime', storageRoute((req, storage) => storage.getMime(req.query.path)));
 
 // Webapps
 expressServer.get('/api/data/webapps/getall', async (req: Request | any, res: Response | any) => {
   res.set(headers);
   res.send(await AppsManager.getAll());
 });
-expressServer.get('/api/data/webapps/install', (req: Request | any, res: Response | any) => {
-  res.set(headers);
-  AppsManager.installPackage(req.query.path);
+expressServer.post('/api/data/webapps/install', (req: Request | any, res: Response | any) => {
+  res.set(headers);
+  AppsManager.installPackage(req.body.path)
+    .then((appId) => {
+      WebappRegistry.register(`{${appId}}`);
+      res.json({ appId });
+    })
+    .catch((error) => {
+      res.status(400).json({
+        error: {
+          code: error.code || 'EXTRACTION_FAILED',
+          message: error.message,
+          details: error.details || []
+        }
+      });
+    });
+});
+expressServer.post('/api/data/webapps/install-pwa', (req: Request | any, res: Response | any) => {
+  res.set(headers);
+  AppsManager.installPWA(req.body.url)
+    .then((appId) => {
+      WebappRegistry.register(`{${appId}}`);
+      res.json({ appId });
+    })
+    .catch((error) => {
+      res.status(400).json({
+        error: {
+          code: error.code || 'EXTRACTION_FAILED',
+          message: error.message,
+          details: error.details || []
+        }
+      });
+    });
 });
-expressServer.get('/api/data/webapps/uninstall', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/webapps/update', (req: Request | any, res: Response | any) => {
+  res.set(headers);
+  AppsManager.update(req.body.id, req.body.path)
+    .then((version) => {
+      WebappRegistry.register(req.body.id);
+      PermissionBroker.invalidate(req.body.id);
+      res.json({ version });
+    })
+    .catch((error) => {
+      res.status(400).json({
+        error: {
+          code: error.code || 'EXTRACTION_FAILED',
+          message: error.message,
+          details: error.details || []
+        }
+      });
+    });
+});
+expressServer.post('/api/data/webapps/rollback', (req: Request | any, res: Response | any) => {
   res.set(headers);
-  AppsManager.uninstall(req.query.id);
+  AppsManager.rollback(req.body.id)
+    .then((version) => {
+      PermissionBroker.invalidate(req.body.id);
+      res.json({ version });
+    })
+    .catch((error) => {
+      res.status(400).json({ error: { code: 'NO_ROLLBACK', message: error.message, details: [] } });
+    });
+});
+expressServer.post('/api/data/webapps/uninstall', (req: Request | any, res: Response | any) => {
+  res.set(headers);
+  AppsManager.uninstall(req.body.id)
+    .then(() => {
+      PermissionBroker.invalidate(req.body.id);
+      WebappRegistry.unregister(req.body.id);
+      res.json({ appId: req.body.id });
+    })
+    .catch((error) => {
+      res.status(400).json({
+        error: {
+          code: error.code || 'EXTRACTION_FAILED',
+          message: error.message,
+          details: error.details || []
+        }
+      });
+    });
 });
 
 // Wifi
-expressServer.get('/api/data/wifi/enable', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/wifi/enable', (req: Request | any, res: Response | any) => {
   res.set(headers);
   WifiManager.enable();
 });
-expressServer.get('/api/data/wifi/disable', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/wifi/disable', (req: Request | any, res: Response | any) => {
   res.set(headers);
   WifiManager.disable();
 });
@@ -324,7 +454,7 @@ expressServer.get('/api/data/wifi/current_connections', async (req: Request | an
   res.set(headers);
   res.json(await WifiManager.getCurrentConnections());
 });
-expressServer.get('/api/data/wifi/delete', (req: Request | any, res: Response | any) => {
+expressServer.post('/api/data/wifi/delete', (req: Request | any, res: Response | any) => {
   res.set(headers);
-  // WifiManager.delete(req.query.ssid);
+  // WifiManager.delete(req.body.ssid);
 });
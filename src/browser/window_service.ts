@@ -0,0 +1,358 @@
+import fs from 'fs';
+import path from 'path';
+import { BrowserWindow, Display, Rectangle, WebContents, screen } from 'electron';
+import OrchidUI from './orchidui';
+import WebappRegistry from './webapp_registry';
+import SettingsStore from '../settings/store';
+import CrashRecovery from './crash_recovery';
+import IpcRouter from '../ipc/main';
+
+export type WindowKind = 'shell' | 'app';
+
+export type ManagedWindow = {
+  window: BrowserWindow;
+  kind: WindowKind;
+};
+
+export type DisplayInfo = {
+  id: number;
+  label: string;
+  bounds: Rectangle;
+  workArea: Rectangle;
+  scaleFactor: number;
+  rotation: number;
+  primary: boolean;
+  /**
+   * Whether the window asking is on this display.
+   */
+  current: boolean;
+  /**
+   * Whether a shell window shows the system app on this display.
+   */
+  hasShell: boolean;
+};
+
+export type DetachOptions = {
+  url: string;
+  title?: string;
+  /**
+   * Where the app was in the shell, in CSS pixels of the shell window.
+   */
+  bounds?: Partial<Rectangle>;
+  displayId?: number;
+};
+
+/**
+ * Keeps track of the native windows of OrchidUI: a shell window showing the
+ * system app on the primary display, one on every other display when
+ * `video.secondary_displays.enabled` is set, and the windows webapps were
+ * torn out into from the desktop edition.
+ *
+ * IPC handlers use it to find the window a message came from, so the shell
+ * showing a webapp is the one answering it.
+ */
+const WindowService = {
+  SECONDARY_DISPLAYS_SETTING: 'video.secondary_displays.enabled',
+  PRELOADS: ['html.css', 'fontfamilies.css', 'override.js'],
+  DEFAULT_APP_WIDTH: 800,
+  DEFAULT_APP_HEIGHT: 600,
+  MIN_APP_WIDTH: 320,
+  MIN_APP_HEIGHT: 240,
+
+  windows: new Map<number, ManagedWindow>(),
+  primaryWindow: null as BrowserWindow | null,
+
+  /**
+   * @param primaryWindow The shell window of the primary display, see
+   *        `OrchidUI.createWindow`.
+   */
+  init: function (primaryWindow: BrowserWindow) {
+    this.primaryWindow = primaryWindow;
+    this.add(primaryWindow, 'shell');
+
+    screen.on('display-added', () => this.syncDisplays());
+    screen.on('display-removed', () => this.syncDisplays());
+    screen.on('display-metrics-changed', (event, display) => this.handleDisplayChange(display));
+    SettingsStore.subscribe(this.SECONDARY_DISPLAYS_SETTING, () => this.syncDisplays());
+    this.syncDisplays();
+  },
+
+  add: function (window: BrowserWindow, kind: WindowKind) {
+    const id = window.id;
+    this.windows.set(id, { window, kind });
+    if (kind === 'shell') {
+      CrashRecovery.watchShell(window, window === this.primaryWindow);
+    }
+    window.once('closed', () => {
+      this.windows.delete(id);
+      if (kind === 'shell') {
+        this.notify();
+      }
+    });
+  },
+
+  /**
+   * Opens a shell window on every display without one, or closes them if
+   * the secondary displays are turned off.
+   */
+  syncDisplays: function () {
+    const isEnabled = SettingsStore.getValue(this.SECONDARY_DISPLAYS_SETTING) === true;
+    const displays = screen.getAllDisplays();
+    const primaryDisplayId = this.primaryWindow ? this.getDisplayId(this.primaryWindow) : null;
+
+    this.getShells().forEach((window) => {
+      if (window === this.primaryWindow) {
+        return;
+      }
+      const displayId = this.getDisplayId(window);
+      if (!isEnabled || displayId === primaryDisplayId || !displays.some((display) => display.id === displayId)) {
+        window.close();
+      }
+    });
+
+    if (isEnabled) {
+      displays.forEach((display) => {
+        if (display.id !== primaryDisplayId && !this.getShellForDisplay(display.id)) {
+          this.createShell(display);
+        }
+      });
+    }
+    this.notify();
+  },
+
+  createShell: function (display: Display): BrowserWindow {
+    const window = new BrowserWindow({
+      ...OrchidUI.getWindowOptions(),
+      ...display.bounds
+    });
+    this.add(window, 'shell');
+
+    const contents = window.webContents;
+    contents.on('dom-ready', () => OrchidUI.injectInternals(contents));
+    window.on('maximize', () => IpcRouter.send(contents, 'maximized'));
+    window.on('unmaximize', () => IpcRouter.send(contents, 'unmaximized'));
+    OrchidUI.loadSystem(window, { display: String(display.id) });
+    return window;
+  },
+
+  /**
+   * Keeps the shell of a display covering it when its resolution changes.
+   */
+  handleDisplayChange: function (display: Display) {
+    const window = this.getShellForDisplay(display.id);
+    if (window && window !== this.primaryWindow) {
+      window.setBounds(display.bounds);
+    }
+    this.notify();
+  },
+
+  /**
+   * Tears a webapp out of the shell into a native window of its own.
+   *
+   * @param sender The shell the webapp was in.
+   * @throws {Error} `INVALID_URL` for URLs other than web pages, and
+   *         `NOT_FOUND` for unknown displays.
+   */
+  detach: function (sender: WebContents, options: DetachOptions): number {
+    let url: URL;
+    try {
+      url = new URL(options.url);
+    } catch (error) {
+      throw new Error(`INVALID_URL: ${options.url}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`INVALID_URL: ${options.url}`);
+    }
+
+    const senderWindow = BrowserWindow.fromWebContents(sender);
+    const display =
+      options.displayId === undefined
+        ? senderWindow
+          ? screen.getDisplayMatching(senderWindow.getBounds())
+          : screen.getPrimaryDisplay()
+        : screen.getAllDisplays().find((item) => item.id === options.displayId);
+    if (!display) {
+      throw new Error(`NOT_FOUND: No display ${options.displayId}`);
+    }
+
+    // Webapps of the runtime get the same powers as in a webview, see
+    // `internal/webview/webview.js`
+    const isWebapp = url.hostname.endsWith('.localhost') && url.port === String(WebappRegistry.getPort());
+    const shellOptions = OrchidUI.getWindowOptions();
+    const window = new BrowserWindow({
+      ...this.getAppBounds(display, senderWindow, options.bounds),
+      icon: shellOptions.icon,
+      title: typeof options.title === 'string' && options.title ? options.title : url.host,
+      minWidth: this.MIN_APP_WIDTH,
+      minHeight: this.MIN_APP_HEIGHT,
+      autoHideMenuBar: true,
+      backgroundColor: '#ffffff',
+      show: false,
+      webPreferences: {
+        ...shellOptions.webPreferences,
+        nodeIntegration: isWebapp,
+        nodeIntegrationInSubFrames: isWebapp,
+        webviewTag: false
+      }
+    });
+    this.add(window, 'app');
+
+    const contents = window.webContents;
+    contents.on('dom-ready', () => this.injectPreloads(contents));
+    window.once('ready-to-show', () => window.show());
+    contents.loadURL(url.href, { userAgent: sender.getUserAgent() });
+    return window.id;
+  },
+
+  /**
+   * Places a torn out webapp where it was in the shell if it stays on the
+   * same display, and centers it on the other display otherwise.
+   */
+  getAppBounds: function (
+    display: Display,
+    senderWindow: BrowserWindow | null,
+    bounds: Partial<Rectangle> = {}
+  ): Rectangle {
+    const workArea = display.workArea;
+    const width = Math.round(
+      Math.min(workArea.width, Math.max(this.MIN_APP_WIDTH, Number(bounds.width) || this.DEFAULT_APP_WIDTH))
+    );
+    const height = Math.round(
+      Math.min(workArea.height, Math.max(this.MIN_APP_HEIGHT, Number(bounds.height) || this.DEFAULT_APP_HEIGHT))
+    );
+
+    let x = workArea.x + (workArea.width - width) / 2;
+    let y = workArea.y + (workArea.height - height) / 2;
+    if (senderWindow && this.getDisplayId(senderWindow) === display.id) {
+      const contentBounds = senderWindow.getContentBounds();
+      x = contentBounds.x + (Number(bounds.x) || 0);
+      y = contentBounds.y + (Number(bounds.y) || 0);
+    }
+
+    return {
+      x: Math.round(Math.min(Math.max(x, workArea.x), workArea.x + workArea.width - width)),
+      y: Math.round(Math.min(Math.max(y, workArea.y), workArea.y + workArea.height - height)),
+      width,
+      height
+    };
+  },
+
+  /**
+   * Injects what `internal/webview/webview.js` injects into webviews.
+   */
+  injectPreloads: function (contents: WebContents) {
+    const preloadsPath = path.join(__dirname, '..', '..', '..', 'internal', 'preloads');
+    this.PRELOADS.forEach((file) => {
+      fs.readFile(path.join(preloadsPath, file), 'utf8', (error, data) => {
+        if (error) {
+          console.error(error);
+          return;
+        }
+        if (contents.isDestroyed()) {
+          return;
+        }
+        if (file.endsWith('.js')) {
+          contents.executeJavaScript(data);
+        } else {
+          contents.insertCSS(data);
+        }
+      });
+    });
+  },
+
+  /**
+   * Returns the native window showing a webContents, going through the
+   * webviews it is nested in.
+   */
+  getOwnerWindow: function (contents: WebContents): BrowserWindow | null {
+    let current = contents;
+    while (current.hostWebContents) {
+      current = current.hostWebContents;
+    }
+    return BrowserWindow.fromWebContents(current);
+  },
+
+  /**
+   * Returns the system app in charge of a webContents: the shell it is
+   * shown in, or for torn out webapps the shell of their display. Falls
+   * back to the primary shell.
+   */
+  getShellContents: function (contents: WebContents): WebContents | null {
+    const window = contents.isDestroyed() ? null : this.getOwnerWindow(contents);
+    const managedWindow = window ? this.windows.get(window.id) : null;
+
+    let shell: BrowserWindow | null = null;
+    if (window && managedWindow && managedWindow.kind === 'shell') {
+      shell = window;
+    } else if (window) {
+      shell = this.getShellForDisplay(this.getDisplayId(window));
+    }
+    shell = shell || this.primaryWindow;
+    return shell && !shell.isDestroyed() ? shell.webContents : null;
+  },
+
+  /**
+   * Whether a webContents is the system app of a shell window.
+   */
+  isShell: function (contents: WebContents): boolean {
+    return this.getShells().some((window) => window.webContents === contents);
+  },
+
+  getShells: function (): BrowserWindow[] {
+    const shells: BrowserWindow[] = [];
+    this.windows.forEach((managedWindow) => {
+      if (managedWindow.kind === 'shell' && !managedWindow.window.isDestroyed()) {
+        shells.push(managedWindow.window);
+      }
+    });
+    return shells;
+  },
+
+  getShellForDisplay: function (displayId: number): BrowserWindow | null {
+    const shells = this.getShells();
+    // The primary shell wins when windowed shells overlap on a display
+    const primaryWindow = shells.find((window) => window === this.primaryWindow);
+    if (primaryWindow && this.getDisplayId(primaryWindow) === displayId) {
+      return primaryWindow;
+    }
+    return shells.find((window) => this.getDisplayId(window) === displayId) || null;
+  },
+
+  getDisplayId: function (window: BrowserWindow): number {
+    return screen.getDisplayMatching(window.getBounds()).id;
+  },
+
+  /**
+   * Lists the displays, as seen from the window showing `contents`.
+   */
+  getDisplays: function (contents: WebContents): DisplayInfo[] {
+    const window = this.getOwnerWindow(contents);
+    const currentDisplayId = window ? this.getDisplayId(window) : null;
+    const primaryDisplayId = screen.getPrimaryDisplay().id;
+
+    return screen.getAllDisplays().map((display, index) => ({
+      id: display.id,
+      label: display.label || `${index + 1}`,
+      bounds: display.bounds,
+      workArea: display.workArea,
+      scaleFactor: display.scaleFactor,
+      rotation: display.rotation,
+      primary: display.id === primaryDisplayId,
+      current: display.id === currentDisplayId,
+      hasShell: !!this.getShellForDisplay(display.id)
+    }));
+  },
+
+  /**
+   * Tells every shell that displays or their shells changed.
+   */
+  notify: function () {
+    this.getShells().forEach((window) => {
+      if (!window.webContents.isDestroyed()) {
+        IpcRouter.send(window.webContents, 'displayschange', this.getDisplays(window.webContents));
+      }
+    });
+  }
+};
+
+export default WindowService;
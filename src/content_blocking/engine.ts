@@ -0,0 +1,311 @@
+import FilterParser, { CosmeticFilter, NetworkFilter, ResourceType } from './filters';
+
+export type FilterRequest = {
+  url: string;
+  type: ResourceType;
+  /**
+   * The URL of the page the request was made from.
+   */
+  pageUrl: string;
+};
+
+export type FilterStats = {
+  network: number;
+  cosmetic: number;
+  unsupported: number;
+};
+
+type FilterIndex = {
+  /**
+   * `||example.com^` filters by host.
+   */
+  hosts: Map<string, NetworkFilter[]>;
+  /**
+   * Other filters by a word every URL they match contains.
+   */
+  tokens: Map<string, NetworkFilter[]>;
+  generic: NetworkFilter[];
+};
+
+type RequestContext = {
+  url: string;
+  host: string;
+  type: ResourceType;
+  pageHost: string;
+  isThirdParty: boolean;
+};
+
+type PageException = 'document' | 'elemhide' | 'generichide';
+
+/**
+ * Matches requests and pages against the filters of the loaded lists.
+ * Filters are indexed by host or by a word of their pattern, so a request
+ * is only tested against the few filters which could match it.
+ *
+ * Exceptions (`@@`) win over blocking filters, unless those are
+ * `$important`.
+ */
+const FilterEngine = {
+  /**
+   * Second level domains under which sites register their own, like
+   * `co.uk`, to tell first and third parties apart without the whole public
+   * suffix list.
+   */
+  SECOND_LEVEL_DOMAINS: ['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'or', 'ne', 'go'],
+
+  blocking: null as FilterIndex | null,
+  exceptions: null as FilterIndex | null,
+  genericSelectors: new Map<string, string[]>(),
+  specificSelectors: new Map<string, { selector: string; excludedDomains: string[] }[]>(),
+  selectorExceptions: new Map<string, Set<string>>(),
+
+  /**
+   * Replaces the loaded filters with those of the given lists.
+   */
+  load: function (lists: string[]): FilterStats {
+    this.blocking = this.createIndex();
+    this.exceptions = this.createIndex();
+    this.genericSelectors = new Map();
+    this.specificSelectors = new Map();
+    this.selectorExceptions = new Map();
+
+    const stats: FilterStats = { network: 0, cosmetic: 0, unsupported: 0 };
+    lists.forEach((text) => {
+      const parsed = FilterParser.parse(text);
+      parsed.network.forEach((filter) => this.addNetworkFilter(filter));
+      parsed.cosmetic.forEach((filter) => this.addCosmeticFilter(filter));
+      stats.network += parsed.network.length;
+      stats.cosmetic += parsed.cosmetic.length;
+      stats.unsupported += parsed.unsupported;
+    });
+    return stats;
+  },
+
+  /**
+   * Returns the filter blocking a request, or `null` if it may go through.
+   */
+  match: function (request: FilterRequest): NetworkFilter | null {
+    if (!this.blocking || !this.exceptions) {
+      return null;
+    }
+
+    const context = this.createContext(request.url, request.type, request.pageUrl);
+    if (!context) {
+      return null;
+    }
+    // Any `$important` filter wins, whichever filter the lists have first
+    const importantFilter = this.findMatch(this.blocking, context, (filter) => filter.isImportant);
+    if (importantFilter) {
+      return importantFilter;
+    }
+    const filter = this.findMatch(this.blocking, context);
+    if (!filter) {
+      return null;
+    }
+    return this.findMatch(this.exceptions, context) ? null : filter;
+  },
+
+  /**
+   * Whether an exception turns off blocking on a whole page, or only its
+   * element hiding.
+   */
+  isPageExcepted: function (pageUrl: string, exception: PageException): boolean {
+    const context = this.exceptions && this.createContext(pageUrl, 'document', pageUrl);
+    if (!context) {
+      return false;
+    }
+    return !!this.findMatch(this.exceptions as FilterIndex, context, (filter) => {
+      const isDocument = !filter.isElemHide && !filter.isGenericHide;
+      if (exception === 'document') {
+        return isDocument;
+      }
+      return isDocument || filter.isElemHide || (exception === 'generichide' && filter.isGenericHide);
+    });
+  },
+
+  /**
+   * Returns the selectors of the elements to hide on a page.
+   */
+  getSelectors: function (pageUrl: string): string[] {
+    const host = this.getHost(pageUrl);
+    if (!host || this.isPageExcepted(pageUrl, 'elemhide')) {
+      return [];
+    }
+
+    const suffixes = this.getHostSuffixes(host);
+    const exceptions = new Set<string>(this.selectorExceptions.get('') || []);
+    suffixes.forEach((suffix) => {
+      this.selectorExceptions.get(suffix)?.forEach((selector) => exceptions.add(selector));
+    });
+
+    const selectors = new Set<string>();
+    suffixes.forEach((suffix) => {
+      this.specificSelectors.get(suffix)?.forEach(({ selector, excludedDomains }) => {
+        if (!excludedDomains.some((domain) => this.matchesDomain(host, domain))) {
+          selectors.add(selector);
+        }
+      });
+    });
+    if (!this.isPageExcepted(pageUrl, 'generichide')) {
+      this.genericSelectors.forEach((excludedDomains, selector) => {
+        if (!excludedDomains.some((domain) => this.matchesDomain(host, domain))) {
+          selectors.add(selector);
+        }
+      });
+    }
+    return Array.from(selectors).filter((selector) => !exceptions.has(selector));
+  },
+
+  /**
+   * Returns a stylesheet hiding the elements cosmetic filters select on a
+   * page, or `null` if there are none. Each selector gets a rule of its
+   * own, as one invalid selector drops the whole rule it is part of.
+   */
+  getStylesheet: function (pageUrl: string): string | null {
+    const selectors = this.getSelectors(pageUrl);
+    if (selectors.length === 0) {
+      return null;
+    }
+    return selectors.map((selector) => `${selector} { display: none !important; }`).join('\n');
+  },
+
+  createIndex: function (): FilterIndex {
+    return { hosts: new Map(), tokens: new Map(), generic: [] };
+  },
+
+  addNetworkFilter: function (filter: NetworkFilter) {
+    const index = (filter.isException ? this.exceptions : this.blocking) as FilterIndex;
+    if (filter.host) {
+      index.hosts.set(filter.host, (index.hosts.get(filter.host) || []).concat(filter));
+      return;
+    }
+
+    const token = FilterParser.getToken(filter.pattern);
+    if (token) {
+      const filters = index.tokens.get(token);
+      if (filters) {
+        filters.push(filter);
+      } else {
+        index.tokens.set(token, [filter]);
+      }
+    } else {
+      index.generic.push(filter);
+    }
+  },
+
+  addCosmeticFilter: function (filter: CosmeticFilter) {
+    if (filter.isException) {
+      (filter.domains.length > 0 ? filter.domains : ['']).forEach((domain) => {
+        this.selectorExceptions.set(domain, (this.selectorExceptions.get(domain) || new Set()).add(filter.selector));
+      });
+      return;
+    }
+
+    if (filter.domains.length === 0) {
+      const excludedDomains = this.genericSelectors.get(filter.selector) || [];
+      this.genericSelectors.set(filter.selector, excludedDomains.concat(filter.excludedDomains));
+      return;
+    }
+    filter.domains.forEach((domain) => {
+      const entry = { selector: filter.selector, excludedDomains: filter.excludedDomains };
+      this.specificSelectors.set(domain, (this.specificSelectors.get(domain) || []).concat(entry));
+    });
+  },
+
+  createContext: function (url: string, type: ResourceType, pageUrl: string): RequestContext | null {
+    const host = this.getHost(url);
+    if (!host) {
+      return null;
+    }
+    const pageHost = this.getHost(pageUrl) || host;
+    return {
+      url,
+      host,
+      type,
+      pageHost,
+      isThirdParty: this.getBaseDomain(host) !== this.getBaseDomain(pageHost)
+    };
+  },
+
+  findMatch: function (
+    index: FilterIndex,
+    context: RequestContext,
+    predicate?: (filter: NetworkFilter) => boolean
+  ): NetworkFilter | null {
+    const test = (filters: NetworkFilter[] | undefined) => {
+      return (
+        filters?.find((filter) => (!predicate || predicate(filter)) && this.matchesFilter(filter, context)) || null
+      );
+    };
+
+    for (const suffix of this.getHostSuffixes(context.host)) {
+      const filter = test(index.hosts.get(suffix));
+      if (filter) {
+        return filter;
+      }
+    }
+    const tokens = new Set(context.url.toLowerCase().match(/[a-z0-9%]{3,}/g) || []);
+    for (const token of tokens) {
+      const filter = test(index.tokens.get(token));
+      if (filter) {
+        return filter;
+      }
+    }
+    return test(index.generic);
+  },
+
+  matchesFilter: function (filter: NetworkFilter, context: RequestContext): boolean {
+    if (filter.types ? !filter.types.has(context.type) : context.type === 'document') {
+      return false;
+    }
+    if (filter.excludedTypes && filter.excludedTypes.has(context.type)) {
+      return false;
+    }
+    if (filter.thirdParty !== null && filter.thirdParty !== context.isThirdParty) {
+      return false;
+    }
+    if (filter.domains && !filter.domains.some((domain) => this.matchesDomain(context.pageHost, domain))) {
+      return false;
+    }
+    if (
+      filter.excludedDomains &&
+      filter.excludedDomains.some((domain) => this.matchesDomain(context.pageHost, domain))
+    ) {
+      return false;
+    }
+    // Host filters were looked up by host already
+    return filter.host !== null || !filter.regexp || filter.regexp.test(context.url);
+  },
+
+  matchesDomain: function (host: string, domain: string): boolean {
+    return host === domain || host.endsWith(`.${domain}`);
+  },
+
+  /**
+   * Returns `a.example.com`, `example.com` and `com` for `a.example.com`.
+   */
+  getHostSuffixes: function (host: string): string[] {
+    const labels = host.split('.');
+    return labels.map((label, index) => labels.slice(index).join('.'));
+  },
+
+  getBaseDomain: function (host: string): string {
+    const labels = host.split('.');
+    if (labels.length > 2 && labels[labels.length - 1].length === 2) {
+      if (this.SECOND_LEVEL_DOMAINS.includes(labels[labels.length - 2])) {
+        return labels.slice(-3).join('.');
+      }
+    }
+    return labels.slice(-2).join('.');
+  },
+
+  getHost: function (url: string): string | null {
+    try {
+      return new URL(url).hostname.toLowerCase() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+};
+
+export default FilterEngine;
@@ -0,0 +1,328 @@
+/**
+ * The resource types of Adblock Plus filter options.
+ */
+export type ResourceType =
+  | 'document'
+  | 'subdocument'
+  | 'stylesheet'
+  | 'script'
+  | 'image'
+  | 'font'
+  | 'object'
+  | 'xmlhttprequest'
+  | 'ping'
+  | 'media'
+  | 'websocket'
+  | 'other';
+
+export type NetworkFilter = {
+  text: string;
+  isException: boolean;
+  isImportant: boolean;
+  /**
+   * The host of `||example.com^` filters, which are most of any list and
+   * are matched by host instead of by pattern.
+   */
+  host: string | null;
+  pattern: string;
+  regexp: RegExp | null;
+  /**
+   * `null` when the filter applies to every type but documents.
+   */
+  types: Set<ResourceType> | null;
+  excludedTypes: Set<ResourceType> | null;
+  thirdParty: boolean | null;
+  domains: string[] | null;
+  excludedDomains: string[] | null;
+  matchCase: boolean;
+  /**
+   * Exceptions turning off element hiding on the pages they match.
+   */
+  isElemHide: boolean;
+  isGenericHide: boolean;
+};
+
+export type CosmeticFilter = {
+  selector: string;
+  isException: boolean;
+  /**
+   * Empty for generic filters, which apply to every site.
+   */
+  domains: string[];
+  excludedDomains: string[];
+};
+
+export type ParsedFilters = {
+  network: NetworkFilter[];
+  cosmetic: CosmeticFilter[];
+  /**
+   * How many lines were filters this parser doesn't support, like
+   * procedural cosmetic filters or `$redirect`.
+   */
+  unsupported: number;
+};
+
+/**
+ * Parses filter lists in the Adblock Plus syntax EasyList and most other
+ * lists use. Filters with options or selectors it doesn't understand are
+ * dropped rather than applied loosely, so a list never blocks more than
+ * it means to.
+ *
+ * See https://help.adblockplus.org/hc/en-us/articles/360062733293
+ */
+const FilterParser = {
+  TYPE_OPTIONS: {
+    document: 'document',
+    doc: 'document',
+    subdocument: 'subdocument',
+    frame: 'subdocument',
+    stylesheet: 'stylesheet',
+    css: 'stylesheet',
+    script: 'script',
+    image: 'image',
+    font: 'font',
+    object: 'object',
+    'object-subrequest': 'object',
+    xmlhttprequest: 'xmlhttprequest',
+    xhr: 'xmlhttprequest',
+    ping: 'ping',
+    beacon: 'ping',
+    media: 'media',
+    websocket: 'websocket',
+    other: 'other'
+  } as Record<string, ResourceType>,
+
+  /**
+   * Options which don't change what a filter matches.
+   */
+  IGNORED_OPTIONS: ['collapse', '~collapse', 'all'],
+
+  /**
+   * Extended CSS selectors browsers can't apply with a stylesheet.
+   */
+  PROCEDURAL_SELECTORS:
+    /:-abp-|:has-text\(|:contains\(|:xpath\(|:upward\(|:matches-css|:min-text-length|:watch-attr|:remove\(|:style\(|:matches-path|:others\(/,
+
+  parse: function (text: string): ParsedFilters {
+    const result: ParsedFilters = { network: [], cosmetic: [], unsupported: 0 };
+    text.split(/\r?\n/).forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('!') || line.startsWith('[')) {
+        return;
+      }
+
+      const cosmeticMatch = /^([^/|@"!]*?)#(@?)#(.+)$/.exec(line);
+      if (cosmeticMatch) {
+        const filter = this.parseCosmetic(cosmeticMatch[1], cosmeticMatch[2] === '@', cosmeticMatch[3]);
+        if (filter) {
+          result.cosmetic.push(filter);
+        } else {
+          result.unsupported++;
+        }
+        return;
+      }
+      // Snippets, scriptlets, HTML and extended CSS filters
+      if (/#[@?$%]+#|#\+js\(|\$\$|##\^/.test(line)) {
+        result.unsupported++;
+        return;
+      }
+
+      const filter = this.parseNetwork(line);
+      if (filter) {
+        result.network.push(filter);
+      } else {
+        result.unsupported++;
+      }
+    });
+    return result;
+  },
+
+  parseCosmetic: function (domainText: string, isException: boolean, selector: string): CosmeticFilter | null {
+    if (this.PROCEDURAL_SELECTORS.test(selector) || /^(\^|\+js\()/.test(selector) || /[{}]/.test(selector)) {
+      return null;
+    }
+    const { domains, excludedDomains } = this.parseDomains(domainText, ',');
+    return { selector, isException, domains, excludedDomains };
+  },
+
+  parseNetwork: function (line: string): NetworkFilter | null {
+    let text = line;
+    const isException = text.startsWith('@@');
+    if (isException) {
+      text = text.substring(2);
+    }
+
+    let pattern = text;
+    let optionsText = '';
+    // `$` is part of regular expressions, options only follow the last one
+    const optionsIndex = text.lastIndexOf('$');
+    if (optionsIndex !== -1 && !(text.startsWith('/') && text.endsWith('/'))) {
+      pattern = text.substring(0, optionsIndex);
+      optionsText = text.substring(optionsIndex + 1);
+    }
+
+    const filter: NetworkFilter = {
+      text: line,
+      isException,
+      isImportant: false,
+      host: null,
+      pattern,
+      regexp: null,
+      types: null,
+      excludedTypes: null,
+      thirdParty: null,
+      domains: null,
+      excludedDomains: null,
+      matchCase: false,
+      isElemHide: false,
+      isGenericHide: false
+    };
+
+    if (optionsText && !this.parseOptions(filter, optionsText)) {
+      return null;
+    }
+
+    const hostMatch = /^\|\|([a-z0-9.-]+)\^?$/i.exec(pattern);
+    if (hostMatch) {
+      filter.host = hostMatch[1].toLowerCase();
+      return filter;
+    }
+    if (!pattern || pattern === '*') {
+      // Only exceptions like `@@||example.com^$elemhide` may match everything
+      return optionsText ? filter : null;
+    }
+    try {
+      filter.regexp = this.compile(pattern, filter.matchCase);
+    } catch (error) {
+      return null;
+    }
+    return filter;
+  },
+
+  /**
+   * @returns `false` if an option isn't supported.
+   */
+  parseOptions: function (filter: NetworkFilter, optionsText: string): boolean {
+    const options = optionsText.split(',');
+    for (const rawOption of options) {
+      const option = rawOption.trim().toLowerCase();
+      const isNegated = option.startsWith('~');
+      const name = isNegated ? option.substring(1) : option;
+
+      if (this.TYPE_OPTIONS[name]) {
+        const type = this.TYPE_OPTIONS[name];
+        if (isNegated) {
+          filter.excludedTypes = (filter.excludedTypes || new Set()).add(type);
+        } else {
+          filter.types = (filter.types || new Set()).add(type);
+        }
+      } else if (name === 'third-party' || name === '3p') {
+        filter.thirdParty = !isNegated;
+      } else if (name === 'first-party' || name === '1p') {
+        filter.thirdParty = isNegated;
+      } else if (name.startsWith('domain=')) {
+        const { domains, excludedDomains } = this.parseDomains(rawOption.trim().substring(7), '|');
+        filter.domains = domains.length > 0 ? domains : null;
+        filter.excludedDomains = excludedDomains.length > 0 ? excludedDomains : null;
+      } else if (name === 'match-case') {
+        filter.matchCase = true;
+      } else if (name === 'important') {
+        filter.isImportant = true;
+      } else if (filter.isException && (name === 'elemhide' || name === 'ehide')) {
+        filter.isElemHide = true;
+        filter.types = (filter.types || new Set()).add('document');
+      } else if (filter.isException && (name === 'generichide' || name === 'ghide')) {
+        filter.isGenericHide = true;
+        filter.types = (filter.types || new Set()).add('document');
+      } else if (!this.IGNORED_OPTIONS.includes(option)) {
+        return false;
+      }
+    }
+    return true;
+  },
+
+  parseDomains: function (text: string, separator: string) {
+    const domains: string[] = [];
+    const excludedDomains: string[] = [];
+    text
+      .split(separator)
+      .map((domain) => domain.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach((domain) => {
+        if (domain.startsWith('~')) {
+          excludedDomains.push(domain.substring(1));
+        } else {
+          domains.push(domain);
+        }
+      });
+    return { domains, excludedDomains };
+  },
+
+  /**
+   * Turns a filter pattern into a regular expression: `||` anchors to the
+   * host and its subdomains, `|` to either end of the URL, `^` stands for
+   * a separator and `*` for anything. Patterns written as `/regexp/` are
+   * used as they are.
+   */
+  compile: function (pattern: string, matchCase: boolean): RegExp {
+    const flags = matchCase ? '' : 'i';
+    if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+      return new RegExp(pattern.slice(1, -1), flags);
+    }
+
+    let text = pattern.replace(/\*+/g, '*');
+    let prefix = '';
+    let suffix = '';
+    if (text.startsWith('||')) {
+      prefix = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^/?#]*\\.)?';
+      text = text.substring(2);
+    } else if (text.startsWith('|')) {
+      prefix = '^';
+      text = text.substring(1);
+    }
+    if (text.endsWith('|')) {
+      suffix = '$';
+      text = text.slice(0, -1);
+    }
+
+    const source = Array.from(text)
+      .map((character) => {
+        if (character === '*') {
+          return '.*';
+        }
+        if (character === '^') {
+          return '(?:[^\\w.%-]|$)';
+        }
+        return /[.+?${}()[\]\\|/]/.test(character) ? `\\${character}` : character;
+      })
+      .join('');
+    return new RegExp(prefix + source + suffix, flags);
+  },
+
+  /**
+   * Returns a word the URLs matched by a pattern always contain whole, to
+   * index filters by, or `null` for patterns without one.
+   */
+  getToken: function (pattern: string): string | null {
+    if (pattern.startsWith('/') && pattern.endsWith('/')) {
+      return null;
+    }
+
+    const tokenPattern = /[a-z0-9%]{3,}/gi;
+    let best: string | null = null;
+    let match;
+    while ((match = tokenPattern.exec(pattern))) {
+      const before = pattern[match.index - 1];
+      const after = pattern[match.index + match[0].length];
+      // A token at a loose end could be the end of a longer word in the URL
+      const isBoundedBefore = before !== undefined ? before !== '*' : false;
+      const isBoundedAfter = after !== undefined ? after !== '*' : false;
+      if (isBoundedBefore && isBoundedAfter && (!best || match[0].length > best.length)) {
+        best = match[0].toLowerCase();
+      }
+    }
+    return best;
+  }
+};
+
+export default FilterParser;
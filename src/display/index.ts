@@ -1,17 +1,64 @@
-import { ipcRenderer, IpcRendererEvent } from 'electron';
 import brightness from 'node-brightness';
 import Settings from '../settings';
+import IpcClient from '../ipc/renderer';
 
 const DisplayManager = {
-  screenshot: function (id: number) {
-    return new Promise((resolve, reject) => {
-      ipcRenderer.send('screenshot', { webContentsId: id });
-      ipcRenderer.on('screenshotted', (event: IpcRendererEvent, data: any) => {
-        if (data.webContentsId === id) {
-          resolve(data.imageDataURL);
-        }
-      });
-    });
+  /**
+   * Captures a webContents, or the shell of the calling window without an
+   * ID.
+   *
+   * @returns A promise resolving with the image as a data URL.
+   */
+  screenshot: function (id?: number) {
+    return IpcClient.invoke('screenshot', id);
+  },
+
+  /**
+   * Finds what to pass to `getUserMedia` to capture the shell, or a webapp
+   * by the ID of its webContents. Only the system app may.
+   *
+   * @returns A promise resolving with `{ type, id }`, the
+   *          `chromeMediaSource` and `chromeMediaSourceId` constraints.
+   */
+  getCaptureSource: function (id?: number) {
+    return IpcClient.invoke('capturesource', id);
+  },
+
+  /**
+   * Saves a PNG into the Pictures storage root.
+   *
+   * @returns A promise resolving with the virtual path of the file.
+   */
+  saveScreenshot: function (data: Uint8Array) {
+    return IpcClient.invoke('capturescreenshot', data);
+  },
+
+  /**
+   * Creates a WebM file in the Videos storage root, which the chunks of a
+   * `MediaRecorder` are written to with `writeRecording`.
+   *
+   * @returns A promise resolving with the ID of the recording.
+   */
+  startRecording: function () {
+    return IpcClient.invoke('capturestart');
+  },
+
+  writeRecording: function (id: string, data: Uint8Array) {
+    return IpcClient.invoke('capturewrite', id, data);
+  },
+
+  /**
+   * @returns A promise resolving with the virtual path of the recording.
+   */
+  finishRecording: function (id: string) {
+    return IpcClient.invoke('capturefinish', id);
+  },
+
+  /**
+   * Stops a recording and deletes its file.
+   */
+  cancelRecording: function (id: string) {
+    return IpcClient.invoke('capturecancel', id);
   },
 
   getBrightness: async function () {
@@ -20,6 +67,31 @@ const DisplayManager = {
 
   setBrightness: function (value: number) {
     brightness(value);
+  },
+
+  /**
+   * Lists the connected displays. `current` flags the one the calling
+   * window is on and `hasShell` those showing the system app. Changes are
+   * announced to the system app with the `displayschange` window event.
+   */
+  getDisplays: function () {
+    return IpcClient.invoke('displaysquery');
+  },
+
+  /**
+   * Tears a webapp out of the shell into a native window of its own, on
+   * the same display unless `displayId` says otherwise. Only the system
+   * app may.
+   *
+   * @returns The ID of the new window.
+   */
+  detachWindow: function (options: {
+    url: string;
+    title?: string;
+    bounds?: { x: number; y: number; width: number; height: number };
+    displayId?: number;
+  }) {
+    return IpcClient.invoke('windowdetach', options);
   }
 };
 
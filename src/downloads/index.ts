@@ -0,0 +1,51 @@
+import IpcClient from '../ipc/renderer';
+
+/**
+ * Lets the system app read the download history and control the downloads
+ * in progress. Changes are announced with the `downloadschange` window
+ * event.
+ */
+const DownloadsManager = {
+  /**
+   * @returns The downloads, newest first.
+   */
+  getAll: function () {
+    return IpcClient.invoke('downloadsquery');
+  },
+
+  pause: function (id: string) {
+    return IpcClient.invoke('downloadspause', id);
+  },
+
+  /**
+   * Resumes a paused or interrupted download, starting it over if it can't
+   * pick up where it stopped.
+   */
+  resume: function (id: string) {
+    return IpcClient.invoke('downloadsresume', id);
+  },
+
+  cancel: function (id: string) {
+    return IpcClient.invoke('downloadscancel', id);
+  },
+
+  retry: function (id: string) {
+    return IpcClient.invoke('downloadsretry', id);
+  },
+
+  /**
+   * Removes a download from the history. The file itself is kept.
+   */
+  remove: function (id: string) {
+    return IpcClient.invoke('downloadsremove', id);
+  },
+
+  /**
+   * Removes every finished download from the history.
+   */
+  clear: function () {
+    return IpcClient.invoke('downloadsclear');
+  }
+};
+
+export default DownloadsManager;
@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import Renderer from '../renderer';
+import AtomicFile from '../storage/atomic_file';
+
+export type DownloadState = 'progressing' | 'paused' | 'completed' | 'cancelled' | 'interrupted';
+
+export type DownloadRecord = {
+  id: string;
+  url: string;
+  filename: string;
+  /**
+   * Where the download is saved, as a virtual path like `/downloads/a.png`.
+   */
+  path: string;
+  mime: string;
+  totalBytes: number;
+  receivedBytes: number;
+  state: DownloadState;
+  startTime: number;
+  endTime: number | null;
+  isPrivate: boolean;
+};
+
+export type DownloadChange = {
+  type: 'added' | 'updated' | 'removed';
+  download: DownloadRecord;
+};
+
+export type DownloadCallback = (change: DownloadChange) => void;
+
+/**
+ * Keeps the download history in `downloads.json` of the profile. Downloads
+ * of private tabs are only kept in memory, so they are gone after a
+ * restart. See `DownloadService` for the downloads in progress.
+ */
+const DownloadStore = {
+  DOWNLOADS_FILE: 'downloads.json',
+
+  /**
+   * The oldest downloads are dropped from the history once there are more
+   * than this.
+   */
+  MAX_DOWNLOADS: 500,
+
+  downloads: null as DownloadRecord[] | null,
+  writeQueue: Promise.resolve(),
+  subscribers: new Set<DownloadCallback>(),
+
+  add: function (download: DownloadRecord): DownloadRecord {
+    const downloads = this.load();
+    downloads.unshift(download);
+    downloads.splice(this.MAX_DOWNLOADS).forEach((item) => this.notify({ type: 'removed', download: item }));
+    this.save();
+    this.notify({ type: 'added', download });
+    return download;
+  },
+
+  /**
+   * Applies changes to a download.
+   *
+   * @param persist Whether to write the history as well. Progress updates
+   *        skip it, as they come many times a second.
+   * @returns The updated download, or `null` if there was none.
+   */
+  update: function (id: string, changes: Partial<DownloadRecord>, persist = true): DownloadRecord | null {
+    const download = this.get(id);
+    if (!download) {
+      return null;
+    }
+
+    Object.assign(download, changes, { id });
+    if (persist) {
+      this.save();
+    }
+    this.notify({ type: 'updated', download });
+    return download;
+  },
+
+  get: function (id: string): DownloadRecord | null {
+    return this.load().find((item) => item.id === id) || null;
+  },
+
+  getAll: function (): DownloadRecord[] {
+    return this.load();
+  },
+
+  /**
+   * Removes a download from the history. The file itself is kept.
+   *
+   * @returns The removed download, or `null` if there was none.
+   */
+  remove: function (id: string): DownloadRecord | null {
+    const downloads = this.load();
+    const index = downloads.findIndex((item) => item.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [download] = downloads.splice(index, 1);
+    this.save();
+    this.notify({ type: 'removed', download });
+    return download;
+  },
+
+  /**
+   * Removes every finished download from the history.
+   *
+   * @returns The removed downloads.
+   */
+  clear: function (): DownloadRecord[] {
+    const downloads = this.load();
+    const removed = downloads.filter((item) => item.state !== 'progressing' && item.state !== 'paused');
+    if (removed.length === 0) {
+      return removed;
+    }
+
+    this.downloads = downloads.filter((item) => removed.indexOf(item) === -1);
+    this.save();
+    removed.forEach((download) => this.notify({ type: 'removed', download }));
+    return removed;
+  },
+
+  /**
+   * Calls `callback` whenever a download is added, updated or removed.
+   *
+   * @returns A function removing the subscription.
+   */
+  subscribe: function (callback: DownloadCallback): () => void {
+    this.subscribers.add(callback);
+    return () => {
+      this.subscribers.delete(callback);
+    };
+  },
+
+  notify: function (change: DownloadChange) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(change);
+      } catch (error) {
+        console.error('Error in download subscriber:', error);
+      }
+    });
+  },
+
+  load: function (): DownloadRecord[] {
+    if (this.downloads) {
+      return this.downloads;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.getPath(), 'utf8'));
+      this.downloads = Array.isArray(data) ? data : [];
+    } catch (error) {
+      this.downloads = [];
+    }
+
+    // Downloads which were still running when the app quit can't be resumed
+    (this.downloads as DownloadRecord[]).forEach((download) => {
+      if (download.state === 'progressing' || download.state === 'paused') {
+        download.state = 'interrupted';
+      }
+    });
+    return this.downloads as DownloadRecord[];
+  },
+
+  /**
+   * Queues a write of `downloads.json`, see `AtomicFile`.
+   */
+  save: function (): Promise<void> {
+    const filePath = this.getPath();
+    this.writeQueue = this.writeQueue.then(async () => {
+      const downloads = (this.downloads || []).filter((item) => !item.isPrivate);
+      try {
+        await AtomicFile.write(filePath, JSON.stringify(downloads, null, 2));
+      } catch (error) {
+        console.error(`Error writing ${filePath}:`, error);
+      }
+    });
+    return this.writeQueue;
+  },
+
+  getPath: function (): string {
+    if (!Renderer.profilePath) {
+      throw new Error('Unspecified profile path');
+    }
+    return path.join(Renderer.profilePath, this.DOWNLOADS_FILE);
+  }
+};
+
+export default DownloadStore;
@@ -0,0 +1,32 @@
+import IpcClient from '../ipc/renderer';
+
+/**
+ * Lets the browser chrome list, enable and install Chrome extensions.
+ * Changes are announced with the `extensionschange` window event.
+ */
+const ExtensionsManager = {
+  /**
+   * Resolves with the built-in and installed extensions, enabled or not.
+   */
+  getAll: function () {
+    return IpcClient.invoke('extensionsquery');
+  },
+
+  /**
+   * Enables or disables an extension. Pages it already ran on keep its
+   * content scripts until they reload.
+   */
+  setEnabled: function (id: string, enabled: boolean) {
+    return IpcClient.invoke('extensionssetenabled', id, enabled);
+  },
+
+  /**
+   * Installs an extension from a zip archive of the storage, as picked in
+   * the Files app. An installed extension with the same name is updated.
+   */
+  install: function (path: string) {
+    return IpcClient.invoke('extensionsinstall', path);
+  }
+};
+
+export default ExtensionsManager;
@@ -0,0 +1,359 @@
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import SettingsStore from '../settings/store';
+import WebappPackage from '../webapps/package';
+import Renderer from '../renderer';
+
+export type ContentScriptRunAt = 'document_start' | 'document_end' | 'document_idle';
+
+export type ContentScript = {
+  matches: string[];
+  excludeMatches: string[];
+  js: string[];
+  css: string[];
+  runAt: ContentScriptRunAt;
+};
+
+export type ExtensionInfo = {
+  /**
+   * The name of the extension's directory.
+   */
+  id: string;
+  name: string;
+  version: string;
+  description: string;
+  manifestVersion: number;
+  path: string;
+  /**
+   * Shipped in `internal/extensions` rather than installed in the profile.
+   */
+  isBuiltIn: boolean;
+  isEnabled: boolean;
+  contentScripts: ContentScript[];
+};
+
+export type ExtensionChange = {
+  type: 'installed' | 'updated' | 'enabled' | 'disabled';
+  id: string;
+};
+
+type ExtensionCallback = (change: ExtensionChange) => void;
+
+/**
+ * Finds the Chrome extensions of the system and the profile, and installs
+ * new ones from zip archives. Extensions are directories holding a
+ * `manifest.json`, in `internal/extensions` for the built-in ones and in
+ * `extensions` in the profile, or `ORCHID_ADDONS`, for the others.
+ *
+ * Whether an extension is enabled is kept in `extensions.json`, and
+ * defaults to `defaults/extensions.json`, so built-in extensions can ship
+ * disabled.
+ */
+const ExtensionRegistry = {
+  BUILTIN_DIR: path.join(__dirname, '..', '..', '..', 'internal', 'extensions'),
+  PROFILE_DIR: 'extensions',
+  FILE: 'extensions.json',
+  ENABLED_KEY: 'extensions.enabled',
+  MANIFEST_FILE: 'manifest.json',
+  RUN_AT: ['document_start', 'document_end', 'document_idle'] as ContentScriptRunAt[],
+
+  extensions: null as Map<string, ExtensionInfo> | null,
+  subscribers: new Set<ExtensionCallback>(),
+
+  getAll: function (): ExtensionInfo[] {
+    return Array.from(this.load().values());
+  },
+
+  get: function (id: string): ExtensionInfo | null {
+    return this.load().get(id) || null;
+  },
+
+  /**
+   * @throws {Error} `NOT_FOUND` if no extension has that ID.
+   */
+  setEnabled: async function (id: string, enabled: boolean): Promise<ExtensionInfo> {
+    const extension = this.get(id);
+    if (!extension) {
+      throw new Error(`NOT_FOUND: No extension ${id}`);
+    }
+    if (extension.isEnabled === enabled) {
+      return extension;
+    }
+
+    const states = { ...(SettingsStore.getValue(this.ENABLED_KEY, this.FILE) || {}), [id]: enabled };
+    extension.isEnabled = enabled;
+    await SettingsStore.setValue(this.ENABLED_KEY, states, this.FILE);
+    this.notify({ type: enabled ? 'enabled' : 'disabled', id });
+    return extension;
+  },
+
+  /**
+   * Installs an extension from a zip archive holding its `manifest.json`,
+   * at the root or in a single top-level directory as archives of source
+   * repositories have it. An extension with the same ID already installed
+   * in the profile is replaced.
+   *
+   * @throws {Error} `INVALID_FORMAT` if the archive isn't an extension, or
+   *         `ALREADY_EXISTS` if a built-in extension has the same ID.
+   */
+  install: function (zipFilePath: string): ExtensionInfo {
+    let zip: AdmZip;
+    try {
+      zip = new AdmZip(zipFilePath);
+    } catch (error) {
+      throw new Error('INVALID_FORMAT: The file is not a valid zip archive');
+    }
+
+    const entries = zip.getEntries().filter((entry) => !entry.isDirectory);
+    const manifestEntry = entries.find((entry) => /^([^/]+\/)?manifest\.json$/.test(entry.entryName));
+    if (!manifestEntry) {
+      throw new Error('INVALID_FORMAT: The archive has no manifest.json');
+    }
+    const prefix = manifestEntry.entryName.slice(0, -this.MANIFEST_FILE.length);
+    if (prefix && entries.some((entry) => !entry.entryName.startsWith(prefix))) {
+      throw new Error('INVALID_FORMAT: The archive has no manifest.json');
+    }
+
+    let manifest: Record<string, any>;
+    try {
+      manifest = JSON.parse(
+        manifestEntry
+          .getData()
+          .toString('utf8')
+          .replace(/^\uFEFF/, '')
+      );
+    } catch (error) {
+      throw new Error('INVALID_FORMAT: The manifest.json of the extension is not valid JSON');
+    }
+    this.validateManifest(manifest);
+
+    const id = this.createId(manifest.name, prefix);
+    const existing = this.get(id);
+    if (existing && existing.isBuiltIn) {
+      throw new Error(`ALREADY_EXISTS: A built-in extension is already called ${id}`);
+    }
+
+    const directory = this.getProfileDir();
+    const extensionDir = path.join(directory, id);
+    const stagingDir = `${extensionDir}.install`;
+    fs.mkdirSync(directory, { recursive: true });
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    try {
+      WebappPackage.extract(zip, stagingDir);
+      fs.rmSync(extensionDir, { recursive: true, force: true });
+      fs.renameSync(path.join(stagingDir, prefix), extensionDir);
+    } finally {
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+    }
+
+    this.extensions = null;
+    const extension = this.get(id);
+    if (!extension) {
+      throw new Error('INVALID_FORMAT: The extension could not be read once installed');
+    }
+    this.notify({ type: existing ? 'updated' : 'installed', id });
+    return extension;
+  },
+
+  /**
+   * Returns the content scripts of enabled extensions that run on a page.
+   */
+  getContentScripts: function (url: string): { extension: ExtensionInfo; script: ContentScript }[] {
+    const pageUrl = url.split('#')[0];
+    const result: { extension: ExtensionInfo; script: ContentScript }[] = [];
+    this.getAll().forEach((extension) => {
+      if (!extension.isEnabled) {
+        return;
+      }
+      extension.contentScripts.forEach((script) => {
+        if (
+          script.matches.some((pattern) => this.matchesPattern(pattern, pageUrl)) &&
+          !script.excludeMatches.some((pattern) => this.matchesPattern(pattern, pageUrl))
+        ) {
+          result.push({ extension, script });
+        }
+      });
+    });
+    return result;
+  },
+
+  /**
+   * Whether a URL matches a match pattern like `https://*.example.com/*`.
+   *
+   * See https://developer.chrome.com/docs/extensions/develop/concepts/match-patterns
+   */
+  matchesPattern: function (pattern: string, url: string): boolean {
+    if (pattern === '<all_urls>') {
+      return /^(https?|wss?|ftp|file):\/\//.test(url);
+    }
+
+    const match = /^(\*|https?|wss?|ftp|file):\/\/(\*|\*\.[^/*]+|[^/*]*)(\/.*)$/.exec(pattern);
+    if (!match) {
+      return false;
+    }
+    const [, scheme, host, pathPattern] = match;
+    const escape = (text: string) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+    const schemeSource = scheme === '*' ? 'https?' : scheme;
+    let hostSource = escape(host);
+    if (host === '*') {
+      hostSource = '[^/]*';
+    } else if (host.startsWith('*.')) {
+      hostSource = `(?:[^/]*\\.)?${escape(host.substring(2))}(?::\\d+)?`;
+    } else if (host) {
+      hostSource += '(?::\\d+)?';
+    }
+    const pathSource = pathPattern.split('*').map(escape).join('.*');
+    return new RegExp(`^${schemeSource}:\\/\\/${hostSource}${pathSource}$`, host ? 'i' : '').test(url);
+  },
+
+  /**
+   * Calls `callback` whenever an extension is installed, enabled or
+   * disabled.
+   *
+   * @returns A function removing the subscription.
+   */
+  subscribe: function (callback: ExtensionCallback): () => void {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  },
+
+  notify: function (change: ExtensionChange) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(change);
+      } catch (error) {
+        console.error('Error in extensions subscriber:', error);
+      }
+    });
+  },
+
+  load: function (): Map<string, ExtensionInfo> {
+    if (this.extensions) {
+      return this.extensions;
+    }
+
+    const states = SettingsStore.getValue(this.ENABLED_KEY, this.FILE) || {};
+    const extensions = new Map<string, ExtensionInfo>();
+    const directories =
+      Renderer.profilePath || process.env.ORCHID_ADDONS ? [this.BUILTIN_DIR, this.getProfileDir()] : [this.BUILTIN_DIR];
+    directories.forEach((directory) => {
+      let names: string[];
+      try {
+        names = fs.readdirSync(directory).sort();
+      } catch (error) {
+        return;
+      }
+
+      names.forEach((name) => {
+        // Built-in extensions win, so nobody can swap them for another
+        if (extensions.has(name) || name.endsWith('.install')) {
+          return;
+        }
+        const extensionDir = path.join(directory, name);
+        try {
+          const manifest = this.readManifest(extensionDir);
+          extensions.set(name, {
+            id: name,
+            name: this.localize(extensionDir, manifest, manifest.name),
+            version: String(manifest.version),
+            description: this.localize(extensionDir, manifest, manifest.description || ''),
+            manifestVersion: manifest.manifest_version,
+            path: extensionDir,
+            isBuiltIn: directory === this.BUILTIN_DIR,
+            isEnabled: states[name] !== false,
+            contentScripts: this.parseContentScripts(manifest.content_scripts)
+          });
+        } catch (error) {
+          console.error(`Error reading the extension ${name}:`, error);
+        }
+      });
+    });
+    this.extensions = extensions;
+    return extensions;
+  },
+
+  readManifest: function (extensionDir: string): Record<string, any> {
+    const text = fs.readFileSync(path.join(extensionDir, this.MANIFEST_FILE), 'utf8');
+    const manifest = JSON.parse(text.replace(/^\uFEFF/, ''));
+    this.validateManifest(manifest);
+    return manifest;
+  },
+
+  validateManifest: function (manifest: any) {
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      throw new Error('INVALID_FORMAT: The manifest of the extension is not an object');
+    }
+    if (manifest.manifest_version !== 2 && manifest.manifest_version !== 3) {
+      throw new Error('INVALID_FORMAT: Only manifest versions 2 and 3 are supported');
+    }
+    if (typeof manifest.name !== 'string' || !manifest.name.trim()) {
+      throw new Error('INVALID_FORMAT: The extension has no name');
+    }
+    if (typeof manifest.version !== 'string' || !/^\d+(\.\d+){0,3}$/.test(manifest.version)) {
+      throw new Error('INVALID_FORMAT: The extension has no valid version');
+    }
+  },
+
+  parseContentScripts: function (value: any): ContentScript[] {
+    if (!Array.isArray(value)) {
+      return [];
+    }
+    const strings = (list: any) => (Array.isArray(list) ? list.filter((item) => typeof item === 'string') : []);
+    return value
+      .filter((script) => script && typeof script === 'object')
+      .map((script) => ({
+        matches: strings(script.matches),
+        excludeMatches: strings(script.exclude_matches),
+        js: strings(script.js),
+        css: strings(script.css),
+        runAt: this.RUN_AT.includes(script.run_at) ? script.run_at : 'document_idle'
+      }))
+      .filter((script) => script.matches.length > 0 && (script.js.length > 0 || script.css.length > 0));
+  },
+
+  /**
+   * Resolves `__MSG_name__` from the `_locales` of the extension, in its
+   * default locale.
+   */
+  localize: function (extensionDir: string, manifest: Record<string, any>, text: string): string {
+    const match = /^__MSG_(\w+)__$/.exec(text);
+    if (!match || typeof manifest.default_locale !== 'string' || !/^[\w-]+$/.test(manifest.default_locale)) {
+      return text;
+    }
+    try {
+      const file = path.join(extensionDir, '_locales', manifest.default_locale, 'messages.json');
+      const messages = JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+      const key = Object.keys(messages).find((name) => name.toLowerCase() === match[1].toLowerCase());
+      return key && typeof messages[key].message === 'string' ? messages[key].message : text;
+    } catch (error) {
+      return text;
+    }
+  },
+
+  /**
+   * Turns the top-level directory of the archive, or the name of the
+   * extension, into a directory name.
+   */
+  createId: function (name: string, prefix: string): string {
+    const source = name.startsWith('__MSG_') && prefix ? prefix.slice(0, -1) : name;
+    const id = source
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    return id || 'extension';
+  },
+
+  getProfileDir: function (): string {
+    if (process.env.ORCHID_ADDONS) {
+      return process.env.ORCHID_ADDONS;
+    }
+    if (!Renderer.profilePath) {
+      throw new Error('Unspecified profile path');
+    }
+    return path.join(Renderer.profilePath, this.PROFILE_DIR);
+  }
+};
+
+export default ExtensionRegistry;
@@ -0,0 +1,61 @@
+import IpcClient from '../ipc/renderer';
+import type { HistoryQuery, HistoryTransition } from './store';
+
+/**
+ * Lets the browser chrome record visits and internal pages browse and clear
+ * the history. Changes are announced with the `historychange` window
+ * event.
+ */
+const HistoryManager = {
+  /**
+   * Records a visit of a page. Only http and https pages are kept.
+   */
+  addVisit: function (url: string, transition?: HistoryTransition, title?: string) {
+    return IpcClient.invoke('historyvisit', url, transition, title);
+  },
+
+  /**
+   * Sets the title or favicon of a page already in the history.
+   */
+  update: function (url: string, changes: { title?: string | null; favicon?: string | null }) {
+    return IpcClient.invoke('historyupdate', url, changes);
+  },
+
+  /**
+   * Resolves with the pages matching every word of `text`, those visited
+   * most often and lately first.
+   */
+  search: function (text: string, limit?: number) {
+    return IpcClient.invoke('historysearch', text, limit);
+  },
+
+  /**
+   * Resolves with the visits matching the query, newest first.
+   */
+  getVisits: function (query?: HistoryQuery) {
+    return IpcClient.invoke('historyquery', query);
+  },
+
+  remove: function (url: string) {
+    return IpcClient.invoke('historyremove', url);
+  },
+
+  /**
+   * Removes the visits made between two times.
+   *
+   * @returns The number of removed visits.
+   */
+  removeRange: function (startTime: number, endTime: number) {
+    return IpcClient.invoke('historyremoverange', startTime, endTime);
+  },
+
+  /**
+   * Clears the history, cookies or cache. `since` limits the history to
+   * the visits made since then.
+   */
+  clearBrowsingData: function (options: { history?: boolean; cookies?: boolean; cache?: boolean; since?: number }) {
+    return IpcClient.invoke('browsingdataclear', options);
+  }
+};
+
+export default HistoryManager;
@@ -0,0 +1,460 @@
+import fs from 'fs';
+import path from 'path';
+import Renderer from '../renderer';
+import AtomicFile from '../storage/atomic_file';
+
+/**
+ * How the user got to a page: by following a link, typing it into the
+ * urlbar, reloading, going back or forward, or being redirected.
+ */
+export type HistoryTransition = 'link' | 'typed' | 'reload' | 'back_forward' | 'redirect';
+
+export type HistoryVisit = {
+  time: number;
+  transition: HistoryTransition;
+};
+
+export type HistoryEntry = {
+  url: string;
+  title: string;
+  favicon: string | null;
+  visitCount: number;
+  typedCount: number;
+  lastVisitTime: number;
+  /**
+   * Newest first.
+   */
+  visits: HistoryVisit[];
+};
+
+/**
+ * A page as returned by `search`, ranked by `frecency`.
+ */
+export type HistoryMatch = Omit<HistoryEntry, 'visits'> & { frecency: number };
+
+/**
+ * A single visit as returned by `getVisits`, for the history page.
+ */
+export type HistoryVisitItem = HistoryVisit & {
+  url: string;
+  title: string;
+  favicon: string | null;
+};
+
+export type HistoryQuery = {
+  /**
+   * Only visits whose URL or title contain this, ignoring case.
+   */
+  text?: string;
+  startTime?: number;
+  endTime?: number;
+  limit?: number;
+  offset?: number;
+};
+
+export type HistoryChange = {
+  type: 'visited' | 'updated' | 'removed';
+  /**
+   * The URLs of the affected pages, `null` if every page was removed.
+   */
+  urls: string[] | null;
+};
+
+export type HistoryCallback = (change: HistoryChange) => void;
+
+/**
+ * Keeps the browsing history in `history.json` of the profile. The browser
+ * chrome records
+ * a visit for each navigation of its non-private tabs, and the urlbar
+ * ranks pages by `getFrecency`, which favors pages visited often and
+ * lately, typed pages even more.
+ *
+ * Visits older than `MAX_AGE` expire, as do the pages visited least lately
+ * once there are more than `MAX_ENTRIES`.
+ */
+const HistoryStore = {
+  FILE: 'history.json',
+
+  MAX_AGE: 90 * 24 * 60 * 60 * 1000,
+  MAX_ENTRIES: 10000,
+  MAX_TITLE_LENGTH: 500,
+  MAX_FAVICON_LENGTH: 2048,
+
+  /**
+   * How long to wait for more changes before writing, in milliseconds.
+   */
+  SAVE_DELAY: 2000,
+  EXPIRE_INTERVAL: 60 * 60 * 1000,
+
+  /**
+   * How many of the last visits of a page count for its frecency.
+   */
+  FRECENCY_SAMPLES: 10,
+
+  /**
+   * Points of a visit by its age in days, see `getFrecency`.
+   */
+  RECENCY_BUCKETS: [
+    [4, 100],
+    [14, 70],
+    [31, 50],
+    [90, 30]
+  ] as [number, number][],
+  OLD_VISIT_POINTS: 10,
+
+  TRANSITION_WEIGHTS: {
+    typed: 2,
+    link: 1,
+    back_forward: 0.5,
+    reload: 0.25,
+    redirect: 0.25
+  } as Record<HistoryTransition, number>,
+
+  entries: null as Map<string, HistoryEntry> | null,
+  lastExpireTime: 0,
+  timer: null as NodeJS.Timeout | null,
+  writeQueue: Promise.resolve(),
+  subscribers: new Set<HistoryCallback>(),
+
+  /**
+   * Whether a URL can be kept. Internal pages and data URLs aren't.
+   */
+  isRecordable: function (url: string): boolean {
+    try {
+      const protocol = new URL(url).protocol;
+      return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Records a visit of a page.
+   *
+   * @returns The page, or `null` if the URL can't be kept.
+   */
+  addVisit: function (
+    url: string,
+    transition: HistoryTransition = 'link',
+    title?: string,
+    time: number = Date.now()
+  ): HistoryEntry | null {
+    if (!this.isRecordable(url)) {
+      return null;
+    }
+    const entries = this.load();
+
+    let entry = entries.get(url);
+    if (!entry) {
+      entry = { url, title: '', favicon: null, visitCount: 0, typedCount: 0, lastVisitTime: 0, visits: [] };
+      entries.set(url, entry);
+    }
+    entry.visits.unshift({ time, transition });
+    entry.visitCount++;
+    if (transition === 'typed') {
+      entry.typedCount++;
+    }
+    entry.lastVisitTime = Math.max(entry.lastVisitTime, time);
+    if (title) {
+      entry.title = this.normalizeTitle(title);
+    }
+
+    if (time - this.lastExpireTime > this.EXPIRE_INTERVAL) {
+      this.expire(time);
+    }
+    this.scheduleSave();
+    this.notify({ type: 'visited', urls: [url] });
+    return entry;
+  },
+
+  /**
+   * Sets the title or favicon of a page once it loaded them.
+   *
+   * @returns The page, or `null` if it isn't in the history.
+   */
+  update: function (url: string, changes: { title?: string | null; favicon?: string | null }): HistoryEntry | null {
+    const entry = this.load().get(url);
+    if (!entry) {
+      return null;
+    }
+
+    if (typeof changes.title === 'string') {
+      entry.title = this.normalizeTitle(changes.title);
+    }
+    if (typeof changes.favicon === 'string') {
+      // Huge data URLs would bloat the file
+      entry.favicon = changes.favicon.length <= this.MAX_FAVICON_LENGTH ? changes.favicon : null;
+    }
+    this.scheduleSave();
+    this.notify({ type: 'updated', urls: [url] });
+    return entry;
+  },
+
+  get: function (url: string): HistoryEntry | null {
+    return this.load().get(url) || null;
+  },
+
+  /**
+   * Finds the pages whose URL or title contain every word of `text`,
+   * best ranked first.
+   */
+  search: function (text: string, limit: number = 10, now: number = Date.now()): HistoryMatch[] {
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches: HistoryMatch[] = [];
+    this.load().forEach((entry) => {
+      const haystack = `${entry.url} ${entry.title}`.toLowerCase();
+      if (words.every((word) => haystack.includes(word))) {
+        const { visits, ...match } = entry;
+        matches.push({ ...match, frecency: this.getFrecency(entry, now) });
+      }
+    });
+    return matches.sort((a, b) => b.frecency - a.frecency || b.lastVisitTime - a.lastVisitTime).slice(0, limit);
+  },
+
+  /**
+   * Lists visits, newest first.
+   */
+  getVisits: function (query: HistoryQuery = {}): HistoryVisitItem[] {
+    const text = (query.text || '').toLowerCase();
+    const startTime = query.startTime || 0;
+    const endTime = query.endTime || Infinity;
+
+    const visits: HistoryVisitItem[] = [];
+    this.load().forEach((entry) => {
+      if (text && !`${entry.url} ${entry.title}`.toLowerCase().includes(text)) {
+        return;
+      }
+      entry.visits.forEach((visit) => {
+        if (visit.time >= startTime && visit.time < endTime) {
+          visits.push({ ...visit, url: entry.url, title: entry.title, favicon: entry.favicon });
+        }
+      });
+    });
+
+    const offset = query.offset || 0;
+    return visits.sort((a, b) => b.time - a.time).slice(offset, query.limit ? offset + query.limit : undefined);
+  },
+
+  /**
+   * Scores a page by its last visits. Each visit is worth points by its
+   * age, weighted by how the user got there, and the average is multiplied
+   * by the number of visits.
+   */
+  getFrecency: function (entry: HistoryEntry, now: number = Date.now()): number {
+    const samples = entry.visits.slice(0, this.FRECENCY_SAMPLES);
+    if (samples.length === 0) {
+      return 0;
+    }
+
+    const points = samples.reduce((total, visit) => {
+      const days = (now - visit.time) / (24 * 60 * 60 * 1000);
+      const bucket = this.RECENCY_BUCKETS.find(([maxDays]) => days < maxDays);
+      const weight = this.TRANSITION_WEIGHTS[visit.transition] || 1;
+      return total + (bucket ? bucket[1] : this.OLD_VISIT_POINTS) * weight;
+    }, 0);
+    return Math.round((entry.visitCount * points) / samples.length);
+  },
+
+  /**
+   * Removes a page and all of its visits.
+   */
+  remove: function (url: string): boolean {
+    if (!this.load().delete(url)) {
+      return false;
+    }
+    this.scheduleSave();
+    this.notify({ type: 'removed', urls: [url] });
+    return true;
+  },
+
+  /**
+   * Removes the visits made between two times. Pages left without visits
+   * are removed.
+   *
+   * @returns The number of removed visits.
+   */
+  removeRange: function (startTime: number, endTime: number): number {
+    let count = 0;
+    const urls: string[] = [];
+    this.load().forEach((entry, url) => {
+      const visits = entry.visits.filter((visit) => visit.time < startTime || visit.time >= endTime);
+      if (visits.length === entry.visits.length) {
+        return;
+      }
+      count += entry.visits.length - visits.length;
+      urls.push(url);
+      this.setVisits(entry, visits);
+    });
+
+    if (count > 0) {
+      this.scheduleSave();
+      this.notify({ type: 'removed', urls });
+    }
+    return count;
+  },
+
+  clear: function () {
+    this.load().clear();
+    this.scheduleSave();
+    this.notify({ type: 'removed', urls: null });
+  },
+
+  /**
+   * Drops expired visits and the pages visited least lately.
+   */
+  expire: function (now: number = Date.now()) {
+    const entries = this.load();
+    this.lastExpireTime = now;
+
+    const minTime = now - this.MAX_AGE;
+    const urls: string[] = [];
+    entries.forEach((entry, url) => {
+      if (entry.lastVisitTime >= minTime && entry.visits[entry.visits.length - 1].time >= minTime) {
+        return;
+      }
+      urls.push(url);
+      this.setVisits(
+        entry,
+        entry.visits.filter((visit) => visit.time >= minTime)
+      );
+    });
+
+    if (entries.size > this.MAX_ENTRIES) {
+      Array.from(entries.values())
+        .sort((a, b) => b.lastVisitTime - a.lastVisitTime)
+        .slice(this.MAX_ENTRIES)
+        .forEach((entry) => {
+          entries.delete(entry.url);
+          urls.push(entry.url);
+        });
+    }
+
+    if (urls.length > 0) {
+      this.scheduleSave();
+      this.notify({ type: 'removed', urls });
+    }
+  },
+
+  /**
+   * Replaces the visits of a page and recounts them. Visit counts only
+   * cover the visits still kept.
+   */
+  setVisits: function (entry: HistoryEntry, visits: HistoryVisit[]) {
+    if (visits.length === 0) {
+      this.load().delete(entry.url);
+      return;
+    }
+    entry.visits = visits;
+    entry.visitCount = visits.length;
+    entry.typedCount = visits.filter((visit) => visit.transition === 'typed').length;
+    entry.lastVisitTime = visits[0].time;
+  },
+
+  normalizeTitle: function (title: string): string {
+    return title.trim().substring(0, this.MAX_TITLE_LENGTH);
+  },
+
+  /**
+   * Calls `callback` whenever pages are visited, updated or removed.
+   *
+   * @returns A function removing the subscription.
+   */
+  subscribe: function (callback: HistoryCallback): () => void {
+    this.subscribers.add(callback);
+    return () => {
+      this.subscribers.delete(callback);
+    };
+  },
+
+  notify: function (change: HistoryChange) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(change);
+      } catch (error) {
+        console.error('Error in history subscriber:', error);
+      }
+    });
+  },
+
+  load: function (): Map<string, HistoryEntry> {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    this.entries = new Map();
+    try {
+      const data = JSON.parse(fs.readFileSync(this.getPath(), 'utf8'));
+      // The history shipped in `defaults` is an empty array as well
+      (Array.isArray(data) ? data : []).forEach((entry: HistoryEntry) => {
+        if (entry && typeof entry.url === 'string' && Array.isArray(entry.visits) && entry.visits.length > 0) {
+          (this.entries as Map<string, HistoryEntry>).set(entry.url, entry);
+        }
+      });
+    } catch (error) {
+      // Starts over with an empty history
+    }
+
+    this.expire();
+    return this.entries;
+  },
+
+  /**
+   * Writes the history once no change came for `SAVE_DELAY`, as pages are
+   * visited in bursts.
+   */
+  scheduleSave: function () {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.save();
+    }, this.SAVE_DELAY);
+  },
+
+  /**
+   * Queues a write of the history, see `AtomicFile`.
+   */
+  save: function (): Promise<void> {
+    const content = this.serialize();
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await AtomicFile.write(this.getPath(), content);
+      } catch (error) {
+        console.error('Error writing the history:', error);
+      }
+    });
+    return this.writeQueue;
+  },
+
+  /**
+   * Writes changes still waiting for `SAVE_DELAY` right away, for when
+   * OrchidUI quits.
+   */
+  flush: function () {
+    if (!this.timer) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    try {
+      AtomicFile.writeSync(this.getPath(), this.serialize());
+    } catch (error) {
+      console.error('Error writing the history:', error);
+    }
+  },
+
+  serialize: function (): string {
+    return JSON.stringify(Array.from(this.load().values()));
+  },
+
+  getPath: function (): string {
+    if (!Renderer.profilePath) {
+      throw new Error('Unspecified profile path');
+    }
+    return path.join(Renderer.profilePath, this.FILE);
+  }
+};
+
+export default HistoryStore;
@@ -0,0 +1,444 @@
+import type { DisplayInfo, DetachOptions } from '../browser/window_service';
+import type { NotificationGroup, NotificationQuery, NotificationRecord } from '../notifications/store';
+import type { DownloadRecord } from '../downloads/store';
+import type { LastSession, SessionWindow } from '../session/store';
+import type { CaptureSource } from '../browser/capture_service';
+import type { HistoryMatch, HistoryQuery, HistoryTransition, HistoryVisitItem } from '../history/store';
+import type { BrowsingDataOptions } from '../browser/history_service';
+import type {
+  BookmarkChanges,
+  BookmarkImportResult,
+  BookmarkInput,
+  BookmarkNode,
+  BookmarkTreeNode
+} from '../bookmarks/store';
+import type { BookmarkFormat } from '../bookmarks/formats';
+import type { ExtensionState } from '../browser/extension_service';
+
+/**
+ * `bytes` are typed arrays, like the `Uint8Array` of a file.
+ */
+export type PayloadType = 'boolean' | 'number' | 'string' | 'object' | 'array' | 'bytes' | 'any';
+
+export type PayloadSchema = {
+  type: PayloadType;
+  optional?: boolean;
+  nullable?: boolean;
+  integer?: boolean;
+  enum?: any[];
+  /**
+   * The keys an object must have. Other keys are let through.
+   */
+  properties?: Record<string, PayloadSchema>;
+  items?: PayloadSchema;
+};
+
+export type ChannelDefinition = {
+  /**
+   * How renderers use the channel: `invoke` waits for a response, `send`
+   * doesn't, and `sendSync` blocks until main sets `event.returnValue`.
+   * Leaving it out means renderers can't send on the channel.
+   */
+  request?: 'invoke' | 'send' | 'sendSync';
+  /**
+   * The arguments of `request`, checked by main before its handler runs.
+   */
+  args?: PayloadSchema[];
+  /**
+   * Whether main sends the channel to renderers.
+   */
+  event?: boolean;
+  /**
+   * The window event the preload dispatches events as, with the payload as
+   * `event.detail`. Defaults to the channel name, `null` keeps them to
+   * `IpcClient.on` listeners.
+   */
+  windowEvent?: string | null;
+};
+
+/**
+ * What requests answer with, by channel. `args` match `CHANNELS`.
+ */
+export type IpcRequests = {
+  ipcversion: { args: []; result: number };
+  displaysquery: { args: []; result: DisplayInfo[] };
+  windowdetach: { args: [DetachOptions]; result: number };
+  screenshot: { args: [number?]; result: string };
+  updatestatus: { args: []; result: any };
+  capturesource: { args: [number?]; result: CaptureSource };
+  capturescreenshot: { args: [Uint8Array]; result: string };
+  capturestart: { args: []; result: string };
+  capturewrite: { args: [string, Uint8Array]; result: void };
+  capturefinish: { args: [string]; result: string };
+  capturecancel: { args: [string]; result: void };
+  notificationsquery: { args: [NotificationQuery?]; result: NotificationRecord[] };
+  notificationsgroups: { args: [NotificationQuery?]; result: NotificationGroup[] };
+  notificationsactivate: {
+    args: [string, string?];
+    result: { delivered: boolean; origin: string | null; href: string | null };
+  };
+  notificationsdismiss: { args: [string]; result: void };
+  notificationsclear: { args: [string?]; result: void };
+  notificationsmarkread: { args: [string[]?]; result: void };
+  downloadsquery: { args: []; result: (DownloadRecord & { exists: boolean })[] };
+  downloadspause: { args: [string]; result: void };
+  downloadsresume: { args: [string]; result: void };
+  downloadscancel: { args: [string]; result: void };
+  downloadsretry: { args: [string]; result: void };
+  downloadsremove: { args: [string]; result: void };
+  downloadsclear: { args: []; result: void };
+  sessionquery: { args: []; result: LastSession | null };
+  sessionupdate: { args: [SessionWindow[]]; result: void };
+  historyvisit: { args: [string, HistoryTransition?, string?]; result: void };
+  historyupdate: { args: [string, { title?: string | null; favicon?: string | null }]; result: void };
+  historysearch: { args: [string, number?]; result: HistoryMatch[] };
+  historyquery: { args: [HistoryQuery?]; result: HistoryVisitItem[] };
+  historyremove: { args: [string]; result: void };
+  historyremoverange: { args: [number, number]; result: number };
+  browsingdataclear: { args: [BrowsingDataOptions]; result: void };
+  bookmarksquery: { args: [(string | null)?]; result: BookmarkTreeNode[] };
+  bookmarkssearch: { args: [string, number?]; result: BookmarkNode[] };
+  bookmarksfind: { args: [string]; result: BookmarkNode[] };
+  bookmarksadd: { args: [BookmarkInput, boolean?]; result: BookmarkNode };
+  bookmarksupdate: { args: [string, BookmarkChanges]; result: BookmarkNode };
+  bookmarksmove: { args: [string, string | null, number?]; result: void };
+  bookmarksremove: { args: [string]; result: string[] };
+  bookmarksduplicates: { args: []; result: BookmarkNode[][] };
+  bookmarksimport: { args: [string, (string | null)?]; result: BookmarkImportResult };
+  bookmarksexport: { args: [BookmarkFormat]; result: string };
+  extensionsquery: { args: []; result: ExtensionState[] };
+  extensionssetenabled: { args: [string, boolean]; result: ExtensionState };
+  extensionsinstall: { args: [string]; result: ExtensionState };
+  permissionsset: { args: [string, string, boolean]; result: void };
+  permissionsrevoke: { args: [string, (string | null)?]; result: void };
+  settingsget: { args: [string, string?]; result: any };
+  settingsset: { args: [string, any, string?]; result: void };
+  simulatorcommand: { args: [Record<string, any>]; result: any };
+};
+
+export type IpcRequestChannel = keyof IpcRequests;
+
+export type IpcErrorCode = 'INVALID_CHANNEL' | 'INVALID_PAYLOAD';
+
+/**
+ * Raised for channels the contract doesn't have and payloads it doesn't
+ * allow. The code is part of the message since only the message makes it
+ * through IPC.
+ */
+export class IpcError extends Error {
+  public code: IpcErrorCode;
+  public channel: string;
+
+  constructor(code: IpcErrorCode, channel: string, message: string) {
+    super(`${code}: ${channel}: ${message}`);
+
+    this.name = 'IpcError';
+    this.code = code;
+    this.channel = channel;
+  }
+}
+
+const OBJECT = { type: 'object' } as PayloadSchema;
+const OPTIONAL_OBJECT = { type: 'object', optional: true, nullable: true } as PayloadSchema;
+const OPTIONAL_ANY = { type: 'any', optional: true } as PayloadSchema;
+const STRING = { type: 'string' } as PayloadSchema;
+const OPTIONAL_STRING = { type: 'string', optional: true, nullable: true } as PayloadSchema;
+
+/**
+ * Every IPC channel between the main process and renderers, shared by
+ * `IpcRouter` in main and `IpcClient` in preloads. Handlers and listeners
+ * can only be added for channels listed here, and main checks the payloads
+ * renderers send against `args`.
+ *
+ * `VERSION` goes up whenever a channel is removed or its payload changes in
+ * a way older preloads don't handle.
+ */
+const IpcContract = {
+  VERSION: 1,
+
+  CHANNELS: {
+    ipcversion: { request: 'invoke', args: [] },
+
+    // Windows and displays
+    close: { request: 'send', args: [OPTIONAL_ANY] },
+    maximize: { request: 'send', args: [OPTIONAL_ANY] },
+    minimize: { request: 'send', args: [OPTIONAL_ANY] },
+    maximized: { event: true },
+    unmaximized: { event: true },
+    displaysquery: { request: 'invoke', args: [] },
+    displayschange: { event: true },
+    windowdetach: {
+      request: 'invoke',
+      args: [
+        {
+          type: 'object',
+          properties: {
+            url: STRING,
+            title: OPTIONAL_STRING,
+            bounds: OPTIONAL_OBJECT,
+            displayId: { type: 'number', optional: true, nullable: true }
+          }
+        }
+      ]
+    },
+    screenshot: { request: 'invoke', args: [{ type: 'number', optional: true, nullable: true, integer: true }] },
+    capturesource: { request: 'invoke', args: [{ type: 'number', optional: true, nullable: true, integer: true }] },
+    capturescreenshot: { request: 'invoke', args: [{ type: 'bytes' }] },
+    capturestart: { request: 'invoke', args: [] },
+    capturewrite: { request: 'invoke', args: [STRING, { type: 'bytes' }] },
+    capturefinish: { request: 'invoke', args: [STRING] },
+    capturecancel: { request: 'invoke', args: [STRING] },
+    'change-theme': { request: 'send', args: [STRING] },
+    print: { request: 'send', args: [OPTIONAL_OBJECT] },
+
+    // Messages between webapps and the system, see `MessageBus`
+    message: { request: 'send', args: [OBJECT], event: true, windowEvent: 'ipc-message' },
+    messagerequest: { request: 'sendSync', args: [OBJECT] },
+
+    // Permissions
+    permissionrequest: { request: 'send', args: [OBJECT], event: true },
+    permissionreply: {
+      request: 'send',
+      args: [{ type: 'object', properties: { webContentsId: { type: 'number', integer: true } } }],
+      event: true,
+      windowEvent: null
+    },
+    'permission-request': {
+      request: 'send',
+      args: [{ type: 'object', properties: { decision: { type: 'boolean' } } }]
+    },
+    // Decisions stored in `permissions.json`, see `SettingsGrantStore`
+    permissionsget: { request: 'sendSync', args: [STRING] },
+    permissionsset: { request: 'invoke', args: [STRING, STRING, { type: 'boolean' }] },
+    permissionsrevoke: { request: 'invoke', args: [STRING, OPTIONAL_STRING] },
+
+    // Webapps
+    webappschange: {
+      request: 'send',
+      args: [
+        {
+          type: 'object',
+          properties: { type: { type: 'string', enum: ['install', 'update', 'uninstall'] }, appId: STRING }
+        }
+      ],
+      event: true
+    },
+
+    // Notifications
+    notificationpermission: { request: 'sendSync', args: [] },
+    notificationsquery: { request: 'invoke', args: [OPTIONAL_OBJECT] },
+    notificationsgroups: { request: 'invoke', args: [OPTIONAL_OBJECT] },
+    notificationsactivate: { request: 'invoke', args: [STRING, OPTIONAL_STRING] },
+    notificationsdismiss: { request: 'invoke', args: [STRING] },
+    notificationsclear: { request: 'invoke', args: [OPTIONAL_STRING] },
+    notificationsmarkread: {
+      request: 'invoke',
+      args: [{ type: 'array', optional: true, nullable: true, items: STRING }]
+    },
+    notificationschange: { event: true },
+    notificationshow: { event: true, windowEvent: null },
+    notificationclick: { event: true, windowEvent: null },
+    notificationclose: { event: true, windowEvent: null },
+    notificationerror: { event: true, windowEvent: null },
+
+    // Downloads
+    downloadsquery: { request: 'invoke', args: [] },
+    downloadspause: { request: 'invoke', args: [STRING] },
+    downloadsresume: { request: 'invoke', args: [STRING] },
+    downloadscancel: { request: 'invoke', args: [STRING] },
+    downloadsretry: { request: 'invoke', args: [STRING] },
+    downloadsremove: { request: 'invoke', args: [STRING] },
+    downloadsclear: { request: 'invoke', args: [] },
+    downloadschange: { event: true },
+    downloadprogress: { event: true },
+
+    // Session
+    sessionquery: { request: 'invoke', args: [] },
+    sessionupdate: { request: 'invoke', args: [{ type: 'array', items: OBJECT }] },
+
+    // History
+    historyvisit: {
+      request: 'invoke',
+      args: [
+        STRING,
+        {
+          type: 'string',
+          optional: true,
+          nullable: true,
+          enum: ['link', 'typed', 'reload', 'back_forward', 'redirect']
+        },
+        OPTIONAL_STRING
+      ]
+    },
+    historyupdate: { request: 'invoke', args: [STRING, OBJECT] },
+    historysearch: {
+      request: 'invoke',
+      args: [STRING, { type: 'number', optional: true, nullable: true, integer: true }]
+    },
+    historyquery: { request: 'invoke', args: [OPTIONAL_OBJECT] },
+    historyremove: { request: 'invoke', args: [STRING] },
+    historyremoverange: { request: 'invoke', args: [{ type: 'number' }, { type: 'number' }] },
+    historychange: { event: true },
+    browsingdataclear: { request: 'invoke', args: [OBJECT] },
+
+    // Bookmarks
+    bookmarksquery: { request: 'invoke', args: [OPTIONAL_STRING] },
+    bookmarkssearch: {
+      request: 'invoke',
+      args: [STRING, { type: 'number', optional: true, nullable: true, integer: true }]
+    },
+    bookmarksfind: { request: 'invoke', args: [STRING] },
+    bookmarksadd: { request: 'invoke', args: [OBJECT, { type: 'boolean', optional: true, nullable: true }] },
+    bookmarksupdate: { request: 'invoke', args: [STRING, OBJECT] },
+    bookmarksmove: {
+      request: 'invoke',
+      args: [STRING, OPTIONAL_STRING, { type: 'number', optional: true, nullable: true, integer: true }]
+    },
+    bookmarksremove: { request: 'invoke', args: [STRING] },
+    bookmarksduplicates: { request: 'invoke', args: [] },
+    bookmarksimport: { request: 'invoke', args: [STRING, OPTIONAL_STRING] },
+    bookmarksexport: { request: 'invoke', args: [{ type: 'string', enum: ['html', 'json'] }] },
+    bookmarkschange: { event: true },
+
+    // Content blocking
+    contentblockingchange: { event: true },
+
+    // Extensions
+    extensionsquery: { request: 'invoke', args: [] },
+    extensionssetenabled: { request: 'invoke', args: [STRING, { type: 'boolean' }] },
+    extensionsinstall: { request: 'invoke', args: [STRING] },
+    extensionschange: { event: true },
+
+    // Settings
+    settingsget: { request: 'invoke', args: [STRING, OPTIONAL_STRING] },
+    settingsset: { request: 'invoke', args: [STRING, { type: 'any' }, OPTIONAL_STRING] },
+    settingschange: { event: true, windowEvent: null },
+
+    // Power, hardware buttons and the simulator
+    shutdown: { request: 'send', args: [OPTIONAL_ANY] },
+    restart: { request: 'send', args: [OPTIONAL_ANY] },
+    powerstart: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    powerend: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    volumeup: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    volumedown: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    shortcut: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    rotate: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    input: { request: 'send', args: [{ type: 'object', properties: { type: STRING } }] },
+    simulatorcommand: { request: 'invoke', args: [{ type: 'object', properties: { type: STRING } }] },
+    simulatorbattery: { request: 'sendSync', args: [], event: true, windowEvent: null },
+    connectivitychange: { event: true },
+    devicepickup: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    deviceputdown: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+
+    // Media
+    mediaplay: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    mediapause: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    mediadevicechange: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    narrate: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+
+    // Dialogs and files shown by the system for webapps
+    messagebox: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    openfile: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    savefile: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    webdrag: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    webdrop: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+    requestlogin: { request: 'send', args: [OPTIONAL_OBJECT], event: true },
+
+    // Updates
+    updatestatus: { request: 'invoke', args: [] },
+    'update-available': { event: true },
+    'update-download-progress': { event: true },
+    'update-downloaded': { event: true }
+  } as Record<string, ChannelDefinition>,
+
+  /**
+   * @throws {IpcError} `INVALID_CHANNEL` if the contract doesn't have the
+   *         channel.
+   */
+  get: function (channel: string): ChannelDefinition {
+    if (!Object.prototype.hasOwnProperty.call(this.CHANNELS, channel)) {
+      throw new IpcError('INVALID_CHANNEL', channel, 'The channel is not part of the IPC contract');
+    }
+    return this.CHANNELS[channel];
+  },
+
+  /**
+   * Whether renderers may make a `request` on the channel.
+   */
+  isRequest: function (channel: string, request: 'invoke' | 'send' | 'sendSync'): boolean {
+    return Object.prototype.hasOwnProperty.call(this.CHANNELS, channel) && this.CHANNELS[channel].request === request;
+  },
+
+  /**
+   * Returns the channels main sends to renderers, with the window event the
+   * preload dispatches them as, or `null` for none.
+   */
+  getEvents: function (): [string, string | null][] {
+    return Object.entries(this.CHANNELS)
+      .filter(([, definition]) => definition.event)
+      .map(([channel, definition]) => [
+        channel,
+        definition.windowEvent === undefined ? channel : definition.windowEvent
+      ]);
+  },
+
+  /**
+   * Checks what a renderer sent on a channel.
+   *
+   * @throws {IpcError} `INVALID_CHANNEL` if renderers can't send on it the
+   *         way they did, and `INVALID_PAYLOAD` if the arguments don't fit.
+   */
+  validate: function (channel: string, request: 'invoke' | 'send' | 'sendSync', args: any[]) {
+    const definition = this.get(channel);
+    if (definition.request !== request) {
+      throw new IpcError('INVALID_CHANNEL', channel, `Renderers can't ${request} on this channel`);
+    }
+
+    const schemas = definition.args || [];
+    if (args.length > schemas.length && args.slice(schemas.length).some((arg) => arg !== undefined)) {
+      throw new IpcError('INVALID_PAYLOAD', channel, `Expected at most ${schemas.length} arguments`);
+    }
+    schemas.forEach((schema, index) => this.validateValue(channel, schema, args[index], `argument ${index + 1}`));
+  },
+
+  validateValue: function (channel: string, schema: PayloadSchema, value: any, name: string) {
+    if (value === undefined) {
+      if (schema.optional || schema.type === 'any') {
+        return;
+      }
+      throw new IpcError('INVALID_PAYLOAD', channel, `Missing ${name}`);
+    }
+    if (value === null) {
+      if (schema.nullable || schema.type === 'any') {
+        return;
+      }
+      throw new IpcError('INVALID_PAYLOAD', channel, `${name} can not be null`);
+    }
+
+    const type = Array.isArray(value) ? 'array' : ArrayBuffer.isView(value) ? 'bytes' : typeof value;
+    if (schema.type !== 'any' && type !== schema.type) {
+      throw new IpcError('INVALID_PAYLOAD', channel, `Expected ${name} to be of type ${schema.type}`);
+    }
+    if (schema.type === 'number' && (!isFinite(value) || (schema.integer && !Number.isInteger(value)))) {
+      throw new IpcError(
+        'INVALID_PAYLOAD',
+        channel,
+        `Expected ${name} to be a finite ${schema.integer ? 'integer' : 'number'}`
+      );
+    }
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+      throw new IpcError('INVALID_PAYLOAD', channel, `Expected ${name} to be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.properties) {
+      Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+        this.validateValue(channel, propertySchema, value[key], `${name}.${key}`);
+      });
+    }
+    if (schema.items) {
+      const items = schema.items;
+      (value as any[]).forEach((item, index) => this.validateValue(channel, items, item, `${name}[${index}]`));
+    }
+  }
+};
+
+export default IpcContract;
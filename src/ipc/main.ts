@@ -0,0 +1,113 @@
+import { ipcMain, IpcMainEvent, IpcMainInvokeEvent, WebContents } from 'electron';
+import IpcContract, { IpcError, IpcRequestChannel, IpcRequests } from './contract';
+import colors from '../browser/terminal_colors';
+
+export type RequestHandler<C extends IpcRequestChannel> = (
+  event: IpcMainInvokeEvent,
+  ...args: IpcRequests[C]['args']
+) => IpcRequests[C]['result'] | Promise<IpcRequests[C]['result']>;
+
+/**
+ * Handles messages renderers send with `send` or `sendSync`. For
+ * `sendSync` channels, what the handler returns becomes
+ * `event.returnValue`, unless it is `undefined` and the handler answers
+ * later on its own, see `MessageBus.request`.
+ */
+export type MessageHandler = (event: IpcMainEvent, data: any) => any;
+
+/**
+ * The main process side of `IpcContract`. Handlers only run for payloads
+ * the contract allows: invalid requests reject with an `IpcError` and
+ * invalid messages are dropped, so a misbehaving webapp can't get
+ * unexpected values into main.
+ */
+const IpcRouter = {
+  DEBUG: false,
+
+  /**
+   * Answers the renderers asking which version of the contract main
+   * speaks, see `IpcClient.checkVersion`.
+   */
+  init: function () {
+    this.handle('ipcversion', () => IpcContract.VERSION);
+  },
+
+  handle: function <C extends IpcRequestChannel>(channel: C, handler: RequestHandler<C>) {
+    IpcContract.get(channel);
+    ipcMain.handle(channel, (event, ...args) => {
+      this.log(channel, args);
+      IpcContract.validate(channel, 'invoke', args);
+      return handler(event, ...(args as IpcRequests[C]['args']));
+    });
+  },
+
+  on: function (channel: string, handler: MessageHandler) {
+    this.listen(channel, handler, false);
+  },
+
+  /**
+   * Same as `on`, for a single message.
+   */
+  once: function (channel: string, handler: MessageHandler) {
+    this.listen(channel, handler, true);
+  },
+
+  listen: function (channel: string, handler: MessageHandler, isOnce: boolean) {
+    const definition = IpcContract.get(channel);
+    const request = definition.request === 'sendSync' ? 'sendSync' : 'send';
+
+    const listener = (event: IpcMainEvent, ...args: any[]) => {
+      this.log(channel, args);
+      try {
+        IpcContract.validate(channel, request, args);
+      } catch (error) {
+        console.error(`${colors.red}${(error as Error).message}${colors.reset}`);
+        if (request === 'sendSync') {
+          // Renderers are blocked until they get an answer
+          event.returnValue = null;
+        }
+        return;
+      }
+
+      if (isOnce) {
+        ipcMain.removeListener(channel, listener);
+      }
+      let result;
+      try {
+        result = handler(event, args[0]);
+      } catch (error) {
+        console.error(`${colors.red}Error handling ${channel}:${colors.reset}`, error);
+        if (request === 'sendSync') {
+          event.returnValue = null;
+        }
+        return;
+      }
+      if (request === 'sendSync' && result !== undefined) {
+        event.returnValue = result;
+      }
+    };
+    ipcMain.on(channel, listener);
+  },
+
+  /**
+   * Sends an event to a renderer, if it is still there.
+   *
+   * @throws {IpcError} `INVALID_CHANNEL` if main doesn't send the channel.
+   */
+  send: function (contents: WebContents | null | undefined, channel: string, data?: any) {
+    if (!IpcContract.get(channel).event) {
+      throw new IpcError('INVALID_CHANNEL', channel, "Main doesn't send this channel");
+    }
+    if (contents && !contents.isDestroyed()) {
+      contents.send(channel, data);
+    }
+  },
+
+  log: function (channel: string, args: any[]) {
+    if (this.DEBUG) {
+      console.log(`[openorchid-events] ${colors.magenta}${channel}${colors.reset} ${JSON.stringify(args)}`);
+    }
+  }
+};
+
+export default IpcRouter;
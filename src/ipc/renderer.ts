@@ -0,0 +1,82 @@
+import { ipcRenderer, IpcRendererEvent } from 'electron';
+import IpcContract, { IpcError, IpcRequestChannel, IpcRequests } from './contract';
+
+export type EventListener = (data: any, event: IpcRendererEvent) => void;
+
+/**
+ * The renderer side of `IpcContract`, used by preloads instead of
+ * `ipcRenderer`. Every listener comes with a function removing it, so
+ * helpers waiting for a single answer don't pile up listeners in pages
+ * which stay open for days, like kiosks.
+ */
+const IpcClient = {
+  invoke: function <C extends IpcRequestChannel>(
+    channel: C,
+    ...args: IpcRequests[C]['args']
+  ): Promise<IpcRequests[C]['result']> {
+    this.assertRequest(channel, 'invoke');
+    return ipcRenderer.invoke(channel, ...args);
+  },
+
+  send: function (channel: string, data?: any) {
+    this.assertRequest(channel, 'send');
+    ipcRenderer.send(channel, data);
+  },
+
+  sendSync: function (channel: string, data?: any): any {
+    this.assertRequest(channel, 'sendSync');
+    return ipcRenderer.sendSync(channel, data);
+  },
+
+  /**
+   * Calls `listener` with the payload of every event main sends on the
+   * channel.
+   *
+   * @returns A function removing the listener.
+   */
+  on: function (channel: string, listener: EventListener): () => void {
+    if (!IpcContract.get(channel).event) {
+      throw new IpcError('INVALID_CHANNEL', channel, "Main doesn't send this channel");
+    }
+    const handleEvent = (event: IpcRendererEvent, data: any) => listener(data, event);
+    ipcRenderer.on(channel, handleEvent);
+    return () => {
+      ipcRenderer.removeListener(channel, handleEvent);
+    };
+  },
+
+  /**
+   * Same as `on`, for the first event `filter` accepts.
+   */
+  once: function (channel: string, listener: EventListener, filter: (data: any) => boolean = () => true) {
+    const removeListener = this.on(channel, (data, event) => {
+      if (filter(data)) {
+        removeListener();
+        listener(data, event);
+      }
+    });
+    return removeListener;
+  },
+
+  /**
+   * Warns if main speaks another version of the contract, which happens
+   * when preloads outlive an update of OrchidUI.
+   */
+  checkVersion: function (): Promise<boolean> {
+    return this.invoke('ipcversion').then((version) => {
+      if (version !== IpcContract.VERSION) {
+        console.warn(`The IPC contract of main is version ${version}, this preload expects ${IpcContract.VERSION}`);
+        return false;
+      }
+      return true;
+    });
+  },
+
+  assertRequest: function (channel: string, request: 'invoke' | 'send' | 'sendSync') {
+    if (IpcContract.get(channel).request !== request) {
+      throw new IpcError('INVALID_CHANNEL', channel, `Renderers can't ${request} on this channel`);
+    }
+  }
+};
+
+export default IpcClient;
@@ -5,6 +5,7 @@ import fs from 'fs';
 import path from 'path';
 import colors from './browser/terminal_colors';
 import OrchidUI from './browser/orchidui';
+import CrashRecovery from './browser/crash_recovery';
 import webapps from './browser/webapps';
 
 import dotenv from 'dotenv';
@@ -14,6 +15,11 @@ dotenv.config();
 export const Main = {
   DEBUG: process.env.ORCHID_ENVIRONMENT === 'development',
 
+  /**
+   * Whether the UI test runner launched the app, see `src/testing`.
+   */
+  TEST: process.env.ORCHID_ENVIRONMENT === 'test',
+
   profilePath: undefined as string | undefined,
   webappsPath: undefined as string | undefined,
   webappsConfigPath: undefined as string | undefined,
@@ -39,7 +45,8 @@ export const Main = {
     this.setupCommandLine();
 
     // Prepares paths for the profile, webapps, webapps config and storage.
-    if (!this.DEBUG) {
+    // The test runner gives each run throwaway ones, like developers do.
+    if (!this.DEBUG && !this.TEST) {
       this.prepareProfilePaths();
       this.prepareWebappsPaths();
       this.prepareWebappsConfigPaths();
@@ -70,14 +77,17 @@ export const Main = {
       this.storagePath = process.env.ORCHID_STORAGE;
     }
 
-    // Registers an event listener for uncaught exceptions.
+    // Registers an event listener for uncaught exceptions. They are kept
+    // as crash reports, as the app keeps running after them.
     process.on('uncaughtException', (error) => {
       console.error(`${colors.red}Uncaught exception: ${error}${colors.reset}`);
+      CrashRecovery.report('uncaught-exception', error);
     });
 
     // Registers an event listener for unhandled promise rejections.
     process.on('unhandledRejection', (reason, promise) => {
       console.error(`${colors.red}Unhandled promise rejection: ${reason}${colors.reset}`);
+      CrashRecovery.report('unhandled-rejection', reason instanceof Error ? reason : { reason: String(reason) });
     });
 
     /**
@@ -100,6 +110,9 @@ export const Main = {
     // Sets up the profile and webapps locations.
     this.setupProfileLocations();
 
+    // Starts writing crash reports and remembering the open windows.
+    CrashRecovery.init();
+
     // Registers custom protocols.
     this.registerProtocols();
 
@@ -200,6 +213,14 @@ export const Main = {
   setupCommandLine: function () {
     app.commandLine.appendSwitch('enable-features', 'MemorySavings');
     app.commandLine.appendSwitch('enable-features', 'AutomaticTabDiscarding');
+
+    // Screenshots of UI tests have to match pixel for pixel on any machine,
+    // including headless ones running under xvfb
+    if (this.TEST) {
+      app.commandLine.appendSwitch('disable-gpu');
+      app.commandLine.appendSwitch('force-device-scale-factor', '1');
+      app.commandLine.appendSwitch('force-color-profile', 'srgb');
+    }
   },
 
   /**
@@ -0,0 +1,53 @@
+import IpcClient from '../ipc/renderer';
+import { NotificationQuery } from './store';
+
+/**
+ * Lets the system app read and manage the notifications kept in the main
+ * process. Changes are announced with the `notificationschange` window event.
+ */
+const NotificationsManager = {
+  /**
+   * @returns The notifications matching the query, newest first.
+   */
+  getAll: function (query: NotificationQuery = {}) {
+    return IpcClient.invoke('notificationsquery', query);
+  },
+
+  /**
+   * @returns The notifications matching the query, grouped by webapp.
+   */
+  getGroups: function (query: NotificationQuery = {}) {
+    return IpcClient.invoke('notificationsgroups', query);
+  },
+
+  /**
+   * Tells the webapp which showed a notification that it, or one of its
+   * actions, was clicked.
+   *
+   * @returns A promise resolving with `delivered`, which is false if the
+   *          webapp isn't running, along with its `origin` and `href`.
+   */
+  activate: function (id: string, action?: string) {
+    return IpcClient.invoke('notificationsactivate', id, action);
+  },
+
+  dismiss: function (id: string) {
+    return IpcClient.invoke('notificationsdismiss', id);
+  },
+
+  /**
+   * Removes every notification, or those of one origin.
+   */
+  clear: function (origin?: string) {
+    return IpcClient.invoke('notificationsclear', origin);
+  },
+
+  /**
+   * Marks notifications as seen, or all of them if no IDs are given.
+   */
+  markRead: function (ids?: string[]) {
+    return IpcClient.invoke('notificationsmarkread', ids);
+  }
+};
+
+export default NotificationsManager;
@@ -0,0 +1,302 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 } from 'uuid';
+import Renderer from '../renderer';
+import AtomicFile from '../storage/atomic_file';
+
+export type NotificationAction = {
+  action: string;
+  title: string;
+  recommend: boolean;
+};
+
+export type NotificationRecord = {
+  id: string;
+  origin: string;
+  tag: string | null;
+  title: string;
+  body: string;
+  icon: string | null;
+  badge: string | null;
+  source: string;
+  href: string | null;
+  progress: number | null;
+  media: string[];
+  actions: NotificationAction[];
+  data: any;
+  silent: boolean;
+  requireInteraction: boolean;
+  timestamp: number;
+  read: boolean;
+};
+
+export type NotificationQuery = {
+  origin?: string;
+  tag?: string;
+  unread?: boolean;
+  since?: number;
+  limit?: number;
+};
+
+export type NotificationGroup = {
+  origin: string;
+  source: string;
+  badge: string | null;
+  notifications: NotificationRecord[];
+};
+
+export type NotificationChange = {
+  type: 'added' | 'updated' | 'removed';
+  notification: NotificationRecord;
+};
+
+export type NotificationCallback = (change: NotificationChange) => void;
+
+/**
+ * Keeps the notifications of every webapp in `notifications.json` of the
+ * profile, so the utility tray and lockscreen show them again after a
+ * restart. Only the main process writes the file; see `NotificationCenter`
+ * for who may add or remove notifications.
+ */
+const NotificationStore = {
+  NOTIFICATIONS_FILE: 'notifications.json',
+
+  /**
+   * The oldest notifications are dropped once there are more than this.
+   */
+  MAX_NOTIFICATIONS: 200,
+  MAX_ACTIONS: 3,
+
+  notifications: null as NotificationRecord[] | null,
+  writeQueue: Promise.resolve(),
+  subscribers: new Set<NotificationCallback>(),
+
+  /**
+   * Adds a notification. A notification with the same origin and `tag` as
+   * an existing one replaces it, e.g. to update the progress of a download.
+   *
+   * @param origin The origin of the webapp showing the notification.
+   * @param options The title and options passed to `new Notification()`.
+   * @returns The stored notification.
+   */
+  add: function (origin: string, options: Record<string, any>): NotificationRecord {
+    const notifications = this.load();
+    const notification = this.normalize(origin, options);
+
+    const index = notifications.findIndex((item) => {
+      return (
+        item.origin === origin && ((notification.tag && item.tag === notification.tag) || item.id === notification.id)
+      );
+    });
+    if (index !== -1) {
+      notifications.splice(index, 1);
+    }
+    notifications.unshift(notification);
+
+    notifications
+      .splice(this.MAX_NOTIFICATIONS)
+      .forEach((item) => this.notify({ type: 'removed', notification: item }));
+    this.save();
+    this.notify({ type: index === -1 ? 'added' : 'updated', notification });
+    return notification;
+  },
+
+  get: function (id: string): NotificationRecord | null {
+    return this.load().find((item) => item.id === id) || null;
+  },
+
+  /**
+   * @returns The removed notification, or `null` if there was none.
+   */
+  remove: function (id: string): NotificationRecord | null {
+    const notifications = this.load();
+    const index = notifications.findIndex((item) => item.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [notification] = notifications.splice(index, 1);
+    this.save();
+    this.notify({ type: 'removed', notification });
+    return notification;
+  },
+
+  /**
+   * Removes every notification, or those of one origin.
+   *
+   * @returns The removed notifications.
+   */
+  clear: function (origin?: string): NotificationRecord[] {
+    const notifications = this.load();
+    const removed = notifications.filter((item) => !origin || item.origin === origin);
+    if (removed.length === 0) {
+      return removed;
+    }
+
+    this.notifications = notifications.filter((item) => removed.indexOf(item) === -1);
+    this.save();
+    removed.forEach((notification) => this.notify({ type: 'removed', notification }));
+    return removed;
+  },
+
+  /**
+   * Marks notifications as seen, or all of them if no IDs are given.
+   */
+  markRead: function (ids?: string[]) {
+    let hasChanged = false;
+    this.load().forEach((notification) => {
+      if (!notification.read && (!ids || ids.indexOf(notification.id) !== -1)) {
+        notification.read = true;
+        hasChanged = true;
+        this.notify({ type: 'updated', notification });
+      }
+    });
+    if (hasChanged) {
+      this.save();
+    }
+  },
+
+  /**
+   * Returns the notifications matching a query, newest first.
+   */
+  query: function (query: NotificationQuery = {}): NotificationRecord[] {
+    const notifications = this.load().filter((item) => {
+      return (
+        (query.origin === undefined || item.origin === query.origin) &&
+        (query.tag === undefined || item.tag === query.tag) &&
+        (!query.unread || !item.read) &&
+        (query.since === undefined || item.timestamp >= query.since)
+      );
+    });
+    return typeof query.limit === 'number' && query.limit >= 0 ? notifications.slice(0, query.limit) : notifications;
+  },
+
+  /**
+   * Returns the notifications matching a query grouped by the webapp which
+   * showed them. Groups are ordered by their newest notification.
+   */
+  group: function (query: NotificationQuery = {}): NotificationGroup[] {
+    const groups = new Map<string, NotificationGroup>();
+    this.query(query).forEach((notification) => {
+      let group = groups.get(notification.origin);
+      if (!group) {
+        group = {
+          origin: notification.origin,
+          source: notification.source,
+          badge: notification.badge,
+          notifications: []
+        };
+        groups.set(notification.origin, group);
+      }
+      group.notifications.push(notification);
+    });
+    return Array.from(groups.values());
+  },
+
+  /**
+   * Calls `callback` whenever a notification is added, updated or removed.
+   *
+   * @returns A function removing the subscription.
+   */
+  subscribe: function (callback: NotificationCallback): () => void {
+    this.subscribers.add(callback);
+    return () => {
+      this.subscribers.delete(callback);
+    };
+  },
+
+  notify: function (change: NotificationChange) {
+    this.subscribers.forEach((callback) => {
+      try {
+        callback(change);
+      } catch (error) {
+        console.error('Error in notification subscriber:', error);
+      }
+    });
+  },
+
+  normalize: function (origin: string, options: Record<string, any>): NotificationRecord {
+    const actions = Array.isArray(options.actions) ? options.actions.slice(0, this.MAX_ACTIONS) : [];
+    const progress = Number(options.progress);
+
+    return {
+      id: typeof options.id === 'string' && options.id ? options.id : v4(),
+      origin,
+      tag: typeof options.tag === 'string' && options.tag ? options.tag : null,
+      title: String(options.title || ''),
+      body: String(options.body || ''),
+      icon: this.resolveUrl(options.icon, origin),
+      badge: this.resolveUrl(options.badge, origin),
+      source: String(options.source || origin),
+      href: this.resolveUrl(options.href, origin),
+      progress: options.progress === undefined || options.progress === null || isNaN(progress) ? null : progress,
+      media: Array.isArray(options.media)
+        ? (options.media.map((src: any) => this.resolveUrl(src, origin)).filter(Boolean) as string[])
+        : [],
+      // `label` is what `OrchidJS.notify()` has always used for the title
+      actions: actions.map((action: any, index: number) => ({
+        action: String((action && action.action) || index),
+        title: String((action && (action.title || action.label)) || ''),
+        recommend: !!(action && action.recommend)
+      })),
+      data: options.data === undefined ? null : options.data,
+      silent: !!options.silent,
+      requireInteraction: !!options.requireInteraction,
+      timestamp: typeof options.timestamp === 'number' ? options.timestamp : Date.now(),
+      read: false
+    };
+  },
+
+  /**
+   * Resolves icons and links relative to the webapp which showed the
+   * notification.
+   */
+  resolveUrl: function (value: any, origin: string): string | null {
+    if (typeof value !== 'string' || value === '') {
+      return null;
+    }
+    try {
+      return new URL(value, origin).href;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  load: function (): NotificationRecord[] {
+    if (this.notifications) {
+      return this.notifications;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.getPath(), 'utf8'));
+      this.notifications = Array.isArray(data) ? data : [];
+    } catch (error) {
+      this.notifications = [];
+    }
+    return this.notifications as NotificationRecord[];
+  },
+
+  /**
+   * Queues a write of `notifications.json`, see `AtomicFile`.
+   */
+  save: function (): Promise<void> {
+    const filePath = this.getPath();
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await AtomicFile.write(filePath, JSON.stringify(this.notifications, null, 2));
+      } catch (error) {
+        console.error(`Error writing ${filePath}:`, error);
+      }
+    });
+    return this.writeQueue;
+  },
+
+  getPath: function (): string {
+    if (!Renderer.profilePath) {
+      throw new Error('Unspecified profile path');
+    }
+    return path.join(Renderer.profilePath, this.NOTIFICATIONS_FILE);
+  }
+};
+
+export default NotificationStore;
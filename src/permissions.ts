@@ -1,22 +1,198 @@
+import { v4 } from 'uuid';
+import SettingsStore from './settings/store';
+import type IpcClient from './ipc/renderer';
+
+// Required on first use, as it needs Electron and unit tests load this module
+// without it
+const getIpcClient = (): typeof IpcClient => require('./ipc/renderer').default;
+
+export type PermissionState = 'allow' | 'deny' | 'prompt';
+export type AccessLevel = 'readonly' | 'readwrite' | 'createonly';
+
+export type PermissionRequest = {
+  requestId: string;
+  type: string;
+  access: AccessLevel;
+  origin: string;
+};
+
+/**
+ * A per-origin table of the decisions the user made, keyed by permission
+ * name. `true` means allowed and `false` means denied, while a missing entry
+ * means the user hasn't been asked yet.
+ */
+export interface GrantStore {
+  get: (origin: string) => Record<string, boolean>;
+  set: (origin: string, name: string, decision: boolean) => void;
+  revoke: (origin: string, name?: string) => void;
+}
+
+/**
+ * Answers whether the webapp it was made for may use a permission.
+ */
+export interface PermissionEvaluator {
+  checkPermission: (name: string, access?: AccessLevel) => PermissionState;
+  requestPermission: (name: string, access?: AccessLevel) => Promise<boolean>;
+}
+
+const isMainProcess = process.type === 'browser';
+
+/**
+ * The default grant store, kept by `SettingsStore` in the `permissions.json`
+ * file of the profile. It shares its format with the system `Permissions`
+ * module so decisions made from either side are seen by both. Renderers
+ * reach it over IPC, and main only lets them see the decisions of their own
+ * origin, and change none, unless they manage permissions.
+ */
+export const SettingsGrantStore = {
+  FILE: 'permissions.json',
+
+  get: function (origin: string): Record<string, boolean> {
+    if (!isMainProcess) {
+      return getIpcClient().sendSync('permissionsget', origin) || {};
+    }
+    return Object.assign({}, SettingsStore.getValue(origin, this.FILE));
+  },
+
+  set: function (origin: string, name: string, decision: boolean) {
+    if (!isMainProcess) {
+      this.forward(getIpcClient().invoke('permissionsset', origin, name, decision));
+      return;
+    }
+    this.save(origin, Object.assign(this.get(origin), { [name]: decision }));
+  },
+
+  revoke: function (origin: string, name?: string) {
+    if (!isMainProcess) {
+      this.forward(getIpcClient().invoke('permissionsrevoke', origin, name || null));
+      return;
+    }
+
+    const decisions = this.get(origin);
+    if (name) {
+      delete decisions[name];
+    }
+    this.save(origin, name && Object.keys(decisions).length > 0 ? decisions : undefined);
+  },
+
+  save: function (origin: string, decisions: Record<string, boolean> | undefined) {
+    SettingsStore.setValue(origin, decisions, this.FILE).catch((error) => {
+      console.error(`Error saving the permissions of ${origin}:`, error);
+    });
+  },
+
+  forward: function (request: Promise<void>) {
+    request.catch((error) => console.error('Error saving a permission decision:', error));
+  }
+};
+
 const APIPermissions = {
-  cachedManifest: null,
+  cachedManifest: null as Record<string, any> | null,
+
+  /**
+   * Permissions a webapp gets as soon as it declares them in its manifest.
+   * Every other declared permission is prompted for on first use.
+   */
+  IMPLICIT_PERMISSIONS: ['device-info', 'environment', 'settings', 'storage', 'time'],
+
+  /**
+   * Which access levels each declared access level covers. The
+   * `device-storage:*` family defaults to `readwrite` when a manifest
+   * doesn't specify one.
+   */
+  ACCESS_LEVELS: {
+    readonly: ['readonly'],
+    readwrite: ['readonly', 'readwrite', 'createonly'],
+    createonly: ['createonly']
+  } as Record<AccessLevel, AccessLevel[]>,
+
+  manifestProvider: null as (() => Record<string, any> | null) | null,
+  originProvider: null as (() => string) | null,
+  grantStore: SettingsGrantStore as GrantStore,
+  prompter: null as ((request: PermissionRequest) => Promise<boolean>) | null,
+
+  pendingRequests: new Map<string, Promise<boolean>>(),
+
+  /**
+   * Replaces the sources the permission model reads from. This lets the
+   * checks run outside of Electron with a fixed manifest, origin, grant
+   * store and prompt.
+   */
+  configure: function (options: {
+    manifest?: (() => Record<string, any> | null) | null;
+    origin?: (() => string) | null;
+    grantStore?: GrantStore;
+    prompter?: ((request: PermissionRequest) => Promise<boolean>) | null;
+  }) {
+    if ('manifest' in options) {
+      this.manifestProvider = options.manifest || null;
+      this.cachedManifest = null;
+    }
+    if ('origin' in options) {
+      this.originProvider = options.origin || null;
+    }
+    if (options.grantStore) {
+      this.grantStore = options.grantStore;
+    }
+    if ('prompter' in options) {
+      this.prompter = options.prompter || null;
+    }
+    this.pendingRequests.clear();
+  },
+
+  /**
+   * Returns a permission model of its own for another webapp than the one
+   * the code runs in, as the main process needs for bridge requests. It
+   * uses the same grant store unless given one.
+   */
+  createEvaluator: function (options: {
+    manifest: () => Record<string, any> | null;
+    origin: () => string;
+    grantStore?: GrantStore;
+    prompter?: ((request: PermissionRequest) => Promise<boolean>) | null;
+  }): PermissionEvaluator {
+    const evaluator = Object.create(this);
+    evaluator.cachedManifest = null;
+    evaluator.grantStore = this.grantStore;
+    evaluator.prompter = null;
+    evaluator.pendingRequests = new Map();
+    evaluator.configure(options);
+    return evaluator;
+  },
 
-  checkPermission: function (name: string) {
-    if ((process && !navigator.userAgent.includes('OpenOrchid')) || location.protocol === 'orchid:') {
-      return {};
+  /**
+   * Whether the caller is privileged and skips permission checks, which is
+   * only the case for internal `orchid://` pages. The main process has no
+   * webapp of its own, so it has to check for one with `createEvaluator`.
+   */
+  isPrivileged: function (): boolean {
+    if (this.manifestProvider) {
+      return false;
     }
+    return typeof location !== 'undefined' && location.protocol === 'orchid:';
+  },
 
-    // Check if the manifest is already cached
+  getOrigin: function (): string {
+    if (this.originProvider) {
+      return this.originProvider();
+    }
+    return typeof location === 'undefined' ? '' : location.origin;
+  },
+
+  getManifest: function (): Record<string, any> | null {
     if (this.cachedManifest) {
       return this.cachedManifest;
     }
-
-    // Code to read and parse the /manifest.json file
-    // Modify this function as per your specific implementation
-    const manifestUrl = `${location.origin}/manifest.json`;
+    if (this.manifestProvider) {
+      this.cachedManifest = this.manifestProvider();
+      return this.cachedManifest;
+    }
+    if (typeof location === 'undefined') {
+      return null;
+    }
 
     const xhr = new XMLHttpRequest();
-    xhr.open('GET', manifestUrl, false); // The third parameter makes the request synchronous
+    xhr.open('GET', `${location.origin}/manifest.webapp`, false); // The third parameter makes the request synchronous
     xhr.send();
 
     if (xhr.status === 200) {
@@ -26,7 +202,132 @@ const APIPermissions = {
     } else {
       throw new Error(`Request failed with status ${xhr.status}`);
     }
+  },
+
+  /**
+   * Returns the access level a webapp declared for a permission, or null if
+   * it didn't declare it at all.
+   */
+  getDeclaredAccess: function (name: string): AccessLevel | null {
+    const manifest = this.getManifest();
+    const permissions = (manifest && manifest.permissions) || {};
+    if (!(name in permissions)) {
+      return null;
+    }
+    return (permissions[name] && permissions[name].access) || 'readwrite';
+  },
+
+  /**
+   * Evaluates a named permission for the current webapp.
+   *
+   * @param name The permission name, e.g. `settings` or `device-storage:photos`.
+   * @param access The access level needed.
+   * @returns `allow` or `deny` if the outcome is known, or `prompt` if the user
+   *          has to be asked first.
+   */
+  checkPermission: function (name: string, access: AccessLevel = 'readonly'): PermissionState {
+    if (this.isPrivileged()) {
+      return 'allow';
+    }
+
+    const declaredAccess = this.getDeclaredAccess(name);
+    if (!declaredAccess || (this.ACCESS_LEVELS[declaredAccess] || []).indexOf(access) === -1) {
+      return 'deny';
+    }
+
+    const decision = this.grantStore.get(this.getOrigin())[name];
+    if (decision === true) {
+      return 'allow';
+    }
+    if (decision === false) {
+      return 'deny';
+    }
+
+    const manifest = this.getManifest() || {};
+    if (manifest.core || manifest.role === 'system' || this.IMPLICIT_PERMISSIONS.indexOf(name) !== -1) {
+      return 'allow';
+    }
+    return 'prompt';
+  },
+
+  /**
+   * Resolves to whether a permission is allowed, asking the user through the
+   * system `Permissions` module if no decision was made yet. The decision is
+   * stored so the user is only asked once: by main when the system asked,
+   * and here in the grant store for prompters given to `configure`.
+   */
+  requestPermission: function (name: string, access: AccessLevel = 'readonly'): Promise<boolean> {
+    const state = this.checkPermission(name, access);
+    if (state !== 'prompt') {
+      return Promise.resolve(state === 'allow');
+    }
+
+    const pendingRequest = this.pendingRequests.get(name);
+    if (pendingRequest) {
+      return pendingRequest;
+    }
+
+    const request: PermissionRequest = {
+      requestId: v4(),
+      type: name,
+      access,
+      origin: this.getOrigin()
+    };
+
+    const prompter = this.prompter;
+    const promise = (prompter || this.promptThroughSystem)(request)
+      .then((decision) => {
+        if (prompter) {
+          this.grantStore.set(request.origin, name, decision);
+        }
+        return decision;
+      })
+      .catch(() => false)
+      .then((decision) => {
+        this.pendingRequests.delete(name);
+        return decision;
+      });
+
+    this.pendingRequests.set(name, promise);
+    return promise;
+  },
+
+  promptThroughSystem: function (request: PermissionRequest): Promise<boolean> {
+    return new Promise((resolve) => {
+      getIpcClient().once(
+        'permissionreply',
+        (data) => resolve(!!data.decision),
+        (data) => data.requestId === request.requestId
+      );
+      getIpcClient().send('permissionrequest', Object.assign({ title: document.title }, request));
+    });
+  },
+
+  /**
+   * Forgets the decision for a permission of an origin, so it will be
+   * prompted for again. Leaving out the name revokes every permission.
+   */
+  revokePermission: function (origin: string, name?: string) {
+    this.grantStore.revoke(origin, name);
   }
 };
 
 export default APIPermissions;
+
+/**
+ * Lets privileged webapps such as Settings review and revoke the decisions
+ * stored for other webapps.
+ */
+export const PermissionsManager = {
+  getDecisions: function (origin: string): Record<string, boolean> {
+    return APIPermissions.grantStore.get(origin);
+  },
+
+  setDecision: function (origin: string, name: string, decision: boolean) {
+    APIPermissions.grantStore.set(origin, name, decision);
+  },
+
+  revoke: function (origin: string, name?: string) {
+    APIPermissions.revokePermission(origin, name);
+  }
+};
@@ -5,18 +5,24 @@ dotenv.config();
 
 export const Renderer = {
   DEBUG: (process.env.ORCHID_ENVIRONMENT === 'development'),
+  TEST: (process.env.ORCHID_ENVIRONMENT === 'test'),
 
   profilePath: undefined as string | undefined,
   webappsPath: undefined as string | undefined,
   webappsConfigPath: undefined as string | undefined,
   storagePath: undefined as string | undefined,
 
+  /**
+   * The port of the webapp runtime server, see `WebappRegistry.getPort`.
+   */
+  webappsPort: parseInt(process.env.ORCHID_WEBAPPS_PORT || '', 10) || 8081,
+
   isRunningAsRoot: undefined as boolean | undefined,
 
   init: function () {
     this.isRunningAsRoot = process.geteuid && process.geteuid() === 0;
 
-    if (!this.DEBUG) {
+    if (!this.DEBUG && !this.TEST) {
       this.prepareProfilePaths();
       this.prepareWebappsPaths();
       this.prepareWebappsConfigPaths();
@@ -0,0 +1,24 @@
+import IpcClient from '../ipc/renderer';
+
+/**
+ * Lets the system app save the app windows it shows and get them back on
+ * the next launch, or after its renderer crashed.
+ */
+const SessionManager = {
+  /**
+   * Replaces the saved windows, see `SessionWindow` for what a window has.
+   */
+  update: function (windows: any[]) {
+    return IpcClient.invoke('sessionupdate', windows);
+  },
+
+  /**
+   * Resolves with the windows of the session to restore and why, or `null`
+   * if there is none. A session is only handed out once.
+   */
+  getLastSession: function () {
+    return IpcClient.invoke('sessionquery');
+  }
+};
+
+export default SessionManager;
@@ -0,0 +1,247 @@
+import fs from 'fs';
+import path from 'path';
+import Renderer from '../renderer';
+import AtomicFile from '../storage/atomic_file';
+
+export type SessionBounds = {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+};
+
+export type SessionTab = {
+  url: string;
+  isActive: boolean;
+};
+
+export type SessionWindow = {
+  manifestUrl: string;
+  /**
+   * Where the window was in the shell, for windowed editions.
+   */
+  bounds: SessionBounds | null;
+  isMaximized: boolean;
+  tabs: SessionTab[];
+};
+
+export type SessionData = {
+  /**
+   * Whether OrchidUI quit normally. It is false while OrchidUI runs, so it
+   * stays false on disk if OrchidUI crashes or the device loses power.
+   */
+  isClean: boolean;
+  timestamp: number;
+  windows: SessionWindow[];
+};
+
+/**
+ * Why the session is restored: OrchidUI quit normally, it didn't, or the
+ * shell crashed and was reloaded.
+ */
+export type RestoreReason = 'shutdown' | 'crash' | 'reload';
+
+export type LastSession = {
+  reason: RestoreReason;
+  timestamp: number;
+  windows: SessionWindow[];
+};
+
+/**
+ * Keeps the app windows open in the primary shell, with their position and
+ * browser tabs, in `session.json` of the profile so they can be opened
+ * again on the next launch. The system app reports its windows with
+ * `SessionManager.update`, and the file is written every `SAVE_INTERVAL`
+ * when they changed.
+ */
+const SessionStore = {
+  SESSION_FILE: 'session.json',
+
+  /**
+   * How often changes are written, in milliseconds.
+   */
+  SAVE_INTERVAL: 15 * 1000,
+
+  MAX_WINDOWS: 50,
+  MAX_TABS: 100,
+
+  current: null as SessionData | null,
+  lastSession: null as LastSession | null,
+  isDirty: false,
+  timer: null as NodeJS.Timeout | null,
+  writeQueue: Promise.resolve(),
+
+  /**
+   * Reads what the previous launch left and marks this one as running.
+   */
+  start: function () {
+    const previous = this.read();
+    this.lastSession =
+      previous && previous.windows.length > 0
+        ? {
+            reason: previous.isClean ? 'shutdown' : 'crash',
+            timestamp: previous.timestamp,
+            windows: previous.windows
+          }
+        : null;
+
+    // Keeps the previous windows until the system app reports its own, so
+    // crashing before that doesn't lose them
+    this.current = {
+      isClean: false,
+      timestamp: Date.now(),
+      windows: previous ? previous.windows : []
+    };
+    this.writeSync();
+
+    this.timer = setInterval(() => {
+      if (this.isDirty) {
+        this.save();
+      }
+    }, this.SAVE_INTERVAL);
+  },
+
+  /**
+   * Marks the session as ended normally and writes it right away, as
+   * OrchidUI is about to quit.
+   */
+  end: function () {
+    if (!this.current) {
+      return;
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.current.isClean = true;
+    this.current.timestamp = Date.now();
+    this.writeSync();
+  },
+
+  /**
+   * Replaces the windows of the session.
+   */
+  update: function (windows: any[]) {
+    if (!this.current) {
+      return;
+    }
+    this.current.windows = this.normalize(windows);
+    this.current.timestamp = Date.now();
+    this.isDirty = true;
+  },
+
+  /**
+   * Returns the session to restore once, then `null`.
+   */
+  takeLastSession: function (): LastSession | null {
+    const lastSession = this.lastSession;
+    this.lastSession = null;
+    return lastSession;
+  },
+
+  /**
+   * Makes the windows open right now the session to restore, for the shell
+   * reloaded after its renderer crashed.
+   */
+  markReloaded: function () {
+    if (this.current && this.current.windows.length > 0) {
+      this.lastSession = {
+        reason: 'reload',
+        timestamp: this.current.timestamp,
+        windows: this.current.windows
+      };
+    }
+  },
+
+  normalize: function (windows: any[]): SessionWindow[] {
+    if (!Array.isArray(windows)) {
+      return [];
+    }
+
+    return windows
+      .filter((item) => item && this.isWebUrl(item.manifestUrl))
+      .slice(0, this.MAX_WINDOWS)
+      .map((item) => {
+        const bounds = item.bounds;
+        const hasBounds = bounds && ['left', 'top', 'width', 'height'].every((key) => Number.isFinite(bounds[key]));
+        const tabs = (Array.isArray(item.tabs) ? item.tabs : [])
+          .filter((tab: any) => tab && this.isWebUrl(tab.url))
+          .slice(0, this.MAX_TABS)
+          .map((tab: any) => ({ url: tab.url, isActive: tab.isActive === true }));
+
+        return {
+          manifestUrl: item.manifestUrl,
+          bounds: hasBounds ? { left: bounds.left, top: bounds.top, width: bounds.width, height: bounds.height } : null,
+          isMaximized: item.isMaximized === true,
+          tabs
+        };
+      });
+  },
+
+  isWebUrl: function (url: any): boolean {
+    if (typeof url !== 'string') {
+      return false;
+    }
+    try {
+      const protocol = new URL(url).protocol;
+      return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  read: function (): SessionData | null {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.getPath(), 'utf8'));
+      return {
+        isClean: data.isClean === true,
+        timestamp: Number(data.timestamp) || 0,
+        windows: this.normalize(data.windows)
+      };
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Queues a write of `session.json`, see `AtomicFile`.
+   */
+  save: function (): Promise<void> {
+    const filePath = this.getPath();
+    const data = JSON.stringify(this.current, null, 2);
+    this.isDirty = false;
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await AtomicFile.write(filePath, data, {
+          // `end` wrote the final session in the meantime
+          beforeRename: () => !(this.current && this.current.isClean)
+        });
+      } catch (error) {
+        console.error(`Error writing ${filePath}:`, error);
+      }
+    });
+    return this.writeQueue;
+  },
+
+  /**
+   * Same as `save`, for when OrchidUI starts or quits and can't wait.
+   */
+  writeSync: function () {
+    const filePath = this.getPath();
+    this.isDirty = false;
+    try {
+      AtomicFile.writeSync(filePath, JSON.stringify(this.current, null, 2));
+    } catch (error) {
+      console.error(`Error writing ${filePath}:`, error);
+    }
+  },
+
+  getPath: function (): string {
+    if (!Renderer.profilePath) {
+      throw new Error('Unspecified profile path');
+    }
+    return path.join(Renderer.profilePath, this.SESSION_FILE);
+  }
+};
+
+export default SessionStore;
@@ -1,81 +1,52 @@
-import { ipcRenderer } from 'electron';
-import fs from 'fs';
-import path from 'path';
-import Renderer from '../renderer';
+import SettingsStore from './store';
+import type IpcClient from '../ipc/renderer';
 
-const memorySettings = {} as any;
+/**
+ * The settings live in `SettingsStore`, in the main process. Renderers reach
+ * it over IPC, so every process sees the same values.
+ */
+const isMainProcess = process.type === 'browser';
+
+// Required on first use, so the module loads outside of Electron too, e.g.
+// in unit tests
+const getIpcClient = (): typeof IpcClient => require('../ipc/renderer').default;
 
 const Settings = {
   getValue: function (name: string, settingsFile: string = 'settings.json'): Promise<any> {
-    if (memorySettings[name]) {
-      return Promise.resolve(memorySettings[name]);
+    if (isMainProcess) {
+      return Promise.resolve(SettingsStore.getValue(name, settingsFile));
     }
-    return new Promise((resolve, reject) => {
-      if (!Renderer.profilePath) {
-        throw new Error('Unspecified profile path');
-      }
-
-      fs.readFile(path.join(Renderer.profilePath, settingsFile), (error: NodeJS.ErrnoException | null, data: Buffer) => {
-        if (error) {
-          console.error(error);
-          reject(error);
-          return;
-        }
-        try {
-          const settings = JSON.parse(data.toString());
-          resolve(settings[name]);
-        } catch (parseError) {
-          console.error(parseError);
-          reject(parseError);
-        }
-      });
-    });
+    return getIpcClient().invoke('settingsget', name, settingsFile);
   },
 
-  setValue: function (name: string, value: any, settingsFile: string = 'settings.json') {
-    if (!Renderer.profilePath) {
-      throw new Error('Unspecified profile path');
-    }
-
-    memorySettings[name] = value;
-    const settingsFilePath = path.join(Renderer.profilePath, settingsFile);
-    fs.readFile(settingsFilePath, (error: NodeJS.ErrnoException | null, data: Buffer) => {
-      if (error) {
-        console.error(error);
-        return;
-      }
+  /**
+   * @returns A promise resolving once the setting was saved, or rejecting
+   *          with a `SettingsError` message if the value isn't valid.
+   */
+  setValue: function (name: string, value: any, settingsFile: string = 'settings.json'): Promise<void> {
+    if (isMainProcess) {
       try {
-        const settings = JSON.parse(data.toString());
-        settings[name] = value;
-        const mergedSettings = Object.assign(settings, memorySettings);
-        const updatedSettings = JSON.stringify(mergedSettings, null, 2);
-
-        // Ensure the directory exists before writing the file
-        const settingsDir = path.dirname(settingsFilePath);
-        fs.mkdirSync(settingsDir, {
-          recursive: true
-        });
-        fs.writeFile(settingsFilePath, updatedSettings, (writeError: NodeJS.ErrnoException | null) => {
-          if (writeError) {
-            console.error(writeError);
-            return;
-          }
-          ipcRenderer.emit('settingschange', { name, [name]: value });
-          ipcRenderer.send('settingschange', { name, [name]: value });
-        });
-      } catch (parseError) {
-        console.error(parseError);
+        return SettingsStore.setValue(name, value, settingsFile);
+      } catch (error) {
+        return Promise.reject(error);
       }
-    });
+    }
+    return getIpcClient().invoke('settingsset', name, value, settingsFile);
   },
 
-  addObserver: function (name: string, callback: Function) {
-    ipcRenderer.on('settingschange', (event, data) => {
-      Settings.getValue(name).then((data) => {
-        callback(data);
-      });
-      if (data && data[name]) {
-        callback(data[name]);
+  /**
+   * Calls `callback` with the new value whenever a setting changes.
+   *
+   * @returns A function removing the observer.
+   */
+  addObserver: function (name: string, callback: Function): () => void {
+    if (isMainProcess) {
+      return SettingsStore.subscribe(name, (value) => callback(value));
+    }
+
+    return getIpcClient().on('settingschange', (data) => {
+      if (data && data.name === name) {
+        callback(data.value);
       }
     });
   }
@@ -0,0 +1,158 @@
+export type SettingType = 'boolean' | 'number' | 'string' | 'object' | 'array' | 'any';
+
+export type SettingDefinition = {
+  type: SettingType;
+  default: any;
+  minimum?: number;
+  maximum?: number;
+  integer?: boolean;
+  enum?: any[];
+  nullable?: boolean;
+};
+
+export type SettingsErrorCode = 'INVALID_NAME' | 'INVALID_VALUE';
+
+/**
+ * Raised when a setting is written with a value its schema doesn't allow.
+ * The code is part of the message since only the message makes it through
+ * IPC.
+ */
+export class SettingsError extends Error {
+  public code: SettingsErrorCode;
+  public setting: string;
+
+  constructor(code: SettingsErrorCode, setting: string, message: string) {
+    super(`${code}: ${setting}: ${message}`);
+
+    this.name = 'SettingsError';
+    this.code = code;
+    this.setting = setting;
+  }
+}
+
+/**
+ * Describes the keys of `settings.json`. The type and default of every key
+ * comes from `defaults/settings.json`, while `CONSTRAINTS` narrows down the
+ * keys whose values are limited to a range or a set, and types the keys
+ * which default to `null`.
+ *
+ * Keys that aren't part of the schema can still be stored, without any
+ * validation, so webapps remain free to keep settings of their own.
+ */
+const SettingsSchema = {
+  CONSTRAINTS: {
+    'general.chrome.position': { enum: ['top', 'bottom'] },
+    'audio.volume.music': { minimum: 0, maximum: 100 },
+    'audio.volume.ringtones': { minimum: 0, maximum: 100 },
+    'audio.volume.alarms': { minimum: 0, maximum: 100 },
+    'audio.volume.notifications': { minimum: 0, maximum: 100 },
+    'audio.volume.media': { minimum: 0, maximum: 100 },
+    'audio.profile_type': { minimum: 0, maximum: 2, integer: true },
+    'video.brightness': { minimum: 0, maximum: 100 },
+    'video.timeout_duration': { minimum: 0, integer: true },
+    'video.secondary_displays.manifest_url': { type: 'string', nullable: true },
+    'accessibility.text.scaling': { minimum: 0.5, maximum: 4 },
+    'homescreen.accent_color.rgb': { type: 'object', nullable: true },
+    'lockscreen.pin_number': { type: 'any', nullable: true },
+    'accessibility.narrator.voice': { type: 'any', nullable: true }
+  } as Record<string, Partial<SettingDefinition>>,
+
+  definitions: new Map<string, SettingDefinition>(),
+
+  /**
+   * Builds the schema from the parsed `defaults/settings.json`.
+   */
+  load: function (defaults: Record<string, any>) {
+    this.definitions.clear();
+    Object.entries(defaults).forEach(([name, value]) => {
+      this.definitions.set(name, {
+        type: this.getType(value),
+        default: value,
+        ...this.CONSTRAINTS[name]
+      });
+    });
+  },
+
+  get: function (name: string): SettingDefinition | undefined {
+    return this.definitions.get(name);
+  },
+
+  getType: function (value: any): SettingType {
+    if (value === null) {
+      return 'any';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    const type = typeof value;
+    return type === 'boolean' || type === 'number' || type === 'string' || type === 'object' ? type : 'any';
+  },
+
+  /**
+   * Checks a value against the schema of a setting.
+   *
+   * Values coming from forms and query strings are strings, so `"true"` and
+   * `"50"` are accepted for boolean and number settings and converted.
+   *
+   * @returns The value to store.
+   * @throws {SettingsError} `INVALID_VALUE` if the value doesn't fit.
+   */
+  validate: function (name: string, value: any): any {
+    const definition = this.get(name);
+    if (!definition) {
+      return value;
+    }
+    if (value === null) {
+      if (definition.nullable || definition.default === null) {
+        return value;
+      }
+      throw new SettingsError('INVALID_VALUE', name, 'The setting can not be null');
+    }
+
+    const coercedValue = this.coerce(definition.type, value);
+    if (definition.type !== 'any' && this.getType(coercedValue) !== definition.type) {
+      throw new SettingsError('INVALID_VALUE', name, `Expected a value of type ${definition.type}`);
+    }
+
+    if (definition.type === 'number') {
+      if (!isFinite(coercedValue)) {
+        throw new SettingsError('INVALID_VALUE', name, 'Expected a finite number');
+      }
+      if (definition.integer && !Number.isInteger(coercedValue)) {
+        throw new SettingsError('INVALID_VALUE', name, 'Expected an integer');
+      }
+      if (definition.minimum !== undefined && coercedValue < definition.minimum) {
+        throw new SettingsError('INVALID_VALUE', name, `The value can not be lower than ${definition.minimum}`);
+      }
+      if (definition.maximum !== undefined && coercedValue > definition.maximum) {
+        throw new SettingsError('INVALID_VALUE', name, `The value can not be higher than ${definition.maximum}`);
+      }
+    }
+    if (definition.enum && definition.enum.indexOf(coercedValue) === -1) {
+      throw new SettingsError('INVALID_VALUE', name, `Expected one of ${definition.enum.join(', ')}`);
+    }
+    return coercedValue;
+  },
+
+  coerce: function (type: SettingType, value: any): any {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+    if (type === 'number' && value.trim() !== '' && !isNaN(Number(value))) {
+      return Number(value);
+    }
+    if ((type === 'object' || type === 'array') && /^\s*[[{]/.test(value)) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    }
+    return value;
+  }
+};
+
+export default SettingsSchema;
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+import Renderer from '../renderer';
+import AtomicFile from '../storage/atomic_file';
+import SettingsSchema, { SettingsError } from './schema';
+
+export type SettingsCallback = (value: any, name: string, settingsFile: string) => void;
+
+type SettingsFile = {
+  values: Record<string, any>;
+  defaults: Record<string, any>;
+  writeQueue: Promise<void>;
+};
+
+type SettingsMigration = (values: Record<string, any>) => void;
+
+/**
+ * Owns the settings files of the profile in the main process. Every file is
+ * read once and kept in memory, so reads never race with writes, and each
+ * write replaces the file atomically so a crash can't leave it truncated.
+ *
+ * Renderers go through `Settings`, which forwards to this store over IPC.
+ */
+const SettingsStore = {
+  SETTINGS_FILE: 'settings.json',
+  VERSION_KEY: '$version',
+
+  /**
+   * Migrations of `settings.json`, in order. The version stored in the file
+   * is the number of migrations already applied to it.
+   */
+  MIGRATIONS: [
+    // The HTTP bridge used to store every value as it came in the query
+    // string, e.g. `"true"` or `"50"`
+    (values: Record<string, any>) => {
+      Object.keys(values).forEach((name) => {
+        try {
+          values[name] = SettingsSchema.validate(name, values[name]);
+        } catch (error) {
+          delete values[name];
+        }
+      });
+    }
+  ] as SettingsMigration[],
+
+  files: new Map<string, SettingsFile>(),
+  subscribers: new Map<string | null, Set<SettingsCallback>>(),
+
+  /**
+   * Returns the value of a setting, or its default if it was never set.
+   */
+  getValue: function (name: string, settingsFile: string = 'settings.json'): any {
+    const file = this.load(settingsFile);
+    if (Object.prototype.hasOwnProperty.call(file.values, name)) {
+      return file.values[name];
+    }
+    return file.defaults[name];
+  },
+
+  /**
+   * Changes a setting and notifies its subscribers. Setting `undefined`
+   * restores the default value.
+   *
+   * @returns A promise resolving once the file was written.
+   * @throws {SettingsError} If the name is reserved or the value doesn't
+   *         match the schema of the setting.
+   */
+  setValue: function (name: string, value: any, settingsFile: string = 'settings.json'): Promise<void> {
+    if (typeof name !== 'string' || name === '' || name === this.VERSION_KEY || name === '__proto__') {
+      throw new SettingsError('INVALID_NAME', String(name), 'Invalid setting name');
+    }
+
+    const file = this.load(settingsFile);
+    const previousValue = this.getValue(name, settingsFile);
+    if (value === undefined) {
+      delete file.values[name];
+    } else {
+      file.values[name] = settingsFile === this.SETTINGS_FILE ? SettingsSchema.validate(name, value) : value;
+    }
+
+    const newValue = this.getValue(name, settingsFile);
+    if (JSON.stringify(newValue) !== JSON.stringify(previousValue)) {
+      this.notify(name, newValue, settingsFile);
+    }
+    return this.save(settingsFile);
+  },
+
+  /**
+   * Calls `callback` whenever a setting changes, or whenever any setting
+   * changes if `name` is `null`.
+   *
+   * @returns A function removing the subscription.
+   */
+  subscribe: function (name: string | null, callback: SettingsCallback): () => void {
+    if (!this.subscribers.has(name)) {
+      this.subscribers.set(name, new Set());
+    }
+    (this.subscribers.get(name) as Set<SettingsCallback>).add(callback);
+
+    return () => {
+      const callbacks = this.subscribers.get(name);
+      if (callbacks) {
+        callbacks.delete(callback);
+        if (callbacks.size === 0) {
+          this.subscribers.delete(name);
+        }
+      }
+    };
+  },
+
+  notify: function (name: string, value: any, settingsFile: string) {
+    [this.subscribers.get(name), this.subscribers.get(null)].forEach((callbacks) => {
+      callbacks?.forEach((callback) => {
+        try {
+          callback(value, name, settingsFile);
+        } catch (error) {
+          console.error(`Error in settings subscriber for ${name}:`, error);
+        }
+      });
+    });
+  },
+
+  load: function (settingsFile: string): SettingsFile {
+    const cachedFile = this.files.get(settingsFile);
+    if (cachedFile) {
+      return cachedFile;
+    }
+
+    const filePath = this.getPath(settingsFile);
+    const defaults = this.readJson(path.join(process.cwd(), 'defaults', settingsFile)) || {};
+    if (settingsFile === this.SETTINGS_FILE) {
+      SettingsSchema.load(defaults);
+    }
+
+    const values = this.readJson(filePath);
+    if (values === null && fs.existsSync(filePath)) {
+      // Keep the unreadable file around instead of silently dropping it
+      console.error(`${filePath} is corrupted, starting from the defaults`);
+      fs.renameSync(filePath, `${filePath}.corrupted`);
+    }
+
+    const file: SettingsFile = { values: values || {}, defaults, writeQueue: Promise.resolve() };
+    this.files.set(settingsFile, file);
+
+    if (settingsFile === this.SETTINGS_FILE && this.migrate(file.values)) {
+      this.save(settingsFile);
+    }
+    return file;
+  },
+
+  /**
+   * Brings `settings.json` up to date with `MIGRATIONS`.
+   *
+   * @returns Whether any migration ran.
+   */
+  migrate: function (values: Record<string, any>): boolean {
+    const version = typeof values[this.VERSION_KEY] === 'number' ? values[this.VERSION_KEY] : 0;
+    if (version >= this.MIGRATIONS.length) {
+      return false;
+    }
+
+    delete values[this.VERSION_KEY];
+    this.MIGRATIONS.slice(version).forEach((migration) => migration(values));
+    values[this.VERSION_KEY] = this.MIGRATIONS.length;
+    return true;
+  },
+
+  /**
+   * Queues a write of a settings file. Writes go to a temporary file which
+   * then replaces the real one, so the file always holds either the old or
+   * the new settings.
+   */
+  save: function (settingsFile: string): Promise<void> {
+    const file = this.load(settingsFile);
+    const filePath = this.getPath(settingsFile);
+
+    file.writeQueue = file.writeQueue.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await AtomicFile.write(filePath, JSON.stringify(file.values, null, 2));
+      } catch (error) {
+        console.error(`Error writing ${filePath}:`, error);
+      }
+    });
+    return file.writeQueue;
+  },
+
+  getPath: function (settingsFile: string): string {
+    if (!Renderer.profilePath) {
+      throw new Error('Unspecified profile path');
+    }
+    if (path.basename(settingsFile) !== settingsFile) {
+      throw new SettingsError('INVALID_NAME', settingsFile, 'Invalid settings file');
+    }
+    return path.join(Renderer.profilePath, settingsFile);
+  },
+
+  readJson: function (filePath: string): Record<string, any> | null {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return typeof data === 'object' && data !== null && !Array.isArray(data) ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+};
+
+export default SettingsStore;
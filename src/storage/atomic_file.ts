@@ -0,0 +1,64 @@
+import fs from 'fs';
+
+/**
+ * Writes files of the profile so that a crash or a power cut leaves either
+ * their previous or their new content, never a truncated file.
+ *
+ * The content goes to a temporary file next to the file, which is flushed
+ * to disk before it replaces the file with a rename. The temporary file is
+ * removed again if anything fails, and the error is thrown.
+ */
+const AtomicFile = {
+  /**
+   * @param options.beforeRename Called once the content is on disk. When it
+   *        returns `false`, the file is left as it is.
+   */
+  write: async function (
+    filePath: string,
+    content: string | Buffer,
+    options: { beforeRename?: () => boolean } = {}
+  ): Promise<void> {
+    const temporaryPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      const handle = await fs.promises.open(temporaryPath, 'w');
+      try {
+        await handle.writeFile(content, typeof content === 'string' ? 'utf8' : undefined);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+
+      if (options.beforeRename && !options.beforeRename()) {
+        await fs.promises.rm(temporaryPath, { force: true });
+        return;
+      }
+      await fs.promises.rename(temporaryPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(temporaryPath, { force: true });
+      throw error;
+    }
+  },
+
+  /**
+   * Same as `write`, for when OrchidUI starts or quits and can't wait. It
+   * has a temporary file of its own, so it can run while `write` does.
+   */
+  writeSync: function (filePath: string, content: string | Buffer) {
+    const temporaryPath = `${filePath}.${process.pid}.sync.tmp`;
+    try {
+      const fd = fs.openSync(temporaryPath, 'w');
+      try {
+        fs.writeFileSync(fd, content, typeof content === 'string' ? 'utf8' : undefined);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(temporaryPath, filePath);
+    } catch (error) {
+      fs.rmSync(temporaryPath, { force: true });
+      throw error;
+    }
+  }
+};
+
+export default AtomicFile;
@@ -1,167 +1,314 @@
 import fs from 'fs';
-import path from 'path';
 import mime from 'mime';
 import mv from 'mv';
-import copy from 'copy';
-import APIPermissions from '../permissions';
+import APIPermissions, { AccessLevel, PermissionEvaluator } from '../permissions';
 import Renderer from '../renderer';
+import VirtualFS, { StorageError } from './vfs';
+
+/**
+ * The permission models of the storage managers made by `withPermissions`.
+ * They are kept out of the managers, as preloads hand `SDCardManager` to
+ * webapps as it is.
+ */
+const evaluators = new WeakMap<object, PermissionEvaluator>();
+
+/**
+ * Returns the permission model checking the accesses of a storage manager,
+ * which is the one of the webapp the code runs in unless it was made by
+ * `withPermissions`.
+ */
+function getPermissions(manager: object): PermissionEvaluator {
+  return evaluators.get(manager) || APIPermissions;
+}
 
 const SDCardManager = {
   bufferFrom: Buffer.from,
 
-  meetsPermissions: function (filePath: string): boolean {
-    const accessMap: any = {
-      audio: APIPermissions.checkPermission('device-storage:audio'),
-      books: APIPermissions.checkPermission('device-storage:books'),
-      downloads: APIPermissions.checkPermission('device-storage:downloads'),
-      movies: APIPermissions.checkPermission('device-storage:movies'),
-      music: APIPermissions.checkPermission('device-storage:music'),
-      others: APIPermissions.checkPermission('device-storage:others'),
-      photos: APIPermissions.checkPermission('device-storage:photos')
-    };
-
-    const entries = Object.entries(accessMap);
-    for (let index = 0; index < entries.length; index++) {
-      const [ objectId, objectData ] = entries[index];
-
-      if (objectData && (filePath.startsWith(objectId) || filePath.startsWith(`/${objectId}`))) {
-        return true;
-      }
+  /**
+   * Returns every `device-storage:*` permission that grants access to a
+   * path. Besides the permission of its root (and the aliases of that root),
+   * `device-storage:home` covers every root.
+   */
+  getStoragePermissions: function (filePath: string): string[] {
+    const { root } = VirtualFS.split(filePath);
+    const permissions = ['device-storage:home'];
+    if (!root) {
+      return permissions;
     }
-    return true;
-  },
 
-  read: function (filePath: string, options: Record<string, any> = { encoding: 'utf8' }) {
-    return new Promise((resolve, reject) => {
-      if (!this.meetsPermissions(filePath)) {
-        return;
+    permissions.unshift(`device-storage:${root}`);
+    Object.entries(VirtualFS.ALIASES).forEach(([alias, target]) => {
+      if (target === root) {
+        permissions.push(`device-storage:${alias}`);
       }
+    });
+    return permissions;
+  },
 
-      fs.readFile(path.join(Renderer.storagePath as string, filePath), options, (error, result) => {
-        if (error) {
-          reject(error);
-          console.log(error);
-          return;
-        }
-        resolve(result);
-      });
+  /**
+   * Synchronously checks whether the webapp was granted access to a path.
+   * Permissions that still have to be prompted for count as not granted.
+   */
+  meetsPermissions: function (filePath: string, access: AccessLevel = 'readonly'): boolean {
+    return this.getStoragePermissions(filePath).some((permission) => {
+      return getPermissions(this).checkPermission(permission, access) === 'allow';
     });
   },
 
-  write: function (filePath: string, content: any) {
-    if (!this.meetsPermissions(filePath)) {
+  /**
+   * Resolves once the webapp was granted access to a path, prompting the
+   * user if needed.
+   *
+   * @throws {StorageError} `EACCES` if access was denied.
+   */
+  requestPermissions: async function (filePath: string, access: AccessLevel = 'readonly'): Promise<void> {
+    if (this.meetsPermissions(filePath, access)) {
       return;
     }
 
-    const fileData = fs.writeFileSync(path.join(Renderer.storagePath as string, filePath), content, 'utf8');
-    console.log('File content:', fileData);
+    const permissions = this.getStoragePermissions(filePath);
+    for (let index = 0, length = permissions.length; index < length; index++) {
+      const permission = permissions[index];
+      if (getPermissions(this).checkPermission(permission, access) !== 'prompt') {
+        continue;
+      }
+      if (await getPermissions(this).requestPermission(permission, access)) {
+        return;
+      }
+    }
+
+    throw new StorageError('EACCES', VirtualFS.normalize(filePath));
   },
 
-  delete: function (filePath: string) {
-    if (!this.meetsPermissions(filePath)) {
-      return;
+  /**
+   * Same as `VirtualFS.resolve`, but refuses to touch the virtual roots
+   * themselves, which can't be written, moved or deleted.
+   */
+  resolveEntry: function (filePath: string): string {
+    if (VirtualFS.isRoot(filePath) || VirtualFS.isStorageRoot(filePath)) {
+      throw new StorageError('EACCES', VirtualFS.normalize(filePath));
     }
+    return VirtualFS.resolve(filePath);
+  },
 
-    import('del').then((value: any) => {
-      value.deleteAsync(path.join(Renderer.storagePath as string));
-    });
+  read: async function (filePath: string, options: Record<string, any> = { encoding: 'utf8' }) {
+    await this.requestPermissions(filePath, 'readonly');
+
+    try {
+      return await fs.promises.readFile(VirtualFS.resolve(filePath), options);
+    } catch (error) {
+      throw VirtualFS.toStorageError(error, VirtualFS.normalize(filePath));
+    }
   },
 
-  copy: function (fromPath: string, toPath: string) {
-    return new Promise((resolve, reject) => {
-      if (!this.meetsPermissions(fromPath) || !this.meetsPermissions(toPath)) {
-        return;
-      }
+  /**
+   * Writes a file, replacing it if it exists unless `overwrite` is false.
+   *
+   * @throws {StorageError} `EEXIST` if the file exists and may not be overwritten.
+   */
+  write: async function (filePath: string, content: any, options: Record<string, any> = { overwrite: true }) {
+    const exists = this.exists(filePath);
+    await this.requestPermissions(filePath, exists ? 'readwrite' : 'createonly');
 
-      copy(path.join(Renderer.storagePath as string, fromPath), path.join(Renderer.storagePath as string, toPath), (error: Error) => {
-        if (error) {
-          reject(error);
-          console.error(error);
-          return;
-        }
-        resolve(null);
-      });
-    });
+    try {
+      const flag = options.overwrite === false ? 'wx' : 'w';
+      await fs.promises.writeFile(this.resolveEntry(filePath), content, { encoding: 'utf8', flag });
+    } catch (error) {
+      throw VirtualFS.toStorageError(error, VirtualFS.normalize(filePath));
+    }
   },
 
-  move: function (fromPath: string, toPath: string) {
-    return new Promise((resolve, reject) => {
-      if (!this.meetsPermissions(fromPath) || !this.meetsPermissions(toPath)) {
-        return;
-      }
+  delete: async function (filePath: string) {
+    await this.requestPermissions(filePath, 'readwrite');
 
-      mv(path.join(Renderer.storagePath as string, fromPath), path.join(Renderer.storagePath as string, toPath), (error) => {
-        if (error) {
-          reject(error);
-          console.error(error);
-          return;
-        }
-        resolve(null);
-      });
-    });
+    try {
+      const realPath = this.resolveEntry(filePath);
+      await fs.promises.access(realPath);
+      await fs.promises.rm(realPath, { recursive: true });
+    } catch (error) {
+      throw VirtualFS.toStorageError(error, VirtualFS.normalize(filePath));
+    }
   },
 
-  list: function (dirPath: string): Promise<string[]> {
-    return new Promise((resolve, reject) => {
-      if (!this.meetsPermissions(dirPath)) {
-        return;
-      }
+  /**
+   * @throws {StorageError} `EEXIST` if the target already exists.
+   */
+  copy: async function (fromPath: string, toPath: string) {
+    await this.requestPermissions(fromPath, 'readonly');
+    await this.requestPermissions(toPath, 'createonly');
+
+    const sourcePath = VirtualFS.resolve(fromPath);
+    const targetPath = this.resolveEntry(toPath);
+    if (fs.existsSync(targetPath)) {
+      throw new StorageError('EEXIST', VirtualFS.normalize(toPath));
+    }
 
-      fs.readdir(path.join(Renderer.storagePath as string, dirPath), (error, files) => {
+    try {
+      await fs.promises.cp(sourcePath, targetPath, { recursive: true, errorOnExist: true, force: false });
+    } catch (error) {
+      throw VirtualFS.toStorageError(error, VirtualFS.normalize(fromPath));
+    }
+  },
+
+  /**
+   * @throws {StorageError} `EEXIST` if the target already exists.
+   */
+  move: async function (fromPath: string, toPath: string) {
+    await this.requestPermissions(fromPath, 'readwrite');
+    await this.requestPermissions(toPath, 'createonly');
+
+    const sourcePath = this.resolveEntry(fromPath);
+    const targetPath = this.resolveEntry(toPath);
+    if (fs.existsSync(targetPath)) {
+      throw new StorageError('EEXIST', VirtualFS.normalize(toPath));
+    }
+
+    return new Promise((resolve, reject) => {
+      mv(sourcePath, targetPath, { clobber: false }, (error) => {
         if (error) {
-          reject(error);
-          console.log(error);
+          reject(VirtualFS.toStorageError(error, VirtualFS.normalize(fromPath)));
           return;
         }
-        resolve(files);
+        resolve(null);
       });
     });
   },
 
-  getStats: function (filePath: string) {
-    if (!this.meetsPermissions(filePath)) {
-      return;
+  /**
+   * Lists a directory. Listing `/` returns the virtual roots the webapp
+   * has access to.
+   */
+  list: async function (dirPath: string): Promise<string[]> {
+    if (VirtualFS.isRoot(dirPath)) {
+      return VirtualFS.getRoots().filter((root) => {
+        return this.getStoragePermissions(root).some((permission) => {
+          return getPermissions(this).checkPermission(permission) !== 'deny';
+        });
+      });
     }
 
-    let stats = fs.statSync(path.join(Renderer.storagePath as string, filePath));
-    stats = Object.assign(stats, {
-      is_directory: stats.isDirectory(),
-      is_block_device: stats.isBlockDevice(),
-      is_char_device: stats.isCharacterDevice(),
-      is_symlink: stats.isSymbolicLink(),
-      is_socket: stats.isSocket()
-    });
-    return stats;
+    await this.requestPermissions(dirPath, 'readonly');
+
+    try {
+      return await fs.promises.readdir(VirtualFS.resolve(dirPath));
+    } catch (error) {
+      throw VirtualFS.toStorageError(error, VirtualFS.normalize(dirPath));
+    }
   },
 
-  getMime: function (filePath: string) {
-    if (!this.meetsPermissions(filePath)) {
-      return;
+  /**
+   * Resolves to the stats of a file, prompting the user for access to it
+   * if needed like every other read.
+   *
+   * @throws {StorageError} `EACCES` if access was denied.
+   */
+  getStats: async function (filePath: string) {
+    if (!VirtualFS.isRoot(filePath)) {
+      await this.requestPermissions(filePath, 'readonly');
     }
+    const realPath = VirtualFS.isRoot(filePath) ? Renderer.storagePath : VirtualFS.resolve(filePath);
 
-    const mimeType = mime.getType(filePath);
+    try {
+      let stats = await fs.promises.stat(realPath as string);
+      stats = Object.assign(stats, {
+        is_directory: stats.isDirectory(),
+        is_block_device: stats.isBlockDevice(),
+        is_char_device: stats.isCharacterDevice(),
+        is_symlink: stats.isSymbolicLink(),
+        is_socket: stats.isSocket()
+      });
+      return stats;
+    } catch (error) {
+      throw VirtualFS.toStorageError(error, VirtualFS.normalize(filePath));
+    }
+  },
+
+  /**
+   * Resolves to the MIME type of a file, prompting the user for access to
+   * it if needed.
+   *
+   * @throws {StorageError} `EACCES` if access was denied.
+   */
+  getMime: async function (filePath: string) {
+    await this.requestPermissions(filePath, 'readonly');
+
+    const mimeType = mime.getType(VirtualFS.normalize(filePath));
     return mimeType;
   },
 
   exists: function (filePath: string) {
-    return fs.existsSync(path.join(Renderer.storagePath as string, filePath));
+    if (VirtualFS.isRoot(filePath)) {
+      return true;
+    }
+
+    try {
+      return fs.existsSync(VirtualFS.resolve(filePath));
+    } catch (error) {
+      return false;
+    }
   },
 
   mkdir: function (dirPath: string, options: Record<string, any> = {}) {
-    fs.mkdirSync(path.join(Renderer.storagePath as string, dirPath), options);
+    if (!this.meetsPermissions(dirPath, 'createonly')) {
+      throw new StorageError('EACCES', VirtualFS.normalize(dirPath));
+    }
+
+    try {
+      fs.mkdirSync(this.resolveEntry(dirPath), options);
+    } catch (error) {
+      throw VirtualFS.toStorageError(error, VirtualFS.normalize(dirPath));
+    }
   },
 
   rmdir: function (dirPath: string, options: Record<string, any> = {}) {
-    fs.rmdirSync(path.join(Renderer.storagePath as string, dirPath), options);
+    if (!this.meetsPermissions(dirPath, 'readwrite')) {
+      throw new StorageError('EACCES', VirtualFS.normalize(dirPath));
+    }
+
+    try {
+      fs.rmdirSync(this.resolveEntry(dirPath), options);
+    } catch (error) {
+      throw VirtualFS.toStorageError(error, VirtualFS.normalize(dirPath));
+    }
   },
 
+  /**
+   * Creates a symlink at `toPath` pointing to `fromPath`. Both have to be
+   * inside of the storage so the link can't be used to escape it.
+   */
   symlink: function (fromPath: string, toPath: string) {
-    fs.symlinkSync(path.join(Renderer.storagePath as string, fromPath), path.join(Renderer.storagePath as string, toPath));
+    if (!this.meetsPermissions(fromPath) || !this.meetsPermissions(toPath, 'createonly')) {
+      throw new StorageError('EACCES', VirtualFS.normalize(toPath));
+    }
+
+    try {
+      fs.symlinkSync(VirtualFS.resolve(fromPath), this.resolveEntry(toPath));
+    } catch (error) {
+      throw VirtualFS.toStorageError(error, VirtualFS.normalize(toPath));
+    }
   },
 
   chmod: function (filePath: string, mode: fs.Mode) {
-    fs.chmodSync(path.join(Renderer.storagePath as string, filePath), mode);
+    if (!this.meetsPermissions(filePath, 'readwrite')) {
+      throw new StorageError('EACCES', VirtualFS.normalize(filePath));
+    }
+
+    try {
+      fs.chmodSync(this.resolveEntry(filePath), mode);
+    } catch (error) {
+      throw VirtualFS.toStorageError(error, VirtualFS.normalize(filePath));
+    }
   }
 };
 
+/**
+ * Returns a storage manager checking the permissions of another webapp than
+ * the one the code runs in, like the bridge does for the webapp calling it.
+ */
+export function withPermissions(permissions: PermissionEvaluator): typeof SDCardManager {
+  const manager = Object.create(SDCardManager);
+  evaluators.set(manager, permissions);
+  return manager;
+}
+
 export default SDCardManager;
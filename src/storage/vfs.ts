@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import Renderer from '../renderer';
+
+export type StorageErrorCode = 'ENOENT' | 'EACCES' | 'EEXIST' | 'ENOTDIR' | 'EISDIR' | 'ENOTEMPTY' | 'EINVAL' | 'EIO';
+
+/**
+ * An error raised by the virtual filesystem. It only ever exposes the
+ * virtual path so webapps can't learn where the storage lives on disk.
+ *
+ * The message always starts with the code, as only the message makes it
+ * through `contextBridge` to webapps.
+ */
+export class StorageError extends Error {
+  public code: StorageErrorCode;
+  public path: string;
+
+  constructor(code: StorageErrorCode, virtualPath: string, message?: string) {
+    super(`${code}: ${message || virtualPath}`);
+
+    this.name = 'StorageError';
+    this.code = code;
+    this.path = virtualPath;
+  }
+}
+
+type StorageRoots = {
+  [key: string]: string;
+};
+
+const VirtualFS = {
+  /**
+   * The virtual roots webapps see, mapped to the directories they live in
+   * under the storage path. These match the Electron paths set up in
+   * `Main.setupProfileLocations`.
+   */
+  ROOTS: {
+    audio: 'Music',
+    books: 'Books',
+    downloads: 'Downloads',
+    movies: 'Videos',
+    others: 'Documents',
+    photos: 'Pictures'
+  } as StorageRoots,
+
+  /**
+   * Alternative names of virtual roots, kept for webapps that used them
+   * before the roots were unified.
+   */
+  ALIASES: {
+    music: 'audio'
+  } as StorageRoots,
+
+  ERROR_CODES: ['ENOENT', 'EACCES', 'EEXIST', 'ENOTDIR', 'EISDIR', 'ENOTEMPTY', 'EINVAL'],
+
+  /**
+   * Normalizes a virtual path into its absolute form, e.g.
+   * `photos//album/../a.png` becomes `/photos/a.png`.
+   *
+   * @throws {StorageError} `EACCES` if the path climbs above the virtual
+   *         root and `EINVAL` if it isn't a valid path.
+   */
+  normalize: function (virtualPath: string): string {
+    if (typeof virtualPath !== 'string' || virtualPath.includes('\0')) {
+      throw new StorageError('EINVAL', String(virtualPath));
+    }
+
+    const segments: string[] = [];
+    const parts = virtualPath.split(/[\\/]+/);
+    for (let index = 0, length = parts.length; index < length; index++) {
+      const part = parts[index];
+      if (!part || part === '.') {
+        continue;
+      }
+
+      if (part === '..') {
+        if (segments.length === 0) {
+          throw new StorageError('EACCES', virtualPath, `Path escapes the storage root: ${virtualPath}`);
+        }
+        segments.pop();
+      } else {
+        segments.push(part);
+      }
+    }
+
+    if (segments.length > 0 && this.ALIASES[segments[0]]) {
+      segments[0] = this.ALIASES[segments[0]];
+    }
+    return '/' + segments.join('/');
+  },
+
+  /**
+   * Splits a virtual path into its root and the path inside of that root.
+   * The root is an empty string for `/` itself.
+   */
+  split: function (virtualPath: string): { root: string; relativePath: string } {
+    const normalizedPath = this.normalize(virtualPath);
+    const [root, ...rest] = normalizedPath.split('/').filter(Boolean);
+    return { root: root || '', relativePath: rest.join('/') };
+  },
+
+  isRoot: function (virtualPath: string): boolean {
+    return this.normalize(virtualPath) === '/';
+  },
+
+  /**
+   * Whether the path is one of the virtual roots, e.g. `/photos`.
+   */
+  isStorageRoot: function (virtualPath: string): boolean {
+    const { root, relativePath } = this.split(virtualPath);
+    return !!root && !relativePath;
+  },
+
+  getRoots: function (): string[] {
+    return Object.keys(this.ROOTS);
+  },
+
+  getRootPath: function (root: string): string {
+    if (!Renderer.storagePath) {
+      throw new Error('Unspecified storage path');
+    }
+    return path.join(path.resolve(Renderer.storagePath), this.ROOTS[root]);
+  },
+
+  /**
+   * Resolves a virtual path to the real path on disk, making sure it stays
+   * inside of its root even when following symlinks.
+   *
+   * @throws {StorageError} `ENOENT` for unknown roots and `EACCES` for paths
+   *         that would end up outside of their root.
+   */
+  resolve: function (virtualPath: string): string {
+    const normalizedPath = this.normalize(virtualPath);
+    const { root, relativePath } = this.split(normalizedPath);
+    if (!root || !this.ROOTS[root]) {
+      throw new StorageError('ENOENT', normalizedPath);
+    }
+
+    const rootPath = this.getRootPath(root);
+    fs.mkdirSync(rootPath, { recursive: true });
+
+    const realPath = path.resolve(rootPath, relativePath);
+    if (!this.isInside(rootPath, realPath)) {
+      throw new StorageError('EACCES', normalizedPath, `Path escapes the storage root: ${normalizedPath}`);
+    }
+
+    // Symlinks inside of a root must not point outside of it
+    const realRootPath = fs.realpathSync(rootPath);
+    const existingPath = this.getExistingAncestor(realPath);
+    if (!this.isInside(realRootPath, fs.realpathSync(existingPath))) {
+      throw new StorageError('EACCES', normalizedPath, `Path escapes the storage root: ${normalizedPath}`);
+    }
+
+    return realPath;
+  },
+
+  isInside: function (parentPath: string, childPath: string): boolean {
+    const relativePath = path.relative(parentPath, childPath);
+    if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`)) {
+      return false;
+    }
+    return !path.isAbsolute(relativePath);
+  },
+
+  getExistingAncestor: function (realPath: string): string {
+    let currentPath = realPath;
+    while (!fs.existsSync(currentPath)) {
+      const parentPath = path.dirname(currentPath);
+      if (parentPath === currentPath) {
+        break;
+      }
+      currentPath = parentPath;
+    }
+    return currentPath;
+  },
+
+  /**
+   * Turns a Node.js filesystem error into a `StorageError` for the given
+   * virtual path, leaving storage errors untouched.
+   */
+  toStorageError: function (error: any, virtualPath: string): StorageError {
+    if (error instanceof StorageError) {
+      return error;
+    }
+
+    const code = this.ERROR_CODES.indexOf(error && error.code) !== -1 ? error.code : 'EIO';
+    return new StorageError(code as StorageErrorCode, virtualPath);
+  }
+};
+
+export default VirtualFS;
@@ -0,0 +1,201 @@
+import net from 'net';
+
+export type PageTarget = {
+  query: (selector: string) => Promise<any[]>;
+  waitFor: (selector: string, options?: { state?: string; timeout?: number }) => Promise<any[]>;
+  evaluate: (expression: string) => Promise<any>;
+  click: (selector: string, options?: { button?: string; timeout?: number }) => Promise<any>;
+  type: (text: string) => Promise<void>;
+  key: (key: string, modifiers?: string[]) => Promise<void>;
+  screenshot: (name: string, options?: { threshold?: number }) => Promise<any>;
+  matchScreenshot: (name: string, options?: { threshold?: number }) => Promise<any>;
+};
+
+type PendingCommand = {
+  resolve: (result: any) => void;
+  reject: (error: Error) => void;
+};
+
+/**
+ * Talks to a running OrchidUI over the simulator socket, see `Simulator`
+ * and `TestDriver`. This is the `device` UI tests get.
+ *
+ *     const calculator = await device.launch('calculator');
+ *     await calculator.click('#seven');
+ *     await calculator.matchScreenshot('seven');
+ *     await device.send({ type: 'press', button: 'power' });
+ */
+const Device = {
+  CONNECT_INTERVAL: 250,
+
+  socket: null as net.Socket | null,
+  lastId: 0,
+  pending: new Map<number, PendingCommand>(),
+
+  /**
+   * The events the device reported, like `restart`, oldest first.
+   */
+  events: [] as { event: string; data: any }[],
+
+  /**
+   * Connects to the simulator socket, retrying until OrchidUI has started
+   * listening on it, and says hello with the token OrchidUI was given.
+   *
+   * @param isAlive Tells whether OrchidUI is still running, so there is no
+   *        point waiting for it once it crashed.
+   */
+  connect: async function (
+    port: number,
+    token: string,
+    timeout: number,
+    isAlive: () => boolean = () => true
+  ): Promise<void> {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      try {
+        this.socket = await this.openSocket(port);
+        break;
+      } catch (error) {
+        if (!isAlive()) {
+          throw new Error('DISCONNECTED: OrchidUI quit before accepting commands');
+        }
+        if (Date.now() >= deadline) {
+          throw new Error(`TIMEOUT: Couldn't connect to OrchidUI on port ${port}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, this.CONNECT_INTERVAL));
+      }
+    }
+
+    let buffer = '';
+    this.socket.setEncoding('utf8');
+    this.socket.on('data', (chunk: string) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, index).trim();
+        buffer = buffer.slice(index + 1);
+        if (line) {
+          this.handleLine(line);
+        }
+      }
+    });
+    this.socket.on('close', () => {
+      this.socket = null;
+      this.rejectAll(new Error('DISCONNECTED: OrchidUI closed the connection'));
+    });
+
+    await this.send({ type: 'hello', token });
+  },
+
+  openSocket: function (port: number): Promise<net.Socket> {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(port, '127.0.0.1');
+      socket.once('connect', () => {
+        socket.removeListener('error', reject);
+        socket.on('error', () => {});
+        resolve(socket);
+      });
+      socket.once('error', reject);
+    });
+  },
+
+  disconnect: function () {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.rejectAll(new Error('DISCONNECTED: The test run is over'));
+    this.events = [];
+  },
+
+  handleLine: function (line: string) {
+    let message: any;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return;
+    }
+
+    if (message.event) {
+      this.events.push({ event: message.event, data: message.data });
+      return;
+    }
+
+    const command = this.pending.get(message.id);
+    if (!command) {
+      return;
+    }
+    this.pending.delete(message.id);
+    if (message.error) {
+      command.reject(new Error(message.error));
+    } else {
+      command.resolve(message.result);
+    }
+  },
+
+  rejectAll: function (error: Error) {
+    this.pending.forEach((command) => command.reject(error));
+    this.pending.clear();
+  },
+
+  /**
+   * Sends any simulator or test driver command and resolves with its
+   * result.
+   */
+  send: function (command: Record<string, any>): Promise<any> {
+    const socket = this.socket;
+    if (!socket) {
+      return Promise.reject(new Error('DISCONNECTED: Not connected to OrchidUI'));
+    }
+
+    const id = ++this.lastId;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      socket.write(JSON.stringify({ ...command, id }) + '\n');
+    });
+  },
+
+  /**
+   * Opens a webapp and returns the page it shows.
+   */
+  launch: async function (appId: string, options: { url?: string; timeout?: number } = {}): Promise<PageTarget> {
+    await this.send({ type: 'launch', app: appId, url: options.url, timeout: options.timeout });
+    return this.page(appId);
+  },
+
+  /**
+   * Returns the page of a running webapp, or of the system app for
+   * `system`.
+   */
+  page: function (target: string): PageTarget {
+    const send = (command: Record<string, any>) => this.send({ ...command, target });
+    return {
+      query: (selector) => send({ type: 'query', selector }),
+      waitFor: (selector, options = {}) => send({ type: 'waitfor', selector, ...options }),
+      evaluate: (expression) => send({ type: 'evaluate', expression }),
+      click: (selector, options = {}) => send({ type: 'click', selector, ...options }),
+      type: (text) => send({ type: 'type', text }),
+      key: (key, modifiers = []) => send({ type: 'key', key, modifiers }),
+      screenshot: (name, options = {}) => send({ type: 'screenshot', name, ...options }),
+
+      /**
+       * Same as `screenshot`, but throws if the page doesn't match its
+       * baseline.
+       */
+      matchScreenshot: async (name, options = {}) => {
+        const result = await send({ type: 'screenshot', name, ...options });
+        if (result.status === 'mismatched') {
+          const percentage = (result.difference * 100).toFixed(2);
+          throw new Error(`Screenshot ${name} differs from ${result.baseline} by ${percentage}%, see ${result.actual}`);
+        }
+        return result;
+      }
+    };
+  },
+
+  get system(): PageTarget {
+    return this.page('system');
+  }
+};
+
+export default Device;
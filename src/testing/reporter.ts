@@ -0,0 +1,148 @@
+export type TestResult = {
+  file: string;
+  name: string;
+  status: 'passed' | 'failed' | 'skipped';
+  duration: number;
+  error: Error | null;
+};
+
+/**
+ * Formats the results of the UI tests as TAP, for people and CI logs, and
+ * as JUnit XML, for CI dashboards.
+ */
+const Reporter = {
+  results: [] as TestResult[],
+  write: ((text: string) => process.stdout.write(text)) as (text: string) => void,
+
+  start: function () {
+    this.results = [];
+    this.write('TAP version 13\n');
+  },
+
+  startFile: function (file: string) {
+    this.write(`# ${file}\n`);
+  },
+
+  /**
+   * Prints a result as soon as the test is done.
+   */
+  add: function (result: TestResult) {
+    this.results.push(result);
+    const number = this.results.length;
+    const name = result.name.replace(/#/g, '\\#');
+
+    if (result.status === 'skipped') {
+      this.write(`ok ${number} - ${name} # SKIP\n`);
+      return;
+    }
+    if (result.status === 'passed') {
+      this.write(`ok ${number} - ${name}\n`);
+      return;
+    }
+
+    const error = result.error as Error;
+    this.write(`not ok ${number} - ${name}\n`);
+    this.write('  ---\n');
+    this.write(`  message: ${JSON.stringify(error.message)}\n`);
+    this.write(`  file: ${JSON.stringify(result.file)}\n`);
+    if (error.stack) {
+      this.write('  stack: |-\n');
+      error.stack.split('\n').forEach((line) => this.write(`    ${line}\n`));
+    }
+    this.write('  ...\n');
+  },
+
+  /**
+   * Prints the plan and a summary once every test ran.
+   */
+  end: function () {
+    const counts = this.count(this.results);
+    this.write(`1..${this.results.length}\n`);
+    this.write(`# tests ${this.results.length}\n`);
+    this.write(`# pass ${counts.passed}\n`);
+    this.write(`# skip ${counts.skipped}\n`);
+    this.write(`# fail ${counts.failed}\n`);
+  },
+
+  hasFailures: function (): boolean {
+    return this.results.some((result) => result.status === 'failed');
+  },
+
+  /**
+   * Returns the results as a JUnit XML report, with a test suite per test
+   * file.
+   */
+  toJUnit: function (): string {
+    const files: string[] = [];
+    this.results.forEach((result) => {
+      if (files.indexOf(result.file) === -1) {
+        files.push(result.file);
+      }
+    });
+
+    const totals = this.count(this.results);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="OrchidUI" tests="${this.results.length}" failures="${totals.failed}" ` +
+        `skipped="${totals.skipped}" time="${this.toSeconds(totals.duration)}">`
+    ];
+
+    files.forEach((file) => {
+      const results = this.results.filter((result) => result.file === file);
+      const counts = this.count(results);
+      lines.push(
+        `  <testsuite name="${this.escape(file)}" tests="${results.length}" failures="${counts.failed}" ` +
+          `skipped="${counts.skipped}" time="${this.toSeconds(counts.duration)}">`
+      );
+
+      results.forEach((result) => {
+        const attributes =
+          `name="${this.escape(result.name)}" classname="${this.escape(file)}" ` +
+          `time="${this.toSeconds(result.duration)}"`;
+        if (result.status === 'passed') {
+          lines.push(`    <testcase ${attributes}/>`);
+          return;
+        }
+
+        lines.push(`    <testcase ${attributes}>`);
+        if (result.status === 'skipped') {
+          lines.push('      <skipped/>');
+        } else {
+          const error = result.error as Error;
+          lines.push(
+            `      <failure message="${this.escape(error.message)}">${this.escape(error.stack || error.message)}</failure>`
+          );
+        }
+        lines.push('    </testcase>');
+      });
+      lines.push('  </testsuite>');
+    });
+
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+  },
+
+  count: function (results: TestResult[]) {
+    return {
+      passed: results.filter((result) => result.status === 'passed').length,
+      failed: results.filter((result) => result.status === 'failed').length,
+      skipped: results.filter((result) => result.status === 'skipped').length,
+      duration: results.reduce((total, result) => total + result.duration, 0)
+    };
+  },
+
+  toSeconds: function (milliseconds: number): string {
+    return (milliseconds / 1000).toFixed(3);
+  },
+
+  escape: function (text: string): string {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+  }
+};
+
+export default Reporter;
@@ -0,0 +1,415 @@
+import { ChildProcess, spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import Device from './device';
+import Reporter, { TestResult } from './reporter';
+
+type TestCase = {
+  name: string;
+  fn: (device: typeof Device) => any;
+  skip: boolean;
+  timeout?: number;
+};
+
+type Sandbox = {
+  root: string;
+  profile: string;
+  webapps: string;
+  storage: string;
+};
+
+type RunnerOptions = {
+  files: string[];
+  edition: string;
+  junit: string | null;
+  results: string;
+  updateScreenshots: boolean;
+  keepProfile: boolean;
+  timeout: number;
+  bootTimeout: number;
+};
+
+/**
+ * Runs UI tests against OrchidUI, booted headlessly in test mode with a
+ * throwaway profile, webapps and storage directory for each test file.
+ *
+ *     npm run test:ui -- [--edition desktop|mobile|smart_tv] [--junit report.xml]
+ *                        [--update-screenshots] [--keep-profile] [files or directories...]
+ *
+ * Test files end in `.test.js` and are looked for in `tests/ui` unless
+ * given. They export a function which defines their tests, which run one
+ * after the other against the same device, see `Device`:
+ *
+ *     module.exports = function ({ test }) {
+ *       test('opens the calculator', async (device) => {
+ *         const calculator = await device.launch('calculator');
+ *         await calculator.waitFor('#display');
+ *         await calculator.matchScreenshot('launched');
+ *       });
+ *     };
+ *
+ * Screenshot baselines are kept in `screenshots/<edition>` next to the test
+ * file. Results are printed as TAP. On Linux machines without a display,
+ * run it under xvfb, e.g. `xvfb-run -a npm run test:ui`.
+ */
+const Runner = {
+  ROOT_PATH: path.resolve(__dirname, '..', '..', '..'),
+  TEST_FILE_SUFFIX: '.test.js',
+
+  /**
+   * The editions of `OrchidUI.editionConfig`.
+   */
+  EDITIONS: ['desktop', 'mobile', 'smart_tv'],
+
+  DEFAULT_TIMEOUT: 30000,
+  DEFAULT_BOOT_TIMEOUT: 60000,
+  STOP_TIMEOUT: 5000,
+
+  options: null as RunnerOptions | null,
+
+  run: async function (args: string[]): Promise<number> {
+    let options: RunnerOptions;
+    let files: string[];
+    try {
+      options = this.parseArgs(args);
+      files = this.findTestFiles(options.files);
+    } catch (error: any) {
+      console.error(error.message);
+      return 2;
+    }
+    if (files.length === 0) {
+      console.error('No UI tests found');
+      return 2;
+    }
+    this.options = options;
+
+    Reporter.start();
+    for (const file of files) {
+      await this.runFile(file);
+    }
+    Reporter.end();
+
+    if (options.junit) {
+      fs.mkdirSync(path.dirname(options.junit), { recursive: true });
+      fs.writeFileSync(options.junit, Reporter.toJUnit(), 'utf8');
+    }
+    return Reporter.hasFailures() ? 1 : 0;
+  },
+
+  parseArgs: function (args: string[]): RunnerOptions {
+    const options: RunnerOptions = {
+      files: [],
+      edition: 'desktop',
+      junit: null,
+      results: path.join(this.ROOT_PATH, 'tests', 'results'),
+      updateScreenshots: false,
+      keepProfile: false,
+      timeout: this.DEFAULT_TIMEOUT,
+      bootTimeout: this.DEFAULT_BOOT_TIMEOUT
+    };
+
+    for (let index = 0; index < args.length; index++) {
+      const arg = args[index];
+      const getValue = () => {
+        const value = args[++index];
+        if (value === undefined) {
+          throw new Error(`Missing value for ${arg}`);
+        }
+        return value;
+      };
+
+      switch (arg) {
+        case '--edition':
+          options.edition = getValue();
+          if (this.EDITIONS.indexOf(options.edition) === -1) {
+            throw new Error(`Unknown edition ${options.edition}, expected one of ${this.EDITIONS.join(', ')}`);
+          }
+          break;
+
+        case '--junit':
+          options.junit = path.resolve(getValue());
+          break;
+
+        case '--results':
+          options.results = path.resolve(getValue());
+          break;
+
+        case '--update-screenshots':
+          options.updateScreenshots = true;
+          break;
+
+        case '--keep-profile':
+          options.keepProfile = true;
+          break;
+
+        case '--timeout':
+        case '--boot-timeout': {
+          const value = parseInt(getValue(), 10);
+          if (!(value > 0)) {
+            throw new Error(`${arg} must be a number of milliseconds`);
+          }
+          options[arg === '--timeout' ? 'timeout' : 'bootTimeout'] = value;
+          break;
+        }
+
+        default:
+          if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+          }
+          options.files.push(path.resolve(arg));
+          break;
+      }
+    }
+
+    if (options.files.length === 0) {
+      options.files.push(path.join(this.ROOT_PATH, 'tests', 'ui'));
+    }
+    return options;
+  },
+
+  /**
+   * Expands directories into the test files they hold, in a stable order.
+   */
+  findTestFiles: function (paths: string[]): string[] {
+    const files: string[] = [];
+    paths.forEach((item) => {
+      if (!fs.existsSync(item)) {
+        throw new Error(`No such test file or directory: ${item}`);
+      }
+      if (!fs.statSync(item).isDirectory()) {
+        files.push(item);
+        return;
+      }
+
+      fs.readdirSync(item, { withFileTypes: true })
+        .filter((entry) => !entry.name.startsWith('.') && entry.name !== 'screenshots')
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach((entry) => {
+          const entryPath = path.join(item, entry.name);
+          if (entry.isDirectory()) {
+            files.push(...this.findTestFiles([entryPath]));
+          } else if (entry.name.endsWith(this.TEST_FILE_SUFFIX)) {
+            files.push(entryPath);
+          }
+        });
+    });
+    return files;
+  },
+
+  /**
+   * Boots OrchidUI for a test file, runs its tests and throws the profile
+   * away again.
+   */
+  runFile: async function (file: string) {
+    const options = this.options as RunnerOptions;
+    const name = this.getDisplayName(file);
+    Reporter.startFile(name);
+
+    let tests: TestCase[];
+    try {
+      tests = this.loadTests(file);
+    } catch (error) {
+      Reporter.add({ file: name, name: `load ${name}`, status: 'failed', duration: 0, error: this.toError(error) });
+      return;
+    }
+    if (tests.every((test) => test.skip)) {
+      tests.forEach((test) => this.addSkipped(name, test));
+      return;
+    }
+
+    const sandbox = await this.createSandbox();
+    let child: ChildProcess | null = null;
+    let bootError: Error | null = null;
+    try {
+      const port = await this.getFreePort();
+      const token = crypto.randomBytes(32).toString('hex');
+      child = this.launch(file, sandbox, port, token);
+      const launched = child;
+      await Device.connect(port, token, options.bootTimeout, () => launched.exitCode === null && !launched.killed);
+      // The simulator waits a minute at most
+      await Device.send({ type: 'ready', timeout: Math.min(options.bootTimeout, 60000) });
+    } catch (error) {
+      bootError = new Error(`OrchidUI didn't boot (${this.toError(error).message}), see ${this.getLogPath(file)}`);
+    }
+
+    for (const test of tests) {
+      if (test.skip) {
+        this.addSkipped(name, test);
+      } else if (bootError) {
+        Reporter.add({ file: name, name: test.name, status: 'failed', duration: 0, error: bootError });
+      } else {
+        Reporter.add({ file: name, ...(await this.runTest(test)) });
+      }
+    }
+
+    Device.disconnect();
+    await this.stop(child);
+    if (options.keepProfile) {
+      Reporter.write(`# kept the profile of ${name} in ${sandbox.root}\n`);
+    } else {
+      await fs.promises.rm(sandbox.root, { recursive: true, force: true });
+    }
+  },
+
+  loadTests: function (file: string): TestCase[] {
+    const tests: TestCase[] = [];
+    const test = (name: string, fn: TestCase['fn'], testOptions: { timeout?: number } = {}) => {
+      tests.push({ name, fn, skip: false, timeout: testOptions.timeout });
+    };
+    test.skip = (name: string, fn?: TestCase['fn']) => {
+      tests.push({ name, fn: fn || (() => {}), skip: true });
+    };
+
+    const definition = require(file);
+    const define = typeof definition === 'function' ? definition : definition && definition.default;
+    if (typeof define !== 'function') {
+      throw new Error(`${file} must export a function defining its tests`);
+    }
+    define({ test });
+    return tests;
+  },
+
+  runTest: async function (test: TestCase): Promise<Omit<TestResult, 'file'>> {
+    const timeout = test.timeout || (this.options as RunnerOptions).timeout;
+    const startTime = Date.now();
+    let timer: NodeJS.Timeout | undefined;
+
+    try {
+      await Promise.race([
+        Promise.resolve().then(() => test.fn(Device)),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`TIMEOUT: The test took longer than ${timeout}ms`)), timeout);
+        })
+      ]);
+      return { name: test.name, status: 'passed', duration: Date.now() - startTime, error: null };
+    } catch (error) {
+      return { name: test.name, status: 'failed', duration: Date.now() - startTime, error: this.toError(error) };
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+
+  addSkipped: function (file: string, test: TestCase) {
+    Reporter.add({ file, name: test.name, status: 'skipped', duration: 0, error: null });
+  },
+
+  /**
+   * Creates empty profile and storage directories, and a webapps directory
+   * linking to the webapps of the source tree, which are never written to.
+   */
+  createSandbox: async function (): Promise<Sandbox> {
+    const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'orchid-test-'));
+    const sandbox = {
+      root,
+      profile: path.join(root, 'profile'),
+      webapps: path.join(root, 'webapps'),
+      storage: path.join(root, 'storage')
+    };
+    await Promise.all([sandbox.profile, sandbox.webapps, sandbox.storage].map((dir) => fs.promises.mkdir(dir)));
+
+    const appsPath = path.join(this.ROOT_PATH, 'apps');
+    const webapps = fs
+      .readdirSync(appsPath, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map((entry) => path.join(appsPath, entry.name));
+    webapps.push(path.join(this.ROOT_PATH, 'shared'));
+
+    await Promise.all(
+      webapps.map((dir) => fs.promises.symlink(dir, path.join(sandbox.webapps, path.basename(dir)), 'dir'))
+    );
+    return sandbox;
+  },
+
+  /**
+   * Starts OrchidUI in test mode, logging its output next to the results.
+   */
+  launch: function (file: string, sandbox: Sandbox, port: number, token: string): ChildProcess {
+    const options = this.options as RunnerOptions;
+    // Outside of Electron, the electron package resolves to its binary
+    const electronPath = require('electron') as string;
+    const args = [this.ROOT_PATH, '--type', options.edition, '--simulator-port', String(port)];
+    // Chromium refuses to run sandboxed as root, which CI containers often are
+    if (process.geteuid && process.geteuid() === 0) {
+      args.push('--no-sandbox');
+    }
+
+    const child = spawn(electronPath, args, {
+      cwd: this.ROOT_PATH,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: {
+        ...process.env,
+        ORCHID_ENVIRONMENT: 'test',
+        ORCHID_PROFILE: sandbox.profile,
+        ORCHID_WEBAPPS: sandbox.webapps,
+        ORCHID_WEBAPPS_CONF: path.join(sandbox.profile, 'webapps.json'),
+        ORCHID_ADDONS: path.join(sandbox.profile, 'extensions'),
+        ORCHID_STORAGE: sandbox.storage,
+        ORCHID_SIMULATOR_TOKEN: token,
+        ORCHID_TEST_SCREENSHOTS: path.join(path.dirname(file), 'screenshots', options.edition),
+        ORCHID_TEST_RESULTS: options.results,
+        ORCHID_TEST_UPDATE_SCREENSHOTS: options.updateScreenshots ? '1' : '0'
+      }
+    });
+
+    const logPath = this.getLogPath(file);
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    const log = fs.createWriteStream(logPath);
+    child.stdout?.pipe(log);
+    child.stderr?.pipe(log);
+    return child;
+  },
+
+  /**
+   * Stops OrchidUI, killing it if it doesn't quit in time.
+   */
+  stop: async function (child: ChildProcess | null) {
+    if (!child || child.exitCode !== null || child.signalCode !== null) {
+      return;
+    }
+
+    const exited = new Promise((resolve) => child.once('exit', resolve));
+    child.kill('SIGTERM');
+    const timer = setTimeout(() => child.kill('SIGKILL'), this.STOP_TIMEOUT);
+    await exited;
+    clearTimeout(timer);
+  },
+
+  getFreePort: function (): Promise<number> {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer();
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        const port = (server.address() as net.AddressInfo).port;
+        server.close(() => resolve(port));
+      });
+    });
+  },
+
+  getLogPath: function (file: string): string {
+    const name = this.getDisplayName(file).replace(/[\\/]/g, '_');
+    return path.join((this.options as RunnerOptions).results, 'logs', `${name}.log`);
+  },
+
+  /**
+   * Names test files by their path in the source tree, if they are in it.
+   */
+  getDisplayName: function (file: string): string {
+    const relativePath = path.relative(this.ROOT_PATH, file);
+    return relativePath.startsWith('..') ? file : relativePath;
+  },
+
+  toError: function (error: any): Error {
+    return error instanceof Error ? error : new Error(String(error));
+  }
+};
+
+if (require.main === module) {
+  Runner.run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+export default Runner;
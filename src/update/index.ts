@@ -1,13 +1,12 @@
-import { ipcRenderer } from 'electron';
+import IpcClient from '../ipc/renderer';
 
 const UpdateManager = {
+  /**
+   * @returns A promise resolving with the result of the check, see
+   *          `autoUpdater.checkForUpdates`.
+   */
   checkForUpdates: function () {
-    return new Promise((resolve, reject) => {
-      ipcRenderer.send('request-update-status');
-      ipcRenderer.on('update-status', (event, data) => {
-        resolve(data);
-      });
-    });
+    return IpcClient.invoke('updatestatus');
   }
 };
 
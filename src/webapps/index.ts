@@ -1,10 +1,16 @@
-import AdmZip from 'adm-zip';
 import fs, { PathLike } from 'fs';
 import path from 'path';
 import { v4 } from 'uuid';
 import Settings from '../settings';
 import Renderer from '../renderer';
-import download from 'download';
+import type IpcClient from '../ipc/renderer';
+import VirtualFS from '../storage/vfs';
+import WebappPackage, { PackageError } from './package';
+import PWAInstaller from './pwa_installer';
+
+// Required on first use, so the module loads outside of Electron too, e.g.
+// in unit tests
+const getIpcClient = (): typeof IpcClient => require('../ipc/renderer').default;
 
 type ManifestUrls = {
   [key: string]: string;
@@ -97,7 +103,10 @@ const AppsManager = {
 
           return { appId, installedAt, manifestUrl };
         };
-        let appList = fs.readdirSync(path.resolve(Renderer.webappsPath as string)).map(handleReaddir.bind(this));
+        let appList = fs
+          .readdirSync(path.resolve(Renderer.webappsPath as string))
+          .filter((file) => !file.startsWith('.'))
+          .map(handleReaddir.bind(this));
 
         this.writeAppList(appList);
         console.log(appList);
@@ -110,100 +119,308 @@ const AppsManager = {
 
   writeAppList: function (appList: Record<string, any>[]) {
     try {
-      let appListData = JSON.stringify(appList, null, 2);
-      fs.writeFileSync(path.resolve(Renderer.webappsConfigPath as string), appListData, 'utf8');
+      this.saveAppList(appList);
     } catch (error) {
       console.error('Error writing app list:', error);
     }
   },
 
-  installPackage: function (zipFilePath: string) {
-    return new Promise((resolve, reject) => {
-      const appId = v4();
-      const appDir = path.join(path.resolve(Renderer.webappsPath as string), `{${appId}}`);
+  /**
+   * Same as `writeAppList`, but throws if the app list couldn't be written.
+   */
+  saveAppList: function (appList: Record<string, any>[]) {
+    let appListData = JSON.stringify(appList, null, 2);
+    fs.writeFileSync(path.resolve(Renderer.webappsConfigPath as string), appListData, 'utf8');
+  },
+
+  /**
+   * Installs a signed webapp package from the storage.
+   *
+   * @param zipFilePath The virtual storage path of the package.
+   * @returns The ID of the installed webapp, without braces.
+   * @throws {PackageError} If the package was rejected, with the reason in
+   *         its code and message. Nothing is left behind in that case.
+   */
+  installPackage: async function (zipFilePath: string) {
+    const { zip } = WebappPackage.verify(VirtualFS.resolve(zipFilePath));
 
-      this.getAll().then((appList: any) => {
-        fs.mkdirSync(appDir, { recursive: true });
+    const appId = v4();
+    const appDir = path.join(path.resolve(Renderer.webappsPath as string), `{${appId}}`);
+    WebappPackage.extract(zip, appDir);
 
-        try {
-          const zip = new AdmZip(path.join(path.resolve(Renderer.storagePath as string), zipFilePath));
-          zip.extractAllTo(appDir, true);
+    try {
+      const appList: any = await this.getAll();
+      const appEntry = {
+        appId: `{${appId}}`,
+        installedAt: new Date().toISOString(),
+        manifestUrl: {
+          'en-US': `http://{${appId}}.localhost:${Renderer.webappsPort}/manifest.webapp`
+        }
+      };
+
+      appList.push(appEntry);
+      this.saveAppList(appList);
+    } catch (error: any) {
+      // Roll back the extracted files so the webapp doesn't linger unlisted
+      fs.rmSync(appDir, { recursive: true, force: true });
+      throw new PackageError('EXTRACTION_FAILED', `Unable to register the webapp: ${error.message}`);
+    }
 
-          const appEntry = {
-            appId: `{${appId}}`,
-            installedAt: new Date().toISOString(),
-            manifestUrl: `http://{${appId}}.localhost:8081/manifest.webapp`
-          };
+    this.notifyChange('install', `{${appId}}`);
+    return appId;
+  },
 
-          appList.push(appEntry);
-          this.writeAppList(appList);
+  /**
+   * Installs a progressive web app from its W3C web app manifest. The
+   * webapp is served from its own origin like packaged webapps, and its
+   * `manifest.webapp` points `AppWindow` at the site.
+   *
+   * @param manifestUrl The URL of the web app manifest.
+   * @returns The ID of the installed webapp, without braces.
+   * @throws {PackageError} If the manifest couldn't be fetched or installed.
+   *         Nothing is left behind in that case.
+   */
+  installPWA: async function (manifestUrl: string) {
+    const appId = v4();
+    const appDir = path.join(path.resolve(Renderer.webappsPath as string), `{${appId}}`);
+    const manifest = await PWAInstaller.install(manifestUrl, appDir);
 
-          resolve(appId);
-        } catch (error) {
-          console.error('Error extracting app:', error);
-          reject(error);
-        }
-      });
-    });
+    try {
+      const appList: any = await this.getAll();
+      const appEntry = {
+        appId: `{${appId}}`,
+        installedAt: new Date().toISOString(),
+        manifestUrl: {
+          'en-US': `http://{${appId}}.localhost:${Renderer.webappsPort}/manifest.webapp`
+        },
+        origin: new URL(manifest.start_url).origin
+      };
+
+      appList.push(appEntry);
+      this.saveAppList(appList);
+    } catch (error: any) {
+      fs.rmSync(appDir, { recursive: true, force: true });
+      throw new PackageError('EXTRACTION_FAILED', `Unable to register the webapp: ${error.message}`);
+    }
+
+    this.notifyChange('install', `{${appId}}`);
+    return appId;
   },
 
-  installPWA: function (manifestUrl: string) {
-    return new Promise(async (resolve, reject) => {
-      const appId = v4();
-      const appDir = path.join(path.resolve(Renderer.webappsPath as string), `{${appId}}`);
+  /**
+   * Removes an installed webapp with its files and previous version.
+   *
+   * @param appId The ID of the installed webapp, with braces.
+   * @throws {PackageError} `NOT_INSTALLED` if no installed webapp has this
+   *         ID, so IDs like `../x` never reach the filesystem.
+   */
+  uninstall: async function (appId: string) {
+    const appList = this.readAppList();
+    if (!appList.some((item) => item.appId === appId)) {
+      throw new PackageError('NOT_INSTALLED', 'The webapp is not installed', [String(appId)]);
+    }
 
-      fs.mkdirSync(appDir, { recursive: true });
-      await download(manifestUrl, appDir);
+    const appDir = path.join(path.resolve(Renderer.webappsPath as string), appId);
+    this.writeAppList(appList.filter((item) => item.appId !== appId));
 
-      const manifestData = fs.readFileSync(path.join(appDir, path.basename(manifestUrl)), { encoding: 'utf-8' });
-      const manifestJson = JSON.parse(manifestData);
+    fs.rmSync(appDir, { recursive: true, force: true });
+    fs.rmSync(this.getRollbackDir(appId), { recursive: true, force: true });
+    this.notifyChange('uninstall', appId);
+  },
 
-      if (typeof manifestJson.icons === 'object') {
-        const entries = Object.entries(manifestJson.icons);
-        for (let index = 0, length = entries.length; index < length; index++) {
-          const entry = entries[index] as [string, string];
+  /**
+   * Updates an installed webapp from a signed package. The webapp keeps its
+   * ID and origin so its localStorage and IndexedDB data survive, and the
+   * previous version is kept around for `rollback`.
+   *
+   * @param appId The ID of the installed webapp, with braces.
+   * @param zipFilePath The virtual storage path of the package.
+   * @returns The version the webapp was updated to.
+   * @throws {PackageError} If the package was rejected or isn't newer than
+   *         the installed version. The installed version is left untouched.
+   */
+  update: async function (appId: string, zipFilePath: string): Promise<string> {
+    const appList = this.readAppList();
+    const appEntry = appList.find((item) => item.appId === appId);
+    if (!appEntry) {
+      throw new PackageError('NOT_INSTALLED', 'The webapp is not installed', [appId]);
+    }
 
-          const url = new URL(manifestUrl);
-          const targetDir = path.dirname(path.join(appDir, entry[1]));
-          fs.mkdirSync(targetDir, { recursive: true });
-          await download(url.origin + entry[1], targetDir);
-        }
-      } else {
-        for (let index = 0, length = manifestJson.icons.length; index < length; index++) {
-          const icon = manifestJson.icons[index] as Record<string, any>;
-
-          const url = new URL(manifestUrl);
-          const targetDir = path.dirname(path.join(appDir, icon.src));
-          fs.mkdirSync(targetDir, { recursive: true });
-          await download((url.origin + '/' + icon.src).replaceAll('//', '/'), targetDir);
-        }
-      }
+    const { zip, manifest } = WebappPackage.verify(VirtualFS.resolve(zipFilePath));
+    const appDir = path.join(path.resolve(Renderer.webappsPath as string), appId);
+    const installedVersion = this.readManifest(appDir).version || '0';
+    if (this.compareVersions(manifest.version || '0', installedVersion) <= 0) {
+      throw new PackageError('NOT_NEWER', `The package is not newer than version ${installedVersion}`, [
+        `version: ${manifest.version}`
+      ]);
+    }
 
-      this.getAll().then(async (appList: any) => {
-        const url = new URL(manifestUrl);
-        const appEntry = {
-          appId: `{${appId}}`,
-          installedAt: new Date().toISOString(),
-          manifestUrl: `http://{${appId}}.localhost:8081/manifest.webapp`,
-          origin: url.origin
-        };
+    const nextDir = `${appDir}.next`;
+    fs.rmSync(nextDir, { recursive: true, force: true });
+    WebappPackage.extract(zip, nextDir);
+    this.swapVersions(appDir, nextDir);
 
-        appList.push(appEntry);
-        this.writeAppList(appList);
+    this.recordHistory(appList, appEntry, 'update', installedVersion, manifest.version);
+    this.notifyChange('update', appId);
+    return manifest.version;
+  },
+
+  /**
+   * Reverts a webapp to the version it had before its last update.
+   *
+   * @returns The version the webapp was reverted to.
+   */
+  rollback: async function (appId: string): Promise<string> {
+    const appList = this.readAppList();
+    const appEntry = appList.find((item) => item.appId === appId);
+    const rollbackDir = this.getRollbackDir(appId);
+    if (!appEntry || !fs.existsSync(rollbackDir)) {
+      throw new Error(`No previous version of ${appId} to revert to`);
+    }
+
+    const appDir = path.join(path.resolve(Renderer.webappsPath as string), appId);
+    const currentVersion = this.readManifest(appDir).version || '0';
+    const previousVersion = this.readManifest(rollbackDir).version || '0';
+
+    const restoreDir = `${appDir}.next`;
+    fs.rmSync(restoreDir, { recursive: true, force: true });
+    fs.renameSync(rollbackDir, restoreDir);
+    this.swapVersions(appDir, restoreDir);
+
+    // Only one step back is kept, so the version reverted from is dropped
+    fs.rmSync(rollbackDir, { recursive: true, force: true });
+
+    this.recordHistory(appList, appEntry, 'rollback', currentVersion, previousVersion);
+    this.notifyChange('update', appId);
+    return previousVersion;
+  },
+
+  /**
+   * Moves the installed files of a webapp to its rollback directory and the
+   * new ones in their place, restoring the installed ones if that fails.
+   */
+  swapVersions: function (appDir: string, nextDir: string) {
+    const rollbackDir = this.getRollbackDir(path.basename(appDir));
+    fs.rmSync(rollbackDir, { recursive: true, force: true });
+    fs.mkdirSync(path.dirname(rollbackDir), { recursive: true });
+
+    fs.renameSync(appDir, rollbackDir);
+    try {
+      fs.renameSync(nextDir, appDir);
+    } catch (error: any) {
+      fs.renameSync(rollbackDir, appDir);
+      fs.rmSync(nextDir, { recursive: true, force: true });
+      throw new PackageError('EXTRACTION_FAILED', error.message);
+    }
+  },
 
-        resolve(appId);
-      });
+  recordHistory: function (
+    appList: Record<string, any>[],
+    appEntry: Record<string, any>,
+    action: 'update' | 'rollback',
+    fromVersion: string,
+    toVersion: string
+  ) {
+    appEntry.version = toVersion;
+    appEntry.updatedAt = new Date().toISOString();
+    appEntry.previousVersion = action === 'update' ? fromVersion : null;
+    appEntry.history = (appEntry.history || []).concat({
+      action,
+      fromVersion,
+      toVersion,
+      date: appEntry.updatedAt
     });
+    this.writeAppList(appList);
   },
 
-  uninstall: async function (appId: string) {
-    const appDir = path.join(path.resolve(Renderer.webappsPath as string), appId);
-    const appList = await this.getAll();
+  /**
+   * Records the latest version of a webapp known to a store, so the Settings
+   * app can point out that an update is available.
+   */
+  setAvailableVersion: function (appId: string, version: string) {
+    const appList = this.readAppList();
+    const appEntry = appList.find((item) => item.appId === appId);
+    if (!appEntry || appEntry.availableVersion === version) {
+      return;
+    }
+
+    appEntry.availableVersion = version;
+    this.writeAppList(appList);
+  },
 
-    const updatedAppList = appList.filter((item) => item.appId !== appId);
-    this.writeAppList(updatedAppList);
+  /**
+   * Returns what can be done with an installed webapp.
+   *
+   * @param app An entry returned by `getAll`.
+   */
+  getUpdateState: function (app: Record<string, any>) {
+    const version = (app.manifest && app.manifest.version) || app.version || '0';
+    return {
+      version,
+      updateAvailable: !!app.availableVersion && this.compareVersions(app.availableVersion, version) > 0,
+      canRollback: !!app.previousVersion && fs.existsSync(this.getRollbackDir(app.appId)),
+      previousVersion: app.previousVersion || null
+    };
+  },
 
-    fs.rmdirSync(appDir, { recursive: true });
+  /**
+   * Compares two dotted version strings, e.g. `1.10` and `1.9`.
+   *
+   * @returns A positive number if `a` is newer, a negative one if `b` is
+   *          newer and 0 if both are the same.
+   */
+  compareVersions: function (a: string, b: string): number {
+    const partsA = String(a).split('.');
+    const partsB = String(b).split('.');
+    for (let index = 0, length = Math.max(partsA.length, partsB.length); index < length; index++) {
+      const partA = partsA[index] || '0';
+      const partB = partsB[index] || '0';
+      const numberA = parseInt(partA, 10);
+      const numberB = parseInt(partB, 10);
+
+      if (!isNaN(numberA) && !isNaN(numberB) && numberA !== numberB) {
+        return numberA - numberB;
+      }
+      if (partA !== partB) {
+        return partA < partB ? -1 : 1;
+      }
+    }
+    return 0;
+  },
+
+  getRollbackDir: function (appId: string): string {
+    return path.join(path.resolve(Renderer.webappsPath as string), '.rollback', appId);
+  },
+
+  /**
+   * Reads the manifest of an installed webapp, from its `webapp.zip` too,
+   * see `WebappPackage.readInstalledManifest`.
+   */
+  readManifest: function (appDir: string): Record<string, any> {
+    return WebappPackage.readInstalledManifest(appDir) || {};
+  },
+
+  /**
+   * Reads the installed-apps file as is, without the manifests `getAll`
+   * adds to every entry.
+   */
+  readAppList: function (): Record<string, any>[] {
+    try {
+      return JSON.parse(fs.readFileSync(path.resolve(Renderer.webappsConfigPath as string), 'utf8'));
+    } catch (error) {
+      return [];
+    }
+  },
+
+  /**
+   * Lets the webapp runtime server know a webapp was installed, updated or
+   * removed, so it serves the right files right away. The main process
+   * updates the server on its own.
+   */
+  notifyChange: function (type: 'install' | 'update' | 'uninstall', appId: string) {
+    if (process.type === 'renderer') {
+      getIpcClient().send('webappschange', { type, appId });
+    }
   },
 
   getFolderSize: function (folderPath: string) {
@@ -0,0 +1,282 @@
+export type ManifestIssue = {
+  field: string;
+  message: string;
+};
+
+const ManifestValidator = {
+  ACCESS_LEVELS: ['readonly', 'readwrite', 'createonly'],
+
+  /**
+   * Checks a parsed `manifest.webapp` against the fields the system relies
+   * on.
+   *
+   * @param manifest The parsed manifest.
+   * @param options.packaged Whether the manifest comes from a package being
+   *        installed, which may not claim the privileges of a built-in webapp.
+   * @returns Every issue found, or an empty array if the manifest is valid.
+   */
+  validate: function (manifest: any, options: { packaged?: boolean } = {}): ManifestIssue[] {
+    const issues: ManifestIssue[] = [];
+    if (!this.isObject(manifest)) {
+      return [{ field: '', message: 'The manifest must be a JSON object' }];
+    }
+
+    if (!this.isNonEmptyString(manifest.name)) {
+      issues.push({ field: 'name', message: 'The name must be a non-empty string' });
+    }
+
+    if (manifest.launch_path !== undefined && !this.isLocalPath(manifest.launch_path)) {
+      issues.push({ field: 'launch_path', message: 'The launch path must be an absolute path inside the webapp' });
+    }
+
+    this.validateDeveloper(manifest.developer, issues);
+    this.validateIcons(manifest.icons, 'icons', issues);
+    this.validatePermissions(manifest.permissions, issues);
+    this.validateEntryPoints(manifest.entry_points, issues);
+    this.validateActivities(manifest.activities, issues);
+
+    if (options.packaged) {
+      if (manifest.core) {
+        issues.push({ field: 'core', message: 'Installed webapps can not be core webapps' });
+      }
+      if (manifest.role === 'system') {
+        issues.push({ field: 'role', message: 'Installed webapps can not have the system role' });
+      }
+    }
+
+    return issues;
+  },
+
+  validateDeveloper: function (developer: any, issues: ManifestIssue[]) {
+    if (!this.isObject(developer)) {
+      issues.push({ field: 'developer', message: 'The developer must be an object' });
+      return;
+    }
+
+    if (!this.isNonEmptyString(developer.name)) {
+      issues.push({ field: 'developer.name', message: 'The developer name must be a non-empty string' });
+    }
+    if (developer.url !== undefined && !this.isHttpUrl(developer.url)) {
+      issues.push({ field: 'developer.url', message: 'The developer URL must be an http(s) URL' });
+    }
+  },
+
+  validateIcons: function (icons: any, field: string, issues: ManifestIssue[], required: boolean = true) {
+    if (!this.isObject(icons)) {
+      issues.push({ field, message: 'The icons must be an object' });
+      return;
+    }
+    if (required && Object.keys(icons).length === 0) {
+      issues.push({ field, message: 'At least one icon must be declared' });
+      return;
+    }
+
+    Object.entries(icons).forEach(([size, iconPath]) => {
+      if (!/^\d+$/.test(size)) {
+        issues.push({ field: `${field}.${size}`, message: 'Icon sizes must be numbers' });
+      }
+      if (!this.isLocalPath(iconPath)) {
+        issues.push({ field: `${field}.${size}`, message: 'Icons must be absolute paths inside the webapp' });
+      }
+    });
+  },
+
+  validatePermissions: function (permissions: any, issues: ManifestIssue[]) {
+    if (permissions === undefined) {
+      return;
+    }
+    if (!this.isObject(permissions)) {
+      issues.push({ field: 'permissions', message: 'The permissions must be an object' });
+      return;
+    }
+
+    Object.entries(permissions).forEach(([name, permission]: [string, any]) => {
+      const field = `permissions.${name}`;
+      if (!/^[a-z][a-z0-9-]*(:[a-z][a-z0-9-]*)?$/.test(name)) {
+        issues.push({ field, message: 'Invalid permission name' });
+      }
+      if (!this.isObject(permission)) {
+        issues.push({ field, message: 'Permissions must be declared as objects' });
+        return;
+      }
+      if (permission.access !== undefined && this.ACCESS_LEVELS.indexOf(permission.access) === -1) {
+        issues.push({
+          field: `${field}.access`,
+          message: `The access must be one of ${this.ACCESS_LEVELS.join(', ')}`
+        });
+      }
+      if (permission.description !== undefined && typeof permission.description !== 'string') {
+        issues.push({ field: `${field}.description`, message: 'The description must be a string' });
+      }
+    });
+  },
+
+  validateEntryPoints: function (entryPoints: any, issues: ManifestIssue[]) {
+    if (entryPoints === undefined) {
+      return;
+    }
+    if (!this.isObject(entryPoints)) {
+      issues.push({ field: 'entry_points', message: 'The entry points must be an object' });
+      return;
+    }
+
+    Object.entries(entryPoints).forEach(([name, entryPoint]: [string, any]) => {
+      const field = `entry_points.${name}`;
+      if (!this.isObject(entryPoint)) {
+        issues.push({ field, message: 'Entry points must be objects' });
+        return;
+      }
+      if (!this.isNonEmptyString(entryPoint.name)) {
+        issues.push({ field: `${field}.name`, message: 'The name must be a non-empty string' });
+      }
+      if (!this.isLocalPath(entryPoint.launch_path)) {
+        issues.push({
+          field: `${field}.launch_path`,
+          message: 'The launch path must be an absolute path inside the webapp'
+        });
+      }
+      // Entry points without icons of their own use the webapp's icons
+      if (entryPoint.icons !== undefined) {
+        this.validateIcons(entryPoint.icons, `${field}.icons`, issues, false);
+      }
+    });
+  },
+
+  /**
+   * Checks the activities a webapp handles, e.g.
+   *
+   *     "activities": {
+   *       "pick": {
+   *         "href": "/index.html",
+   *         "filters": { "type": ["image/*"] },
+   *         "returnValue": true
+   *       },
+   *       "wallpaper-set": {
+   *         "filters": { "url": { "required": true } },
+   *         "return_value": false
+   *       }
+   *     }
+   *
+   * Like in Firefox OS, activity names are free, `href` defaults to the
+   * launch path, `return_value` is the same as `returnValue`, and filters
+   * are either the accepted values or an object describing them.
+   */
+  validateActivities: function (activities: any, issues: ManifestIssue[]) {
+    if (activities === undefined) {
+      return;
+    }
+    if (!this.isObject(activities)) {
+      issues.push({ field: 'activities', message: 'The activities must be an object' });
+      return;
+    }
+
+    Object.entries(activities).forEach(([name, activity]: [string, any]) => {
+      const field = `activities.${name}`;
+      if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+        issues.push({ field, message: 'Invalid activity name' });
+      }
+      if (!this.isObject(activity)) {
+        issues.push({ field, message: 'Activities must be objects' });
+        return;
+      }
+      if (activity.href !== undefined && !this.isLocalPath(activity.href)) {
+        issues.push({ field: `${field}.href`, message: 'The href must be an absolute path inside the webapp' });
+      }
+      ['returnValue', 'return_value'].forEach((key) => {
+        if (activity[key] !== undefined && typeof activity[key] !== 'boolean') {
+          issues.push({ field: `${field}.${key}`, message: 'The return value flag must be a boolean' });
+        }
+      });
+      if (activity.filters === undefined) {
+        return;
+      }
+      if (!this.isObject(activity.filters)) {
+        issues.push({ field: `${field}.filters`, message: 'The filters must be an object' });
+        return;
+      }
+      Object.entries(activity.filters).forEach(([key, filter]: [string, any]) => {
+        if (this.isObject(filter)) {
+          this.validateFilter(filter, `${field}.filters.${key}`, issues);
+        } else if (!this.isFilterValue(filter)) {
+          issues.push({
+            field: `${field}.filters.${key}`,
+            message: 'Filters must be a non-empty string, an array of them or an object'
+          });
+        }
+      });
+    });
+  },
+
+  /**
+   * Checks a filter described as an object, e.g.
+   * `{ "required": true, "value": ["image/*"], "regexp": "^https?:" }`.
+   */
+  validateFilter: function (filter: any, field: string, issues: ManifestIssue[]) {
+    if (filter.required !== undefined && typeof filter.required !== 'boolean') {
+      issues.push({ field: `${field}.required`, message: 'The required flag must be a boolean' });
+    }
+    if (filter.value !== undefined && !this.isFilterValue(filter.value)) {
+      issues.push({ field: `${field}.value`, message: 'The value must be a non-empty string or an array of them' });
+    }
+    ['regexp', 'pattern'].forEach((key) => {
+      if (filter[key] === undefined) {
+        return;
+      }
+      if (!this.isPattern(filter[key])) {
+        issues.push({ field: `${field}.${key}`, message: 'The pattern must be a valid regular expression' });
+      }
+    });
+    ['min', 'max'].forEach((key) => {
+      if (filter[key] !== undefined && typeof filter[key] !== 'number') {
+        issues.push({ field: `${field}.${key}`, message: 'The bound must be a number' });
+      }
+    });
+  },
+
+  isPattern: function (value: any): boolean {
+    if (typeof value !== 'string') {
+      return false;
+    }
+    try {
+      new RegExp(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  isFilterValue: function (value: any): boolean {
+    const values = Array.isArray(value) ? value : [value];
+    return values.length > 0 && values.every((item) => this.isNonEmptyString(item));
+  },
+
+  isObject: function (value: any): boolean {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  },
+
+  isNonEmptyString: function (value: any): boolean {
+    return typeof value === 'string' && value.trim() !== '';
+  },
+
+  /**
+   * Whether a value is an absolute path which stays inside of the webapp,
+   * e.g. `/style/icons/files_64.png`.
+   */
+  isLocalPath: function (value: any): boolean {
+    if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//')) {
+      return false;
+    }
+    return value.split(/[\\/]/).indexOf('..') === -1;
+  },
+
+  isHttpUrl: function (value: any): boolean {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+export default ManifestValidator;
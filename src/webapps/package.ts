@@ -0,0 +1,335 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import Renderer from '../renderer';
+import ManifestValidator, { ManifestIssue } from './manifest_validator';
+
+export type PackageErrorCode =
+  | 'INVALID_ARCHIVE'
+  | 'MISSING_SIGNATURE'
+  | 'INVALID_SIGNATURE_FILE'
+  | 'UNTRUSTED_KEY'
+  | 'BAD_SIGNATURE'
+  | 'MISSING_FILE'
+  | 'UNLISTED_FILE'
+  | 'HASH_MISMATCH'
+  | 'UNSAFE_PATH'
+  | 'INVALID_MANIFEST'
+  | 'NOT_INSTALLED'
+  | 'NOT_NEWER'
+  | 'FETCH_FAILED'
+  | 'EXTRACTION_FAILED';
+
+/**
+ * Raised when a package is rejected. The message is meant to be shown to
+ * the user as is, while `details` lists the offending files or manifest
+ * fields.
+ */
+export class PackageError extends Error {
+  public code: PackageErrorCode;
+  public details: string[];
+
+  constructor(code: PackageErrorCode, message: string, details: string[] = []) {
+    super(`${code}: ${message}${details.length > 0 ? ` (${details.join('; ')})` : ''}`);
+
+    this.name = 'PackageError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export type PackageSignature = {
+  keyId: string;
+  files: Record<string, string>;
+  signature: string;
+};
+
+/**
+ * Webapp packages are zip archives holding the webapp's files along with a
+ * `META-INF/signature.json` file, which lists the SHA-256 hash of every other
+ * file and signs that list:
+ *
+ *     {
+ *       "keyId": "orchid-store",
+ *       "files": { "index.html": "<sha256 hex>", "manifest.webapp": "<sha256 hex>" },
+ *       "signature": "<base64>"
+ *     }
+ *
+ * The signature covers `WebappPackage.getSignedPayload`, and is checked
+ * against the public key `<keyId>.pem` of the trusted key store.
+ */
+const WebappPackage = {
+  SIGNATURE_FILE: 'META-INF/signature.json',
+  TRUSTED_KEYS_DIR: 'trusted_keys',
+
+  /**
+   * Verifies a package and returns its archive and parsed manifest.
+   *
+   * @throws {PackageError} If the package is malformed, isn't signed by a
+   *         trusted key, doesn't match its hash list or has an invalid manifest.
+   */
+  verify: function (zipFilePath: string): { zip: AdmZip; manifest: Record<string, any> } {
+    let zip: AdmZip;
+    try {
+      zip = new AdmZip(zipFilePath);
+    } catch (error) {
+      throw new PackageError('INVALID_ARCHIVE', 'The package is not a valid zip archive');
+    }
+
+    const entries = zip.getEntries().filter((entry) => !entry.isDirectory);
+    const unsafeEntries = entries.filter((entry) => !this.isSafeEntry(entry)).map((entry) => entry.entryName);
+    if (unsafeEntries.length > 0) {
+      throw new PackageError('UNSAFE_PATH', 'The package contains files outside of the webapp', unsafeEntries);
+    }
+
+    const signature = this.readSignature(zip);
+    this.verifySignature(signature);
+
+    const listedFiles = Object.keys(signature.files);
+    const packagedFiles = entries.map((entry) => entry.entryName).filter((name) => name !== this.SIGNATURE_FILE);
+
+    const missingFiles = listedFiles.filter((name) => packagedFiles.indexOf(name) === -1);
+    if (missingFiles.length > 0) {
+      throw new PackageError('MISSING_FILE', 'Signed files are missing from the package', missingFiles);
+    }
+    const unlistedFiles = packagedFiles.filter((name) => listedFiles.indexOf(name) === -1);
+    if (unlistedFiles.length > 0) {
+      throw new PackageError('UNLISTED_FILE', 'The package contains files that are not signed', unlistedFiles);
+    }
+
+    const mismatchedFiles = packagedFiles.filter((name) => {
+      const entry = zip.getEntry(name) as AdmZip.IZipEntry;
+      return this.hash(entry.getData()) !== signature.files[name].toLowerCase();
+    });
+    if (mismatchedFiles.length > 0) {
+      throw new PackageError('HASH_MISMATCH', 'Files were modified after the package was signed', mismatchedFiles);
+    }
+
+    const manifest = this.readManifest(zip);
+    return { zip, manifest };
+  },
+
+  readSignature: function (zip: AdmZip): PackageSignature {
+    const entry = zip.getEntry(this.SIGNATURE_FILE);
+    if (!entry) {
+      throw new PackageError('MISSING_SIGNATURE', `The package has no ${this.SIGNATURE_FILE}`);
+    }
+
+    let signature: any;
+    try {
+      signature = JSON.parse(entry.getData().toString('utf8'));
+    } catch (error) {
+      throw new PackageError('INVALID_SIGNATURE_FILE', `${this.SIGNATURE_FILE} is not valid JSON`);
+    }
+
+    const files = signature && signature.files;
+    if (
+      typeof signature.keyId !== 'string' ||
+      typeof signature.signature !== 'string' ||
+      !ManifestValidator.isObject(files) ||
+      Object.values(files).some((hash) => typeof hash !== 'string')
+    ) {
+      throw new PackageError(
+        'INVALID_SIGNATURE_FILE',
+        `${this.SIGNATURE_FILE} is missing its key ID, files or signature`
+      );
+    }
+    return signature;
+  },
+
+  verifySignature: function (signature: PackageSignature) {
+    const publicKey = this.getTrustedKey(signature.keyId);
+    if (!publicKey) {
+      throw new PackageError('UNTRUSTED_KEY', `The package is signed by an unknown key`, [signature.keyId]);
+    }
+
+    let isValid = false;
+    try {
+      isValid = crypto.verify(
+        this.getDigest(publicKey),
+        Buffer.from(this.getSignedPayload(signature)),
+        publicKey,
+        Buffer.from(signature.signature, 'base64')
+      );
+    } catch (error) {
+      isValid = false;
+    }
+
+    if (!isValid) {
+      throw new PackageError('BAD_SIGNATURE', 'The package signature does not match its contents', [signature.keyId]);
+    }
+  },
+
+  readManifest: function (zip: AdmZip): Record<string, any> {
+    const entry = zip.getEntry('manifest.webapp');
+    if (!entry) {
+      throw new PackageError('INVALID_MANIFEST', 'The package has no manifest.webapp');
+    }
+
+    let manifest: any;
+    try {
+      manifest = JSON.parse(entry.getData().toString('utf8'));
+    } catch (error) {
+      throw new PackageError('INVALID_MANIFEST', 'manifest.webapp is not valid JSON');
+    }
+
+    const issues = ManifestValidator.validate(manifest, { packaged: true });
+    if (issues.length > 0) {
+      throw new PackageError(
+        'INVALID_MANIFEST',
+        'manifest.webapp is invalid',
+        issues.map((issue: ManifestIssue) => (issue.field ? `${issue.field}: ${issue.message}` : issue.message))
+      );
+    }
+    return manifest;
+  },
+
+  /**
+   * Reads the manifest of an installed webapp the way the webapp runtime
+   * serves it: from its packaged `webapp.zip` in production, else from its
+   * directory.
+   *
+   * @returns The manifest, or `null` if it is missing or not valid JSON.
+   */
+  readInstalledManifest: function (appDir: string): Record<string, any> | null {
+    try {
+      const zipFilePath = path.join(appDir, 'webapp.zip');
+      if (process.env.NODE_ENV === 'production' && fs.existsSync(zipFilePath)) {
+        const zipEntry = new AdmZip(zipFilePath).getEntry('manifest.webapp');
+        return zipEntry ? JSON.parse(zipEntry.getData().toString('utf8')) : null;
+      }
+      return JSON.parse(fs.readFileSync(path.join(appDir, 'manifest.webapp'), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Extracts a verified package into a staging directory next to `appDir`
+   * and only moves it into place once every file was written, so a failed
+   * install never leaves a half-extracted webapp behind.
+   *
+   * @throws {PackageError} `UNSAFE_PATH` or `EXTRACTION_FAILED`.
+   */
+  extract: function (zip: AdmZip, appDir: string) {
+    const stagingDir = `${appDir}.partial`;
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+
+    try {
+      fs.mkdirSync(stagingDir, { recursive: true });
+
+      zip.getEntries().forEach((entry) => {
+        if (entry.isDirectory || entry.entryName === this.SIGNATURE_FILE) {
+          return;
+        }
+
+        const targetPath = path.resolve(stagingDir, entry.entryName);
+        if (!this.isSafeEntry(entry) || !targetPath.startsWith(path.resolve(stagingDir) + path.sep)) {
+          throw new PackageError('UNSAFE_PATH', 'The package contains files outside of the webapp', [entry.entryName]);
+        }
+
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        fs.writeFileSync(targetPath, entry.getData(), { flag: 'wx' });
+      });
+
+      fs.renameSync(stagingDir, appDir);
+    } catch (error: any) {
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+      if (error instanceof PackageError) {
+        throw error;
+      }
+      throw new PackageError('EXTRACTION_FAILED', error.message);
+    }
+  },
+
+  /**
+   * Whether a zip entry can be extracted without escaping the target
+   * directory. Absolute paths, `..` segments and symlinks are refused.
+   */
+  isSafeEntry: function (entry: AdmZip.IZipEntry): boolean {
+    const name = entry.entryName;
+    if (!name || name.includes('\0') || name.startsWith('/') || name.includes('\\') || /^[a-zA-Z]:/.test(name)) {
+      return false;
+    }
+    if (name.split('/').some((segment) => segment === '..')) {
+      return false;
+    }
+
+    // The upper 16 bits of the external attributes hold the Unix file mode
+    const mode = (entry.header.attr >>> 16) & 0o170000;
+    return mode !== 0o120000;
+  },
+
+  /**
+   * Returns the public key trusted under a key ID, read from the
+   * `trusted_keys` directory of the profile.
+   */
+  getTrustedKey: function (keyId: string): crypto.KeyObject | null {
+    if (!Renderer.profilePath || !/^[\w.-]+$/.test(keyId)) {
+      return null;
+    }
+
+    try {
+      const keyPath = path.join(path.resolve(Renderer.profilePath), this.TRUSTED_KEYS_DIR, `${keyId}.pem`);
+      return crypto.createPublicKey(fs.readFileSync(keyPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Ed25519 and Ed448 keys sign the payload as is, while RSA and EC keys
+   * sign its SHA-256 digest.
+   */
+  getDigest: function (key: crypto.KeyObject): string | null {
+    return key.asymmetricKeyType === 'ed25519' || key.asymmetricKeyType === 'ed448' ? null : 'sha256';
+  },
+
+  /**
+   * The bytes covered by the signature: the key ID and the hash list with
+   * its files sorted by name, serialized as JSON.
+   */
+  getSignedPayload: function (signature: { keyId: string; files: Record<string, string> }): string {
+    const files: Record<string, string> = {};
+    Object.keys(signature.files)
+      .sort()
+      .forEach((name) => {
+        files[name] = signature.files[name].toLowerCase();
+      });
+    return JSON.stringify({ keyId: signature.keyId, files });
+  },
+
+  hash: function (data: Buffer): string {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  },
+
+  /**
+   * Creates the `META-INF/signature.json` contents for a webapp directory,
+   * for use by publishing tools.
+   */
+  sign: function (appDir: string, keyId: string, privateKey: crypto.KeyObject | string): PackageSignature {
+    const files: Record<string, string> = {};
+    const addFiles = (dir: string) => {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          addFiles(entryPath);
+        } else if (entry.isFile()) {
+          const name = path.relative(appDir, entryPath).split(path.sep).join('/');
+          if (name !== this.SIGNATURE_FILE) {
+            files[name] = this.hash(fs.readFileSync(entryPath));
+          }
+        }
+      });
+    };
+    addFiles(appDir);
+
+    const key = typeof privateKey === 'string' ? crypto.createPrivateKey(privateKey) : privateKey;
+    const payload = this.getSignedPayload({ keyId, files });
+    const signature = crypto.sign(this.getDigest(key), Buffer.from(payload), key).toString('base64');
+    return { keyId, files: JSON.parse(payload).files, signature };
+  }
+};
+
+export default WebappPackage;
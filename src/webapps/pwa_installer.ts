@@ -0,0 +1,482 @@
+import fs from 'fs';
+import path from 'path';
+import mime from 'mime';
+import ManifestValidator, { ManifestIssue } from './manifest_validator';
+import { PackageError } from './package';
+
+export type PWAIcon = {
+  src: string;
+  sizes: number[];
+  type?: string;
+};
+
+export type PWAShortcut = {
+  name: string;
+  url: string;
+  icons: PWAIcon[];
+};
+
+/**
+ * A W3C web app manifest with every URL resolved and every member either
+ * validated or replaced by its default.
+ */
+export type PWAManifest = {
+  manifestUrl: string;
+  name: string;
+  shortName?: string;
+  description?: string;
+  startUrl: string;
+  scope: string;
+  display: string;
+  themeColor?: string;
+  backgroundColor?: string;
+  icons: PWAIcon[];
+  shortcuts: PWAShortcut[];
+};
+
+/**
+ * Turns a W3C web app manifest into a locally installed webapp. The icons
+ * and an offline copy of the start page are stored in the webapp directory,
+ * next to a generated `manifest.webapp` which points back at the site:
+ *
+ *     {
+ *       "name": "Example",
+ *       "start_url": "https://example.com/app/",
+ *       "scope": "https://example.com/app/",
+ *       "display": "standalone",
+ *       "theme_color": "#336699",
+ *       "icons": { "64": "/icons/0.png", "128": "/icons/1.png" },
+ *       "chrome": { "navigation": false },
+ *       "offline_path": "/offline/index.html",
+ *       "pwa": { "manifest_url": "https://example.com/app/manifest.json", "display": "standalone" }
+ *     }
+ */
+const PWAInstaller = {
+  DISPLAY_MODES: ['fullscreen', 'standalone', 'minimal-ui', 'browser'],
+  ICON_SIZES: [16, 32, 48, 64, 128, 256, 512],
+  SHORTCUT_ICON_SIZE: 64,
+  MAX_SHORTCUTS: 10,
+  FETCH_TIMEOUT: 15000,
+  MAX_MANIFEST_SIZE: 1024 * 1024,
+  MAX_ICON_SIZE: 4 * 1024 * 1024,
+  MAX_PAGE_SIZE: 4 * 1024 * 1024,
+  OFFLINE_PATH: '/offline/index.html',
+  OFFLINE_POLICY: "script-src 'none'; object-src 'none'; frame-src 'none'; worker-src 'none'; form-action 'none'",
+
+  /**
+   * Fetches a web app manifest and writes the webapp into `appDir`. The
+   * directory is only created once the manifest was accepted, and is
+   * removed again if anything fails after that.
+   *
+   * @returns The generated `manifest.webapp`.
+   * @throws {PackageError} `FETCH_FAILED`, `INVALID_MANIFEST` or
+   *         `EXTRACTION_FAILED`.
+   */
+  install: async function (manifestUrl: string, appDir: string): Promise<Record<string, any>> {
+    let baseUrl: URL;
+    try {
+      baseUrl = new URL(manifestUrl);
+    } catch (error) {
+      throw new PackageError('FETCH_FAILED', 'The manifest URL is not valid', [manifestUrl]);
+    }
+    if (baseUrl.protocol !== 'http:' && baseUrl.protocol !== 'https:') {
+      throw new PackageError('FETCH_FAILED', 'Web app manifests must be served over http(s)', [manifestUrl]);
+    }
+
+    const rawManifest = await this.fetchManifest(baseUrl.href);
+    const pwaManifest = this.parse(rawManifest, baseUrl.href);
+
+    try {
+      fs.mkdirSync(appDir, { recursive: true });
+
+      const manifest: Record<string, any> = {
+        name: pwaManifest.name,
+        short_name: pwaManifest.shortName,
+        description: pwaManifest.description,
+        start_url: pwaManifest.startUrl,
+        scope: pwaManifest.scope,
+        display: pwaManifest.display === 'fullscreen' ? 'fullscreen' : 'standalone',
+        theme_color: pwaManifest.themeColor,
+        background_color: pwaManifest.backgroundColor,
+        icons: await this.downloadIcons(pwaManifest.icons, this.ICON_SIZES, appDir, 'icons'),
+        shortcuts: [],
+        developer: {
+          name: new URL(pwaManifest.startUrl).host,
+          url: new URL(pwaManifest.startUrl).origin
+        },
+        role: 'webapp',
+        // Sites asking for browser UI get the toolbar, the others only show
+        // it while navigating out of their scope
+        chrome: {
+          navigation: pwaManifest.display === 'browser' || pwaManifest.display === 'minimal-ui'
+        },
+        pwa: {
+          manifest_url: pwaManifest.manifestUrl,
+          display: pwaManifest.display
+        }
+      };
+
+      for (let index = 0, length = pwaManifest.shortcuts.length; index < length; index++) {
+        const shortcut = pwaManifest.shortcuts[index];
+        manifest.shortcuts.push({
+          name: shortcut.name,
+          url: shortcut.url,
+          icons: await this.downloadIcons(shortcut.icons, [this.SHORTCUT_ICON_SIZE], appDir, `icons/shortcut${index}`)
+        });
+      }
+
+      if (await this.cacheStartPage(pwaManifest.startUrl, appDir)) {
+        manifest.offline_path = this.OFFLINE_PATH;
+      }
+
+      const issues = ManifestValidator.validate(manifest, { packaged: true });
+      if (issues.length > 0) {
+        throw new PackageError(
+          'INVALID_MANIFEST',
+          'The web app manifest can not be installed',
+          issues.map((issue: ManifestIssue) => (issue.field ? `${issue.field}: ${issue.message}` : issue.message))
+        );
+      }
+
+      fs.writeFileSync(path.join(appDir, 'manifest.webapp'), JSON.stringify(manifest, null, 2), 'utf8');
+      return manifest;
+    } catch (error: any) {
+      fs.rmSync(appDir, { recursive: true, force: true });
+      if (error instanceof PackageError) {
+        throw error;
+      }
+      throw new PackageError('EXTRACTION_FAILED', error.message);
+    }
+  },
+
+  fetchManifest: async function (manifestUrl: string): Promise<any> {
+    let download: { response: Response; body: Buffer };
+    try {
+      download = await this.fetch(manifestUrl, this.MAX_MANIFEST_SIZE);
+    } catch (error: any) {
+      throw new PackageError('FETCH_FAILED', 'The web app manifest could not be downloaded', [error.message]);
+    }
+    if (!download.response.ok) {
+      throw new PackageError('FETCH_FAILED', 'The web app manifest could not be downloaded', [
+        `HTTP ${download.response.status}`
+      ]);
+    }
+
+    try {
+      return JSON.parse(download.body.toString('utf8'));
+    } catch (error) {
+      throw new PackageError('INVALID_MANIFEST', 'The web app manifest is not valid JSON');
+    }
+  },
+
+  /**
+   * Processes a web app manifest the way browsers do: URLs are resolved
+   * against the manifest URL, a `start_url` on another origin is dropped and
+   * the `scope` falls back to the directory of the start URL when it is
+   * missing or doesn't contain the start URL.
+   *
+   * @throws {PackageError} `INVALID_MANIFEST` if the manifest has no name.
+   */
+  parse: function (rawManifest: any, manifestUrl: string): PWAManifest {
+    if (!ManifestValidator.isObject(rawManifest)) {
+      throw new PackageError('INVALID_MANIFEST', 'The web app manifest must be a JSON object');
+    }
+
+    const name = this.getString(rawManifest.name) || this.getString(rawManifest.short_name);
+    if (!name) {
+      throw new PackageError('INVALID_MANIFEST', 'The web app manifest has no name');
+    }
+
+    let startUrl = this.resolveUrl(rawManifest.start_url, manifestUrl);
+    if (!startUrl || startUrl.origin !== new URL(manifestUrl).origin) {
+      startUrl = new URL('/', manifestUrl);
+    }
+    startUrl.hash = '';
+
+    let scope = this.resolveUrl(rawManifest.scope, manifestUrl);
+    if (!scope || !this.isWithinScope(startUrl.href, scope.href)) {
+      scope = new URL('.', startUrl);
+    }
+    scope.search = '';
+    scope.hash = '';
+
+    const shortcuts: PWAShortcut[] = [];
+    if (Array.isArray(rawManifest.shortcuts)) {
+      rawManifest.shortcuts.forEach((rawShortcut: any) => {
+        const shortcutUrl = ManifestValidator.isObject(rawShortcut) && this.resolveUrl(rawShortcut.url, manifestUrl);
+        const shortcutName =
+          shortcutUrl && (this.getString(rawShortcut.name) || this.getString(rawShortcut.short_name));
+        if (!shortcutUrl || !shortcutName || !this.isWithinScope(shortcutUrl.href, scope.href)) {
+          return;
+        }
+        if (shortcuts.length < this.MAX_SHORTCUTS) {
+          shortcuts.push({
+            name: shortcutName,
+            url: shortcutUrl.href,
+            icons: this.parseIcons(rawShortcut.icons, manifestUrl)
+          });
+        }
+      });
+    }
+
+    return {
+      manifestUrl,
+      name,
+      shortName: this.getString(rawManifest.short_name),
+      description: this.getString(rawManifest.description),
+      startUrl: startUrl.href,
+      scope: scope.href,
+      display: this.DISPLAY_MODES.indexOf(rawManifest.display) !== -1 ? rawManifest.display : 'browser',
+      themeColor: this.getColor(rawManifest.theme_color),
+      backgroundColor: this.getColor(rawManifest.background_color),
+      icons: this.parseIcons(rawManifest.icons, manifestUrl),
+      shortcuts
+    };
+  },
+
+  /**
+   * Parses a list of image resources. Icons only meant for masking or
+   * monochrome rendering are left out, and so are icons whose URL can't be
+   * resolved. The `{ "64": "/icon.png" }` form of `manifest.webapp` is
+   * accepted as well.
+   */
+  parseIcons: function (rawIcons: any, manifestUrl: string): PWAIcon[] {
+    let entries: any[] = [];
+    if (Array.isArray(rawIcons)) {
+      entries = rawIcons;
+    } else if (ManifestValidator.isObject(rawIcons)) {
+      entries = Object.entries(rawIcons).map(([size, src]) => ({ src, sizes: `${size}x${size}` }));
+    }
+
+    const icons: PWAIcon[] = [];
+    entries.forEach((entry) => {
+      if (!ManifestValidator.isObject(entry)) {
+        return;
+      }
+      const purposes = (this.getString(entry.purpose) || 'any').toLowerCase().split(/\s+/);
+      const src = this.resolveUrl(entry.src, manifestUrl);
+      if (!src || (src.protocol !== 'http:' && src.protocol !== 'https:') || purposes.indexOf('any') === -1) {
+        return;
+      }
+
+      const sizes: number[] = [];
+      (this.getString(entry.sizes) || '').split(/\s+/).forEach((size: string) => {
+        if (size.toLowerCase() === 'any') {
+          sizes.push(Infinity);
+          return;
+        }
+        const match = /^(\d+)[xX](\d+)$/.exec(size);
+        if (match) {
+          sizes.push(Math.max(parseInt(match[1], 10), parseInt(match[2], 10)));
+        }
+      });
+      // Scalable icons usually don't bother declaring their size
+      if (sizes.length === 0 && (entry.type === 'image/svg+xml' || src.pathname.endsWith('.svg'))) {
+        sizes.push(Infinity);
+      }
+
+      icons.push({ src: src.href, sizes, type: this.getString(entry.type) });
+    });
+    return icons;
+  },
+
+  /**
+   * Picks the icon to show at a given size: the smallest one that is at
+   * least as big, so it only gets scaled down, or else the biggest one.
+   * Icons without a declared size are only used as a last resort.
+   */
+  selectIcon: function (icons: PWAIcon[], size: number): PWAIcon | null {
+    let best: PWAIcon | null = null;
+    let bestSize = -1;
+
+    icons.forEach((icon) => {
+      (icon.sizes.length > 0 ? icon.sizes : [0]).forEach((iconSize) => {
+        const isBetter =
+          bestSize === -1 ||
+          (iconSize >= size && (bestSize < size || iconSize < bestSize)) ||
+          (iconSize < size && bestSize < size && iconSize > bestSize);
+        if (isBetter) {
+          best = icon;
+          bestSize = iconSize;
+        }
+      });
+    });
+    return best;
+  },
+
+  /**
+   * Downloads the best icon for each size into the webapp directory. Icons
+   * that fail to download are skipped so a single broken icon doesn't
+   * prevent the install.
+   *
+   * @returns The icons in the `{ size: path }` form of `manifest.webapp`.
+   */
+  downloadIcons: async function (
+    icons: PWAIcon[],
+    sizes: number[],
+    appDir: string,
+    prefix: string
+  ): Promise<Record<string, string>> {
+    const result: Record<string, string> = {};
+    const downloaded = new Map<string, string | null>();
+
+    for (let index = 0, length = sizes.length; index < length; index++) {
+      const icon = this.selectIcon(icons, sizes[index]);
+      if (!icon) {
+        continue;
+      }
+
+      if (!downloaded.has(icon.src)) {
+        downloaded.set(icon.src, await this.downloadFile(icon.src, appDir, `${prefix}/${downloaded.size}`, icon.type));
+      }
+      const iconPath = downloaded.get(icon.src);
+      if (iconPath) {
+        result[sizes[index]] = iconPath;
+      }
+    }
+    return result;
+  },
+
+  /**
+   * Downloads a file into the webapp directory, naming it after `name` with
+   * an extension matching its content type.
+   *
+   * @returns The path of the file inside the webapp, or `null` on failure.
+   */
+  downloadFile: async function (url: string, appDir: string, name: string, type?: string): Promise<string | null> {
+    try {
+      const { response, body } = await this.fetch(url, this.MAX_ICON_SIZE);
+      if (!response.ok) {
+        return null;
+      }
+
+      const contentType = (response.headers.get('content-type') || type || '').split(';')[0].trim();
+      const extension = mime.getExtension(contentType) || path.extname(new URL(url).pathname).slice(1) || 'png';
+      const filePath = `/${name}.${extension}`;
+
+      const targetPath = path.join(appDir, filePath);
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      fs.writeFileSync(targetPath, body);
+      return filePath;
+    } catch (error) {
+      console.error(`Error downloading ${url}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Keeps a copy of the start page which is shown when the site can't be
+   * reached. A `<base>` element makes its relative URLs point at the site, so
+   * stylesheets and images cached by the browser still load.
+   *
+   * The copy is served from the origin of the webapp, so it must not run
+   * anything the site sent. A content security policy blocking scripts,
+   * plugins, frames and forms goes first, ahead of any element of the page,
+   * and the webapp runtime sends it as a header as well.
+   *
+   * @returns Whether the start page was cached.
+   */
+  cacheStartPage: async function (startUrl: string, appDir: string): Promise<boolean> {
+    try {
+      const { response, body } = await this.fetch(startUrl, this.MAX_PAGE_SIZE);
+      if (!response.ok || !(response.headers.get('content-type') || '').includes('text/html')) {
+        return false;
+      }
+
+      const html = body.toString('utf8');
+      const head =
+        `<meta http-equiv="Content-Security-Policy" content="${this.OFFLINE_POLICY}">` +
+        `<base href="${startUrl.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">`;
+      // Elements before `<html>` and `<head>` still end up in the head
+      const cachedHtml = html.replace(/^(\uFEFF?\s*<!doctype[^>]*>)?/i, (doctype) => doctype + head);
+
+      const targetPath = path.join(appDir, this.OFFLINE_PATH);
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      fs.writeFileSync(targetPath, cachedHtml, 'utf8');
+      return true;
+    } catch (error) {
+      console.error(`Error caching ${startUrl}:`, error);
+      return false;
+    }
+  },
+
+  /**
+   * Whether a URL is within the navigation scope of a web app, meaning it is
+   * on the same origin and its path starts with the path of the scope.
+   */
+  isWithinScope: function (url: string, scope: string): boolean {
+    try {
+      const target = new URL(url);
+      const scopeUrl = new URL(scope);
+      return target.origin === scopeUrl.origin && target.pathname.startsWith(scopeUrl.pathname);
+    } catch (error) {
+      return false;
+    }
+  },
+
+  resolveUrl: function (value: any, baseUrl: string): URL | null {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return null;
+    }
+    try {
+      return new URL(value.trim(), baseUrl);
+    } catch (error) {
+      return null;
+    }
+  },
+
+  getString: function (value: any): string | undefined {
+    return ManifestValidator.isNonEmptyString(value) ? value.trim() : undefined;
+  },
+
+  /**
+   * Returns a CSS color from the manifest, refusing anything that could
+   * break out of the style properties it is assigned to.
+   */
+  getColor: function (value: any): string | undefined {
+    const color = this.getString(value);
+    return color && /^[#\w(),.%\s-]+$/.test(color) ? color : undefined;
+  },
+
+  /**
+   * Downloads a URL with its body. Slow sites don't hold the install up for
+   * more than `FETCH_TIMEOUT` milliseconds, body included, and big files are
+   * given up on once they announce or send more than `maxBytes`.
+   */
+  fetch: async function (url: string, maxBytes: number): Promise<{ response: Response; body: Buffer }> {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.FETCH_TIMEOUT);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (parseInt(response.headers.get('content-length') || '', 10) > maxBytes) {
+        throw new Error(`${url} is larger than ${maxBytes} bytes`);
+      }
+
+      const chunks: Buffer[] = [];
+      let size = 0;
+      if (response.body) {
+        const reader = response.body.getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) {
+            break;
+          }
+          size += value.byteLength;
+          if (size > maxBytes) {
+            throw new Error(`${url} is larger than ${maxBytes} bytes`);
+          }
+          chunks.push(Buffer.from(value));
+        }
+      }
+      return { response, body: Buffer.concat(chunks, size) };
+    } catch (error) {
+      // Stops receiving what is left of the body
+      controller.abort();
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+};
+
+export default PWAInstaller;
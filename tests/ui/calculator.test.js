@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * Smoke test of the UI test runner: boots OrchidUI, opens a webapp which
+ * needs no network and compares it with its screenshot baseline, recorded
+ * in `screenshots/<edition>` on the first run.
+ */
+module.exports = function ({ test }) {
+  test('launches the calculator', async (device) => {
+    const calculator = await device.launch('calculator');
+    await calculator.waitFor('#display');
+    await calculator.matchScreenshot('launched');
+  });
+};
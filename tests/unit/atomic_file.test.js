@@ -0,0 +1,48 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { default: AtomicFile } = require('../../build_ts/src/storage/atomic_file');
+
+describe('AtomicFile', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'orchid-atomic-'));
+  });
+
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('replaces the file and leaves no temporary file behind', async () => {
+    const filePath = path.join(directory, 'settings.json');
+    fs.writeFileSync(filePath, '{}');
+
+    await AtomicFile.write(filePath, '{"a":1}');
+    AtomicFile.writeSync(path.join(directory, 'session.json'), Buffer.from('[]'));
+
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '{"a":1}');
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['session.json', 'settings.json']);
+  });
+
+  it('leaves the file alone when told so before the rename', async () => {
+    const filePath = path.join(directory, 'session.json');
+    await AtomicFile.write(filePath, '[1]', { beforeRename: () => false });
+
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '[]');
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['session.json', 'settings.json']);
+  });
+
+  it('throws and cleans up when the file can not be replaced', async () => {
+    const filePath = path.join(directory, 'folder');
+    fs.mkdirSync(filePath);
+
+    await assert.rejects(AtomicFile.write(filePath, 'data'));
+    assert.throws(() => AtomicFile.writeSync(filePath, 'data'));
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['folder', 'session.json', 'settings.json']);
+  });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { default: BookmarkFormats } = require('../../build_ts/src/bookmarks/formats');
+
+describe('BookmarkFormats.parseHtml', () => {
+  it('reads folders and bookmarks whatever the case of their tags', () => {
+    const html = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<DL><p>',
+      '  <DT><H3 ADD_DATE="1700000000">News &amp; weather</H3>',
+      '  <dl><p>',
+      '    <dt><a href="https://example.com/" tags="a,b">Example</a>',
+      '  </dl><p>',
+      '  <DT><A HREF="https://example.org/">Example <b>org</b></A>',
+      '</DL><p>'
+    ].join('\n');
+
+    assert.deepStrictEqual(BookmarkFormats.parseHtml(html), [
+      {
+        name: 'News & weather',
+        timeCreated: 1700000000000,
+        children: [{ name: 'Example', url: 'https://example.com/', tags: ['a', 'b'], favicon: null }]
+      },
+      { name: 'Example org', url: 'https://example.org/', tags: [], favicon: null }
+    ]);
+  });
+
+  it('ends the text of unclosed tags at the next tag', () => {
+    const html = '<DL><p><DT><A HREF="https://a.example/">A<DT><A HREF="https://b.example/">B</A></DL>';
+    const items = BookmarkFormats.parseHtml(html);
+    assert.deepStrictEqual(
+      items.map((item) => [item.name, item.url]),
+      [
+        ['A', 'https://a.example/'],
+        ['B', 'https://b.example/']
+      ]
+    );
+  });
+
+  it('reads its own exports back', () => {
+    const items = [];
+    for (let index = 0; index < 20000; index++) {
+      items.push({ name: `Bookmark ${index}`, url: `https://example.com/${index}`, tags: [], favicon: null });
+    }
+    const parsed = BookmarkFormats.parseHtml(BookmarkFormats.toHtml([{ name: 'Folder', children: items }]));
+    assert.strictEqual(parsed.length, 1);
+    assert.deepStrictEqual(parsed[0].children, items);
+  });
+});
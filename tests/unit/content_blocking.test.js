@@ -0,0 +1,143 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { default: FilterParser } = require('../../build_ts/src/content_blocking/filters');
+const { default: FilterEngine } = require('../../build_ts/src/content_blocking/engine');
+
+function match(url, type = 'script', pageUrl = 'https://news.example/') {
+  const filter = FilterEngine.match({ url, type, pageUrl });
+  return filter && filter.text;
+}
+
+describe('FilterParser', () => {
+  it('skips comments and headers, and counts unsupported filters', () => {
+    const parsed = FilterParser.parse(
+      [
+        '[Adblock Plus 2.0]',
+        '! Title: Example',
+        '',
+        '||ads.example^',
+        'example.org##div:has-text(Ad)',
+        'example.org#$#abort-on-property-read foo',
+        '||tracker.example^$redirect=noop.js'
+      ].join('\n')
+    );
+    assert.deepStrictEqual(
+      parsed.network.map((filter) => filter.text),
+      ['||ads.example^']
+    );
+    assert.deepStrictEqual(parsed.cosmetic, []);
+    assert.strictEqual(parsed.unsupported, 3);
+  });
+
+  it('indexes domain anchors by host', () => {
+    const filter = FilterParser.parseNetwork('||Ads.Example^');
+    assert.strictEqual(filter.host, 'ads.example');
+    assert.strictEqual(filter.regexp, null);
+  });
+
+  it('reads the options of network filters', () => {
+    const filter = FilterParser.parseNetwork(
+      '/banner/*$script,~image,third-party,domain=a.example|~b.a.example,important'
+    );
+    assert.strictEqual(filter.pattern, '/banner/*');
+    assert.deepStrictEqual(Array.from(filter.types), ['script']);
+    assert.deepStrictEqual(Array.from(filter.excludedTypes), ['image']);
+    assert.strictEqual(filter.thirdParty, true);
+    assert.deepStrictEqual(filter.domains, ['a.example']);
+    assert.deepStrictEqual(filter.excludedDomains, ['b.a.example']);
+    assert.strictEqual(filter.isImportant, true);
+
+    assert.strictEqual(FilterParser.parseNetwork('@@||example.com^$elemhide').isElemHide, true);
+    assert.strictEqual(FilterParser.parseNetwork('||example.com^$elemhide'), null);
+    assert.strictEqual(FilterParser.parseNetwork('/ads/$unknown-option'), null);
+    assert.strictEqual(FilterParser.parseNetwork('*'), null);
+  });
+
+  it('keeps regular expressions containing a dollar sign whole', () => {
+    const filter = FilterParser.parseNetwork('/ads\\.js$/');
+    assert.strictEqual(filter.pattern, '/ads\\.js$/');
+    assert.ok(filter.regexp.test('https://example.com/ads.js'));
+    assert.ok(!filter.regexp.test('https://example.com/ads.json'));
+  });
+
+  it('compiles anchors, separators and wildcards', () => {
+    const regexp = FilterParser.compile('||example.com/ads/*.gif^', false);
+    assert.ok(regexp.test('https://cdn.example.com/ads/banner.gif?size=1'));
+    assert.ok(!regexp.test('https://notexample.com/ads/banner.gif'));
+    assert.ok(!regexp.test('https://example.com/ads/banner.gifv'));
+
+    assert.ok(FilterParser.compile('|https://', false).test('https://example.com/'));
+    assert.ok(!FilterParser.compile('|https://', false).test('http://example.com/?https://'));
+    assert.ok(FilterParser.compile('.js|', false).test('https://example.com/a.js'));
+    assert.ok(!FilterParser.compile('.js|', false).test('https://example.com/a.js?b'));
+  });
+
+  it('parses cosmetic filters and their exceptions', () => {
+    const parsed = FilterParser.parse(
+      ['##.ad', 'example.com,~shop.example.com##.banner', 'example.com#@#.ad'].join('\n')
+    );
+    assert.deepStrictEqual(parsed.cosmetic, [
+      { selector: '.ad', isException: false, domains: [], excludedDomains: [] },
+      { selector: '.banner', isException: false, domains: ['example.com'], excludedDomains: ['shop.example.com'] },
+      { selector: '.ad', isException: true, domains: ['example.com'], excludedDomains: [] }
+    ]);
+    assert.strictEqual(FilterParser.parse('##div { color: red }').unsupported, 1);
+  });
+});
+
+describe('FilterEngine', () => {
+  it('matches domain anchors on the host and its subdomains only', () => {
+    FilterEngine.load(['||ads.example^']);
+    assert.strictEqual(match('https://ads.example/a.js'), '||ads.example^');
+    assert.strictEqual(match('https://cdn.ads.example/a.js'), '||ads.example^');
+    assert.strictEqual(match('https://badads.example/a.js'), null);
+    assert.strictEqual(match('https://example.com/?ref=ads.example'), null);
+  });
+
+  it('leaves documents alone unless a filter names them', () => {
+    FilterEngine.load(['||ads.example^', '||popup.example^$document']);
+    assert.strictEqual(match('https://ads.example/', 'document'), null);
+    assert.strictEqual(match('https://popup.example/', 'document'), '||popup.example^$document');
+  });
+
+  it('tells first and third parties apart by their base domain', () => {
+    FilterEngine.load(['/track.js$third-party']);
+    assert.strictEqual(match('https://cdn.news.example/track.js'), null);
+    assert.strictEqual(match('https://tracker.example/track.js'), '/track.js$third-party');
+
+    const pageUrl = 'https://www.shop.co.uk/';
+    assert.strictEqual(match('https://static.shop.co.uk/track.js', 'script', pageUrl), null);
+    assert.strictEqual(match('https://other.co.uk/track.js', 'script', pageUrl), '/track.js$third-party');
+  });
+
+  it('restricts filters to the pages of their domains', () => {
+    FilterEngine.load(['/banner.$image,domain=news.example|~sport.news.example']);
+    assert.ok(match('https://cdn.example/banner.png', 'image', 'https://www.news.example/'));
+    assert.strictEqual(match('https://cdn.example/banner.png', 'image', 'https://sport.news.example/'), null);
+    assert.strictEqual(match('https://cdn.example/banner.png', 'image', 'https://other.example/'), null);
+    assert.strictEqual(match('https://cdn.example/banner.png', 'script', 'https://news.example/'), null);
+  });
+
+  it('lets exceptions through', () => {
+    FilterEngine.load(['||ads.example^', '@@||ads.example/allowed/']);
+    assert.strictEqual(match('https://ads.example/allowed/a.js'), null);
+    assert.strictEqual(match('https://ads.example/other/a.js'), '||ads.example^');
+  });
+
+  it('blocks with $important filters whatever the exceptions and filter order', () => {
+    FilterEngine.load(['||ads.example^', '/a.js$important', '@@||ads.example/']);
+    assert.strictEqual(match('https://ads.example/a.js'), '/a.js$important');
+    assert.strictEqual(match('https://ads.example/b.js'), null);
+  });
+
+  it('turns off element hiding on excepted pages', () => {
+    FilterEngine.load([
+      ['##.ad', 'news.example##.banner', 'sport.news.example#@#.banner', '@@||quiet.example^$elemhide'].join('\n')
+    ]);
+    assert.deepStrictEqual(FilterEngine.getSelectors('https://news.example/'), ['.banner', '.ad']);
+    assert.deepStrictEqual(FilterEngine.getSelectors('https://sport.news.example/'), ['.ad']);
+    assert.deepStrictEqual(FilterEngine.getSelectors('https://quiet.example/'), []);
+  });
+});
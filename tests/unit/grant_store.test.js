@@ -0,0 +1,75 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store only writes by itself in the main process
+process.type = 'browser';
+
+const { default: Renderer } = require('../../build_ts/src/renderer');
+const { default: SettingsStore } = require('../../build_ts/src/settings/store');
+const { SettingsGrantStore } = require('../../build_ts/src/permissions');
+
+const ORIGIN = 'http://gallery.localhost:8081';
+
+describe('SettingsGrantStore', () => {
+  let profilePath;
+
+  before(() => {
+    profilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'orchid-profile-'));
+    Renderer.profilePath = profilePath;
+  });
+
+  after(() => {
+    fs.rmSync(profilePath, { recursive: true, force: true });
+  });
+
+  function readFile() {
+    return JSON.parse(fs.readFileSync(path.join(profilePath, 'permissions.json'), 'utf8'));
+  }
+
+  it('keeps decisions in permissions.json through SettingsStore', async () => {
+    SettingsGrantStore.set(ORIGIN, 'device-storage:photos', true);
+    SettingsGrantStore.set(ORIGIN, 'camera', false);
+    assert.deepStrictEqual(SettingsGrantStore.get(ORIGIN), { 'device-storage:photos': true, camera: false });
+    assert.deepStrictEqual(SettingsStore.getValue(ORIGIN, 'permissions.json'), {
+      'device-storage:photos': true,
+      camera: false
+    });
+
+    await SettingsStore.save('permissions.json');
+    assert.deepStrictEqual(readFile(), { [ORIGIN]: { 'device-storage:photos': true, camera: false } });
+  });
+
+  it('hands out copies of the decisions', () => {
+    SettingsGrantStore.get(ORIGIN).camera = true;
+    assert.strictEqual(SettingsGrantStore.get(ORIGIN).camera, false);
+  });
+
+  it('notifies subscribers of every change', () => {
+    const changes = [];
+    const unsubscribe = SettingsStore.subscribe(ORIGIN, (value, name, settingsFile) => {
+      changes.push({ value, settingsFile });
+    });
+    SettingsGrantStore.set(ORIGIN, 'camera', true);
+    unsubscribe();
+
+    assert.deepStrictEqual(changes, [
+      { value: { 'device-storage:photos': true, camera: true }, settingsFile: 'permissions.json' }
+    ]);
+  });
+
+  it('revokes one decision or all of them', async () => {
+    SettingsGrantStore.revoke(ORIGIN, 'camera');
+    assert.deepStrictEqual(SettingsGrantStore.get(ORIGIN), { 'device-storage:photos': true });
+
+    SettingsGrantStore.revoke(ORIGIN);
+    assert.deepStrictEqual(SettingsGrantStore.get(ORIGIN), {});
+
+    await SettingsStore.save('permissions.json');
+    assert.deepStrictEqual(readFile(), {});
+  });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { default: ManifestValidator } = require('../../build_ts/src/webapps/manifest_validator');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function createManifest(activities) {
+  return {
+    name: 'Example',
+    developer: { name: 'Example' },
+    icons: { 64: '/icon.png' },
+    activities
+  };
+}
+
+describe('ManifestValidator', () => {
+  it('accepts the manifests of the built-in webapps', () => {
+    ['apps', 'internal'].forEach((directory) => {
+      fs.readdirSync(path.join(ROOT, directory)).forEach((name) => {
+        const manifestPath = path.join(ROOT, directory, name, 'manifest.webapp');
+        if (!fs.existsSync(manifestPath)) {
+          return;
+        }
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        assert.deepStrictEqual(ManifestValidator.validate(manifest), [], manifestPath);
+      });
+    });
+  });
+
+  it('accepts activities in the Firefox OS format', () => {
+    const manifest = createManifest({
+      'wallpaper-set': { filters: { url: { required: true } }, return_value: false },
+      'share-to': { filters: { blob: { required: true }, type: { value: ['image/*'], regexp: '^image/' } } },
+      pick: { href: '/index.html', filters: { type: ['image/*'] }, returnValue: true }
+    });
+    assert.deepStrictEqual(ManifestValidator.validate(manifest), []);
+  });
+
+  it('reports malformed activities', () => {
+    const manifest = createManifest({
+      'Not an activity': {},
+      open: { href: 'https://example.com/', return_value: 'yes' },
+      view: { filters: { type: [], url: { required: 'yes', regexp: '(' } } }
+    });
+    assert.deepStrictEqual(
+      ManifestValidator.validate(manifest).map((issue) => issue.field),
+      [
+        'activities.Not an activity',
+        'activities.open.href',
+        'activities.open.return_value',
+        'activities.view.filters.type',
+        'activities.view.filters.url.required',
+        'activities.view.filters.url.regexp'
+      ]
+    );
+  });
+});
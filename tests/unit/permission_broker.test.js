@@ -0,0 +1,196 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The grant store only writes by itself in the main process
+process.type = 'browser';
+
+const { default: Renderer } = require('../../build_ts/src/renderer');
+const { default: SettingsStore } = require('../../build_ts/src/settings/store');
+const { SettingsGrantStore } = require('../../build_ts/src/permissions');
+const { default: PermissionBroker } = require('../../build_ts/src/browser/permission_broker');
+
+const PORT = 8081;
+const ORIGIN = `http://gallery.localhost:${PORT}`;
+
+function createRequest(options = {}) {
+  return {
+    method: options.method || 'GET',
+    path: options.path || '/storage/read',
+    headers: 'origin' in options ? { origin: options.origin } : { origin: ORIGIN },
+    socket: { localPort: PORT }
+  };
+}
+
+/**
+ * Runs a request through the middleware and returns what it answered, or
+ * `next: true` if it was handed over to the route.
+ */
+function run(request) {
+  const response = { status: null, headers: null, body: null, ended: false, next: false };
+  const res = {
+    set: (headers) => {
+      response.headers = headers;
+      return res;
+    },
+    status: (status) => {
+      response.status = status;
+      return res;
+    },
+    json: (body) => {
+      response.body = body;
+      response.ended = true;
+    },
+    end: () => {
+      response.ended = true;
+    }
+  };
+  PermissionBroker.middleware(request, res, () => {
+    response.next = true;
+  });
+  return response;
+}
+
+describe('PermissionBroker', () => {
+  let profilePath;
+
+  before(() => {
+    profilePath = fs.mkdtempSync(path.join(os.tmpdir(), 'orchid-profile-'));
+    Renderer.profilePath = profilePath;
+  });
+
+  after(async () => {
+    await SettingsStore.save('permissions.json');
+    fs.rmSync(profilePath, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    PermissionBroker.invalidate();
+    PermissionBroker.manifestCache.set('gallery', {
+      permissions: { storage: {}, 'wifi-manage': {}, 'device-info': {} }
+    });
+    SettingsGrantStore.revoke(ORIGIN);
+  });
+
+  describe('resolveAppId', () => {
+    it('resolves the webapp from the Origin header', () => {
+      assert.strictEqual(PermissionBroker.resolveAppId(createRequest()), 'gallery');
+    });
+
+    it('refuses requests without a webapp origin', () => {
+      assert.strictEqual(PermissionBroker.resolveAppId(createRequest({ origin: undefined })), null);
+      assert.strictEqual(PermissionBroker.resolveAppId(createRequest({ origin: 'null' })), null);
+      assert.strictEqual(PermissionBroker.resolveAppId(createRequest({ origin: 'https://example.com' })), null);
+      assert.strictEqual(PermissionBroker.resolveAppId(createRequest({ origin: 'http://a.b.localhost' })), null);
+      assert.strictEqual(PermissionBroker.resolveAppId(createRequest({ origin: 'not a url' })), null);
+    });
+  });
+
+  describe('check', () => {
+    it('refuses webapps without a manifest', () => {
+      PermissionBroker.manifestCache.set('gallery', null);
+      assert.strictEqual(PermissionBroker.check('gallery', ORIGIN, 'storage').code, 'MANIFEST_NOT_FOUND');
+    });
+
+    it('refuses permissions the manifest does not declare', () => {
+      const result = PermissionBroker.check('gallery', ORIGIN, 'bluetooth');
+      assert.strictEqual(result.granted, false);
+      assert.strictEqual(result.code, 'PERMISSION_NOT_DECLARED');
+    });
+
+    it('allows declared implicit permissions until the user denies them', () => {
+      assert.strictEqual(PermissionBroker.check('gallery', ORIGIN, 'storage').granted, true);
+      assert.strictEqual(PermissionBroker.check('gallery', ORIGIN, 'device-info').granted, true);
+
+      SettingsGrantStore.set(ORIGIN, 'storage', false);
+      const result = PermissionBroker.check('gallery', ORIGIN, 'storage');
+      assert.strictEqual(result.granted, false);
+      assert.strictEqual(result.code, 'PERMISSION_DENIED');
+    });
+
+    it('needs a grant for other permissions', () => {
+      assert.strictEqual(PermissionBroker.check('gallery', ORIGIN, 'wifi-manage').code, 'PERMISSION_NOT_GRANTED');
+
+      SettingsGrantStore.set(ORIGIN, 'wifi-manage', true);
+      assert.strictEqual(PermissionBroker.check('gallery', ORIGIN, 'wifi-manage').granted, true);
+    });
+
+    it('allows core and system webapps what they declare', () => {
+      PermissionBroker.manifestCache.set('settings', { core: true, permissions: { 'wifi-manage': {} } });
+      PermissionBroker.manifestCache.set('system', { role: 'system', permissions: { 'wifi-manage': {} } });
+      assert.strictEqual(PermissionBroker.check('settings', 'http://settings.localhost', 'wifi-manage').granted, true);
+      assert.strictEqual(PermissionBroker.check('system', 'http://system.localhost', 'wifi-manage').granted, true);
+      assert.strictEqual(
+        PermissionBroker.check('settings', 'http://settings.localhost', 'bluetooth').code,
+        'PERMISSION_NOT_DECLARED'
+      );
+
+      SettingsGrantStore.set('http://settings.localhost', 'wifi-manage', false);
+      assert.strictEqual(
+        PermissionBroker.check('settings', 'http://settings.localhost', 'wifi-manage').code,
+        'PERMISSION_DENIED'
+      );
+      SettingsGrantStore.revoke('http://settings.localhost');
+    });
+  });
+
+  describe('middleware', () => {
+    it('answers CORS preflights', () => {
+      const response = run(createRequest({ method: 'OPTIONS', origin: undefined }));
+      assert.strictEqual(response.status, 204);
+      assert.strictEqual(response.next, false);
+    });
+
+    it('refuses requests without an Origin', () => {
+      const response = run(createRequest({ origin: undefined }));
+      assert.strictEqual(response.status, 403);
+      assert.deepStrictEqual(response.body.error, {
+        code: 'UNKNOWN_ORIGIN',
+        message: 'Unable to resolve the calling webapp',
+        appId: null,
+        permission: 'storage'
+      });
+      assert.deepStrictEqual(response.headers, PermissionBroker.CORS_HEADERS);
+      assert.strictEqual(run(createRequest({ origin: 'null' })).body.error.code, 'UNKNOWN_ORIGIN');
+    });
+
+    it('refuses routes without a permission', () => {
+      const response = run(createRequest({ path: '/unknown/read' }));
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual(response.body.error.code, 'UNKNOWN_ROUTE');
+    });
+
+    it('refuses undeclared, denied and ungranted permissions', () => {
+      let response = run(createRequest({ path: '/bluetooth/scan' }));
+      assert.strictEqual(response.status, 403);
+      assert.deepStrictEqual(
+        [response.body.error.code, response.body.error.appId, response.body.error.permission],
+        ['PERMISSION_NOT_DECLARED', 'gallery', 'bluetooth']
+      );
+
+      response = run(createRequest({ path: '/wifi/scan' }));
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual(response.body.error.code, 'PERMISSION_NOT_GRANTED');
+
+      SettingsGrantStore.set(ORIGIN, 'storage', false);
+      response = run(createRequest());
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual(response.body.error.code, 'PERMISSION_DENIED');
+      assert.strictEqual(response.next, false);
+    });
+
+    it('hands allowed requests over to the route', () => {
+      const request = createRequest({ path: '/api/data/storage/read?path=a' });
+      const response = run(request);
+      assert.strictEqual(response.next, true);
+      assert.strictEqual(response.status, null);
+      assert.strictEqual(request.appId, 'gallery');
+      assert.strictEqual(request.appOrigin, ORIGIN);
+      assert.ok(request.permissions);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { default: APIPermissions } = require('../../build_ts/src/permissions');
+const { withPermissions } = require('../../build_ts/src/storage');
+
+const ORIGIN = 'http://gallery.localhost:8081';
+
+/**
+ * A grant store kept in memory, in the format of `permissions.json`.
+ */
+function createGrantStore(grants = {}) {
+  return {
+    grants,
+    get: function (origin) {
+      return this.grants[origin] || {};
+    },
+    set: function (origin, name, decision) {
+      this.grants[origin] = Object.assign(this.grants[origin] || {}, { [name]: decision });
+    },
+    revoke: function (origin, name) {
+      if (name) {
+        delete (this.grants[origin] || {})[name];
+      } else {
+        delete this.grants[origin];
+      }
+    }
+  };
+}
+
+function createEvaluator(manifest, options = {}) {
+  return APIPermissions.createEvaluator(
+    Object.assign(
+      {
+        manifest: () => manifest,
+        origin: () => ORIGIN,
+        grantStore: createGrantStore()
+      },
+      options
+    )
+  );
+}
+
+describe('APIPermissions.createEvaluator', () => {
+  it('denies permissions the manifest does not declare', () => {
+    const evaluator = createEvaluator({ permissions: { settings: {} } });
+    assert.strictEqual(evaluator.checkPermission('device-storage:photos'), 'deny');
+    assert.strictEqual(evaluator.checkPermission('settings'), 'allow');
+  });
+
+  it('denies everything when the manifest is missing', () => {
+    const evaluator = createEvaluator(null);
+    assert.strictEqual(evaluator.checkPermission('settings'), 'deny');
+  });
+
+  it('allows declared implicit permissions without asking', () => {
+    const evaluator = createEvaluator({ permissions: { storage: {}, time: {} } });
+    assert.strictEqual(evaluator.checkPermission('storage'), 'allow');
+    assert.strictEqual(evaluator.checkPermission('time'), 'allow');
+  });
+
+  it('prompts for other declared permissions until a decision is stored', () => {
+    const grantStore = createGrantStore();
+    const evaluator = createEvaluator({ permissions: { 'device-storage:photos': {} } }, { grantStore });
+    assert.strictEqual(evaluator.checkPermission('device-storage:photos'), 'prompt');
+
+    grantStore.set(ORIGIN, 'device-storage:photos', true);
+    assert.strictEqual(evaluator.checkPermission('device-storage:photos'), 'allow');
+
+    grantStore.set(ORIGIN, 'device-storage:photos', false);
+    assert.strictEqual(evaluator.checkPermission('device-storage:photos'), 'deny');
+  });
+
+  it('only reads the decisions of its own origin', () => {
+    const grantStore = createGrantStore({
+      'http://music.localhost:8081': { 'device-storage:photos': true }
+    });
+    const evaluator = createEvaluator({ permissions: { 'device-storage:photos': {} } }, { grantStore });
+    assert.strictEqual(evaluator.checkPermission('device-storage:photos'), 'prompt');
+  });
+
+  it('denies access levels the manifest does not cover', () => {
+    const evaluator = createEvaluator({
+      permissions: {
+        'device-storage:photos': { access: 'readonly' },
+        'device-storage:audio': {}
+      }
+    });
+    assert.strictEqual(evaluator.checkPermission('device-storage:photos', 'readwrite'), 'deny');
+    assert.strictEqual(evaluator.checkPermission('device-storage:photos', 'createonly'), 'deny');
+    // Permissions without an access level default to `readwrite`
+    assert.strictEqual(evaluator.checkPermission('device-storage:audio', 'createonly'), 'prompt');
+  });
+
+  it('allows declared permissions of core and system webapps', () => {
+    const permissions = { 'device-storage:photos': {} };
+    assert.strictEqual(createEvaluator({ core: true, permissions }).checkPermission('device-storage:photos'), 'allow');
+    assert.strictEqual(
+      createEvaluator({ role: 'system', permissions }).checkPermission('device-storage:photos'),
+      'allow'
+    );
+    // Even they have to declare them
+    assert.strictEqual(createEvaluator({ core: true, permissions }).checkPermission('power'), 'deny');
+  });
+
+  it('keeps manifests apart between evaluators', () => {
+    const gallery = createEvaluator({ permissions: { settings: {} } });
+    const music = createEvaluator({ permissions: {} });
+    assert.strictEqual(gallery.checkPermission('settings'), 'allow');
+    assert.strictEqual(music.checkPermission('settings'), 'deny');
+  });
+
+  it('stores the decision of the prompt and only prompts once at a time', async () => {
+    const grantStore = createGrantStore();
+    const requests = [];
+    const evaluator = createEvaluator(
+      { permissions: { 'device-storage:photos': {} } },
+      {
+        grantStore,
+        prompter: (request) => {
+          requests.push(request);
+          return Promise.resolve(true);
+        }
+      }
+    );
+
+    const decisions = await Promise.all([
+      evaluator.requestPermission('device-storage:photos'),
+      evaluator.requestPermission('device-storage:photos')
+    ]);
+    assert.deepStrictEqual(decisions, [true, true]);
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].origin, ORIGIN);
+    assert.deepStrictEqual(grantStore.get(ORIGIN), { 'device-storage:photos': true });
+  });
+
+  it('stores nothing when the prompt fails', async () => {
+    const grantStore = createGrantStore();
+    const evaluator = createEvaluator(
+      { permissions: { 'device-storage:photos': {} } },
+      { grantStore, prompter: () => Promise.reject(new Error('No prompt')) }
+    );
+
+    assert.strictEqual(await evaluator.requestPermission('device-storage:photos'), false);
+    assert.deepStrictEqual(grantStore.get(ORIGIN), {});
+  });
+});
+
+describe('APIPermissions', () => {
+  it('does not treat the main process as privileged', () => {
+    assert.strictEqual(APIPermissions.isPrivileged(), false);
+    assert.strictEqual(APIPermissions.checkPermission('device-storage:photos'), 'deny');
+  });
+});
+
+describe('withPermissions', () => {
+  it('checks the permissions of the given webapp', async () => {
+    const storage = withPermissions(
+      createEvaluator({ permissions: { 'device-storage:photos': {} } }, { prompter: () => Promise.resolve(false) })
+    );
+    await assert.rejects(storage.read('/photos/a.png'), { code: 'EACCES' });
+    await assert.rejects(storage.read('/audio/a.mp3'), { code: 'EACCES' });
+  });
+
+  it('lists only the roots the webapp may ask for', async () => {
+    const storage = withPermissions(
+      createEvaluator({ permissions: { 'device-storage:photos': {}, 'device-storage:music': {} } })
+    );
+    assert.deepStrictEqual((await storage.list('/')).sort(), ['audio', 'photos']);
+  });
+});
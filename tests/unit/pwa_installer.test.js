@@ -0,0 +1,145 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { default: PWAInstaller } = require('../../build_ts/src/webapps/pwa_installer');
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+const START_PAGE =
+  '<!DOCTYPE html><script>alert(1)</script><html><head><title>Example</title></head>' +
+  '<body onload="alert(2)"><img src="logo.png"></body></html>';
+
+describe('PWAInstaller', () => {
+  let directory;
+  let server;
+  let baseUrl;
+  let files;
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'orchid-pwa-'));
+    server = http.createServer((req, res) => {
+      const file = files[req.url.split('?')[0]];
+      if (!file) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': file.type });
+      // Without a length, the body is sent in chunks
+      res.write(file.body);
+      if (!file.isStalled) {
+        res.end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function serve(manifest, startPage = { type: 'text/html; charset=utf-8', body: START_PAGE }) {
+    files = {
+      '/app/manifest.json': {
+        type: 'application/manifest+json',
+        body: JSON.stringify({ icons: [{ src: 'icon.png', sizes: '64x64', type: 'image/png' }], ...manifest })
+      },
+      '/app/index.html': startPage,
+      '/app/icon.png': { type: 'image/png', body: PNG }
+    };
+  }
+
+  function install(name) {
+    return PWAInstaller.install(`${baseUrl}/app/manifest.json`, path.join(directory, name));
+  }
+
+  it('keeps the scope when it contains the start URL and falls back to its directory otherwise', async () => {
+    serve({ name: 'Example', start_url: 'index.html?source=pwa', scope: '/' });
+    assert.strictEqual((await install('scoped')).scope, `${baseUrl}/`);
+
+    serve({ name: 'Example', start_url: 'index.html', scope: '/other/' });
+    const manifest = await install('unscoped');
+    assert.strictEqual(manifest.start_url, `${baseUrl}/app/index.html`);
+    assert.strictEqual(manifest.scope, `${baseUrl}/app/`);
+  });
+
+  it('installs the shortcuts within the scope with their icons', async () => {
+    serve({
+      name: 'Example',
+      start_url: '/app/',
+      shortcuts: [
+        { name: 'Compose', url: 'compose', icons: [{ src: 'icon.png', sizes: '96x96' }] },
+        { name: 'Elsewhere', url: '/other/' },
+        { name: 'Remote', url: 'https://example.com/app/' },
+        { url: 'unnamed' }
+      ]
+    });
+
+    const appDir = path.join(directory, 'shortcuts');
+    const manifest = await PWAInstaller.install(`${baseUrl}/app/manifest.json`, appDir);
+    assert.deepStrictEqual(manifest.shortcuts, [
+      { name: 'Compose', url: `${baseUrl}/app/compose`, icons: { 64: '/icons/shortcut0/0.png' } }
+    ]);
+    assert.deepStrictEqual(fs.readFileSync(path.join(appDir, 'icons', 'shortcut0', '0.png')), PNG);
+    assert.strictEqual(manifest.icons['64'], '/icons/0.png');
+  });
+
+  it('keeps a copy of the start page which runs no scripts', async () => {
+    serve({ name: 'Example', start_url: 'index.html?a=1&b=2' });
+
+    const appDir = path.join(directory, 'offline');
+    const manifest = await PWAInstaller.install(`${baseUrl}/app/manifest.json`, appDir);
+    assert.strictEqual(manifest.offline_path, PWAInstaller.OFFLINE_PATH);
+
+    const html = fs.readFileSync(path.join(appDir, PWAInstaller.OFFLINE_PATH), 'utf8');
+    const policy = `<meta http-equiv="Content-Security-Policy" content="${PWAInstaller.OFFLINE_POLICY}">`;
+    const base = `<base href="${baseUrl}/app/index.html?a=1&amp;b=2">`;
+    assert.strictEqual(html, `<!DOCTYPE html>${policy}${base}${START_PAGE.slice('<!DOCTYPE html>'.length)}`);
+    assert.match(PWAInstaller.OFFLINE_POLICY, /script-src 'none'/);
+  });
+
+  it('installs without an offline copy when the start page is not HTML', async () => {
+    serve({ name: 'Example', start_url: 'index.html' }, { type: 'text/plain', body: 'Hello' });
+
+    const appDir = path.join(directory, 'plain');
+    const manifest = await PWAInstaller.install(`${baseUrl}/app/manifest.json`, appDir);
+    assert.strictEqual(manifest.offline_path, undefined);
+    assert.strictEqual(fs.existsSync(path.join(appDir, PWAInstaller.OFFLINE_PATH)), false);
+  });
+
+  it('gives up on manifests whose body never ends', async () => {
+    serve({ name: 'Example' });
+    files['/app/manifest.json'].isStalled = true;
+
+    const timeout = PWAInstaller.FETCH_TIMEOUT;
+    PWAInstaller.FETCH_TIMEOUT = 200;
+    try {
+      await assert.rejects(install('stalled'), (error) => error.code === 'FETCH_FAILED');
+    } finally {
+      PWAInstaller.FETCH_TIMEOUT = timeout;
+    }
+    assert.strictEqual(fs.existsSync(path.join(directory, 'stalled')), false);
+  });
+
+  it('gives up on files larger than the limit', async () => {
+    files = { '/large.bin': { type: 'application/octet-stream', body: Buffer.alloc(64) } };
+    await assert.rejects(PWAInstaller.fetch(`${baseUrl}/large.bin`, 63), /larger than 63 bytes/);
+    assert.strictEqual((await PWAInstaller.fetch(`${baseUrl}/large.bin`, 64)).body.length, 64);
+
+    serve({ name: 'Example' });
+    const limit = PWAInstaller.MAX_MANIFEST_SIZE;
+    PWAInstaller.MAX_MANIFEST_SIZE = 16;
+    try {
+      await assert.rejects(install('large'), (error) => error.code === 'FETCH_FAILED');
+    } finally {
+      PWAInstaller.MAX_MANIFEST_SIZE = limit;
+    }
+  });
+});
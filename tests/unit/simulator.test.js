@@ -0,0 +1,80 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { default: Simulator } = require('../../build_ts/src/browser/simulator');
+
+const TOKEN = 'f'.repeat(64);
+
+describe('Simulator socket', () => {
+  let port;
+
+  before(async () => {
+    await Simulator.listen(0, TOKEN);
+    port = Simulator.server.address().port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => Simulator.server.close(resolve));
+  });
+
+  /**
+   * Sends `data` and resolves with the lines received until the connection
+   * closes or `count` lines came.
+   */
+  function exchange(data, count = Infinity) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(port, '127.0.0.1', () => socket.write(data));
+      let received = '';
+      const finish = () => {
+        socket.destroy();
+        resolve(
+          received
+            .split('\n')
+            .filter(Boolean)
+            .map((line) => JSON.parse(line))
+        );
+      };
+      socket.setEncoding('utf8');
+      socket.on('data', (chunk) => {
+        received += chunk;
+        if (received.split('\n').length > count) {
+          finish();
+        }
+      });
+      socket.on('close', finish);
+      socket.on('error', reject);
+    });
+  }
+
+  it('runs commands once the token was sent', async () => {
+    const lines = await exchange(
+      `{"id": 1, "type": "hello", "token": "${TOKEN}"}\n{"id": 2, "type": "rotate", "rotation": "sideways"}\n`,
+      2
+    );
+    assert.deepStrictEqual(lines[0], { id: 1, result: null });
+    assert.strictEqual(lines[1].id, 2);
+    assert.match(lines[1].error, /^INVALID_COMMAND:/);
+  });
+
+  it('closes connections without the token', async () => {
+    const lines = await exchange('{"id": 1, "type": "state"}\n{"id": 2, "type": "state"}\n');
+    assert.strictEqual(lines.length, 1);
+    assert.match(lines[0].error, /^PERMISSION_DENIED:/);
+
+    const [wrong] = await exchange('{"id": 1, "type": "hello", "token": "guess"}\n');
+    assert.match(wrong.error, /^PERMISSION_DENIED:/);
+  });
+
+  it('closes connections from browsers without a reply', async () => {
+    const lines = await exchange('POST / HTTP/1.1\r\nHost: 127.0.0.1\r\n\r\n{"type": "press"}\n');
+    assert.deepStrictEqual(lines, []);
+  });
+
+  it('closes connections sending overlong lines', async () => {
+    const lines = await exchange('x'.repeat(Simulator.MAX_LINE_LENGTH + 1));
+    assert.strictEqual(lines.length, 1);
+    assert.match(lines[0].error, /^INVALID_COMMAND:/);
+  });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { default: StaticServer } = require('../../build_ts/src/browser/static_server');
+
+const CONTENT = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+
+describe('StaticServer.parseRange', () => {
+  it('reads single byte ranges', () => {
+    assert.deepStrictEqual(StaticServer.parseRange('bytes=0-9', 36), { start: 0, end: 9 });
+    assert.deepStrictEqual(StaticServer.parseRange('bytes=30-', 36), { start: 30, end: 35 });
+    assert.deepStrictEqual(StaticServer.parseRange('bytes=-6', 36), { start: 30, end: 35 });
+  });
+
+  it('clamps ranges running past the end', () => {
+    assert.deepStrictEqual(StaticServer.parseRange('bytes=30-100', 36), { start: 30, end: 35 });
+    assert.deepStrictEqual(StaticServer.parseRange('bytes=-100', 36), { start: 0, end: 35 });
+  });
+
+  it('ignores malformed and multiple ranges', () => {
+    assert.strictEqual(StaticServer.parseRange(undefined, 36), undefined);
+    assert.strictEqual(StaticServer.parseRange('bytes=-', 36), undefined);
+    assert.strictEqual(StaticServer.parseRange('bytes=9-0', 36), undefined);
+    assert.strictEqual(StaticServer.parseRange('bytes=0-1,4-5', 36), undefined);
+    assert.strictEqual(StaticServer.parseRange('items=0-1', 36), undefined);
+  });
+
+  it('refuses ranges that can not be satisfied', () => {
+    assert.strictEqual(StaticServer.parseRange('bytes=36-', 36), null);
+    assert.strictEqual(StaticServer.parseRange('bytes=-0', 36), null);
+    assert.strictEqual(StaticServer.parseRange('bytes=0-0', 0), null);
+  });
+});
+
+describe('StaticServer', () => {
+  let directory;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'orchid-static-'));
+    fs.writeFileSync(path.join(directory, 'file.txt'), CONTENT);
+    fs.writeFileSync(path.join(directory, 'large.bin'), Buffer.alloc(8 * 1024 * 1024));
+
+    const zip = new AdmZip();
+    zip.addFile('index.html', CONTENT);
+    zip.writeZip(path.join(directory, 'webapp.zip'));
+
+    server = http.createServer(async (req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const found = url.searchParams.has('entry')
+        ? await StaticServer.serveZipEntry(req, res, path.join(directory, 'webapp.zip'), url.searchParams.get('entry'))
+        : await StaticServer.serveFile(req, res, path.join(directory, url.pathname));
+      if (!found) {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    StaticServer.invalidate();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  async function request(pathname, options = {}) {
+    const response = await fetch(baseUrl + pathname, options);
+    return { response, body: Buffer.from(await response.arrayBuffer()) };
+  }
+
+  it('sends a range of a file', async () => {
+    const { response, body } = await request('/file.txt', { headers: { Range: 'bytes=-6' } });
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(response.headers.get('content-range'), 'bytes 30-35/36');
+    assert.strictEqual(response.headers.get('content-length'), '6');
+    assert.strictEqual(body.toString(), 'uvwxyz');
+  });
+
+  it('answers 416 with the size for ranges past the end', async () => {
+    const { response, body } = await request('/file.txt', { headers: { Range: 'bytes=36-' } });
+    assert.strictEqual(response.status, 416);
+    assert.strictEqual(response.headers.get('content-range'), 'bytes */36');
+    assert.strictEqual(body.length, 0);
+  });
+
+  it('sends the whole file when the range is ignored', async () => {
+    const { response, body } = await request('/file.txt', { headers: { Range: 'bytes=0-1,4-5' } });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(body, CONTENT);
+  });
+
+  it('sends the whole file when If-Range no longer matches', async () => {
+    const { response, body } = await request('/file.txt', {
+      headers: { Range: 'bytes=0-1', 'If-Range': '"outdated"' }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(body, CONTENT);
+  });
+
+  it('answers HEAD requests without a body', async () => {
+    const { response, body } = await request('/file.txt', { method: 'HEAD', headers: { Range: 'bytes=0-9' } });
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(response.headers.get('content-length'), '10');
+    assert.strictEqual(body.length, 0);
+  });
+
+  it('answers 304 while the client copy is fresh', async () => {
+    const { response: first } = await request('/file.txt');
+    const { response, body } = await request('/file.txt', { headers: { 'If-None-Match': first.headers.get('etag') } });
+    assert.strictEqual(response.status, 304);
+    assert.strictEqual(body.length, 0);
+  });
+
+  it('closes the file when the client goes away', async () => {
+    const streams = [];
+    const createReadStream = fs.createReadStream;
+    fs.createReadStream = function (...args) {
+      const stream = createReadStream.apply(this, args);
+      streams.push(stream);
+      return stream;
+    };
+
+    try {
+      await new Promise((resolve, reject) => {
+        const req = http.get(`${baseUrl}/large.bin`, (res) => {
+          res.once('data', () => req.destroy());
+          res.on('error', () => {});
+        });
+        req.on('error', reject);
+        req.on('close', resolve);
+      });
+    } finally {
+      fs.createReadStream = createReadStream;
+    }
+
+    // The file is far from read, so only the abort can close it
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.strictEqual(streams.length, 1);
+    assert.strictEqual(streams[0].closed, true);
+    assert.ok(streams[0].bytesRead < 8 * 1024 * 1024);
+  });
+
+  it('sends ranges of zip entries and keeps them inflated', async () => {
+    const { response, body } = await request('/?entry=index.html', { headers: { Range: 'bytes=10-15' } });
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(response.headers.get('content-range'), 'bytes 10-15/36');
+    assert.strictEqual(body.toString(), 'abcdef');
+    assert.strictEqual(StaticServer.entryCacheSize, CONTENT.length);
+
+    const { response: missing } = await request('/?entry=missing.html');
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('drops inflated entries with their archive', async () => {
+    await request('/?entry=index.html');
+    StaticServer.invalidate(path.join(directory, 'webapp.zip'));
+    assert.strictEqual(StaticServer.entryCache.size, 0);
+    assert.strictEqual(StaticServer.entryCacheSize, 0);
+  });
+});
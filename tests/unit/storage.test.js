@@ -0,0 +1,76 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { default: APIPermissions } = require('../../build_ts/src/permissions');
+const { default: Renderer } = require('../../build_ts/src/renderer');
+const { withPermissions } = require('../../build_ts/src/storage');
+const { default: VirtualFS } = require('../../build_ts/src/storage/vfs');
+
+function createStorage(decision) {
+  const grants = {};
+  const prompts = [];
+  const storage = withPermissions(
+    APIPermissions.createEvaluator({
+      manifest: () => ({ permissions: { 'device-storage:photos': {} } }),
+      origin: () => 'http://gallery.localhost:8081',
+      grantStore: {
+        get: (origin) => grants[origin] || {},
+        set: (origin, name, value) => {
+          grants[origin] = Object.assign(grants[origin] || {}, { [name]: value });
+        },
+        revoke: () => {}
+      },
+      prompter: (request) => {
+        prompts.push(request.type);
+        return Promise.resolve(decision);
+      }
+    })
+  );
+  return { storage, prompts };
+}
+
+describe('SDCardManager', () => {
+  let storagePath;
+
+  before(() => {
+    storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'orchid-storage-'));
+    fs.mkdirSync(path.join(storagePath, 'Pictures'));
+    fs.writeFileSync(path.join(storagePath, 'Pictures', 'a.png'), 'png');
+    Renderer.storagePath = storagePath;
+  });
+
+  after(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  });
+
+  it('prompts for access before reading stats', async () => {
+    const { storage, prompts } = createStorage(true);
+    const stats = await storage.getStats('/photos/a.png');
+    assert.strictEqual(stats.size, 3);
+    assert.strictEqual(stats.is_directory, false);
+    assert.deepStrictEqual(prompts, ['device-storage:photos']);
+
+    // The decision is kept
+    assert.strictEqual(await storage.getMime('/photos/a.png'), 'image/png');
+    assert.strictEqual(prompts.length, 1);
+  });
+
+  it('rejects with the code in the message when access is denied', async () => {
+    const { storage } = createStorage(false);
+    await assert.rejects(storage.getStats('/photos/a.png'), { code: 'EACCES', message: 'EACCES: /photos/a.png' });
+    await assert.rejects(storage.getMime('/photos/a.png'), { code: 'EACCES' });
+  });
+});
+
+describe('VirtualFS', () => {
+  it('starts every error message with its code', () => {
+    assert.throws(() => VirtualFS.normalize('../etc/passwd'), {
+      code: 'EACCES',
+      message: 'EACCES: Path escapes the storage root: ../etc/passwd'
+    });
+  });
+});
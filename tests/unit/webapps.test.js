@@ -0,0 +1,155 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { default: Renderer } = require('../../build_ts/src/renderer');
+const { default: AppsManager } = require('../../build_ts/src/webapps');
+const { default: WebappPackage } = require('../../build_ts/src/webapps/package');
+
+const APP_ID = '{00000000-0000-4000-8000-000000000000}';
+const KEY_ID = 'test';
+
+function createManifest(version) {
+  return { name: 'Example', version, developer: { name: 'Example' }, icons: { 64: '/icon.png' } };
+}
+
+describe('AppsManager.compareVersions', () => {
+  it('compares the segments as numbers', () => {
+    assert.ok(AppsManager.compareVersions('1.10', '1.9') > 0);
+    assert.ok(AppsManager.compareVersions('1.9', '1.10') < 0);
+    assert.ok(AppsManager.compareVersions('2', '10') < 0);
+  });
+
+  it('reads missing segments as 0', () => {
+    assert.strictEqual(AppsManager.compareVersions('1.0', '1'), 0);
+    assert.strictEqual(AppsManager.compareVersions('1', '1.0.0'), 0);
+    assert.ok(AppsManager.compareVersions('1.0.1', '1') > 0);
+  });
+
+  it('compares other segments as text', () => {
+    assert.ok(AppsManager.compareVersions('1.0-beta', '1.0-alpha') > 0);
+    assert.strictEqual(AppsManager.compareVersions('1.0-beta', '1.0-beta'), 0);
+  });
+});
+
+describe('AppsManager updates', () => {
+  let root;
+  let privateKey;
+  let environment;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'orchid-webapps-'));
+    const keys = crypto.generateKeyPairSync('ed25519');
+    privateKey = keys.privateKey;
+    fs.mkdirSync(path.join(root, 'profile', WebappPackage.TRUSTED_KEYS_DIR), { recursive: true });
+    fs.writeFileSync(
+      path.join(root, 'profile', WebappPackage.TRUSTED_KEYS_DIR, `${KEY_ID}.pem`),
+      keys.publicKey.export({ type: 'spki', format: 'pem' })
+    );
+
+    environment = process.env.NODE_ENV;
+    Renderer.profilePath = path.join(root, 'profile');
+    Renderer.webappsPath = path.join(root, 'webapps');
+    Renderer.webappsConfigPath = path.join(root, 'webapps.json');
+    Renderer.storagePath = path.join(root, 'storage');
+  });
+
+  after(() => {
+    process.env.NODE_ENV = environment;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(Renderer.webappsPath, { recursive: true, force: true });
+    fs.mkdirSync(Renderer.webappsPath);
+    fs.writeFileSync(Renderer.webappsConfigPath, JSON.stringify([{ appId: APP_ID }]));
+    process.env.NODE_ENV = environment;
+  });
+
+  /**
+   * Writes a signed package to the downloads of the storage and returns its
+   * virtual path.
+   */
+  function createPackage(version) {
+    const sourceDir = fs.mkdtempSync(path.join(root, 'source-'));
+    fs.writeFileSync(path.join(sourceDir, 'manifest.webapp'), JSON.stringify(createManifest(version)));
+    fs.writeFileSync(path.join(sourceDir, 'index.html'), `<p>${version}</p>`);
+    const signature = WebappPackage.sign(sourceDir, KEY_ID, privateKey);
+
+    const zip = new AdmZip();
+    zip.addLocalFolder(sourceDir);
+    zip.addFile(WebappPackage.SIGNATURE_FILE, Buffer.from(JSON.stringify(signature)));
+    const downloadsDir = path.join(Renderer.storagePath, 'Downloads');
+    fs.mkdirSync(downloadsDir, { recursive: true });
+    zip.writeZip(path.join(downloadsDir, `example-${version}.zip`));
+    return `downloads/example-${version}.zip`;
+  }
+
+  function installUnpacked(version) {
+    const appDir = path.join(Renderer.webappsPath, APP_ID);
+    fs.mkdirSync(appDir);
+    fs.writeFileSync(path.join(appDir, 'manifest.webapp'), JSON.stringify(createManifest(version)));
+  }
+
+  function installZipped(version) {
+    const appDir = path.join(Renderer.webappsPath, APP_ID);
+    const zip = new AdmZip();
+    zip.addFile('manifest.webapp', Buffer.from(JSON.stringify(createManifest(version))));
+    fs.mkdirSync(appDir);
+    zip.writeZip(path.join(appDir, 'webapp.zip'));
+  }
+
+  async function assertRejects(promise, code) {
+    await assert.rejects(promise, (error) => error.code === code);
+  }
+
+  it('refuses to update webapps which are not installed', async () => {
+    await assertRejects(AppsManager.update('{unknown}', createPackage('2.0')), 'NOT_INSTALLED');
+  });
+
+  it('refuses packages which are not newer', async () => {
+    installUnpacked('1.10');
+    await assertRejects(AppsManager.update(APP_ID, createPackage('1.9')), 'NOT_NEWER');
+    await assertRejects(AppsManager.update(APP_ID, createPackage('1.10')), 'NOT_NEWER');
+  });
+
+  it('reads the installed version of packaged webapps from their archive', async () => {
+    process.env.NODE_ENV = 'production';
+    installZipped('3.0');
+    await assertRejects(AppsManager.update(APP_ID, createPackage('2.0')), 'NOT_NEWER');
+    assert.ok(fs.existsSync(path.join(Renderer.webappsPath, APP_ID, 'webapp.zip')));
+  });
+
+  it('updates and reverts to the previous version', async () => {
+    installUnpacked('1.0');
+    assert.strictEqual(await AppsManager.update(APP_ID, createPackage('1.1')), '1.1');
+    assert.strictEqual(AppsManager.readManifest(path.join(Renderer.webappsPath, APP_ID)).version, '1.1');
+
+    assert.strictEqual(await AppsManager.rollback(APP_ID), '1.0');
+    assert.strictEqual(AppsManager.readManifest(path.join(Renderer.webappsPath, APP_ID)).version, '1.0');
+    await assert.rejects(AppsManager.rollback(APP_ID), /No previous version/);
+  });
+
+  it('refuses to revert webapps without a previous version', async () => {
+    installUnpacked('1.0');
+    await assert.rejects(AppsManager.rollback(APP_ID), /No previous version/);
+    await assert.rejects(AppsManager.rollback('{unknown}'), /No previous version/);
+  });
+
+  it('only uninstalls installed webapps', async () => {
+    const outsideDir = path.join(root, 'outside');
+    fs.mkdirSync(outsideDir, { recursive: true });
+    await assertRejects(AppsManager.uninstall('../outside'), 'NOT_INSTALLED');
+    assert.ok(fs.existsSync(outsideDir));
+
+    installUnpacked('1.0');
+    await AppsManager.uninstall(APP_ID);
+    assert.ok(!fs.existsSync(path.join(Renderer.webappsPath, APP_ID)));
+    assert.deepStrictEqual(AppsManager.readAppList(), []);
+  });
+});